@@ -29,20 +29,38 @@
 function showAdminNotice(message, type) {
     type = type || 'success';
     
-    var noticeHtml = '<div class="notice notice-' + type + ' is-dismissible">' +
-        '<p><strong>' + message + '</strong></p>' +
+    var notice = document.createElement('div');
+    notice.className = 'notice notice-' + type + ' is-dismissible bf-admin-notice';
+    notice.dataset.message = type + ':' + message;
+    notice.innerHTML = '<p><strong></strong></p>' +
         '<button type="button" class="notice-dismiss">' +
         '<span class="screen-reader-text">Dismiss this notice.</span>' +
-        '</button></div>';
+        '</button>';
+    notice.querySelector('strong').textContent = message;
+    notice.querySelector('.notice-dismiss').addEventListener('click', function() {
+        notice.remove();
+    });
+    
+    // Show a repeated message once, at the top
+    document.querySelectorAll('.bf-admin-notice').forEach(function(existing) {
+        if (existing.dataset.message === notice.dataset.message) {
+            existing.remove();
+        }
+    });
     
     var title = document.querySelector('.wrap h1');
     if (title) {
-        title.insertAdjacentHTML('afterend', noticeHtml);
+        title.after(notice);
     } else {
-        document.body.insertAdjacentHTML('afterbegin', noticeHtml);
+        document.body.prepend(notice);
     }
 }
 
+// Failed REST requests are reported through the admin notices
+bfRestClient.setNoticeHandler(function(message) {
+    showAdminNotice('Operation failed: ' + message, 'error');
+});
+
 // Download helper function
 function downloadFile(content, filename, contentType) {
     var blob = new Blob([content], { type: contentType });
@@ -77,7 +95,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 }
             })
             .catch(error => {
-                showAdminNotice('Error: ' + error.message, 'error');
+                console.error('Cache clear error:', error);
             })
             .finally(() => {
                 btn.disabled = false;
@@ -106,7 +124,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 }
             })
             .catch(error => {
-                showAdminNotice('Error: ' + error.message, 'error');
+                console.error('Cache warm error:', error);
             })
             .finally(() => {
                 btn.disabled = false;
@@ -117,36 +135,8 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Analytics Export button
     var exportAnalyticsBtn = document.getElementById('bf-export-analytics');
-    if (exportAnalyticsBtn) {
-        exportAnalyticsBtn.addEventListener('click', function(e) {
-            e.preventDefault();
-            var btn = this;
-            btn.disabled = true;
-            btn.textContent = 'Exporting...';
-            
-            var format = 'csv';
-            var days = 30;
-            
-            fetchWithErrorHandling('export-analytics?format=' + format + '&days=' + days, {
-                method: 'GET'
-            })
-            .then(data => {
-                if (data.success) {
-                    var contentType = data.format === 'csv' ? 'text/csv' : 'application/json';
-                    downloadFile(data.data, data.filename, contentType);
-                    showAdminNotice(data.filename + ' downloaded successfully!');
-                } else {
-                    showAdminNotice(data.message, 'error');
-                }
-            })
-            .catch(error => {
-                showAdminNotice('Export failed: ' + error.message, 'error');
-            })
-            .finally(() => {
-                btn.disabled = false;
-                btn.textContent = 'Export Analytics';
-            });
-        });
+    if (exportAnalyticsBtn && document.getElementById('bf-export-dialog')) {
+        initAnalyticsExportDialog(exportAnalyticsBtn);
     }
     
     // Export Settings button - REAL FUNCTIONALITY!
@@ -170,7 +160,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 }
             })
             .catch(error => {
-                showAdminNotice('Export failed: ' + error.message, 'error');
+                console.error('Export settings error:', error);
             })
             .finally(() => {
                 btn.disabled = false;
@@ -179,46 +169,43 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
+    // Import Settings preview
+    if (document.getElementById('bf-import-preview')) {
+        initSettingsImport();
+    }
+    
     // Preset handling
-    var presetSelect = document.getElementById('bf-preset-select');
-    var applyBtn = document.getElementById('bf-apply-preset');
+    if (document.getElementById('bf-presets')) {
+        initPresets();
+    }
     
-    if (presetSelect && applyBtn) {
-        presetSelect.addEventListener('change', function() {
-            applyBtn.disabled = !this.value;
-        });
-        
-        applyBtn.addEventListener('click', function(e) {
-            e.preventDefault();
-            var preset = presetSelect.value;
-            if (!preset) return;
-            
-            var btn = this;
-            btn.disabled = true;
-            btn.textContent = 'Applying...';
-            
-            fetchWithErrorHandling('apply-preset', {
-                method: 'POST',
-                body: {
-                    preset: preset
-                }
-            })
-            .then(data => {
-                if (data.success) {
-                    showAdminNotice(data.message);
-                } else {
-                    showAdminNotice(data.message, 'error');
-                }
-            })
-            .catch(error => {
-                showAdminNotice('Error: ' + error.message, 'error');
-            })
-            .finally(() => {
-                btn.disabled = false;
-                btn.textContent = 'Apply Preset';
-            });
-        });
+    // Settings history timeline
+    if (document.getElementById('bf-settings-history')) {
+        initSettingsHistory();
+    }
+    
+    // Episode manager grid
+    if (document.querySelector('.bf-episodes-grid')) {
+        initEpisodeManager();
+    }
+    
+    // Analytics dashboard
+    if (document.getElementById('bf-analytics-dashboard')) {
+        initAnalyticsDashboard();
+    }
+    
+    // Live traffic monitor on the Dashboard tab
+    if (document.getElementById('bf-live-traffic')) {
+        initLiveTraffic();
+    }
+    
+    // Applied and dismissed suggestions
+    if (document.getElementById('bf-suggestion-history')) {
+        initSuggestionHistory();
     }
+    
+    // Feeds, Redirects and Suggestions lists
+    initAdminLists();
 });
 
 // Dashboard Functions
@@ -274,15 +261,16 @@ function runPerformanceTest() {
     .then(data => {
         if (data.success) {
             showAdminNotice('Performance test completed successfully!', 'success');
-            // Reload page to show updated results
-            setTimeout(() => location.reload(), 1000);
+            renderPerformanceTests(data.recent_tests || []);
+            
+            // New metrics can change the measured effect of applied suggestions
+            refreshSuggestionHistory();
         } else {
             showAdminNotice('Performance test failed: ' + (data.message || 'Unknown error'), 'error');
         }
     })
     .catch(error => {
         console.error('Performance test error:', error);
-        showAdminNotice('Performance test failed: ' + error.message, 'error');
     })
     .finally(() => {
         button.disabled = false;
@@ -290,6 +278,31 @@ function runPerformanceTest() {
     });
 }
 
+/**
+ * Render the Recent Performance Tests table on the Dashboard tab.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Array} tests - Tests as returned by the run-performance-test endpoint
+ */
+function renderPerformanceTests(tests) {
+    const container = document.getElementById('bf-performance-tests');
+    if (!container) {
+        return;
+    }
+    
+    container.querySelector('.bf-performance-tests-empty').hidden = tests.length > 0;
+    container.querySelector('table').hidden = tests.length === 0;
+    container.querySelector('tbody').replaceChildren(...tests.map(test => createAdminElement('tr', {}, [
+        createAdminElement('td', {}, [test.test_time]),
+        createAdminElement('td', {}, [test.feed_url]),
+        createAdminElement('td', {}, [test.load_time + 's']),
+        createAdminElement('td', {}, [
+            createAdminElement('span', { className: 'bf-status ' + (test.status === 'success' ? 'enabled' : 'disabled') }, [test.status.charAt(0).toUpperCase() + test.status.slice(1)])
+        ])
+    ])));
+}
+
 function generateOptimizationReport() {
     const button = event.target;
     const originalText = button.textContent;
@@ -313,44 +326,6 @@ function generateOptimizationReport() {
     })
     .catch(error => {
         console.error('Report generation error:', error);
-        showAdminNotice('Failed to generate report: ' + error.message, 'error');
-    })
-    .finally(() => {
-        button.disabled = false;
-        button.textContent = originalText;
-    });
-}
-
-function applySuggestion(suggestionId) {
-    console.log('BetterFeed: Applying suggestion:', suggestionId);
-    console.log('BetterFeed: REST API URL:', bf_config.rest_api_url);
-    console.log('BetterFeed: Nonce:', bf_config.nonce);
-    
-    const button = event.target;
-    const originalText = button.textContent;
-    
-    button.disabled = true;
-    button.textContent = 'Applying...';
-    
-    fetchWithErrorHandling('apply-suggestion', {
-        method: 'POST',
-        body: {
-            suggestion_id: suggestionId
-        }
-    })
-    .then(data => {
-        console.log('BetterFeed: Response data:', data);
-        if (data.success) {
-            showAdminNotice('Optimization suggestion applied successfully!', 'success');
-            // Reload page to show updated suggestions
-            setTimeout(() => location.reload(), 1000);
-        } else {
-            showAdminNotice('Failed to apply suggestion: ' + (data.message || 'Unknown error'), 'error');
-        }
-    })
-    .catch(error => {
-        console.error('BetterFeed: Fetch error:', error);
-        showAdminNotice('Failed to apply suggestion: ' + error.message, 'error');
     })
     .finally(() => {
         button.disabled = false;
@@ -361,16 +336,21 @@ function applySuggestion(suggestionId) {
 /**
  * Fetch data from REST API with comprehensive error handling.
  * 
- * This utility function provides consistent error handling for all REST API calls,
- * including network errors, HTTP errors, and response validation.
+ * Thin wrapper around bfRestClient (rest-client.js), which refreshes the
+ * nonce, retries idempotent requests, times requests out and shows one
+ * notice per failure, so callers' catch blocks only need to log.
  * 
  * @since 1.0.0
  * 
- * @param {string} endpoint - The API endpoint to call (relative to bf_config.rest_api_url)
+ * @param {string} endpoint - The API endpoint to call, relative to options.namespace
  * @param {Object} options  - Fetch options object
- * @param {string} options.method - HTTP method (default: 'POST')
- * @param {Object} options.body   - Request body data
- * @param {Object} options.headers - Additional headers
+ * @param {string} options.method    - HTTP method (default: 'POST')
+ * @param {Object} options.body      - Request body data
+ * @param {Object} options.headers   - Additional headers
+ * @param {string} options.namespace - REST namespace to call (default: 'betterfeed/v1/')
+ * @param {AbortSignal} options.signal  - Signal to cancel the request
+ * @param {number}      options.timeout - Milliseconds before the request times out
+ * @param {boolean}     options.notify  - Whether to show a notice on failure (default: true)
  * 
  * @return {Promise<Object>} Promise resolving to API response data
  * 
@@ -383,59 +363,14 @@ function applySuggestion(suggestionId) {
  * .catch(error => console.error('Error:', error));
  */
 function fetchWithErrorHandling(endpoint, options = {}) {
-    // Default options
-    const defaultOptions = {
-        method: 'POST',
-        credentials: 'include',
-        headers: {
-            'Content-Type': 'application/json',
-            'X-WP-Nonce': bf_config.nonce
-        }
-    };
-    
-    // Merge options
-    const fetchOptions = {
-        ...defaultOptions,
-        ...options,
-        headers: {
-            ...defaultOptions.headers,
-            ...options.headers
-        }
-    };
-    
-    // Add body if provided
-    if (options.body && typeof options.body === 'object') {
-        fetchOptions.body = JSON.stringify(options.body);
-    }
+    const { namespace = 'betterfeed/v1/', method = 'POST', body, ...requestOptions } = options;
     
-    return fetch(bf_config.rest_api_url + endpoint, fetchOptions)
-        .then(response => {
-            // Check if response is ok
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status} ${response.statusText}`);
-            }
-            
-            // Parse JSON response
-            return response.json();
-        })
-        .then(data => {
-            // Validate response structure
-            if (!data || typeof data !== 'object') {
-                throw new Error('Invalid response format from server');
-            }
-            
-            return data;
-        })
-        .catch(error => {
-            // Log error for debugging
-            console.error('BetterFeed API Error:', error);
-            
-            // Show user-friendly error message
-            showAdminNotice(`Operation failed: ${error.message}`, 'error');
-            
-            // Re-throw for caller to handle if needed
-            throw error;
-        });
+    return bfRestClient.request({
+        ...requestOptions,
+        path: namespace + endpoint,
+        method: method,
+        data: body && typeof body === 'object' ? body : undefined
+    });
 }
 
 /**
@@ -469,23 +404,357 @@ function flushRewriteRules() {
         });
 }
 
+// Admin List Functions
+/**
+ * Client-side copies of the Feeds, Redirects and Suggestions lists.
+ * 
+ * confirmed holds the items as the server last reported them. Changes that
+ * are still waiting for the server sit in pending and are applied on top of
+ * confirmed whenever the list renders, so a failed request only has to drop
+ * its own change to roll back.
+ * 
+ * @since 1.0.4
+ */
+const bfAdminLists = {
+    feeds: {
+        endpoint: 'custom-feeds',
+        key: 'feeds',
+        container: 'table',
+        items: 'tbody',
+        renderItem: renderFeedListItem,
+        confirmed: [],
+        pending: []
+    },
+    redirects: {
+        endpoint: 'redirects',
+        key: 'redirects',
+        container: 'table',
+        items: 'tbody',
+        renderItem: renderRedirectListItem,
+        confirmed: [],
+        pending: []
+    },
+    suggestions: {
+        endpoint: 'suggestions',
+        key: 'suggestions',
+        container: '.bf-suggestions-list',
+        items: '.bf-suggestions-list',
+        renderItem: renderSuggestionListItem,
+        limit: 5,
+        confirmed: [],
+        pending: []
+    }
+};
+
+/**
+ * Seed each admin list from the data its container was rendered with.
+ * 
+ * @since 1.0.4
+ */
+function initAdminLists() {
+    document.querySelectorAll('.bf-admin-list[data-list]').forEach(container => {
+        const list = bfAdminLists[container.dataset.list];
+        if (!list) {
+            return;
+        }
+        
+        try {
+            list.confirmed = JSON.parse(container.dataset.items || '[]');
+        } catch (error) {
+            console.error('BetterFeed: Invalid list data:', error);
+        }
+        
+        renderAdminList(container.dataset.list);
+    });
+}
+
+/**
+ * Get a list's items with pending changes applied.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {string} name - List name in bfAdminLists
+ * 
+ * @return {Array} Items as currently shown
+ */
+function getAdminListItems(name) {
+    const list = bfAdminLists[name];
+    return list.pending.reduce((items, change) => change.apply(items.slice()), list.confirmed);
+}
+
+/**
+ * Render a list in place.
+ * 
+ * Rows being edited inline are kept as they are so re-rendering after
+ * another change never throws away unsaved input.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {string} name - List name in bfAdminLists
+ */
+function renderAdminList(name) {
+    const list = bfAdminLists[name];
+    const container = document.querySelector('.bf-admin-list[data-list="' + name + '"]');
+    if (!container) {
+        return;
+    }
+    
+    const items = getAdminListItems(name).slice(0, list.limit);
+    const target = container.querySelector(list.items);
+    const editing = {};
+    
+    target.querySelectorAll(':scope > .bf-editing[data-key]').forEach(element => {
+        editing[element.dataset.key] = element;
+    });
+    
+    target.replaceChildren(...items.map(item => {
+        if (editing[item.id]) {
+            return editing[item.id];
+        }
+        
+        const element = list.renderItem(item);
+        element.dataset.key = item.id;
+        element.classList.toggle('bf-pending', !!item.pending);
+        return element;
+    }));
+    
+    container.querySelector(list.container).hidden = items.length === 0;
+    container.querySelector('.bf-admin-list-empty').hidden = items.length > 0;
+}
+
+/**
+ * Reload a list from the REST API.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {string} name - List name in bfAdminLists
+ * 
+ * @return {Promise<Array>} Promise resolving to the confirmed items
+ */
+function loadAdminList(name) {
+    const list = bfAdminLists[name];
+    
+    return fetchWithErrorHandling(list.endpoint, {
+        method: 'GET'
+    })
+    .then(data => {
+        list.confirmed = data[list.key] || [];
+        renderAdminList(name);
+        return list.confirmed;
+    });
+}
+
+/**
+ * Change a list optimistically while the server catches up.
+ * 
+ * The change is shown straight away. When the request succeeds its commit
+ * (or apply, if there is no commit) is folded into the confirmed items,
+ * usually swapping placeholders for the server's copy. When it fails the
+ * change is dropped, rolling the list back, and the list is reloaded.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {string}   name           - List name in bfAdminLists
+ * @param {Object}   change         - The change to make
+ * @param {Function} change.apply   - Returns the items with the change made
+ * @param {Function} change.commit  - Returns the confirmed items updated from the response
+ * @param {Function} request        - Starts the request, returning a promise of response data
+ * 
+ * @return {Promise<Object>} Promise resolving to the response data
+ * 
+ * @example
+ * updateAdminList('redirects', {
+ *   apply: redirects => redirects.filter(redirect => redirect.id !== id)
+ * }, () => fetchWithErrorHandling('delete-redirect', { body: { redirect_id: id } }));
+ */
+function updateAdminList(name, change, request) {
+    const list = bfAdminLists[name];
+    const commit = change.commit || change.apply;
+    
+    list.pending.push(change);
+    renderAdminList(name);
+    
+    return request()
+        .then(data => {
+            if (!data.success) {
+                showAdminNotice(data.message || 'Unknown error', 'error');
+                throw new Error(data.message || 'Unknown error');
+            }
+            
+            list.confirmed = commit(list.confirmed.slice(), data);
+            return data;
+        })
+        .catch(error => {
+            // A rejected change often means the list changed elsewhere
+            loadAdminList(name).catch(() => {});
+            throw error;
+        })
+        .finally(() => {
+            list.pending.splice(list.pending.indexOf(change), 1);
+            renderAdminList(name);
+        });
+}
+
+/**
+ * Render a row of the custom feeds list.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Object} feed - Feed list item
+ * 
+ * @return {HTMLElement} Table row
+ */
+function renderFeedListItem(feed) {
+    return createAdminElement('tr', {}, [
+        createAdminElement('td', {}, [feed.title]),
+        createAdminElement('td', {}, [feed.slug]),
+        createAdminElement('td', {}, feed.urls.map(link => createAdminElement('div', { className: 'bf-feed-url' }, [
+            createAdminElement('span', { className: 'bf-feed-format' }, [link.label]),
+            ' ',
+            createAdminElement('a', { href: link.url, target: '_blank' }, [link.url])
+        ]))),
+        createAdminElement('td', {}, [
+            createAdminElement('span', { className: 'bf-status ' + (feed.enabled ? 'enabled' : 'disabled') }, [feed.enabled ? 'Enabled' : 'Disabled'])
+        ]),
+        createAdminElement('td', {}, [
+            createAdminElement('button', { type: 'button', className: 'button button-small', disabled: !!feed.pending, onclick: () => editFeed(feed.id) }, ['Edit']),
+            ' ',
+            createAdminElement('button', { type: 'button', className: 'button button-small button-link-delete', disabled: !!feed.pending, onclick: () => deleteFeed(feed.id) }, ['Delete'])
+        ])
+    ]);
+}
+
+/**
+ * Render a row of the redirects list.
+ * 
+ * The row carries its redirect in data attributes so it can be edited inline.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Object} redirect - Redirect list item
+ * 
+ * @return {HTMLElement} Table row
+ */
+function renderRedirectListItem(redirect) {
+    const row = createAdminElement('tr', {
+        dataset: {
+            redirectId: redirect.id,
+            from: redirect.from,
+            to: redirect.to,
+            statusCode: redirect.status_code,
+            enabled: redirect.enabled ? '1' : '0'
+        }
+    }, [
+        createAdminElement('td', { className: 'bf-redirect-from' }),
+        createAdminElement('td', { className: 'bf-redirect-to' }),
+        createAdminElement('td', { className: 'bf-redirect-status-code' }),
+        createAdminElement('td', { className: 'bf-redirect-enabled' }),
+        createAdminElement('td', { className: 'bf-redirect-actions' }, [
+            createAdminElement('button', { type: 'button', className: 'button button-small', disabled: !!redirect.pending, onclick: () => editRedirect(redirect.id) }, ['Edit']),
+            ' ',
+            createAdminElement('button', { type: 'button', className: 'button button-small button-link-delete', disabled: !!redirect.pending, onclick: () => deleteRedirect(redirect.id) }, ['Delete'])
+        ])
+    ]);
+    
+    renderRedirectRow(row);
+    return row;
+}
+
+/**
+ * Render an item of the optimization suggestions list.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Object} suggestion - Suggestion list item
+ * 
+ * @return {HTMLElement} Suggestion element
+ */
+function renderSuggestionListItem(suggestion) {
+    const result = suggestion.result;
+    const resultLabels = { applied: 'Applied', failed: 'Failed', rolled_back: 'Rolled back', skipped: 'Not applied' };
+    
+    return createAdminElement('div', {
+        className: 'bf-suggestion-item priority-' + suggestion.priority,
+        dataset: { priority: suggestion.priority }
+    }, [
+        createAdminElement('h4', {}, [suggestion.title]),
+        createAdminElement('p', {}, [suggestion.description]),
+        result ? createAdminElement('p', {
+            className: 'bf-suggestion-result bf-suggestion-' + result.status
+        }, [(resultLabels[result.status] || result.status) + ': ' + result.message]) : null,
+        result && result.status === 'applied' ? null : createAdminElement('p', { className: 'bf-suggestion-actions' }, [
+            createAdminElement('button', {
+                type: 'button',
+                className: 'button button-small bf-apply-btn',
+                dataset: { suggestionId: suggestion.id }
+            }, ['Apply']),
+            createAdminElement('button', { type: 'button', className: 'button button-small', disabled: !!suggestion.pending, onclick: () => openDismissSuggestionDialog(suggestion, 30) }, ['Snooze']),
+            createAdminElement('button', { type: 'button', className: 'button button-small button-link-delete', disabled: !!suggestion.pending, onclick: () => openDismissSuggestionDialog(suggestion, 0) }, ['Dismiss'])
+        ])
+    ]);
+}
+
 // Custom Feeds Functions
-function addCustomFeed() {
-    console.log('BetterFeed: Adding custom feed');
+/**
+ * Set a value in a request body using a PHP-style field name.
+ * 
+ * "feed_taxonomies[category][]" becomes { feed_taxonomies: { category: [...] } }
+ * so nested filters reach the REST API in the shape PHP would parse them.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Object} data  - Request body being built
+ * @param {string} name  - Field name
+ * @param {*}      value - Field value
+ */
+function setFormFieldValue(data, name, value) {
+    const path = name.replace(/\]/g, '').split('[');
+    const last = path.pop();
+    let target = data;
     
-    // Get form data - be more specific with the selector
-    const form = document.querySelector('.bf-add-feed form');
-    console.log('BetterFeed: Found form element:', form);
-    console.log('BetterFeed: Form type:', typeof form);
-    console.log('BetterFeed: Form is HTMLFormElement:', form instanceof HTMLFormElement);
+    path.forEach((key, index) => {
+        if (target[key] === undefined) {
+            target[key] = (index + 1 < path.length ? path[index + 1] : last) === '' ? [] : {};
+        }
+        target = target[key];
+    });
     
-    if (!form) {
-        console.error('BetterFeed: Custom feed form not found');
-        console.error('BetterFeed: Available forms:', document.querySelectorAll('form'));
-        showAdminNotice('Error: Custom feed form not found', 'error');
-        return;
+    if (last === '') {
+        target.push(value);
+    } else {
+        target[last] = value;
     }
-    
+}
+
+/**
+ * Read a value from a feed config using its form field name.
+ * 
+ * Form fields are the config keys prefixed with "feed_", so
+ * "feed_taxonomies[category][]" reads config.taxonomies.category.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Object} config - Stored feed configuration
+ * @param {string} name   - Field name
+ * 
+ * @return {*} Value, or undefined when not set
+ */
+function getFeedConfigValue(config, name) {
+    return name.replace(/^feed_/, '').replace(/\]/g, '').split('[')
+        .filter(key => key !== '')
+        .reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), config);
+}
+
+/**
+ * Collect the custom feed form fields into a request body.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {HTMLFormElement} form - Custom feed form
+ * 
+ * @return {Object} Feed data keyed by field name
+ */
+function getFeedFormData(form) {
     // Try FormData first, fallback to manual collection
     let feedData = {};
     
@@ -493,36 +762,121 @@ function addCustomFeed() {
         const formData = new FormData(form);
         // Convert FormData to object
         for (let [key, value] of formData.entries()) {
-            if (key === 'feed_post_types[]') {
-                if (!feedData.feed_post_types) feedData.feed_post_types = [];
-                feedData.feed_post_types.push(value);
-            } else {
-                feedData[key] = value;
-            }
+            setFormFieldValue(feedData, key, value);
         }
     } catch (error) {
         console.warn('BetterFeed: FormData failed, using manual collection:', error);
         // Fallback: manually collect form data
         const inputs = form.querySelectorAll('input, select, textarea');
         inputs.forEach(input => {
+            if (!input.name) {
+                return;
+            }
             if (input.type === 'checkbox') {
-                if (input.name === 'feed_post_types[]') {
-                    if (!feedData.feed_post_types) feedData.feed_post_types = [];
-                    if (input.checked) feedData.feed_post_types.push(input.value);
-                } else if (input.name === 'feed_enabled') {
+                if (input.name === 'feed_enabled') {
                     feedData[input.name] = input.checked;
+                } else if (input.checked) {
+                    setFormFieldValue(feedData, input.name, input.value);
                 }
             } else if (input.type === 'radio') {
                 if (input.checked) {
                     feedData[input.name] = input.value;
                 }
+            } else if (input.multiple) {
+                Array.from(input.selectedOptions).forEach(option => setFormFieldValue(feedData, input.name, option.value));
             } else {
-                feedData[input.name] = input.value;
+                setFormFieldValue(feedData, input.name, input.value);
             }
         });
     }
     
-    console.log('BetterFeed: Feed data:', feedData);
+    return feedData;
+}
+
+/**
+ * Add a custom field condition row to the feed form.
+ * 
+ * @since 1.0.4
+ * 
+ * @return {HTMLElement} The new row
+ */
+function addMetaFilterRow() {
+    const container = document.querySelector('.bf-meta-filters');
+    const template = document.getElementById('bf-meta-filter-template');
+    const index = container.dataset.nextIndex ? parseInt(container.dataset.nextIndex, 10) : 0;
+    
+    container.dataset.nextIndex = index + 1;
+    container.insertAdjacentHTML('beforeend', template.innerHTML.replace(/__i__/g, index));
+    
+    return container.lastElementChild;
+}
+
+/**
+ * Remove a custom field condition row from the feed form.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {HTMLElement} button - The row's Remove button
+ */
+function removeMetaFilterRow(button) {
+    button.closest('.bf-meta-filter').remove();
+}
+
+/**
+ * Fill the feed form from a stored feed configuration.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {HTMLFormElement} form - Custom feed form
+ * @param {Object}          feed - Stored feed configuration
+ */
+function fillFeedForm(form, feed) {
+    document.querySelector('.bf-meta-filters').replaceChildren();
+    (feed.meta_filters || []).forEach(() => addMetaFilterRow());
+    
+    Array.from(form.elements).forEach(field => {
+        if (!field.name || field.name.indexOf('feed_') !== 0) {
+            return;
+        }
+        
+        const value = getFeedConfigValue(feed, field.name);
+        const values = (Array.isArray(value) ? value : []).map(String);
+        
+        if (field.type === 'checkbox') {
+            field.checked = field.name.slice(-2) === '[]' ? values.indexOf(field.value) !== -1 : !!value;
+        } else if (field.multiple) {
+            Array.from(field.options).forEach(option => {
+                option.selected = values.indexOf(option.value) !== -1;
+            });
+        } else if (value !== undefined && value !== null) {
+            field.value = field.type === 'number' && !value ? '' : value;
+        } else if (field.tagName === 'SELECT') {
+            field.selectedIndex = 0;
+        } else {
+            field.value = '';
+        }
+    });
+}
+
+function addCustomFeed() {
+    console.log('BetterFeed: Adding custom feed');
+    
+    // Get form data - be more specific with the selector
+    const form = document.querySelector('.bf-add-feed form');
+    console.log('BetterFeed: Found form element:', form);
+    console.log('BetterFeed: Form type:', typeof form);
+    console.log('BetterFeed: Form is HTMLFormElement:', form instanceof HTMLFormElement);
+    
+    if (!form) {
+        console.error('BetterFeed: Custom feed form not found');
+        console.error('BetterFeed: Available forms:', document.querySelectorAll('form'));
+        showAdminNotice('Error: Custom feed form not found', 'error');
+        return;
+    }
+    
+    const feedData = getFeedFormData(form);
+    
+    console.log('BetterFeed: Feed data:', feedData);
     
     // Get the submit button and disable it
     const button = document.querySelector('.bf-add-feed button[onclick="addCustomFeed()"]');
@@ -530,31 +884,34 @@ function addCustomFeed() {
     button.disabled = true;
     button.textContent = 'Adding...';
     
-    fetchWithErrorHandling('add-custom-feed', {
+    const isUpdate = !!feedData.feed_id;
+    const feedId = feedData.feed_id || 'pending-' + Date.now();
+    const pendingFeed = {
+        id: feedId,
+        title: feedData.feed_title,
+        slug: feedData.feed_slug,
+        enabled: !!feedData.feed_enabled,
+        pending: true
+    };
+    
+    updateAdminList('feeds', {
+        apply: feeds => isUpdate
+            ? feeds.map(feed => (feed.id === feedId ? Object.assign({}, feed, pendingFeed) : feed))
+            : feeds.concat([Object.assign({ urls: [] }, pendingFeed)]),
+        commit: (feeds, data) => isUpdate
+            ? feeds.map(feed => (feed.id === feedId ? data.feed_item : feed))
+            : feeds.concat([data.feed_item])
+    }, () => fetchWithErrorHandling(isUpdate ? 'update-custom-feed' : 'add-custom-feed', {
         method: 'POST',
         body: feedData
-    })
+    }))
     .then(data => {
         console.log('BetterFeed: Add feed response data:', data);
-        if (data.success) {
-            showAdminNotice('Custom feed added successfully!', 'success');
-            
-            // Flush rewrite rules to make the feed accessible
-            flushRewriteRules().then(() => {
-                // Reload page to show new feed
-                setTimeout(() => location.reload(), 1000);
-            }).catch(error => {
-                console.warn('BetterFeed: Failed to flush rewrite rules:', error);
-                // Still reload even if flush fails
-                setTimeout(() => location.reload(), 1000);
-            });
-        } else {
-            showAdminNotice('Failed to add custom feed: ' + (data.message || 'Unknown error'), 'error');
-        }
+        showAdminNotice(isUpdate ? data.message : 'Custom feed added successfully!', 'success');
+        resetFeedForm();
     })
     .catch(error => {
         console.error('BetterFeed: Add feed error:', error);
-        showAdminNotice('Failed to add custom feed: ' + error.message, 'error');
     })
     .finally(() => {
         button.disabled = false;
@@ -562,30 +919,150 @@ function addCustomFeed() {
     });
 }
 
-function editFeed(feedIndex) {
-    // Feed editing not implemented - delete and recreate instead
-    showAdminNotice('Feed editing not available. Please delete and recreate the feed with new settings.', 'info');
+/**
+ * Load a custom feed into the feed form for editing.
+ * 
+ * The stored configuration is fetched fresh so the form never starts from
+ * a stale copy, and its updated_at is sent back to detect concurrent edits.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {string} feedId - Custom feed ID
+ */
+function editFeed(feedId) {
+    const form = document.querySelector('.bf-add-feed form');
+    if (!form) {
+        return;
+    }
+    
+    fetchWithErrorHandling('get-custom-feed?feed_id=' + encodeURIComponent(feedId), {
+        method: 'GET'
+    })
+    .then(data => {
+        if (!data.success) {
+            showAdminNotice(data.message || 'Feed not found', 'error');
+            return;
+        }
+        
+        const feed = data.feed_data;
+        
+        form.elements.feed_id.value = feed.id;
+        form.elements.updated_at.value = feed.updated_at || '';
+        fillFeedForm(form, Object.assign({ post_types: ['post'], limit: 10, orderby: 'date', order: 'DESC' }, feed));
+        
+        setFeedFormMode(true);
+        form.closest('.bf-add-feed').scrollIntoView({ behavior: 'smooth' });
+    })
+    .catch(error => {
+        console.error('BetterFeed: Edit feed error:', error);
+    });
+}
+
+/**
+ * Switch the feed form between adding and editing.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {boolean} isEditing - Whether a feed is being edited
+ */
+function setFeedFormMode(isEditing) {
+    const container = document.querySelector('.bf-add-feed');
+    const heading = container.querySelector('h3');
+    const submit = container.querySelector('button[onclick="addCustomFeed()"]');
+    
+    heading.textContent = isEditing ? heading.dataset.editLabel : heading.dataset.addLabel;
+    submit.textContent = isEditing ? submit.dataset.editLabel : submit.dataset.addLabel;
+    container.querySelector('.bf-cancel-feed-edit').hidden = !isEditing;
+    container.querySelector('.bf-feed-slug-notice').hidden = !isEditing;
+}
+
+/**
+ * Clear the feed form and return it to adding a new feed.
+ * 
+ * @since 1.0.4
+ */
+function resetFeedForm() {
+    const form = document.querySelector('.bf-add-feed form');
+    
+    form.reset();
+    document.querySelector('.bf-meta-filters').replaceChildren();
+    form.elements.feed_id.value = '';
+    form.elements.updated_at.value = '';
+    setFeedFormMode(false);
+}
+
+/**
+ * Preview the unsaved custom feed form without creating the feed.
+ * 
+ * Shows the posts the feed would contain and the XML subscribers would get.
+ * 
+ * @since 1.0.4
+ */
+function previewCustomFeed() {
+    const form = document.querySelector('.bf-add-feed form');
+    const preview = document.querySelector('.bf-feed-preview');
+    if (!form || !preview) {
+        return;
+    }
+    
+    const button = form.querySelector('button[onclick="previewCustomFeed()"]');
+    button.disabled = true;
+    
+    fetchWithErrorHandling('preview-custom-feed', {
+        method: 'POST',
+        body: getFeedFormData(form)
+    })
+    .then(data => {
+        if (!data.success) {
+            showAdminNotice('Failed to preview custom feed: ' + (data.message || 'Unknown error'), 'error');
+            return;
+        }
+        
+        preview.querySelector('.bf-feed-preview-summary').textContent = data.count === 0
+            ? 'No posts match these settings.'
+            : data.count + ' post' + (data.count === 1 ? '' : 's') + ' would be published at ' + data.feed_url;
+        
+        const rows = data.posts.map(post => createAdminElement('tr', {}, [
+            createAdminElement('td', {}, [
+                createAdminElement('a', { href: post.link, target: '_blank' }, [post.title || '(no title)'])
+            ]),
+            createAdminElement('td', {}, [post.post_type]),
+            createAdminElement('td', {}, [new Date(post.date).toLocaleString()])
+        ]));
+        
+        preview.querySelector('tbody').replaceChildren(...rows);
+        preview.querySelector('table').hidden = rows.length === 0;
+        preview.querySelector('.bf-feed-preview-xml').textContent = data.xml;
+        preview.hidden = false;
+        preview.scrollIntoView({ behavior: 'smooth' });
+    })
+    .catch(error => {
+        console.error('BetterFeed: Preview feed error:', error);
+    })
+    .finally(() => {
+        button.disabled = false;
+    });
 }
 
-function deleteFeed(feedIndex) {
+function deleteFeed(feedId) {
     if (confirm('Are you sure you want to delete this custom feed?')) {
-        console.log('BetterFeed: Deleting custom feed at index:', feedIndex);
+        console.log('BetterFeed: Deleting custom feed:', feedId);
+        
+        const form = document.querySelector('.bf-add-feed form');
+        if (form && form.elements.feed_id.value === feedId) {
+            resetFeedForm();
+        }
         
-        fetchWithErrorHandling('delete-custom-feed', {
+        updateAdminList('feeds', {
+            apply: feeds => feeds.filter(feed => feed.id !== feedId)
+        }, () => fetchWithErrorHandling('delete-custom-feed', {
             method: 'POST',
             body: {
-                feed_index: feedIndex
-            }
-        })
-        .then(data => {
-            console.log('BetterFeed: Delete feed response data:', data);
-            if (data.success) {
-                showAdminNotice('Custom feed deleted successfully!', 'success');
-                // Reload page to show updated feed list
-                setTimeout(() => location.reload(), 1000);
-            } else {
-                showAdminNotice('Failed to delete custom feed: ' + (data.message || 'Unknown error'), 'error');
+                feed_id: feedId
             }
+        }))
+        .then(() => {
+            showAdminNotice('Custom feed deleted successfully!', 'success');
         })
         .catch(error => {
             console.error('BetterFeed: Delete feed error:', error);
@@ -622,23 +1099,29 @@ function addRedirect() {
     button.disabled = true;
     button.textContent = 'Adding...';
     
-    fetchWithErrorHandling('add-redirect', {
+    const pendingRedirect = {
+        id: 'pending-' + Date.now(),
+        from: redirectData.redirect_from,
+        to: redirectData.redirect_to,
+        status_code: parseInt(redirectData.redirect_status_code, 10) || 301,
+        enabled: !!redirectData.redirect_enabled,
+        pending: true
+    };
+    
+    updateAdminList('redirects', {
+        apply: redirects => redirects.concat([pendingRedirect]),
+        commit: (redirects, data) => redirects.concat([data.redirect_data])
+    }, () => fetchWithErrorHandling('add-redirect', {
         method: 'POST',
         body: redirectData
-    })
+    }))
     .then(data => {
         console.log('BetterFeed: Add redirect response data:', data);
-        if (data.success) {
-            showAdminNotice('Redirect added successfully!', 'success');
-            // Reload page to show new redirect
-            setTimeout(() => location.reload(), 1000);
-        } else {
-            showAdminNotice('Failed to add redirect: ' + (data.message || 'Unknown error'), 'error');
-        }
+        showAdminNotice('Redirect added successfully!', 'success');
+        form.reset();
     })
     .catch(error => {
         console.error('BetterFeed: Add redirect error:', error);
-        showAdminNotice('Failed to add redirect: ' + error.message, 'error');
     })
     .finally(() => {
         button.disabled = false;
@@ -646,34 +1129,215 @@ function addRedirect() {
     });
 }
 
-function editRedirect(redirectIndex) {
-    // Redirect editing not implemented - delete and recreate instead
-    showAdminNotice('Redirect editing not available. Please delete and recreate the redirect with new settings.', 'info');
+/**
+ * Create an element with properties and children.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {string} tag      - Tag name
+ * @param {Object} props    - Properties to assign, with data attributes under dataset
+ * @param {Array}  children - Child nodes or strings
+ * 
+ * @return {HTMLElement} Element
+ */
+function createAdminElement(tag, props, children) {
+    const { dataset, ...properties } = props || {};
+    const element = Object.assign(document.createElement(tag), properties);
+    Object.assign(element.dataset, dataset || {});
+    (children || []).forEach(child => {
+        if (child !== null && child !== undefined && child !== false) {
+            element.append(child);
+        }
+    });
+    return element;
+}
+
+/**
+ * Render a redirect row's cells from its data attributes.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {HTMLElement} row - Redirect table row
+ */
+function renderRedirectRow(row) {
+    const enabled = row.dataset.enabled === '1';
+    
+    row.classList.remove('bf-editing');
+    row.querySelector('.bf-redirect-from').replaceChildren(row.dataset.from);
+    row.querySelector('.bf-redirect-to').replaceChildren(
+        createAdminElement('a', { href: row.dataset.to, target: '_blank' }, [row.dataset.to])
+    );
+    row.querySelector('.bf-redirect-status-code').replaceChildren(row.dataset.statusCode);
+    row.querySelector('.bf-redirect-enabled').replaceChildren(
+        createAdminElement('span', { className: 'bf-status ' + (enabled ? 'enabled' : 'disabled') }, [enabled ? 'Enabled' : 'Disabled'])
+    );
+    row.querySelector('.bf-redirect-actions').hidden = false;
+    
+    const editActions = row.querySelector('.bf-redirect-edit-actions');
+    if (editActions) {
+        editActions.remove();
+    }
+}
+
+/**
+ * Turn a redirect row into inline edit fields.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {string} redirectId - Redirect ID
+ */
+function editRedirect(redirectId) {
+    const row = document.querySelector('tr[data-redirect-id="' + CSS.escape(redirectId) + '"]');
+    if (!row || row.classList.contains('bf-editing')) {
+        return;
+    }
+    
+    const statusSelect = createAdminElement('select', { name: 'redirect_status_code' }, ['301', '302', '307'].map(code =>
+        createAdminElement('option', { value: code, selected: code === row.dataset.statusCode }, [code])
+    ));
+    
+    row.classList.add('bf-editing');
+    row.querySelector('.bf-redirect-from').replaceChildren(
+        createAdminElement('input', { type: 'text', name: 'redirect_from', value: row.dataset.from })
+    );
+    row.querySelector('.bf-redirect-to').replaceChildren(
+        createAdminElement('input', { type: 'url', name: 'redirect_to', value: row.dataset.to })
+    );
+    row.querySelector('.bf-redirect-status-code').replaceChildren(statusSelect);
+    row.querySelector('.bf-redirect-enabled').replaceChildren(
+        createAdminElement('label', {}, [
+            createAdminElement('input', { type: 'checkbox', name: 'redirect_enabled', checked: row.dataset.enabled === '1' }),
+            ' Enabled'
+        ])
+    );
+    
+    const actions = row.querySelector('.bf-redirect-actions');
+    actions.hidden = true;
+    actions.after(createAdminElement('td', { className: 'bf-redirect-edit-actions' }, [
+        createAdminElement('button', { type: 'button', className: 'button button-small button-primary', textContent: 'Save', onclick: () => saveRedirect(row) }),
+        ' ',
+        createAdminElement('button', { type: 'button', className: 'button button-small', textContent: 'Cancel', onclick: () => renderRedirectRow(row) })
+    ]));
+    
+    row.querySelector('input[name="redirect_from"]').focus();
+}
+
+/**
+ * Save an inline-edited redirect row.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {HTMLElement} row - Redirect table row in edit mode
+ */
+function saveRedirect(row) {
+    const button = row.querySelector('.bf-redirect-edit-actions .button-primary');
+    const redirectData = {
+        redirect_id: row.dataset.redirectId,
+        redirect_from: row.querySelector('[name="redirect_from"]').value,
+        redirect_to: row.querySelector('[name="redirect_to"]').value,
+        redirect_status_code: row.querySelector('[name="redirect_status_code"]').value,
+        redirect_enabled: row.querySelector('[name="redirect_enabled"]').checked
+    };
+    
+    button.disabled = true;
+    button.textContent = 'Saving...';
+    
+    fetchWithErrorHandling('update-redirect', {
+        method: 'POST',
+        body: redirectData
+    })
+    .then(data => {
+        if (data.success) {
+            const list = bfAdminLists.redirects;
+            list.confirmed = list.confirmed.map(redirect => (redirect.id === data.redirect_data.id ? data.redirect_data : redirect));
+            row.classList.remove('bf-editing');
+            renderAdminList('redirects');
+            showAdminNotice(data.message, 'success');
+        } else {
+            showAdminNotice('Failed to update redirect: ' + (data.message || 'Unknown error'), 'error');
+        }
+    })
+    .catch(error => {
+        console.error('BetterFeed: Update redirect error:', error);
+    })
+    .finally(() => {
+        if (row.classList.contains('bf-editing')) {
+            button.disabled = false;
+            button.textContent = 'Save';
+        }
+    });
+}
+
+/**
+ * Test the URL in the "Test a URL" box against the redirect rules.
+ * 
+ * @since 1.0.4
+ */
+function testRedirectUrl() {
+    const input = document.getElementById('bf-test-redirect-url');
+    const button = document.getElementById('bf-test-redirect');
+    const output = document.querySelector('.bf-test-redirect-result');
+    const matchLabels = { exact: 'exact match', wildcard: 'wildcard match', regex: 'regex match' };
+    const describeRule = rule => rule.from + ' → ' + rule.to + ' (' + rule.status_code + ', ' + matchLabels[rule.match_type] + ')';
+    
+    button.disabled = true;
+    
+    fetchWithErrorHandling('test-redirect', {
+        method: 'POST',
+        body: { url: input.value || input.placeholder }
+    })
+    .then(data => {
+        if (!data.success) {
+            showAdminNotice(data.message, 'error');
+            return;
+        }
+        
+        output.replaceChildren(...[
+            createAdminElement('p', {}, [
+                createAdminElement('code', {}, [data.url]),
+                data.match ? ' redirects with ' + data.match.status_code + ' to ' : ' does not match any enabled redirect.',
+                data.match && createAdminElement('a', { href: data.match.to, target: '_blank' }, [data.match.to])
+            ]),
+            data.match && createAdminElement('p', {}, [
+                'Matched rule: ',
+                createAdminElement('code', {}, [data.match.from]),
+                ' (' + matchLabels[data.match.match_type] + ')'
+            ]),
+            data.shadowed.length > 0 && createAdminElement('div', { className: 'notice notice-warning inline' }, [
+                createAdminElement('p', {}, ['These rules also match but never run because the rule above wins:']),
+                createAdminElement('ul', {}, data.shadowed.map(rule => createAdminElement('li', {}, [describeRule(rule)])))
+            ]),
+            data.disabled.length > 0 && createAdminElement('div', { className: 'notice notice-info inline' }, [
+                createAdminElement('p', {}, ['Disabled rules that would match:']),
+                createAdminElement('ul', {}, data.disabled.map(rule => createAdminElement('li', {}, [describeRule(rule)])))
+            ])
+        ].filter(Boolean));
+    })
+    .catch(error => {
+        console.error('BetterFeed: Test redirect error:', error);
+    })
+    .finally(() => {
+        button.disabled = false;
+    });
 }
 
-function deleteRedirect(redirectIndex) {
+function deleteRedirect(redirectId) {
     if (confirm('Are you sure you want to delete this redirect?')) {
-        console.log('BetterFeed: Deleting redirect at index:', redirectIndex);
+        console.log('BetterFeed: Deleting redirect:', redirectId);
         
-        fetchWithErrorHandling('delete-redirect', {
+        updateAdminList('redirects', {
+            apply: redirects => redirects.filter(redirect => redirect.id !== redirectId)
+        }, () => fetchWithErrorHandling('delete-redirect', {
             method: 'POST',
             body: {
-                redirect_index: redirectIndex
-            }
-        })
-        .then(data => {
-            console.log('BetterFeed: Delete redirect response data:', data);
-            if (data.success) {
-                showAdminNotice('Redirect deleted successfully!', 'success');
-                // Reload page to show updated redirect list
-                setTimeout(() => location.reload(), 1000);
-            } else {
-                showAdminNotice('Failed to delete redirect: ' + (data.message || 'Unknown error'), 'error');
+                redirect_id: redirectId
             }
+        }))
+        .then(() => {
+            showAdminNotice('Redirect deleted successfully!', 'success');
         })
         .catch(error => {
             console.error('BetterFeed: Delete redirect error:', error);
-            showAdminNotice('Failed to delete redirect: ' + error.message, 'error');
         });
     }
 }
@@ -697,115 +1361,291 @@ function applySuggestion(suggestionId) {
         return;
     }
     
-    const button = document.querySelector(`[data-suggestion-id="${suggestionId}"]`);
-    if (button) {
-        button.disabled = true;
-        button.textContent = 'Applying...';
-    }
-    
-    fetchWithErrorHandling('apply-suggestion', {
+    updateAdminList('suggestions', {
+        apply: suggestions => suggestions.filter(suggestion => suggestion.id !== suggestionId)
+    }, () => fetchWithErrorHandling('apply-suggestion', {
         method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'X-WP-Nonce': bf_admin.nonce
-        },
-        body: JSON.stringify({
+        body: {
             suggestion_id: suggestionId
-        })
-    })
-    .then(data => {
-        if (data.success) {
-            showAdminNotice(data.message || 'Suggestion applied successfully!', 'success');
-            if (button) {
-                button.textContent = 'Applied';
-                button.classList.add('applied');
-                button.disabled = true;
-            }
-        } else {
-            showAdminNotice(data.message || 'Failed to apply suggestion', 'error');
-            if (button) {
-                button.disabled = false;
-                button.textContent = 'Apply';
-            }
         }
+    }))
+    .then(data => {
+        showAdminNotice(data.message || 'Suggestion applied successfully!', 'success');
+        refreshSuggestionHistory();
     })
     .catch(error => {
         console.error('BetterFeed: Apply suggestion error:', error);
-        showAdminNotice('Failed to apply suggestion: ' + error.message, 'error');
-        if (button) {
-            button.disabled = false;
-            button.textContent = 'Apply';
-        }
     });
 }
 
-// Initialize suggestion button handlers when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
-    // Handle suggestion Apply button clicks
-    document.addEventListener('click', function(e) {
-        if (e.target.classList.contains('bf-apply-btn') && e.target.dataset.suggestionId) {
-            e.preventDefault();
-            applySuggestion(e.target.dataset.suggestionId);
-        }
-    });
-    
-    // Handle Run New Scan button
-    const runScanBtn = document.getElementById('bf-run-scan');
-    if (runScanBtn) {
-        runScanBtn.addEventListener('click', function() {
-            runOptimizationScan();
-        });
+/**
+ * Open the dialog for dismissing or snoozing a suggestion.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Object} suggestion - Suggestion list item
+ * @param {number} snoozeDays - Period to preselect, or 0 to dismiss permanently
+ */
+function openDismissSuggestionDialog(suggestion, snoozeDays) {
+    const dialog = document.getElementById('bf-dismiss-dialog');
+    if (!dialog) {
+        return;
     }
     
-    // Handle Apply All High Priority button
-    const applyAllBtn = document.getElementById('bf-apply-all');
-    if (applyAllBtn) {
-        applyAllBtn.addEventListener('click', function() {
-            applyAllHighPrioritySuggestions();
-        });
-    }
-});
+    dialog.dataset.suggestionId = suggestion.id;
+    dialog.querySelector('.bf-dismiss-title').textContent = suggestion.title;
+    document.getElementById('bf-dismiss-period').value = String(snoozeDays);
+    document.getElementById('bf-dismiss-reason').value = '';
+    
+    dialog.showModal();
+}
 
 /**
- * Run optimization scan to generate new suggestions
+ * Dismiss a suggestion permanently or snooze it.
  * 
- * Triggers a new optimization scan to generate fresh suggestions
- * based on current site configuration.
+ * @since 1.0.4
  * 
- * @since 1.0.0
+ * @param {string} suggestionId - Suggestion ID
+ * @param {string} reason       - Why the suggestion was rejected
+ * @param {number} snoozeDays   - Days to hide the suggestion for, or 0 to dismiss it permanently
  */
-function runOptimizationScan() {
+function dismissSuggestion(suggestionId, reason, snoozeDays) {
+    updateAdminList('suggestions', {
+        apply: suggestions => suggestions.filter(suggestion => suggestion.id !== suggestionId)
+    }, () => fetchWithErrorHandling('dismiss-suggestion', {
+        method: 'POST',
+        body: {
+            suggestion_id: suggestionId,
+            reason: reason,
+            snooze_days: snoozeDays
+        }
+    }))
+    .then(data => {
+        showAdminNotice(data.message, 'success');
+        refreshSuggestionHistory();
+    })
+    .catch(error => {
+        console.error('BetterFeed: Dismiss suggestion error:', error);
+    });
+}
+
+/**
+ * Let a dismissed or snoozed suggestion come back on the next scan.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {string} suggestionId - Suggestion ID
+ */
+function restoreSuggestion(suggestionId) {
+    fetchWithErrorHandling('restore-suggestion', {
+        method: 'POST',
+        body: {
+            suggestion_id: suggestionId
+        }
+    })
+    .then(data => {
+        showAdminNotice(data.message, 'success');
+        loadSuggestionHistory();
+    })
+    .catch(error => {
+        console.error('BetterFeed: Restore suggestion error:', error);
+    });
+}
+
+/**
+ * Describe the measured effect of an applied suggestion.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Object|null} effect - Before, after and change keyed by metric, or null if not measured yet
+ * 
+ * @return {Array<HTMLElement|string>} Cell contents
+ */
+function formatSuggestionEffect(effect) {
+    if (!effect) {
+        return ['Waiting for the next performance test'];
+    }
+    
+    // lowerIsBetter decides whether a change is shown as an improvement
+    const metrics = {
+        avg_load_time: { label: 'Load time', format: value => Number(value).toFixed(2) + 's', lowerIsBetter: true },
+        avg_feed_size: { label: 'Feed size', format: formatBytes, lowerIsBetter: true },
+        bandwidth_saved: { label: 'Bandwidth saved', format: formatBytes, lowerIsBetter: false }
+    };
+    
+    const lines = Object.keys(metrics).filter(metric => effect[metric]).map(metric => {
+        const { label, format, lowerIsBetter } = metrics[metric];
+        const { before, after, change } = effect[metric];
+        let className = '';
+        
+        if (change !== 0) {
+            className = (change < 0) === lowerIsBetter ? 'bf-effect-better' : 'bf-effect-worse';
+        }
+        
+        return createAdminElement('div', { className: className }, [
+            label + ': ' + format(before) + ' → ' + format(after)
+        ]);
+    });
+    
+    return lines.length ? lines : ['No metrics to compare'];
+}
+
+/**
+ * Render a row of the applied suggestions table.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Object} entry - Applied suggestion with its measured effect
+ * 
+ * @return {HTMLElement} Table row
+ */
+function renderAppliedSuggestionRow(entry) {
+    return createAdminElement('tr', {}, [
+        createAdminElement('td', {}, [entry.title]),
+        createAdminElement('td', {}, [entry.time]),
+        createAdminElement('td', {}, [entry.user]),
+        createAdminElement('td', {}, formatSuggestionEffect(entry.effect))
+    ]);
+}
+
+/**
+ * Render a row of the dismissed suggestions table.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Object} dismissal - Dismissed or snoozed suggestion
+ * 
+ * @return {HTMLElement} Table row
+ */
+function renderDismissedSuggestionRow(dismissal) {
+    return createAdminElement('tr', {}, [
+        createAdminElement('td', {}, [dismissal.title]),
+        createAdminElement('td', {}, [dismissal.reason]),
+        createAdminElement('td', {}, [dismissal.until || 'Permanently dismissed']),
+        createAdminElement('td', {}, [dismissal.user]),
+        createAdminElement('td', {}, [
+            createAdminElement('button', { type: 'button', className: 'button button-small', onclick: () => restoreSuggestion(dismissal.id) }, ['Restore'])
+        ])
+    ]);
+}
+
+/**
+ * Load the applied and dismissed suggestion tables.
+ * 
+ * @since 1.0.4
+ * 
+ * @return {Promise} Promise resolving once the tables are rendered
+ */
+function loadSuggestionHistory() {
+    const container = document.getElementById('bf-suggestion-history');
+    const renderers = { applied: renderAppliedSuggestionRow, dismissed: renderDismissedSuggestionRow };
+    
+    return fetchWithErrorHandling('suggestion-history', { method: 'GET' })
+        .then(data => {
+            Object.keys(renderers).forEach(name => {
+                const items = data[name] || [];
+                container.querySelector('.bf-suggestion-history-empty[data-table="' + name + '"]').hidden = items.length > 0;
+                container.querySelector('table[data-table="' + name + '"]').hidden = items.length === 0;
+                container.querySelector('table[data-table="' + name + '"] tbody').replaceChildren(...items.map(renderers[name]));
+            });
+        })
+        .catch(error => {
+            console.error('BetterFeed: Suggestion history load failed:', error);
+        });
+}
+
+/**
+ * Reload the suggestion history if it is on this page.
+ * 
+ * @since 1.0.4
+ */
+function refreshSuggestionHistory() {
+    if (document.getElementById('bf-suggestion-history')) {
+        loadSuggestionHistory();
+    }
+}
+
+/**
+ * Wire up the dismiss dialog and load the suggestion history.
+ * 
+ * @since 1.0.4
+ */
+function initSuggestionHistory() {
+    const dialog = document.getElementById('bf-dismiss-dialog');
+    
+    document.getElementById('bf-dismiss-cancel').addEventListener('click', () => dialog.close());
+    
+    dialog.querySelector('form').addEventListener('submit', e => {
+        e.preventDefault();
+        
+        const reason = document.getElementById('bf-dismiss-reason').value.trim();
+        const snoozeDays = parseInt(document.getElementById('bf-dismiss-period').value, 10);
+        
+        dialog.close();
+        dismissSuggestion(dialog.dataset.suggestionId, reason, snoozeDays);
+    });
+    
+    loadSuggestionHistory();
+}
+
+// Initialize suggestion button handlers when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    // Handle suggestion Apply button clicks
+    document.addEventListener('click', function(e) {
+        if (e.target.classList.contains('bf-apply-btn') && e.target.dataset.suggestionId) {
+            e.preventDefault();
+            applySuggestion(e.target.dataset.suggestionId);
+        }
+    });
+    
+    // Handle Run New Scan button
+    const runScanBtn = document.getElementById('bf-run-scan');
+    if (runScanBtn) {
+        runScanBtn.addEventListener('click', function() {
+            runOptimizationScan();
+        });
+    }
+    
+    // Handle Apply All High Priority button
+    const applyAllBtn = document.getElementById('bf-apply-all');
+    if (applyAllBtn) {
+        applyAllBtn.addEventListener('click', function() {
+            applyAllHighPrioritySuggestions();
+        });
+    }
+});
+
+/**
+ * Run optimization scan to generate new suggestions
+ * 
+ * Triggers a new optimization scan to generate fresh suggestions
+ * based on current site configuration.
+ * 
+ * @since 1.0.0
+ */
+function runOptimizationScan() {
     const button = document.getElementById('bf-run-scan');
     if (button) {
         button.disabled = true;
         button.textContent = 'Scanning...';
     }
     
-    fetchWithErrorHandling('generate-optimization-report', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'X-WP-Nonce': bf_admin.nonce
-        }
+    fetchWithErrorHandling('run-optimization-scan', {
+        method: 'POST'
     })
     .then(data => {
         if (data.success) {
-            showAdminNotice('Optimization scan completed! New suggestions generated.', 'success');
-            // Reload the page to show new suggestions
-            setTimeout(() => {
-                window.location.reload();
-            }, 1500);
+            bfAdminLists.suggestions.confirmed = data.suggestions;
+            renderAdminList('suggestions');
+            showAdminNotice(data.message, 'success');
         } else {
             showAdminNotice(data.message || 'Failed to run optimization scan', 'error');
-            if (button) {
-                button.disabled = false;
-                button.textContent = 'Run New Scan';
-            }
         }
     })
     .catch(error => {
         console.error('BetterFeed: Run scan error:', error);
-        showAdminNotice('Failed to run optimization scan: ' + error.message, 'error');
+    })
+    .finally(() => {
         if (button) {
             button.disabled = false;
             button.textContent = 'Run New Scan';
@@ -816,70 +1656,1431 @@ function runOptimizationScan() {
 /**
  * Apply all high priority suggestions
  * 
- * Automatically applies all high priority optimization suggestions.
+ * Applies all high priority optimization suggestions in one batch request.
+ * The batch is all or nothing, and each suggestion shows its outcome inline.
  * 
  * @since 1.0.0
  */
 function applyAllHighPrioritySuggestions() {
     const button = document.getElementById('bf-apply-all');
+    const list = bfAdminLists.suggestions;
+    const ids = getAdminListItems('suggestions')
+        .filter(suggestion => suggestion.priority === 'high' && !(suggestion.result && suggestion.result.status === 'applied'))
+        .map(suggestion => suggestion.id);
+    
+    if (ids.length === 0) {
+        showAdminNotice('No high priority suggestions found to apply.', 'info');
+        return;
+    }
+    
     if (button) {
         button.disabled = true;
         button.textContent = 'Applying...';
     }
     
-    // Get all high priority suggestion buttons
-    const highPriorityButtons = document.querySelectorAll('.bf-suggestion-item[data-priority="high"] .bf-apply-btn');
+    // Applied as one batch on the server, so mark them all pending together
+    const change = {
+        apply: suggestions => suggestions.map(suggestion => ids.includes(suggestion.id) ? { ...suggestion, pending: true, result: null } : suggestion)
+    };
+    list.pending.push(change);
+    renderAdminList('suggestions');
     
-    if (highPriorityButtons.length === 0) {
-        showAdminNotice('No high priority suggestions found to apply.', 'info');
+    fetchWithErrorHandling('apply-suggestions', {
+        method: 'POST',
+        body: {
+            suggestion_ids: ids
+        }
+    })
+    .then(data => {
+        const results = {};
+        (data.results || []).forEach(result => {
+            results[result.suggestion_id] = result;
+        });
+        
+        // Keep each suggestion in place with its outcome shown inline
+        list.confirmed = list.confirmed.map(suggestion => results[suggestion.id] ? { ...suggestion, result: results[suggestion.id] } : suggestion);
+        showAdminNotice(data.message, data.success ? 'success' : 'error');
+        
+        if (data.success) {
+            refreshSuggestionHistory();
+        }
+    })
+    .catch(error => {
+        console.error('BetterFeed: Apply suggestions error:', error);
+    })
+    .finally(() => {
+        list.pending.splice(list.pending.indexOf(change), 1);
+        renderAdminList('suggestions');
+        
         if (button) {
             button.disabled = false;
             button.textContent = 'Apply All High Priority';
         }
-        return;
+    });
+}
+
+// Episode Manager Functions
+/**
+ * Read the current value of an episode grid field.
+ * 
+ * Number inputs left empty return null so the meta is deleted rather
+ * than sanitized to 1.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {HTMLElement} field - Input or select with a data-meta attribute
+ * 
+ * @return {*} Meta value
+ */
+function getEpisodeFieldValue(field) {
+    if (field.type === 'checkbox') {
+        return field.checked;
     }
     
-    let completed = 0;
-    let total = highPriorityButtons.length;
+    if (field.type === 'number') {
+        return field.value === '' ? null : parseInt(field.value, 10);
+    }
     
-    highPriorityButtons.forEach(function(btn) {
-        const suggestionId = btn.dataset.suggestionId;
-        if (suggestionId) {
-            fetchWithErrorHandling('apply-suggestion', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': bf_admin.nonce
-                },
-                body: JSON.stringify({
-                    suggestion_id: suggestionId
-                })
-            })
-            .then(data => {
-                completed++;
-                if (completed === total) {
-                    showAdminNotice(`Successfully applied ${total} high priority suggestions!`, 'success');
-                    if (button) {
-                        button.disabled = false;
-                        button.textContent = 'Apply All High Priority';
-                    }
-                    // Reload to show updated state
-                    setTimeout(() => {
-                        window.location.reload();
-                    }, 1500);
-                }
-            })
-            .catch(error => {
-                console.error('BetterFeed: Apply all error:', error);
-                completed++;
-                if (completed === total) {
-                    showAdminNotice('Some suggestions may have failed to apply. Please check individual suggestions.', 'warning');
-                    if (button) {
-                        button.disabled = false;
-                        button.textContent = 'Apply All High Priority';
-                    }
+    return field.value;
+}
+
+/**
+ * Set an episode grid field and flag its row if it differs from the saved value.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {HTMLElement} field - Input or select with a data-meta attribute
+ * @param {*}           value - New value
+ */
+function setEpisodeFieldValue(field, value) {
+    if (field.type === 'checkbox') {
+        field.checked = !!value;
+    } else {
+        field.value = value === null || value === undefined ? '' : value;
+    }
+    
+    updateEpisodeRowState(field.closest('tr'));
+}
+
+/**
+ * Collect the changed meta for an episode row.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {HTMLElement} row - Episode table row
+ * 
+ * @return {Object} Changed meta keyed by meta key
+ */
+function getEpisodeRowChanges(row) {
+    const changes = {};
+    
+    row.querySelectorAll('[data-meta]').forEach(field => {
+        const value = getEpisodeFieldValue(field);
+        if (JSON.stringify(value) !== field.dataset.saved) {
+            changes[field.dataset.meta] = value;
+        }
+    });
+    
+    return changes;
+}
+
+/**
+ * Toggle the unsaved state of an episode row and the Save button.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {HTMLElement} row - Episode table row
+ */
+function updateEpisodeRowState(row) {
+    row.classList.toggle('bf-episode-dirty', Object.keys(getEpisodeRowChanges(row)).length > 0);
+    row.classList.remove('bf-episode-error');
+    
+    document.getElementById('bf-episodes-save').disabled = !document.querySelector('.bf-episodes-grid tr.bf-episode-dirty');
+}
+
+/**
+ * Save all changed episode rows through the core REST API.
+ * 
+ * Rows are saved one at a time; failed rows stay flagged so they can be
+ * retried with the next save.
+ * 
+ * @since 1.0.4
+ * 
+ * @return {Promise} Resolves when every row has been attempted
+ */
+function saveEpisodeChanges() {
+    const saveBtn = document.getElementById('bf-episodes-save');
+    const status = document.querySelector('.bf-episodes-status');
+    const rows = Array.from(document.querySelectorAll('.bf-episodes-grid tr.bf-episode-dirty'));
+    let saved = 0;
+    let failed = 0;
+    
+    if (rows.length === 0) {
+        return Promise.resolve();
+    }
+    
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+    
+    return rows.reduce((chain, row) => chain.then(() => {
+        status.textContent = `Saving ${saved + failed + 1} of ${rows.length}...`;
+        
+        return fetchWithErrorHandling(row.dataset.restBase + '/' + row.dataset.id, {
+            method: 'POST',
+            namespace: 'wp/v2/',
+            body: {
+                meta: getEpisodeRowChanges(row)
+            }
+        })
+        .then(post => {
+            // Show the values as sanitized by BF_Episode_Meta
+            row.querySelectorAll('[data-meta]').forEach(field => {
+                if (post.meta && field.dataset.meta in post.meta) {
+                    const value = post.meta[field.dataset.meta];
+                    setEpisodeFieldValue(field, field.type === 'number' && !value ? null : value);
                 }
+                field.dataset.saved = JSON.stringify(getEpisodeFieldValue(field));
             });
+            updateEpisodeRowState(row);
+            saved++;
+        })
+        .catch(() => {
+            row.classList.add('bf-episode-error');
+            failed++;
+        });
+    }), Promise.resolve())
+    .then(() => {
+        status.textContent = '';
+        saveBtn.textContent = 'Save Changes';
+        saveBtn.disabled = !document.querySelector('.bf-episodes-grid tr.bf-episode-dirty');
+        
+        if (failed > 0) {
+            showAdminNotice(`Saved ${saved} episodes, ${failed} failed. Failed rows are highlighted.`, 'warning');
+        } else {
+            showAdminNotice(`Saved ${saved} episodes.`);
+        }
+    });
+}
+
+/**
+ * Apply the selected bulk action to the checked episode rows and save them.
+ * 
+ * @since 1.0.4
+ */
+function applyEpisodeBulkAction() {
+    const action = document.getElementById('bf-episodes-bulk-action').value;
+    const rows = Array.from(document.querySelectorAll('.bf-episodes-grid tbody tr'))
+        .filter(row => row.querySelector('.bf-episode-select').checked);
+    
+    if (!action) {
+        showAdminNotice('Please choose a bulk action.', 'warning');
+        return;
+    }
+    
+    if (rows.length === 0) {
+        showAdminNotice('Please select at least one episode.', 'warning');
+        return;
+    }
+    
+    let metaKey = action;
+    let value;
+    
+    if (action === 'block' || action === 'unblock') {
+        metaKey = 'episode_block';
+        value = action === 'block';
+    } else {
+        const input = document.querySelector('.bf-episodes-bulk-value[data-action="' + action + '"]');
+        value = getEpisodeFieldValue(input);
+        
+        if (value === null || value === '') {
+            showAdminNotice('Please enter a value for the bulk action.', 'warning');
+            return;
+        }
+    }
+    
+    rows.forEach(row => setEpisodeFieldValue(row.querySelector('[data-meta="' + metaKey + '"]'), value));
+    
+    saveEpisodeChanges();
+}
+
+/**
+ * Wire up the bulk episode manager grid on the Episodes tab.
+ * 
+ * @since 1.0.4
+ */
+function initEpisodeManager() {
+    const grid = document.querySelector('.bf-episodes-grid');
+    const bulkAction = document.getElementById('bf-episodes-bulk-action');
+    
+    // Remember the saved values so only changed meta is sent
+    grid.querySelectorAll('[data-meta]').forEach(field => {
+        field.dataset.saved = JSON.stringify(getEpisodeFieldValue(field));
+    });
+    
+    grid.addEventListener('input', e => {
+        if (e.target.dataset.meta) {
+            updateEpisodeRowState(e.target.closest('tr'));
+        }
+    });
+    grid.addEventListener('change', e => {
+        if (e.target.dataset.meta) {
+            updateEpisodeRowState(e.target.closest('tr'));
+        }
+    });
+    
+    document.getElementById('bf-episodes-select-all').addEventListener('change', function() {
+        grid.querySelectorAll('.bf-episode-select').forEach(checkbox => {
+            checkbox.checked = this.checked;
+        });
+    });
+    
+    bulkAction.addEventListener('change', function() {
+        document.querySelectorAll('.bf-episodes-bulk-value').forEach(input => {
+            input.hidden = input.dataset.action !== this.value;
+        });
+    });
+    
+    document.getElementById('bf-episodes-bulk-apply').addEventListener('click', applyEpisodeBulkAction);
+    document.getElementById('bf-episodes-save').addEventListener('click', saveEpisodeChanges);
+    
+    window.addEventListener('beforeunload', e => {
+        if (document.querySelector('.bf-episodes-grid tr.bf-episode-dirty')) {
+            e.preventDefault();
+            e.returnValue = '';
         }
     });
 }
+
+/**
+ * Format a byte count for display.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {number} bytes - Byte count
+ * 
+ * @return {string} Human readable size
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = Number(bytes) || 0;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return (unit === 0 ? value : value.toFixed(1)) + ' ' + units[unit];
+}
+
+/**
+ * Shift a Y-m-d date string by a number of days (UTC).
+ * 
+ * @since 1.0.4
+ * 
+ * @param {string} date - Date in Y-m-d format
+ * @param {number} days - Days to add, negative to go back
+ * 
+ * @return {string} Shifted date in Y-m-d format
+ */
+function shiftAnalyticsDate(date, days) {
+    const shifted = new Date(date + 'T00:00:00Z');
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Build the analytics query string from the dashboard filters.
+ * 
+ * @since 1.0.4
+ * 
+ * @return {string} Query string without the leading "?"
+ */
+function getAnalyticsQuery() {
+    const params = new URLSearchParams({
+        from: document.getElementById('bf-analytics-from').value,
+        to: document.getElementById('bf-analytics-to').value,
+        limit: document.getElementById('bf-analytics-limit').value
+    });
+    const feed = document.getElementById('bf-analytics-feed').value;
+    if (feed) {
+        params.set('feed', feed);
+    }
+    return params.toString();
+}
+
+/**
+ * Expand daily stats to one entry per day of the range, oldest first.
+ * 
+ * Days without traffic are not stored, so they are filled with zeros
+ * to keep the chart's time axis continuous.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Array}  dailyStats - Daily stats from the analytics summary
+ * @param {string} from       - First day of the range (Y-m-d)
+ * @param {string} to         - Last day of the range (Y-m-d)
+ * 
+ * @return {Array} Daily stats for every day in the range
+ */
+function fillAnalyticsSeries(dailyStats, from, to) {
+    const byDate = {};
+    (dailyStats || []).forEach(day => {
+        byDate[day.date] = day;
+    });
+    
+    const series = [];
+    for (let date = from; date <= to; date = shiftAnalyticsDate(date, 1)) {
+        series.push(byDate[date] || { date: date, count: 0, unique_visitors: 0, bandwidth: 0 });
+    }
+    return series;
+}
+
+/**
+ * Create an SVG element with attributes.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {string} tag      - SVG tag name
+ * @param {Object} attrs    - Attributes to set
+ * @param {Array}  children - Child nodes
+ * 
+ * @return {SVGElement} Element
+ */
+function createSvgElement(tag, attrs, children) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.keys(attrs || {}).forEach(name => element.setAttribute(name, attrs[name]));
+    (children || []).forEach(child => element.append(child));
+    return element;
+}
+
+/**
+ * Draw a daily bar chart for one analytics metric.
+ * 
+ * Charts are plain SVG since external chart libraries can't be loaded.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {HTMLElement} container   - Chart container
+ * @param {Array}       series      - Daily stats, oldest first
+ * @param {string}      metric      - Daily stats key to plot
+ * @param {Function}    formatValue - Formats values for labels
+ */
+function renderAnalyticsChart(container, series, metric, formatValue) {
+    const width = 600;
+    const height = 160;
+    const padding = { top: 15, right: 10, bottom: 20, left: 10 };
+    const plotHeight = height - padding.top - padding.bottom;
+    const slot = (width - padding.left - padding.right) / Math.max(series.length, 1);
+    const max = Math.max(1, ...series.map(day => Number(day[metric]) || 0));
+    
+    const svg = createSvgElement('svg', {
+        viewBox: '0 0 ' + width + ' ' + height,
+        preserveAspectRatio: 'none',
+        role: 'img',
+        'aria-label': container.previousElementSibling ? container.previousElementSibling.textContent : metric
+    }, [
+        createSvgElement('line', {
+            class: 'bf-chart-grid',
+            x1: padding.left, x2: width - padding.right,
+            y1: padding.top, y2: padding.top
+        }),
+        createSvgElement('line', {
+            class: 'bf-chart-grid',
+            x1: padding.left, x2: width - padding.right,
+            y1: height - padding.bottom, y2: height - padding.bottom
+        }),
+        createSvgElement('text', { class: 'bf-chart-axis', x: padding.left, y: padding.top - 4 }, [formatValue(max)])
+    ]);
+    
+    series.forEach((day, index) => {
+        const value = Number(day[metric]) || 0;
+        const barHeight = value / max * plotHeight;
+        const title = createSvgElement('title');
+        title.textContent = day.date + ': ' + formatValue(value);
+        
+        svg.append(createSvgElement('rect', {
+            class: 'bf-chart-bar',
+            x: padding.left + index * slot + slot * 0.1,
+            y: height - padding.bottom - barHeight,
+            width: Math.max(slot * 0.8, 1),
+            height: barHeight
+        }, [title]));
+    });
+    
+    if (series.length) {
+        svg.append(
+            createSvgElement('text', { class: 'bf-chart-axis', x: padding.left, y: height - 5 }, [series[0].date]),
+            createSvgElement('text', {
+                class: 'bf-chart-axis',
+                x: width - padding.right,
+                y: height - 5,
+                'text-anchor': 'end'
+            }, [series[series.length - 1].date])
+        );
+    }
+    
+    container.replaceChildren(svg);
+}
+
+/**
+ * Fill an analytics top-N table.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {string} name  - Table name from its data-table attribute
+ * @param {Array}  rows  - Rows as [label, count] pairs
+ */
+function renderAnalyticsTable(name, rows) {
+    const tbody = document.querySelector('#bf-analytics-dashboard [data-table="' + name + '"]');
+    
+    if (!rows.length) {
+        tbody.replaceChildren(createAdminElement('tr', {}, [
+            createAdminElement('td', { colSpan: 2 }, ['No data for this period.'])
+        ]));
+        return;
+    }
+    
+    tbody.replaceChildren(...rows.map(row => createAdminElement('tr', {}, [
+        createAdminElement('td', {}, [String(row[0])]),
+        createAdminElement('td', {}, [Number(row[1]).toLocaleString()])
+    ])));
+}
+
+/**
+ * Keep the feed filter options in sync with the feeds that have traffic.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Array} feeds - Tracked feed URLs
+ */
+function updateAnalyticsFeedOptions(feeds) {
+    const select = document.getElementById('bf-analytics-feed');
+    const selected = select.value;
+    const options = [createAdminElement('option', { value: '' }, ['All feeds'])];
+    
+    // Keep the current selection even if it had no traffic in this period
+    if (selected && !feeds.includes(selected)) {
+        feeds = [selected, ...feeds];
+    }
+    feeds.forEach(feed => options.push(createAdminElement('option', { value: feed }, [feed])));
+    
+    select.replaceChildren(...options);
+    select.value = selected;
+}
+
+/**
+ * Requests for the analytics filters being loaded, cancelled when the filters change.
+ * 
+ * @since 1.0.4
+ */
+let bfAnalyticsRequest = null;
+
+/**
+ * Load and render the analytics dashboard for the selected filters.
+ * 
+ * @since 1.0.4
+ * 
+ * @return {Promise} Resolves once the dashboard is rendered
+ */
+function loadAnalytics() {
+    const dashboard = document.getElementById('bf-analytics-dashboard');
+    const query = getAnalyticsQuery();
+    
+    if (bfAnalyticsRequest) {
+        bfAnalyticsRequest.abort();
+    }
+    const request = new AbortController();
+    bfAnalyticsRequest = request;
+    
+    dashboard.classList.add('bf-loading');
+    
+    return Promise.all(['analytics-summary', 'analytics-readers', 'analytics-geography'].map(endpoint => fetchWithErrorHandling(endpoint + '?' + query, {
+        method: 'GET',
+        signal: request.signal
+    })))
+    .then(([summaryData, readersData, geographyData]) => {
+        const summary = summaryData.summary;
+        const series = fillAnalyticsSeries(summary.daily_stats, summaryData.from, summaryData.to);
+        const formats = {
+            count: value => Number(value).toLocaleString(),
+            unique_visitors: value => Number(value).toLocaleString(),
+            bandwidth: formatBytes
+        };
+        
+        dashboard.querySelector('[data-stat="total_requests"]').textContent = formats.count(summary.total_requests);
+        dashboard.querySelector('[data-stat="unique_visitors"]').textContent = formats.unique_visitors(summary.unique_visitors);
+        dashboard.querySelector('[data-stat="bandwidth"]').textContent = formats.bandwidth(summary.bandwidth);
+        
+        dashboard.querySelectorAll('.bf-analytics-chart').forEach(chart => {
+            renderAnalyticsChart(chart, series, chart.dataset.metric, formats[chart.dataset.metric]);
+        });
+        
+        renderAnalyticsTable('readers', readersData.readers.map(row => [row.reader, row.count]));
+        renderAnalyticsTable('referers', summary.top_referers.map(row => [row.referer, row.count]));
+        renderAnalyticsTable('countries', geographyData.countries.map(row => [row.country, row.count]));
+        
+        updateAnalyticsFeedOptions(summaryData.feeds);
+    })
+    .catch(error => {
+        if (!bfRestClient.isAbortError(error)) {
+            console.error('Analytics load failed:', error);
+        }
+    })
+    .finally(() => {
+        // A newer load is still running
+        if (bfAnalyticsRequest === request) {
+            bfAnalyticsRequest = null;
+            dashboard.classList.remove('bf-loading');
+        }
+    });
+}
+
+/**
+ * Wire up the analytics dashboard filters on the Analytics tab.
+ * 
+ * @since 1.0.4
+ */
+function initAnalyticsDashboard() {
+    const range = document.getElementById('bf-analytics-range');
+    const fromInput = document.getElementById('bf-analytics-from');
+    const toInput = document.getElementById('bf-analytics-to');
+    
+    range.addEventListener('change', function() {
+        if (this.value) {
+            toInput.value = toInput.max;
+            fromInput.value = shiftAnalyticsDate(toInput.value, 1 - parseInt(this.value, 10));
+            loadAnalytics();
+        }
+    });
+    
+    [fromInput, toInput].forEach(input => {
+        input.addEventListener('change', () => {
+            range.value = '';
+            if (!fromInput.value || !toInput.value) {
+                return;
+            }
+            if (fromInput.value > toInput.value) {
+                showAdminNotice('The start date must be before the end date.', 'error');
+                return;
+            }
+            loadAnalytics();
+        });
+    });
+    
+    document.getElementById('bf-analytics-feed').addEventListener('change', loadAnalytics);
+    document.getElementById('bf-analytics-limit').addEventListener('change', loadAnalytics);
+    
+    loadAnalytics();
+}
+
+/**
+ * State of the Dashboard tab's live traffic monitor.
+ * 
+ * @since 1.0.4
+ */
+const bfLiveTraffic = {
+    interval: 5000,
+    timer: null,
+    request: null
+};
+
+/**
+ * Draw the requests-per-minute sparkline for the last hour.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {HTMLElement} container - Sparkline container
+ * @param {Array}       timeline  - Minutes with time (Unix seconds) and requests, oldest first
+ */
+function renderLiveSparkline(container, timeline) {
+    const width = 600;
+    const height = 60;
+    const max = Math.max(1, ...timeline.map(minute => minute.requests));
+    const step = width / Math.max(timeline.length - 1, 1);
+    const points = timeline.map((minute, index) => (index * step).toFixed(1) + ',' + (height - minute.requests / max * (height - 2)).toFixed(1));
+    const peak = timeline.reduce((best, minute) => minute.requests > best.requests ? minute : best, timeline[0] || { requests: 0 });
+    
+    const title = createSvgElement('title');
+    title.textContent = 'Peak: ' + peak.requests + ' requests' + (peak.time ? ' at ' + new Date(peak.time * 1000).toLocaleTimeString() : '');
+    
+    container.replaceChildren(createSvgElement('svg', {
+        viewBox: '0 0 ' + width + ' ' + height,
+        preserveAspectRatio: 'none',
+        role: 'img',
+        'aria-label': 'Requests per minute over the last hour'
+    }, [
+        title,
+        createSvgElement('polygon', { class: 'bf-sparkline-area', points: '0,' + height + ' ' + points.join(' ') + ' ' + width + ',' + height }),
+        createSvgElement('polyline', { class: 'bf-sparkline-line', points: points.join(' ') })
+    ]));
+}
+
+/**
+ * Format the 304 share of a set of requests.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {number} notModified - 304 responses
+ * @param {number} total       - All responses
+ * 
+ * @return {string} Percentage, or a dash when there were no requests
+ */
+function formatNotModifiedShare(notModified, total) {
+    return total ? Math.round(notModified / total * 100) + '%' : '–';
+}
+
+/**
+ * Show a live traffic snapshot in the Live panel.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Object} live - Snapshot from the analytics-live endpoint
+ */
+function renderLiveTraffic(live) {
+    const panel = document.getElementById('bf-live-traffic');
+    const total = live.statuses['200'] + live.statuses['304'] + live.statuses.other;
+    
+    panel.querySelector('[data-live-stat="per_minute"]').textContent = live.per_minute;
+    panel.querySelector('[data-live-stat="ok"]').textContent = live.statuses['200'].toLocaleString();
+    panel.querySelector('[data-live-stat="not_modified"]').textContent = live.statuses['304'].toLocaleString() + ' (' + formatNotModifiedShare(live.statuses['304'], total) + ')';
+    
+    renderLiveSparkline(panel.querySelector('.bf-live-sparkline'), live.timeline);
+    
+    const feeds = live.feeds.map(feed => createAdminElement('tr', {}, [
+        createAdminElement('td', {}, [feed.feed_url]),
+        createAdminElement('td', {}, [String(feed.per_minute)]),
+        createAdminElement('td', {}, [feed.ok.toLocaleString()]),
+        createAdminElement('td', {}, [feed.not_modified.toLocaleString()]),
+        createAdminElement('td', {}, [formatNotModifiedShare(feed.not_modified, feed.requests)])
+    ]));
+    
+    const agents = live.agents.map(agent => createAdminElement('tr', {}, [
+        createAdminElement('td', {}, [
+            agent.reader ? createAdminElement('strong', {}, [agent.reader + ' ']) : null,
+            agent.user_agent
+        ]),
+        createAdminElement('td', {}, [agent.requests.toLocaleString()])
+    ]));
+    
+    const empty = columns => [createAdminElement('tr', {}, [
+        createAdminElement('td', { colSpan: columns }, ['No feed requests in the last few minutes.'])
+    ])];
+    
+    panel.querySelector('[data-live-table="feeds"]').replaceChildren(...(feeds.length ? feeds : empty(5)));
+    panel.querySelector('[data-live-table="agents"]').replaceChildren(...(agents.length ? agents : empty(2)));
+}
+
+/**
+ * Set the Live panel's status label.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {string}  text   - Status text
+ * @param {boolean} active - Whether updates are arriving
+ */
+function setLiveTrafficStatus(text, active) {
+    const status = document.querySelector('.bf-live-status');
+    status.textContent = text;
+    status.classList.toggle('bf-live-active', active);
+}
+
+/**
+ * Fetch the live traffic once and schedule the next poll.
+ * 
+ * Failures don't raise notices since the next poll retries anyway.
+ * 
+ * @since 1.0.4
+ */
+function pollLiveTraffic() {
+    bfLiveTraffic.request = new AbortController();
+    
+    fetchWithErrorHandling('analytics-live', {
+        method: 'GET',
+        signal: bfLiveTraffic.request.signal,
+        timeout: bfLiveTraffic.interval,
+        retries: 0,
+        notify: false
+    })
+    .then(data => {
+        renderLiveTraffic(data.live);
+        setLiveTrafficStatus('Live', true);
+    })
+    .catch(error => {
+        if (bfRestClient.isAbortError(error)) {
+            return;
+        }
+        console.error('BetterFeed: Live traffic error:', error);
+        setLiveTrafficStatus('Reconnecting…', false);
+    })
+    .finally(() => {
+        bfLiveTraffic.request = null;
+        
+        // No next poll if the tab was hidden while this one ran
+        if (!document.hidden) {
+            bfLiveTraffic.timer = setTimeout(pollLiveTraffic, bfLiveTraffic.interval);
+        }
+    });
+}
+
+/**
+ * Stop polling, cancelling any request in flight.
+ * 
+ * @since 1.0.4
+ */
+function stopLiveTraffic() {
+    clearTimeout(bfLiveTraffic.timer);
+    bfLiveTraffic.timer = null;
+    
+    if (bfLiveTraffic.request) {
+        bfLiveTraffic.request.abort();
+    }
+    
+    setLiveTrafficStatus('Paused', false);
+}
+
+/**
+ * Start the live traffic monitor, pausing it while the browser tab is hidden.
+ * 
+ * @since 1.0.4
+ */
+function initLiveTraffic() {
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            stopLiveTraffic();
+        } else if (!bfLiveTraffic.timer && !bfLiveTraffic.request) {
+            pollLiveTraffic();
+        }
+    });
+    
+    if (document.hidden) {
+        setLiveTrafficStatus('Paused', false);
+    } else {
+        setLiveTrafficStatus('Connecting…', false);
+        pollLiveTraffic();
+    }
+}
+
+/**
+ * Wire up the analytics export dialog.
+ * 
+ * The dialog submits a plain GET form to admin-post.php so the browser
+ * downloads the streamed export directly instead of building it in memory.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {HTMLElement} button - Button that opens the dialog
+ */
+function initAnalyticsExportDialog(button) {
+    const dialog = document.getElementById('bf-export-dialog');
+    const form = dialog.querySelector('form');
+    const columns = form.querySelectorAll('input[name="columns[]"]');
+    const fromInput = document.getElementById('bf-export-from');
+    const toInput = document.getElementById('bf-export-to');
+    const feedInput = document.getElementById('bf-export-feed');
+    
+    button.addEventListener('click', e => {
+        e.preventDefault();
+        
+        // Start from whatever the dashboard is showing
+        const feedSelect = document.getElementById('bf-analytics-feed');
+        fromInput.value = document.getElementById('bf-analytics-from').value;
+        toInput.value = document.getElementById('bf-analytics-to').value;
+        toInput.min = fromInput.value;
+        feedInput.replaceChildren(...Array.from(feedSelect.options, option => option.cloneNode(true)));
+        feedInput.value = feedSelect.value;
+        
+        dialog.showModal();
+    });
+    
+    document.getElementById('bf-export-cancel').addEventListener('click', () => dialog.close());
+    
+    // Use native validation so errors show inside the modal
+    form.addEventListener('change', () => {
+        const anyChecked = Array.from(columns).some(column => column.checked);
+        columns[0].setCustomValidity(anyChecked ? '' : 'Select at least one column to export.');
+        toInput.min = fromInput.value;
+    });
+    
+    form.addEventListener('submit', () => {
+        // The download doesn't navigate away, so close once it has started
+        setTimeout(() => dialog.close(), 0);
+    });
+}
+
+/**
+ * Format a setting value for the import diff.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {*} value - Setting value
+ * 
+ * @return {string} Display value
+ */
+function formatSettingValue(value) {
+    if (value === null || value === undefined) {
+        return '(not set)';
+    }
+    if (typeof value === 'object' || typeof value === 'boolean') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Render the settings import diff.
+ * 
+ * Changed settings are ticked by default. Unknown and skipped settings are
+ * listed with the reason they can't be imported.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Object} preview - Preview response from the server
+ */
+function renderSettingsImportPreview(preview) {
+    const container = document.getElementById('bf-import-preview');
+    const source = preview.source || {};
+    const statusLabels = { changed: 'Will change', unknown: 'Unknown', skipped: 'Skipped' };
+    
+    container.querySelector('.bf-import-source').textContent = [
+        source.site_url ? 'Exported from ' + source.site_url : 'Exported from an unknown site',
+        source.exported_at ? 'on ' + source.exported_at : '',
+        source.version ? '(BetterFeed ' + source.version + ')' : '',
+        '— ' + preview.unchanged + ' settings already match.'
+    ].filter(Boolean).join(' ');
+    
+    const rows = preview.changes.map(change => {
+        const importable = change.status === 'changed';
+        return createAdminElement('tr', { className: 'bf-import-' + change.status }, [
+            createAdminElement('th', { scope: 'row', className: 'check-column' }, [
+                createAdminElement('input', {
+                    type: 'checkbox',
+                    className: 'bf-import-key',
+                    value: change.key,
+                    checked: importable,
+                    disabled: !importable
+                })
+            ]),
+            createAdminElement('td', {}, [createAdminElement('code', {}, [change.key])]),
+            createAdminElement('td', {}, [formatSettingValue(change.current)]),
+            createAdminElement('td', {}, [formatSettingValue(change.incoming)]),
+            createAdminElement('td', {}, [
+                statusLabels[change.status] || change.status,
+                change.reason ? createAdminElement('p', { className: 'description' }, [change.reason]) : null
+            ])
+        ]);
+    });
+    
+    if (!rows.length) {
+        rows.push(createAdminElement('tr', {}, [
+            createAdminElement('td', { colSpan: 5 }, ['This file matches your current settings. Nothing to import.'])
+        ]));
+    }
+    
+    container.querySelector('tbody').replaceChildren(...rows);
+    document.getElementById('bf-import-select-all').checked = true;
+    document.getElementById('bf-apply-import').disabled = !preview.changes.some(change => change.status === 'changed');
+    container.hidden = false;
+}
+
+/**
+ * Read the chosen settings file and show what importing it would change.
+ * 
+ * @since 1.0.4
+ */
+function previewSettingsImport() {
+    const fileInput = document.getElementById('bf-import-settings-file');
+    const container = document.getElementById('bf-import-preview');
+    const btn = document.getElementById('bf-preview-import');
+    
+    if (!fileInput.files.length) {
+        showAdminNotice('Choose a settings file to import.', 'error');
+        return;
+    }
+    
+    btn.disabled = true;
+    
+    fileInput.files[0].text()
+        .then(text => {
+            container.dataset.settings = text;
+            return fetchWithErrorHandling('preview-settings-import', {
+                method: 'POST',
+                body: { settings: text }
+            });
+        })
+        .then(renderSettingsImportPreview)
+        .catch(error => {
+            console.error('Settings import preview failed:', error);
+        })
+        .finally(() => {
+            btn.disabled = false;
+        });
+}
+
+/**
+ * Import the settings ticked in the preview.
+ * 
+ * @since 1.0.4
+ */
+function applySettingsImport() {
+    const container = document.getElementById('bf-import-preview');
+    const btn = document.getElementById('bf-apply-import');
+    const keys = Array.from(container.querySelectorAll('.bf-import-key:checked'), checkbox => checkbox.value);
+    
+    if (!keys.length) {
+        showAdminNotice('Select at least one setting to import.', 'error');
+        return;
+    }
+    
+    btn.disabled = true;
+    btn.textContent = 'Importing...';
+    
+    fetchWithErrorHandling('import-settings', {
+        method: 'POST',
+        body: { settings: container.dataset.settings, keys: keys }
+    })
+    .then(data => {
+        showAdminNotice(data.message);
+        cancelSettingsImport();
+        refreshSettingsHistory();
+    })
+    .catch(error => {
+        console.error('Settings import failed:', error);
+    })
+    .finally(() => {
+        btn.disabled = false;
+        btn.textContent = 'Import Selected Settings';
+    });
+}
+
+/**
+ * Hide the import preview and forget the chosen file.
+ * 
+ * @since 1.0.4
+ */
+function cancelSettingsImport() {
+    const container = document.getElementById('bf-import-preview');
+    container.hidden = true;
+    delete container.dataset.settings;
+    container.querySelector('tbody').replaceChildren();
+    document.getElementById('bf-import-settings-file').value = '';
+}
+
+/**
+ * Wire up the settings import controls on the Tools tab.
+ * 
+ * @since 1.0.4
+ */
+function initSettingsImport() {
+    document.getElementById('bf-preview-import').addEventListener('click', previewSettingsImport);
+    document.getElementById('bf-apply-import').addEventListener('click', applySettingsImport);
+    document.getElementById('bf-cancel-import').addEventListener('click', cancelSettingsImport);
+    
+    document.getElementById('bf-import-select-all').addEventListener('change', function() {
+        document.querySelectorAll('#bf-import-preview .bf-import-key:not(:disabled)').forEach(checkbox => {
+            checkbox.checked = this.checked;
+        });
+    });
+}
+
+/**
+ * Fill the preset dropdown, grouping saved presets after the built-in ones.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Array}  presets  - Presets from the server
+ * @param {string} selected - Preset ID to keep selected
+ */
+function renderPresetOptions(presets, selected) {
+    const select = document.getElementById('bf-preset-select');
+    const toOption = preset => createAdminElement('option', { value: preset.id, title: preset.description }, [preset.name]);
+    const builtIn = presets.filter(preset => !preset.custom);
+    const custom = presets.filter(preset => preset.custom);
+    
+    select.replaceChildren(
+        createAdminElement('option', { value: '' }, ['Select a preset...']),
+        createAdminElement('optgroup', { label: 'Built-in presets' }, builtIn.map(toOption)),
+        custom.length ? createAdminElement('optgroup', { label: 'Your presets' }, custom.map(toOption)) : null
+    );
+    select.value = presets.some(preset => preset.id === selected) ? selected : '';
+    document.getElementById('bf-presets').dataset.items = JSON.stringify(presets);
+}
+
+/**
+ * Show or hide the undo control for the last applied preset.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Object|null} undo - Preset that can be undone, or null
+ */
+function setPresetUndo(undo) {
+    const container = document.getElementById('bf-preset-undo');
+    container.hidden = !undo;
+    container.querySelector('.bf-preset-undo-label').textContent = undo ? '"' + undo.name + '" was applied on ' + undo.applied_at + '.' : '';
+}
+
+/**
+ * Show which settings the selected preset would change.
+ * 
+ * @since 1.0.4
+ * 
+ * @return {Promise} Resolves once the preview is shown
+ */
+function previewPreset() {
+    const select = document.getElementById('bf-preset-select');
+    const preview = document.getElementById('bf-preset-preview');
+    const applyBtn = document.getElementById('bf-apply-preset');
+    const presets = JSON.parse(document.getElementById('bf-presets').dataset.items || '[]');
+    const preset = presets.find(item => item.id === select.value);
+    
+    document.getElementById('bf-delete-preset').hidden = !(preset && preset.custom);
+    applyBtn.disabled = true;
+    
+    if (!preset) {
+        preview.hidden = true;
+        return Promise.resolve();
+    }
+    
+    return fetchWithErrorHandling('preview-preset?preset=' + encodeURIComponent(preset.id), { method: 'GET' })
+        .then(data => {
+            // Ignore previews for a preset that is no longer selected
+            if (select.value !== data.preset) {
+                return;
+            }
+            
+            preview.querySelector('.bf-preset-summary').textContent = data.description + ' — ' +
+                data.changes.length + ' settings will change, ' + data.unchanged + ' already match.';
+            
+            const rows = data.changes.map(change => createAdminElement('tr', {}, [
+                createAdminElement('td', {}, [createAdminElement('code', {}, [change.key])]),
+                createAdminElement('td', {}, [formatSettingValue(change.current)]),
+                createAdminElement('td', {}, [formatSettingValue(change.incoming)])
+            ]));
+            if (!rows.length) {
+                rows.push(createAdminElement('tr', {}, [
+                    createAdminElement('td', { colSpan: 3 }, ['Your settings already match this preset.'])
+                ]));
+            }
+            
+            preview.querySelector('tbody').replaceChildren(...rows);
+            preview.hidden = false;
+            applyBtn.disabled = !data.changes.length;
+        })
+        .catch(error => {
+            console.error('Preset preview failed:', error);
+        });
+}
+
+/**
+ * Apply the selected preset.
+ * 
+ * @since 1.0.4
+ */
+function applyPreset() {
+    const select = document.getElementById('bf-preset-select');
+    const btn = document.getElementById('bf-apply-preset');
+    
+    if (!select.value) {
+        return;
+    }
+    
+    btn.disabled = true;
+    btn.textContent = 'Applying...';
+    
+    fetchWithErrorHandling('apply-preset', {
+        method: 'POST',
+        body: { preset: select.value }
+    })
+    .then(data => {
+        showAdminNotice(data.message);
+        setPresetUndo(data.undo);
+        refreshSettingsHistory();
+    })
+    .catch(error => {
+        console.error('Preset apply failed:', error);
+    })
+    .finally(() => {
+        btn.textContent = 'Apply Preset';
+        previewPreset();
+    });
+}
+
+/**
+ * Restore the settings from before the last preset was applied.
+ * 
+ * @since 1.0.4
+ */
+function undoPreset() {
+    const btn = document.getElementById('bf-undo-preset');
+    btn.disabled = true;
+    
+    fetchWithErrorHandling('undo-preset', { method: 'POST' })
+        .then(data => {
+            showAdminNotice(data.message);
+            setPresetUndo(null);
+            previewPreset();
+            refreshSettingsHistory();
+        })
+        .catch(error => {
+            console.error('Preset undo failed:', error);
+        })
+        .finally(() => {
+            btn.disabled = false;
+        });
+}
+
+/**
+ * Save the current configuration as a custom preset.
+ * 
+ * @since 1.0.4
+ */
+function savePreset() {
+    const nameInput = document.getElementById('bf-preset-name');
+    const btn = document.getElementById('bf-save-preset');
+    const name = nameInput.value.trim();
+    
+    if (!name) {
+        showAdminNotice('Enter a name for the preset.', 'error');
+        nameInput.focus();
+        return;
+    }
+    
+    btn.disabled = true;
+    
+    fetchWithErrorHandling('save-preset', {
+        method: 'POST',
+        body: { name: name }
+    })
+    .then(data => {
+        showAdminNotice(data.message);
+        nameInput.value = '';
+        renderPresetOptions(data.presets, data.preset);
+        previewPreset();
+    })
+    .catch(error => {
+        console.error('Preset save failed:', error);
+    })
+    .finally(() => {
+        btn.disabled = false;
+    });
+}
+
+/**
+ * Delete the selected custom preset.
+ * 
+ * @since 1.0.4
+ */
+function deletePreset() {
+    const select = document.getElementById('bf-preset-select');
+    const option = select.options[select.selectedIndex];
+    
+    if (!select.value || !confirm('Delete the preset "' + option.textContent + '"?')) {
+        return;
+    }
+    
+    fetchWithErrorHandling('delete-preset', {
+        method: 'POST',
+        body: { preset: select.value }
+    })
+    .then(data => {
+        showAdminNotice(data.message);
+        renderPresetOptions(data.presets, '');
+        previewPreset();
+    })
+    .catch(error => {
+        console.error('Preset delete failed:', error);
+    });
+}
+
+/**
+ * Wire up the preset controls on the Tools tab.
+ * 
+ * @since 1.0.4
+ */
+function initPresets() {
+    renderPresetOptions(JSON.parse(document.getElementById('bf-presets').dataset.items || '[]'), '');
+    
+    document.getElementById('bf-preset-select').addEventListener('change', previewPreset);
+    document.getElementById('bf-apply-preset').addEventListener('click', applyPreset);
+    document.getElementById('bf-undo-preset').addEventListener('click', undoPreset);
+    document.getElementById('bf-save-preset').addEventListener('click', savePreset);
+    document.getElementById('bf-delete-preset').addEventListener('click', deletePreset);
+    
+    // Enter in the name field would submit the settings form
+    document.getElementById('bf-preset-name').addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            savePreset();
+        }
+    });
+}
+
+/**
+ * Render a settings history timeline row.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {Object} version - Version from the settings-history endpoint
+ * 
+ * @return {HTMLElement} Table row
+ */
+function renderSettingsHistoryRow(version) {
+    const shownKeys = version.keys.slice(0, 3);
+    const moreCount = version.keys.length - shownKeys.length;
+    
+    return createAdminElement('tr', { dataset: { version: version.id } }, [
+        createAdminElement('td', {}, ['#' + version.id]),
+        createAdminElement('td', {}, [version.time]),
+        createAdminElement('td', {}, [version.user]),
+        createAdminElement('td', {}, [
+            version.source_label,
+            version.detail ? createAdminElement('p', { className: 'description' }, [version.detail]) : null
+        ]),
+        createAdminElement('td', { title: version.keys.join('\n') }, [
+            shownKeys.join(', '),
+            moreCount > 0 ? ' and ' + moreCount + ' more' : null
+        ]),
+        createAdminElement('td', {}, [
+            createAdminElement('button', {
+                type: 'button',
+                className: 'button button-small',
+                textContent: 'Compare',
+                onclick: () => compareSettingsVersion(version.id)
+            }),
+            ' ',
+            createAdminElement('button', {
+                type: 'button',
+                className: 'button button-small',
+                textContent: 'Restore',
+                onclick: () => restoreSettingsVersion(version.id, null)
+            })
+        ])
+    ]);
+}
+
+/**
+ * Load the settings history timeline.
+ * 
+ * @since 1.0.4
+ * 
+ * @return {Promise} Resolves once the timeline is rendered
+ */
+function loadSettingsHistory() {
+    const container = document.getElementById('bf-settings-history');
+    
+    return fetchWithErrorHandling('settings-history', { method: 'GET' })
+        .then(data => {
+            container.querySelector('.bf-history-empty').hidden = data.versions.length > 0;
+            container.querySelector(':scope > table').hidden = !data.versions.length;
+            container.querySelector(':scope > table tbody').replaceChildren(...data.versions.map(renderSettingsHistoryRow));
+        })
+        .catch(error => {
+            console.error('Settings history load failed:', error);
+        });
+}
+
+/**
+ * Reload the settings history if it is on this page.
+ * 
+ * @since 1.0.4
+ */
+function refreshSettingsHistory() {
+    if (document.getElementById('bf-settings-history')) {
+        loadSettingsHistory();
+    }
+}
+
+/**
+ * Show how a settings version differs from the current settings.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {number} versionId - Version ID
+ */
+function compareSettingsVersion(versionId) {
+    const diff = document.querySelector('#bf-settings-history .bf-history-diff');
+    
+    fetchWithErrorHandling('settings-history-diff?version=' + encodeURIComponent(versionId), { method: 'GET' })
+        .then(data => {
+            diff.dataset.version = data.version;
+            diff.querySelector('.bf-history-diff-title').textContent = 'Version #' + data.version + ' compared with your current settings';
+            
+            const rows = data.changes.map(change => createAdminElement('tr', {}, [
+                createAdminElement('th', { scope: 'row', className: 'check-column' }, [
+                    createAdminElement('input', { type: 'checkbox', className: 'bf-history-key', value: change.key, checked: true })
+                ]),
+                createAdminElement('td', {}, [createAdminElement('code', {}, [change.key])]),
+                createAdminElement('td', {}, [formatSettingValue(change.current)]),
+                createAdminElement('td', {}, [formatSettingValue(change.restored)])
+            ]));
+            if (!rows.length) {
+                rows.push(createAdminElement('tr', {}, [
+                    createAdminElement('td', { colSpan: 4 }, ['Your current settings match this version.'])
+                ]));
+            }
+            
+            diff.querySelector('tbody').replaceChildren(...rows);
+            diff.querySelector('.bf-history-select-all').checked = true;
+            document.getElementById('bf-history-restore').disabled = !data.changes.length;
+            diff.hidden = false;
+            diff.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        })
+        .catch(error => {
+            console.error('Settings version compare failed:', error);
+        });
+}
+
+/**
+ * Restore a settings version.
+ * 
+ * @since 1.0.4
+ * 
+ * @param {number}     versionId - Version ID
+ * @param {Array|null} keys      - Settings to restore, or null for every setting that differs
+ */
+function restoreSettingsVersion(versionId, keys) {
+    if (keys === null && !confirm('Restore all settings to how they were after version #' + versionId + '?')) {
+        return;
+    }
+    
+    fetchWithErrorHandling('restore-settings-version', {
+        method: 'POST',
+        body: keys === null ? { version: versionId } : { version: versionId, keys: keys }
+    })
+    .then(data => {
+        showAdminNotice(data.message);
+        document.querySelector('#bf-settings-history .bf-history-diff').hidden = true;
+        loadSettingsHistory();
+    })
+    .catch(error => {
+        console.error('Settings restore failed:', error);
+    });
+}
+
+/**
+ * Wire up the settings history timeline on the Tools tab.
+ * 
+ * @since 1.0.4
+ */
+function initSettingsHistory() {
+    const diff = document.querySelector('#bf-settings-history .bf-history-diff');
+    
+    diff.querySelector('.bf-history-select-all').addEventListener('change', function() {
+        diff.querySelectorAll('.bf-history-key').forEach(checkbox => {
+            checkbox.checked = this.checked;
+        });
+    });
+    
+    document.getElementById('bf-history-restore').addEventListener('click', () => {
+        const keys = Array.from(diff.querySelectorAll('.bf-history-key:checked'), checkbox => checkbox.value);
+        if (!keys.length) {
+            showAdminNotice('Select at least one setting to restore.', 'error');
+            return;
+        }
+        restoreSettingsVersion(parseInt(diff.dataset.version, 10), keys);
+    });
+    
+    document.getElementById('bf-history-close').addEventListener('click', () => {
+        diff.hidden = true;
+    });
+    
+    loadSettingsHistory();
+}
@@ -7,9 +7,9 @@
     'use strict';
 
     const { registerPlugin } = wp.plugins;
-    const { PluginDocumentSettingPanel } = wp.editor;
+    const { PluginDocumentSettingPanel, PluginPrePublishPanel } = wp.editor;
     const { useSelect, useDispatch } = wpData;
-    const { useState, useEffect, createElement } = wpElement;
+    const { useState, useEffect, useRef, createElement } = wpElement;
     const { 
         TextControl, 
         TextareaControl, 
@@ -19,12 +19,1494 @@
         Notice,
         Spinner,
         BaseControl,
-        FormFileUpload
+        FormFileUpload,
+        FormTokenField
     } = wpComponents;
     const { 
         mediaUpload, 
         uploadMedia 
     } = wpMediaUtils;
+    const restClient = window.bfRestClient;
+
+    // Failed requests that opt into notices show as editor snackbars
+    restClient.setNoticeHandler((message) => {
+        wpData.dispatch('core/notices').createNotice('error', message, {
+            type: 'snackbar'
+        });
+    });
+
+    /**
+     * MIME types accepted by BF_Episode_Meta::sanitize_audio_type()
+     */
+    const AUDIO_TYPES = [
+        { label: 'MP3 (audio/mpeg)', value: 'audio/mpeg' },
+        { label: 'M4A (audio/x-m4a)', value: 'audio/x-m4a' },
+        { label: 'MP4 (audio/mp4)', value: 'audio/mp4' },
+        { label: 'AAC (audio/aac)', value: 'audio/aac' },
+        { label: 'OGG (audio/ogg)', value: 'audio/ogg' },
+        { label: 'WAV (audio/wav)', value: 'audio/wav' }
+    ];
+
+    /**
+     * Parse a timestamp (HH:MM:SS, MM:SS or plain seconds) into seconds
+     *
+     * @param {string|number} value Timestamp to parse
+     * @return {number|null} Seconds, or null when the value is not a timestamp
+     */
+    function parseTimestamp(value) {
+        if (value === '' || value === null || value === undefined) {
+            return null;
+        }
+
+        if (typeof value === 'number') {
+            return value >= 0 ? value : null;
+        }
+
+        const parts = String(value).trim().split(':');
+        if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+            return null;
+        }
+
+        return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
+    /**
+     * Format seconds as HH:MM:SS
+     *
+     * @param {number} seconds Seconds to format
+     * @return {string} Formatted timestamp
+     */
+    function formatTimestamp(seconds) {
+        if (seconds === null || seconds === undefined || isNaN(seconds)) {
+            return '';
+        }
+
+        const whole = Math.floor(seconds);
+        const pad = (number) => String(number).padStart(2, '0');
+        const fraction = seconds - whole > 0 ? String(Math.round((seconds - whole) * 1000) / 1000).slice(1) : '';
+
+        return pad(Math.floor(whole / 3600)) + ':' + pad(Math.floor(whole % 3600 / 60)) + ':' + pad(whole % 60) + fraction;
+    }
+
+    /**
+     * Validate chapter ordering, overlaps and bounds
+     *
+     * @param {Array} chapters Chapters with startTime/endTime in seconds
+     * @param {number|null} duration Episode duration in seconds, if known
+     * @return {Object} Error messages keyed by chapter index
+     */
+    function validateChapters(chapters, duration) {
+        const errors = {};
+
+        chapters.forEach((chapter, index) => {
+            const previous = chapters[index - 1];
+
+            if (!chapter.title) {
+                errors[index] = 'Chapter title is required';
+            } else if (typeof chapter.startTime !== 'number') {
+                errors[index] = 'Start time must be HH:MM:SS or seconds';
+            } else if (previous && chapter.startTime <= previous.startTime) {
+                errors[index] = 'Chapters must start after the previous chapter';
+            } else if (previous && typeof previous.endTime === 'number' && chapter.startTime < previous.endTime) {
+                errors[index] = 'Chapter overlaps the end of the previous chapter';
+            } else if (typeof chapter.endTime === 'number' && chapter.endTime <= chapter.startTime) {
+                errors[index] = 'End time must be after the start time';
+            } else if (duration && chapter.startTime >= duration) {
+                errors[index] = 'Chapter starts after the end of the episode';
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Map MIME type aliases onto the types the plugin stores
+     *
+     * Mirrors BF_Episode_Meta::normalize_audio_type().
+     *
+     * @param {string} type MIME type
+     * @return {string} Normalized MIME type
+     */
+    function normalizeAudioType(type) {
+        const aliases = {
+            'audio/mp3': 'audio/mpeg',
+            'audio/x-mp3': 'audio/mpeg',
+            'audio/x-mpeg': 'audio/mpeg',
+            'audio/m4a': 'audio/x-m4a',
+            'audio/x-wav': 'audio/wav',
+            'audio/wave': 'audio/wav',
+            'audio/x-aac': 'audio/aac',
+            'audio/aacp': 'audio/aac',
+            'application/ogg': 'audio/ogg'
+        };
+        const normalized = String(type || '').split(';')[0].trim().toLowerCase();
+
+        return aliases[normalized] || normalized;
+    }
+
+    /**
+     * Read an audio file's duration in the browser
+     *
+     * Media elements can load metadata cross-origin, so this works for
+     * remote files the server could only HEAD.
+     *
+     * @param {string} url Audio file URL
+     * @return {Promise<number|null>} Duration in seconds
+     */
+    function probeAudioDuration(url) {
+        return new Promise((resolve) => {
+            const audio = new Audio();
+            const timer = setTimeout(() => finish(null), 15000);
+
+            function finish(duration) {
+                clearTimeout(timer);
+                audio.removeAttribute('src');
+                resolve(duration);
+            }
+
+            audio.preload = 'metadata';
+            audio.onloadedmetadata = () => finish(isFinite(audio.duration) ? Math.round(audio.duration) : null);
+            audio.onerror = () => finish(null);
+            audio.src = url;
+        });
+    }
+
+    /**
+     * Detect length, MIME type and duration of an audio URL
+     *
+     * @param {string}      url    Audio file URL
+     * @param {AbortSignal} signal Optional. Signal to cancel the detection
+     * @return {Promise<Object>} length (bytes), type and duration (seconds)
+     */
+    function detectAudioInfo(url, signal) {
+        return restClient.request({
+            path: '/betterfeed/v1/episodes/audio-info?url=' + encodeURIComponent(url),
+            signal: signal,
+            notify: false
+        }).catch((error) => {
+            if (restClient.isAbortError(error)) {
+                throw error;
+            }
+            return {};
+        }).then((response) => {
+            const info = {
+                length: response.length || 0,
+                type: normalizeAudioType(response.type),
+                duration: response.duration || null
+            };
+
+            if (info.duration) {
+                return info;
+            }
+
+            return probeAudioDuration(url).then((duration) => ({ ...info, duration: duration }));
+        });
+    }
+
+    /**
+     * Build audio info from a media library attachment
+     *
+     * @param {Object} attachment Attachment JSON from wp.media
+     * @return {Object} url, length, type and duration
+     */
+    function getAttachmentAudioInfo(attachment) {
+        return {
+            url: attachment.url,
+            length: attachment.filesizeInBytes || 0,
+            type: normalizeAudioType(attachment.mime),
+            duration: attachment.fileLength ? parseTimestamp(attachment.fileLength) : null
+        };
+    }
+
+    /**
+     * Compare stored enclosure values with the detected file
+     *
+     * @param {Object} meta Post meta
+     * @param {Object} info Detected audio info
+     * @return {Array} Human readable mismatch descriptions
+     */
+    function getAudioMismatches(meta, info) {
+        const mismatches = [];
+        const storedDuration = parseTimestamp(meta.episode_duration);
+
+        if (info.length && parseInt(meta.episode_audio_length, 10) !== info.length) {
+            mismatches.push('File size is ' + info.length + ' bytes (stored: ' + (meta.episode_audio_length || 'none') + ')');
+        }
+
+        if (info.type && normalizeAudioType(meta.episode_audio_type) !== info.type) {
+            mismatches.push('MIME type is ' + info.type + ' (stored: ' + (meta.episode_audio_type || 'none') + ')');
+        }
+
+        if (info.duration && (storedDuration === null || Math.abs(storedDuration - info.duration) > 1)) {
+            mismatches.push('Duration is ' + formatTimestamp(info.duration) + ' (stored: ' + (meta.episode_duration || 'none') + ')');
+        }
+
+        return mismatches;
+    }
+
+    /**
+     * Open the media library and pass the selected attachment to a callback
+     *
+     * @param {string} title Modal title
+     * @param {string} type Library type filter (audio, image)
+     * @param {Function} onSelect Receives the selected attachment JSON
+     */
+    function openMediaLibrary(title, type, onSelect) {
+        const mediaUploader = wp.media({
+            title: title,
+            button: {
+                text: 'Use this file'
+            },
+            library: {
+                type: type
+            },
+            multiple: false
+        });
+
+        mediaUploader.on('select', function() {
+            onSelect(mediaUploader.state().get('selection').first().toJSON());
+        });
+
+        mediaUploader.open();
+    }
+
+    /**
+     * Time input that keeps its own text until blur
+     *
+     * Stores seconds but lets the user type partial timestamps without the
+     * value being reformatted on every keystroke.
+     */
+    function TimestampControl({ label, value, onChange, placeholder }) {
+        const [text, setText] = useState(formatTimestamp(value));
+
+        useEffect(() => {
+            setText(formatTimestamp(value));
+        }, [value]);
+
+        return createElement(TextControl, {
+            label: label,
+            value: text,
+            placeholder: placeholder,
+            onChange: setText,
+            onBlur: () => {
+                const seconds = parseTimestamp(text);
+                onChange(seconds === null ? undefined : seconds);
+                setText(formatTimestamp(seconds));
+            }
+        });
+    }
+
+    /**
+     * Single chapter row
+     */
+    function ChapterRow({ chapter, index, count, error, onChange, onRemove, onMove }) {
+        const update = (key, value) => {
+            const updated = { ...chapter, [key]: value };
+            if (value === undefined || value === '') {
+                delete updated[key];
+            }
+            onChange(updated);
+        };
+
+        return createElement('div', {
+            className: 'betterfeed-chapter-row' + (error ? ' has-error' : '')
+        }, [
+            createElement('div', { key: 'times', className: 'betterfeed-chapter-times' }, [
+                createElement(TimestampControl, {
+                    key: 'start',
+                    label: 'Start',
+                    value: chapter.startTime,
+                    placeholder: '00:00:00',
+                    onChange: (value) => update('startTime', value)
+                }),
+                createElement(TimestampControl, {
+                    key: 'end',
+                    label: 'End (optional)',
+                    value: chapter.endTime,
+                    onChange: (value) => update('endTime', value)
+                })
+            ]),
+
+            createElement(TextControl, {
+                key: 'title',
+                label: 'Title',
+                value: chapter.title || '',
+                onChange: (value) => update('title', value)
+            }),
+
+            createElement(TextControl, {
+                key: 'url',
+                label: 'Link URL (optional)',
+                type: 'url',
+                value: chapter.url || '',
+                onChange: (value) => update('url', value)
+            }),
+
+            createElement('div', { key: 'image', className: 'betterfeed-chapter-image' }, [
+                chapter.img && createElement('img', { key: 'preview', src: chapter.img, alt: '' }),
+                createElement(Button, {
+                    key: 'select',
+                    variant: 'secondary',
+                    onClick: () => openMediaLibrary('Select Chapter Image', 'image', (attachment) => update('img', attachment.url))
+                }, chapter.img ? 'Replace Image' : 'Add Image'),
+                chapter.img && createElement(Button, {
+                    key: 'remove',
+                    variant: 'link',
+                    isDestructive: true,
+                    onClick: () => update('img', undefined)
+                }, 'Remove Image')
+            ]),
+
+            error && createElement('p', { key: 'error', className: 'betterfeed-chapter-error' }, error),
+
+            createElement('div', { key: 'actions', className: 'betterfeed-chapter-actions' }, [
+                createElement(Button, {
+                    key: 'up',
+                    icon: 'arrow-up-alt2',
+                    label: 'Move up',
+                    disabled: index === 0,
+                    onClick: () => onMove(index, index - 1)
+                }),
+                createElement(Button, {
+                    key: 'down',
+                    icon: 'arrow-down-alt2',
+                    label: 'Move down',
+                    disabled: index === count - 1,
+                    onClick: () => onMove(index, index + 1)
+                }),
+                createElement(Button, {
+                    key: 'delete',
+                    variant: 'link',
+                    isDestructive: true,
+                    onClick: onRemove
+                }, 'Remove')
+            ])
+        ]);
+    }
+
+    /**
+     * Chapter editor
+     *
+     * Chapters are stored in the episode_chapters meta and served by the
+     * plugin at /wp-json/betterfeed/v1/episodes/<id>/chapters.
+     */
+    function ChapterEditor({ chapters, duration, onChange }) {
+        const errors = validateChapters(chapters, duration);
+
+        const addChapter = () => {
+            const last = chapters[chapters.length - 1];
+            const startTime = last ? (typeof last.endTime === 'number' ? last.endTime : last.startTime + 60) : 0;
+            onChange([...chapters, { startTime: startTime, title: '' }]);
+        };
+
+        const moveChapter = (from, to) => {
+            const reordered = [...chapters];
+            const [moved] = reordered.splice(from, 1);
+            reordered.splice(to, 0, moved);
+            onChange(reordered);
+        };
+
+        const sortChapters = () => {
+            onChange([...chapters].sort((a, b) => (a.startTime || 0) - (b.startTime || 0)));
+        };
+
+        return createElement('div', { className: 'betterfeed-chapter-editor' }, [
+            chapters.length === 0 && createElement('p', {
+                key: 'empty',
+                className: 'betterfeed-chapter-empty'
+            }, 'No chapters yet.'),
+
+            ...chapters.map((chapter, index) => createElement(ChapterRow, {
+                key: 'chapter-' + index,
+                chapter: chapter,
+                index: index,
+                count: chapters.length,
+                error: errors[index],
+                onChange: (updated) => onChange(chapters.map((item, i) => i === index ? updated : item)),
+                onRemove: () => onChange(chapters.filter((item, i) => i !== index)),
+                onMove: moveChapter
+            })),
+
+            createElement('div', { key: 'toolbar', className: 'betterfeed-chapter-toolbar' }, [
+                createElement(Button, {
+                    key: 'add',
+                    variant: 'secondary',
+                    onClick: addChapter
+                }, 'Add Chapter'),
+                chapters.length > 1 && createElement(Button, {
+                    key: 'sort',
+                    variant: 'tertiary',
+                    onClick: sortChapters
+                }, 'Sort by Start Time')
+            ]),
+
+            Object.keys(errors).length > 0 && createElement(Notice, {
+                key: 'chapter-errors',
+                status: 'warning',
+                isDismissible: false
+            }, 'Some chapters need attention before they will validate in podcast apps.')
+        ]);
+    }
+
+    /**
+     * Parse a caption timestamp (00:01:02,500 or 01:02.500) into seconds
+     *
+     * @param {string} value Caption timestamp
+     * @return {number|null} Seconds
+     */
+    function parseCaptionTimestamp(value) {
+        return parseTimestamp(String(value || '').trim().split(/\s+/)[0].replace(',', '.'));
+    }
+
+    /**
+     * Parse SRT or WebVTT captions into transcript segments
+     *
+     * @param {string} text File contents
+     * @return {Array} Segments with startTime, endTime, speaker and body
+     */
+    function parseCaptions(text) {
+        const segments = [];
+        const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+        blocks.forEach((block) => {
+            const lines = block.split('\n').filter(line => line.trim() !== '');
+            const timingIndex = lines.findIndex(line => line.indexOf('-->') !== -1);
+
+            // Skips the WEBVTT header and NOTE/STYLE/REGION blocks
+            if (timingIndex === -1) {
+                return;
+            }
+
+            const [start, end] = lines[timingIndex].split('-->');
+            let body = lines.slice(timingIndex + 1).join(' ').trim();
+            let speaker = '';
+
+            // WebVTT voice spans: <v Speaker>text</v>
+            const voice = body.match(/^<v(?:\.[^\s>]+)?\s+([^>]+)>/);
+            if (voice) {
+                speaker = voice[1].trim();
+            }
+            body = body.replace(/<[^>]+>/g, '').trim();
+
+            if (body) {
+                segments.push({
+                    startTime: parseCaptionTimestamp(start),
+                    endTime: parseCaptionTimestamp(end),
+                    speaker: speaker,
+                    body: body
+                });
+            }
+        });
+
+        return segments;
+    }
+
+    /**
+     * Parse a Podcasting 2.0 JSON transcript into segments
+     *
+     * @param {string} text File contents
+     * @return {Array} Segments
+     */
+    function parseJsonTranscript(text) {
+        const data = JSON.parse(text);
+        const segments = Array.isArray(data) ? data : data.segments;
+
+        if (!Array.isArray(segments)) {
+            throw new Error('JSON transcript has no segments');
+        }
+
+        return segments.filter(segment => segment && segment.body).map(segment => ({
+            startTime: parseTimestamp(segment.startTime),
+            endTime: parseTimestamp(segment.endTime),
+            speaker: segment.speaker || '',
+            body: String(segment.body).trim()
+        }));
+    }
+
+    /**
+     * Parse a plain text transcript, one segment per paragraph
+     *
+     * Lines starting with "Name:" are attributed to that speaker.
+     *
+     * @param {string} text File contents
+     * @return {Array} Untimed segments
+     */
+    function parseTextTranscript(text) {
+        return text.replace(/\r\n?/g, '\n').split(/\n{2,}|\n(?=[^\n:]{1,40}:\s)/).map((paragraph) => {
+            const match = paragraph.trim().match(/^([^\n:]{1,40}):\s+([\s\S]+)$/);
+
+            return match
+                ? { speaker: match[1].trim(), body: match[2].replace(/\s+/g, ' ').trim() }
+                : { speaker: '', body: paragraph.replace(/\s+/g, ' ').trim() };
+        }).filter(segment => segment.body);
+    }
+
+    /**
+     * Parse a transcript file based on its extension and contents
+     *
+     * @param {string} filename File name
+     * @param {string} text File contents
+     * @return {Array} Segments (times are omitted when unknown)
+     */
+    function parseTranscriptFile(filename, text) {
+        const extension = filename.split('.').pop().toLowerCase();
+        let segments;
+
+        if (extension === 'json') {
+            segments = parseJsonTranscript(text);
+        } else if (extension === 'srt' || extension === 'vtt' || /^WEBVTT/.test(text.trim())) {
+            segments = parseCaptions(text);
+        } else {
+            segments = parseTextTranscript(text);
+        }
+
+        return segments.map((segment) => {
+            const cleaned = { body: segment.body };
+            if (typeof segment.startTime === 'number') {
+                cleaned.startTime = segment.startTime;
+            }
+            if (typeof segment.endTime === 'number') {
+                cleaned.endTime = segment.endTime;
+            }
+            if (segment.speaker) {
+                cleaned.speaker = segment.speaker;
+            }
+            return cleaned;
+        });
+    }
+
+    /**
+     * Podcast namespace person roles, grouped as in the Podcast Taxonomy
+     */
+    const PERSON_ROLES = [
+        { label: 'Host', value: 'host', group: 'cast' },
+        { label: 'Co-Host', value: 'co-host', group: 'cast' },
+        { label: 'Guest', value: 'guest', group: 'cast' },
+        { label: 'Guest Host', value: 'guest host', group: 'cast' },
+        { label: 'Narrator', value: 'narrator', group: 'cast' },
+        { label: 'Producer', value: 'producer', group: 'creative direction' },
+        { label: 'Director', value: 'director', group: 'creative direction' },
+        { label: 'Writer', value: 'writer', group: 'writing' },
+        { label: 'Researcher', value: 'researcher', group: 'writing' },
+        { label: 'Audio Editor', value: 'audio editor', group: 'audio post-production' },
+        { label: 'Sound Designer', value: 'sound designer', group: 'audio post-production' },
+        { label: 'Composer', value: 'composer', group: 'audio production' },
+        { label: 'Cover Art Designer', value: 'cover art designer', group: 'visuals' }
+    ];
+
+    /**
+     * Validate persons
+     *
+     * @param {Array} persons Person rows
+     * @return {Object} Error messages keyed by row index
+     */
+    function validatePersons(persons) {
+        const errors = {};
+
+        persons.forEach((person, index) => {
+            if (!person.name) {
+                errors[index] = 'Name is required';
+            } else if (person.img && !/^https?:\/\//.test(person.img)) {
+                errors[index] = 'Image must be a URL';
+            } else if (person.href && !/^https?:\/\//.test(person.href)) {
+                errors[index] = 'Link must be a URL';
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate soundbite time ranges against the episode duration
+     *
+     * @param {Array} soundbites Soundbite rows with startTime/duration in seconds
+     * @param {number|null} duration Episode duration in seconds, if known
+     * @return {Object} Error messages keyed by row index
+     */
+    function validateSoundbites(soundbites, duration) {
+        const errors = {};
+
+        soundbites.forEach((soundbite, index) => {
+            if (typeof soundbite.startTime !== 'number') {
+                errors[index] = 'Start time must be HH:MM:SS or seconds';
+            } else if (!soundbite.duration || soundbite.duration <= 0) {
+                errors[index] = 'Duration must be greater than zero';
+            } else if (duration && soundbite.startTime >= duration) {
+                errors[index] = 'Soundbite starts after the end of the episode';
+            } else if (duration && soundbite.startTime + soundbite.duration > duration) {
+                errors[index] = 'Soundbite runs past the end of the episode';
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Persons editor (podcast:person)
+     */
+    function PersonsEditor({ persons, onChange }) {
+        const errors = validatePersons(persons);
+
+        const updatePerson = (index, key, value) => {
+            onChange(persons.map((person, i) => {
+                if (i !== index) {
+                    return person;
+                }
+
+                const updated = { ...person, [key]: value };
+                if (value === undefined || value === '') {
+                    delete updated[key];
+                }
+                return updated;
+            }));
+        };
+
+        return createElement('div', { className: 'betterfeed-repeatable' }, [
+            ...persons.map((person, index) => createElement('div', {
+                key: 'person-' + index,
+                className: 'betterfeed-repeatable-row' + (errors[index] ? ' has-error' : '')
+            }, [
+                createElement(TextControl, {
+                    key: 'name',
+                    label: 'Name',
+                    value: person.name || '',
+                    onChange: (value) => updatePerson(index, 'name', value)
+                }),
+                createElement(SelectControl, {
+                    key: 'role',
+                    label: 'Role',
+                    value: person.role || 'host',
+                    options: PERSON_ROLES.map(role => ({ label: role.label, value: role.value })),
+                    onChange: (value) => {
+                        const role = PERSON_ROLES.find(item => item.value === value);
+                        onChange(persons.map((item, i) => i === index ? { ...item, role: value, group: role ? role.group : 'cast' } : item));
+                    },
+                    help: 'Group: ' + (person.group || 'cast')
+                }),
+                createElement(TextControl, {
+                    key: 'href',
+                    label: 'Link URL (optional)',
+                    type: 'url',
+                    value: person.href || '',
+                    onChange: (value) => updatePerson(index, 'href', value)
+                }),
+                createElement('div', { key: 'image', className: 'betterfeed-chapter-image' }, [
+                    person.img && createElement('img', { key: 'preview', src: person.img, alt: '' }),
+                    createElement(Button, {
+                        key: 'select',
+                        variant: 'secondary',
+                        onClick: () => openMediaLibrary('Select Photo', 'image', (attachment) => updatePerson(index, 'img', attachment.url))
+                    }, person.img ? 'Replace Photo' : 'Add Photo'),
+                    person.img && createElement(Button, {
+                        key: 'remove-image',
+                        variant: 'link',
+                        isDestructive: true,
+                        onClick: () => updatePerson(index, 'img', undefined)
+                    }, 'Remove Photo')
+                ]),
+                errors[index] && createElement('p', { key: 'error', className: 'betterfeed-chapter-error' }, errors[index]),
+                createElement(Button, {
+                    key: 'remove',
+                    variant: 'link',
+                    isDestructive: true,
+                    onClick: () => onChange(persons.filter((item, i) => i !== index))
+                }, 'Remove Person')
+            ])),
+
+            createElement(Button, {
+                key: 'add',
+                variant: 'secondary',
+                onClick: () => onChange([...persons, { name: '', role: persons.length ? 'guest' : 'host', group: 'cast' }])
+            }, 'Add Person')
+        ]);
+    }
+
+    /**
+     * Soundbites editor (podcast:soundbite)
+     */
+    function SoundbitesEditor({ soundbites, duration, onChange }) {
+        const errors = validateSoundbites(soundbites, duration);
+
+        const updateSoundbite = (index, key, value) => {
+            onChange(soundbites.map((soundbite, i) => {
+                if (i !== index) {
+                    return soundbite;
+                }
+
+                const updated = { ...soundbite, [key]: value };
+                if (value === undefined || value === '') {
+                    delete updated[key];
+                }
+                return updated;
+            }));
+        };
+
+        return createElement('div', { className: 'betterfeed-repeatable' }, [
+            ...soundbites.map((soundbite, index) => createElement('div', {
+                key: 'soundbite-' + index,
+                className: 'betterfeed-repeatable-row' + (errors[index] ? ' has-error' : '')
+            }, [
+                createElement('div', { key: 'times', className: 'betterfeed-chapter-times' }, [
+                    createElement(TimestampControl, {
+                        key: 'start',
+                        label: 'Start',
+                        value: soundbite.startTime,
+                        placeholder: '00:00:00',
+                        onChange: (value) => updateSoundbite(index, 'startTime', value)
+                    }),
+                    createElement(TextControl, {
+                        key: 'duration',
+                        label: 'Length (seconds)',
+                        type: 'number',
+                        min: 1,
+                        value: soundbite.duration || '',
+                        onChange: (value) => updateSoundbite(index, 'duration', value === '' ? undefined : parseFloat(value))
+                    })
+                ]),
+                createElement(TextControl, {
+                    key: 'title',
+                    label: 'Title (optional)',
+                    value: soundbite.title || '',
+                    onChange: (value) => updateSoundbite(index, 'title', value)
+                }),
+                errors[index] && createElement('p', { key: 'error', className: 'betterfeed-chapter-error' }, errors[index]),
+                createElement(Button, {
+                    key: 'remove',
+                    variant: 'link',
+                    isDestructive: true,
+                    onClick: () => onChange(soundbites.filter((item, i) => i !== index))
+                }, 'Remove Soundbite')
+            ])),
+
+            createElement(Button, {
+                key: 'add',
+                variant: 'secondary',
+                onClick: () => onChange([...soundbites, { startTime: 0, duration: 30, title: '' }])
+            }, 'Add Soundbite')
+        ]);
+    }
+
+    /**
+     * Single transcript segment, editable inline
+     */
+    function TranscriptSegment({ segment, onChange, onRemove }) {
+        const update = (key, value) => {
+            const updated = { ...segment, [key]: value };
+            if (value === undefined || value === '') {
+                delete updated[key];
+            }
+            onChange(updated);
+        };
+
+        return createElement('div', { className: 'betterfeed-transcript-segment' }, [
+            createElement('div', { key: 'meta', className: 'betterfeed-transcript-meta' }, [
+                typeof segment.startTime === 'number' && createElement(TimestampControl, {
+                    key: 'start',
+                    label: 'Start',
+                    value: segment.startTime,
+                    onChange: (value) => update('startTime', value)
+                }),
+                createElement(TextControl, {
+                    key: 'speaker',
+                    label: 'Speaker',
+                    value: segment.speaker || '',
+                    onChange: (value) => update('speaker', value)
+                })
+            ]),
+            createElement(TextareaControl, {
+                key: 'body',
+                label: 'Text',
+                hideLabelFromVision: true,
+                rows: 2,
+                value: segment.body || '',
+                onChange: (value) => update('body', value)
+            }),
+            createElement(Button, {
+                key: 'remove',
+                variant: 'link',
+                isDestructive: true,
+                onClick: onRemove
+            }, 'Remove line')
+        ]);
+    }
+
+    /**
+     * Transcript editor
+     *
+     * Imports SRT, WebVTT, Podcasting 2.0 JSON or plain text into the
+     * episode_transcript meta. BF_Transcripts publishes it as JSON, VTT, SRT
+     * and text (text only when the import had no timings).
+     */
+    function TranscriptEditor({ segments, onChange }) {
+        const [page, setPage] = useState(0);
+        const [importNotice, setImportNotice] = useState(null);
+        const perPage = 25;
+        const pageCount = Math.max(1, Math.ceil(segments.length / perPage));
+        const currentPage = Math.min(page, pageCount - 1);
+        const isTimed = segments.length > 0 && segments.every(segment => typeof segment.startTime === 'number');
+
+        const importFile = (file) => {
+            if (!file) {
+                return;
+            }
+
+            if (segments.length > 0 && !window.confirm('Replace the current transcript with ' + file.name + '?')) {
+                return;
+            }
+
+            file.text().then((text) => {
+                const imported = parseTranscriptFile(file.name, text);
+
+                if (imported.length === 0) {
+                    setImportNotice({ status: 'error', message: 'No transcript lines found in ' + file.name });
+                    return;
+                }
+
+                onChange(imported);
+                setPage(0);
+                setImportNotice({ status: 'success', message: 'Imported ' + imported.length + ' lines from ' + file.name });
+            }).catch((error) => {
+                setImportNotice({ status: 'error', message: 'Could not read ' + file.name + ': ' + error.message });
+            });
+        };
+
+        const start = currentPage * perPage;
+
+        return createElement('div', { className: 'betterfeed-transcript-editor' }, [
+            createElement('div', { key: 'toolbar', className: 'betterfeed-transcript-toolbar' }, [
+                createElement(FormFileUpload, {
+                    key: 'upload',
+                    accept: '.srt,.vtt,.json,.txt,text/plain,text/vtt,application/json,application/x-subrip',
+                    variant: 'secondary',
+                    onChange: (event) => {
+                        importFile(event.target.files[0]);
+                        event.target.value = '';
+                    }
+                }, 'Import Transcript'),
+                segments.length > 0 && createElement(Button, {
+                    key: 'clear',
+                    variant: 'tertiary',
+                    isDestructive: true,
+                    onClick: () => {
+                        if (window.confirm('Remove the transcript from this episode?')) {
+                            onChange([]);
+                        }
+                    }
+                }, 'Clear')
+            ]),
+
+            importNotice && createElement(Notice, {
+                key: 'import-notice',
+                status: importNotice.status,
+                onRemove: () => setImportNotice(null)
+            }, importNotice.message),
+
+            segments.length === 0 && createElement('p', {
+                key: 'empty',
+                className: 'betterfeed-transcript-summary'
+            }, 'Import an SRT, WebVTT, JSON or text transcript.'),
+
+            segments.length > 0 && createElement('p', {
+                key: 'summary',
+                className: 'betterfeed-transcript-summary'
+            }, segments.length + ' lines. Published as ' + (isTimed ? 'JSON, WebVTT, SRT and text.' : 'text (import a timed file for captions).')),
+
+            ...segments.slice(start, start + perPage).map((segment, offset) => createElement(TranscriptSegment, {
+                key: 'segment-' + (start + offset),
+                segment: segment,
+                onChange: (updated) => onChange(segments.map((item, i) => i === start + offset ? updated : item)),
+                onRemove: () => onChange(segments.filter((item, i) => i !== start + offset))
+            })),
+
+            pageCount > 1 && createElement('div', { key: 'pagination', className: 'betterfeed-transcript-pagination' }, [
+                createElement(Button, {
+                    key: 'previous',
+                    variant: 'tertiary',
+                    disabled: currentPage === 0,
+                    onClick: () => setPage(currentPage - 1)
+                }, 'Previous'),
+                createElement('span', { key: 'position' }, (currentPage + 1) + ' / ' + pageCount),
+                createElement(Button, {
+                    key: 'next',
+                    variant: 'tertiary',
+                    disabled: currentPage >= pageCount - 1,
+                    onClick: () => setPage(currentPage + 1)
+                }, 'Next')
+            ])
+        ]);
+    }
+
+    /**
+     * Feed item preview with directory compliance checks
+     *
+     * Sends the current (possibly unsaved) episode meta to the preview
+     * endpoint, which renders the <item> and runs BF_Validator's item checks.
+     */
+    function ItemPreview({ postId, title, meta }) {
+        const [isOpen, setIsOpen] = useState(false);
+        const [isLoading, setIsLoading] = useState(false);
+        const [preview, setPreview] = useState(null);
+        const [error, setError] = useState(null);
+
+        // Only episode fields affect the item, so other meta edits do not refresh it
+        const episodeMeta = {};
+        Object.keys(meta).forEach((key) => {
+            if (key.indexOf('episode_') === 0) {
+                episodeMeta[key] = meta[key];
+            }
+        });
+        const requestKey = JSON.stringify({ title: title, meta: episodeMeta });
+
+        useEffect(() => {
+            if (!isOpen || !postId) {
+                return;
+            }
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => {
+                setIsLoading(true);
+
+                restClient.request({
+                    path: '/betterfeed/v1/episodes/' + postId + '/preview',
+                    method: 'POST',
+                    data: { title: title, meta: episodeMeta },
+                    signal: controller.signal,
+                    notify: false
+                }).then((response) => {
+                    setPreview(response);
+                    setError(null);
+                }).catch((error) => {
+                    if (!restClient.isAbortError(error)) {
+                        setError(error.message || 'Could not load the preview');
+                    }
+                }).finally(() => {
+                    if (!controller.signal.aborted) {
+                        setIsLoading(false);
+                    }
+                });
+            }, 1000);
+
+            return () => {
+                controller.abort();
+                clearTimeout(timer);
+            };
+        }, [isOpen, postId, requestKey]);
+
+        const renderMessages = (messages, status) => messages && messages.length > 0 && createElement(Notice, {
+            key: 'messages-' + status,
+            status: status,
+            isDismissible: false
+        }, createElement('ul', null, messages.map((message, index) =>
+            createElement('li', { key: index }, message)
+        )));
+
+        return createElement('div', { className: 'betterfeed-item-preview' }, [
+            createElement(Button, {
+                key: 'toggle',
+                variant: 'secondary',
+                onClick: () => setIsOpen(!isOpen)
+            }, isOpen ? 'Hide Feed Preview' : 'Preview Feed Item'),
+
+            isOpen && isLoading && createElement(Spinner, { key: 'spinner' }),
+
+            isOpen && error && createElement(Notice, {
+                key: 'error',
+                status: 'error',
+                isDismissible: false
+            }, error),
+
+            isOpen && preview && [
+                preview.valid && preview.warnings.length === 0 && createElement(Notice, {
+                    key: 'valid',
+                    status: 'success',
+                    isDismissible: false
+                }, 'This item passes the Apple Podcasts and Podcast Index checks.'),
+                renderMessages(preview.errors, 'error'),
+                renderMessages(preview.warnings, 'warning'),
+                renderMessages(preview.info, 'info'),
+                createElement('pre', {
+                    key: 'xml',
+                    className: 'betterfeed-item-xml'
+                }, preview.xml)
+            ]
+        ]);
+    }
+
+    /**
+     * Settings passed from PHP via wp_localize_script
+     *
+     * @return {Object} post_types, publish_checks and show_artwork
+     */
+    function getPanelConfig() {
+        return Object.assign({
+            post_types: ['post'],
+            publish_checks: {},
+            show_artwork: 0
+        }, window.bf_episode_panel || {});
+    }
+
+    /**
+     * Check whether a post type is configured as a podcast episode
+     *
+     * @param {string} postType Post type name
+     * @return {boolean}
+     */
+    function isEpisodePostType(postType) {
+        return getPanelConfig().post_types.indexOf(postType) !== -1;
+    }
+
+    /**
+     * Resolve the episode audio URL
+     *
+     * Older episodes store an attachment ID instead of a URL.
+     *
+     * @param {Object} meta Post meta
+     * @return {string} Audio URL, empty while an attachment is loading
+     */
+    function useEpisodeAudioUrl(meta) {
+        const audioAttachmentId = /^\d+$/.test(String(meta.episode_audio_url || '')) ? parseInt(meta.episode_audio_url, 10) : 0;
+        const audioAttachment = useSelect(select => audioAttachmentId ? select('core').getMedia(audioAttachmentId) : null, [audioAttachmentId]);
+
+        return audioAttachmentId ? (audioAttachment && audioAttachment.source_url) || '' : String(meta.episode_audio_url || '');
+    }
+
+    /**
+     * Check artwork against Apple Podcasts requirements
+     *
+     * Mirrors BF_Validator::validate_podcast_artwork().
+     *
+     * @param {Object} media Attachment from the core data store
+     * @return {Array} Problems, empty when the artwork is valid
+     */
+    function getArtworkProblems(media) {
+        const problems = [];
+        const details = media.media_details || {};
+
+        if (['image/jpeg', 'image/png'].indexOf(media.mime_type) === -1) {
+            problems.push('Artwork must be a JPEG or PNG file');
+        }
+        if (details.width !== details.height) {
+            problems.push('Artwork must be square (' + details.width + 'x' + details.height + ')');
+        }
+        if (details.width < 1400 || details.width > 3000 || details.height < 1400 || details.height > 3000) {
+            problems.push('Artwork must be between 1400x1400 and 3000x3000 pixels (' + details.width + 'x' + details.height + ')');
+        }
+
+        return problems;
+    }
+
+    /**
+     * Pre-publish check labels, in display order
+     */
+    const PUBLISH_CHECKS = {
+        audio: 'Audio file attached',
+        duration: 'Duration set',
+        length: 'File size matches the audio file',
+        artwork: 'Artwork meets Apple Podcasts requirements',
+        numbering: 'Season and episode number are unique'
+    };
+
+    /**
+     * Whether the pre-publish sidebar is open
+     *
+     * The selector moved from core/edit-post to core/editor in WordPress 6.6.
+     *
+     * @param {Function} select Registry select function
+     * @return {boolean} True while the sidebar is open
+     */
+    function isPublishSidebarOpened(select) {
+        const editor = select('core/editor');
+        if (editor.isPublishSidebarOpened) {
+            return editor.isPublishSidebarOpened();
+        }
+
+        const editPost = select('core/edit-post');
+        return !!(editPost && editPost.isPublishSidebarOpened && editPost.isPublishSidebarOpened());
+    }
+
+    /**
+     * Run the pre-publish checks for the episode being edited
+     *
+     * The file size and numbering checks need a request each, so they only
+     * run while the checks are active.
+     *
+     * @param {boolean} isActive Whether to run the checks that need a request
+     * @return {Object} levels, checks (enabled check IDs), results and blocking (failed required check IDs)
+     */
+    function useEpisodePublishChecks(isActive) {
+        const [audioInfo, setAudioInfo] = useState(null);
+        const [conflicts, setConflicts] = useState(null);
+        const levels = getPanelConfig().publish_checks;
+
+        const { postId, meta } = useSelect(select => ({
+            postId: select('core/editor').getCurrentPostId(),
+            meta: select('core/editor').getEditedPostAttribute('meta') || {}
+        }));
+        const audioUrl = useEpisodeAudioUrl(meta);
+        const artworkId = parseInt(meta.episode_artwork, 10) || getPanelConfig().show_artwork;
+        const artwork = useSelect(select => artworkId ? select('core').getMedia(artworkId) : null, [artworkId]);
+
+        useEffect(() => {
+            setAudioInfo(null);
+            if (!isActive || levels['length'] === 'off' || !/^https?:\/\//.test(audioUrl)) {
+                return;
+            }
+
+            const controller = new AbortController();
+            detectAudioInfo(audioUrl, controller.signal).then((info) => {
+                if (!controller.signal.aborted) {
+                    setAudioInfo(info);
+                }
+            }).catch(() => {});
+
+            return () => {
+                controller.abort();
+            };
+        }, [isActive, audioUrl]);
+
+        useEffect(() => {
+            setConflicts(null);
+            if (!isActive || levels.numbering === 'off' || !meta.episode_number) {
+                return;
+            }
+
+            const controller = new AbortController();
+            restClient.request({
+                path: '/betterfeed/v1/episodes/numbering-conflicts?post_id=' + postId + '&season=' + (meta.episode_season || 1) + '&number=' + meta.episode_number,
+                signal: controller.signal,
+                notify: false
+            }).then((response) => {
+                setConflicts(response.conflicts || []);
+            }).catch((error) => {
+                if (!restClient.isAbortError(error)) {
+                    setConflicts([]);
+                }
+            });
+
+            return () => {
+                controller.abort();
+            };
+        }, [isActive, postId, meta.episode_season, meta.episode_number]);
+
+        // Each result is { status: pass|fail|pending, message }
+        const results = {};
+
+        results.audio = /^https?:\/\//.test(audioUrl)
+            ? { status: 'pass', message: audioUrl.split('/').pop() }
+            : { status: 'fail', message: 'Select an audio file or enter its URL' };
+
+        results.duration = parseTimestamp(meta.episode_duration)
+            ? { status: 'pass', message: String(meta.episode_duration) }
+            : { status: 'fail', message: 'Enter the duration as HH:MM:SS' };
+
+        if (results.audio.status === 'fail') {
+            results.length = { status: 'fail', message: 'No audio file to compare against' };
+        } else if (!audioInfo) {
+            results.length = { status: 'pending', message: 'Reading audio file…' };
+        } else if (!audioInfo.length) {
+            results.length = { status: 'fail', message: 'Could not read the size of the audio file' };
+        } else if (parseInt(meta.episode_audio_length, 10) !== audioInfo.length) {
+            results.length = { status: 'fail', message: 'File is ' + audioInfo.length + ' bytes, stored length is ' + (meta.episode_audio_length || 'empty') };
+        } else {
+            results.length = { status: 'pass', message: audioInfo.length + ' bytes' };
+        }
+
+        if (!artworkId) {
+            results.artwork = { status: 'fail', message: 'No episode or show artwork set' };
+        } else if (!artwork) {
+            results.artwork = { status: 'pending', message: 'Loading artwork…' };
+        } else {
+            const problems = getArtworkProblems(artwork);
+            results.artwork = problems.length ? { status: 'fail', message: problems.join('. ') } : { status: 'pass', message: artwork.media_details.width + 'x' + artwork.media_details.height };
+        }
+
+        if (!meta.episode_number) {
+            results.numbering = { status: 'pass', message: 'No episode number set' };
+        } else if (conflicts === null) {
+            results.numbering = { status: 'pending', message: 'Checking other episodes…' };
+        } else if (conflicts.length) {
+            results.numbering = { status: 'fail', message: 'Also used by: ' + conflicts.map(conflict => conflict.title).join(', ') };
+        } else {
+            results.numbering = { status: 'pass', message: 'Season ' + (meta.episode_season || 1) + ', episode ' + meta.episode_number };
+        }
+
+        const checks = Object.keys(PUBLISH_CHECKS).filter(id => levels[id] !== 'off');
+        const blocking = checks.filter(id => levels[id] === 'block' && results[id].status !== 'pass');
+
+        return { levels, checks, results, blocking };
+    }
+
+    /**
+     * Pre-publish checklist contents
+     */
+    function EpisodeChecklist({ levels, checks, results, blocking }) {
+        return createElement('div', { className: 'betterfeed-checklist' }, [
+            blocking.length > 0 && createElement(Notice, {
+                key: 'blocked',
+                status: 'error',
+                isDismissible: false
+            }, 'Publishing is blocked until the required checks pass.'),
+
+            createElement('ul', { key: 'checks' }, checks.map((id) => {
+                const result = results[id];
+                const icon = result.status === 'pass' ? '✓' : (result.status === 'pending' ? '…' : (levels[id] === 'block' ? '✕' : '!'));
+
+                return createElement('li', {
+                    key: id,
+                    className: 'betterfeed-check is-' + result.status + (levels[id] === 'block' ? ' is-blocking' : '')
+                }, [
+                    createElement('span', { key: 'icon', className: 'betterfeed-check-icon', 'aria-hidden': true }, icon),
+                    createElement('strong', { key: 'label' }, PUBLISH_CHECKS[id]),
+                    levels[id] === 'block' && createElement('em', { key: 'required' }, ' (required)'),
+                    createElement('span', { key: 'message', className: 'betterfeed-check-message' }, result.message)
+                ]);
+            }))
+        ]);
+    }
+
+    /**
+     * Pre-publish checks and the saving lock they hold
+     *
+     * Stays mounted for the whole editor session, so collapsing the checklist
+     * panel doesn't release the lock. The lock is only held while the
+     * pre-publish sidebar is open, which keeps drafts saveable; publishing
+     * any other way is refused on the server by BF_Episode_Meta.
+     */
+    function EpisodePrePublishChecklist() {
+        const { postType, isPublishing } = useSelect(select => ({
+            postType: select('core/editor').getCurrentPostType(),
+            isPublishing: isPublishSidebarOpened(select)
+        }));
+        const isEpisode = isEpisodePostType(postType);
+        const publishChecks = useEpisodePublishChecks(isEpisode && isPublishing);
+        const shouldLock = isEpisode && isPublishing && publishChecks.blocking.length > 0;
+        const { lockPostSaving, unlockPostSaving } = useDispatch('core/editor');
+
+        useEffect(() => {
+            if (shouldLock) {
+                lockPostSaving('betterfeed-prepublish');
+            } else {
+                unlockPostSaving('betterfeed-prepublish');
+            }
+        }, [shouldLock]);
+
+        useEffect(() => () => unlockPostSaving('betterfeed-prepublish'), []);
+
+        if (!isEpisode || !PluginPrePublishPanel) {
+            return null;
+        }
+
+        return createElement(PluginPrePublishPanel, {
+            title: 'Podcast Episode Checklist',
+            className: 'betterfeed-prepublish-panel',
+            initialOpen: true
+        }, createElement(EpisodeChecklist, publishChecks));
+    }
+
+    /**
+     * Season and episode number suggestions
+     *
+     * Suggests the next free number in the season, warns about numbers used
+     * by other episodes and offers to renumber the season around this one.
+     */
+    function NumberingAssistant({ postId, season, number, onChangeSeason, onChangeNumber }) {
+        const [numbering, setNumbering] = useState(null);
+        const [isRenumbering, setIsRenumbering] = useState(false);
+        const [refreshKey, setRefreshKey] = useState(0);
+
+        useEffect(() => {
+            if (!postId) {
+                return;
+            }
+
+            const controller = new AbortController();
+            restClient.request({
+                path: '/betterfeed/v1/episodes/numbering?post_id=' + postId + '&season=' + (season || 1) + '&number=' + number,
+                signal: controller.signal,
+                notify: false
+            }).then((response) => {
+                if (response.success) {
+                    setNumbering(response);
+                }
+            }).catch((error) => {
+                if (!restClient.isAbortError(error)) {
+                    setNumbering(null);
+                }
+            });
+
+            return () => {
+                controller.abort();
+            };
+        }, [postId, season, number, refreshKey]);
+
+        if (!numbering) {
+            return null;
+        }
+
+        const changes = (numbering.renumber || []).filter(entry => !entry.current && entry.from !== entry.to);
+        const current = (numbering.renumber || []).find(entry => entry.current);
+
+        const renumber = () => {
+            setIsRenumbering(true);
+            // Failures are shown by the REST client
+            restClient.request({
+                path: '/betterfeed/v1/episodes/renumber',
+                method: 'POST',
+                data: { post_id: postId, season: season || 1, number: number }
+            }).then((response) => {
+                if (current && current.to !== number) {
+                    onChangeNumber(current.to);
+                }
+                wpData.dispatch('core/notices').createNotice(response.success ? 'success' : 'error', response.message, {
+                    type: 'snackbar'
+                });
+            }).catch(() => {}).finally(() => {
+                setIsRenumbering(false);
+                setRefreshKey(refreshKey + 1);
+            });
+        };
+
+        return createElement('div', { className: 'betterfeed-numbering' }, [
+            !season && numbering.latest_season > 1 && createElement('p', { key: 'season' }, [
+                'Latest season is ' + numbering.latest_season + '. ',
+                createElement(Button, {
+                    key: 'use-season',
+                    variant: 'link',
+                    onClick: () => onChangeSeason(numbering.latest_season)
+                }, 'Use season ' + numbering.latest_season)
+            ]),
+
+            (!number || numbering.conflicts.length > 0) && createElement('p', { key: 'next' }, [
+                'Next in season ' + numbering.season + ': ' + numbering.next_number + '. ',
+                createElement(Button, {
+                    key: 'use-next',
+                    variant: 'link',
+                    onClick: () => onChangeNumber(numbering.next_number)
+                }, 'Use ' + numbering.next_number)
+            ]),
+
+            numbering.conflicts.length > 0 && createElement(Notice, {
+                key: 'conflicts',
+                status: 'warning',
+                isDismissible: false
+            }, 'Episode ' + number + ' of season ' + numbering.season + ' is already used by: ' + numbering.conflicts.map(conflict => conflict.title).join(', ')),
+
+            number > numbering.next_number && createElement(Notice, {
+                key: 'gap',
+                status: 'warning',
+                isDismissible: false
+            }, 'This skips episode ' + (numbering.next_number === number - 1 ? numbering.next_number : numbering.next_number + '–' + (number - 1)) + '.'),
+
+            number > 0 && changes.length > 0 && createElement('div', { key: 'renumber', className: 'betterfeed-renumber' }, [
+                createElement('p', { key: 'summary' }, 'Renumbering season ' + numbering.season + ' would change:'),
+                createElement('ul', { key: 'changes' }, changes.map(entry =>
+                    createElement('li', { key: entry.id }, entry.title + ': ' + entry.from + ' → ' + entry.to)
+                ).concat(current && current.to !== number ? [
+                    createElement('li', { key: 'current' }, 'This episode: ' + number + ' → ' + current.to)
+                ] : [])),
+                createElement(Button, {
+                    key: 'apply',
+                    variant: 'secondary',
+                    isBusy: isRenumbering,
+                    disabled: isRenumbering,
+                    onClick: () => window.confirm('Renumber ' + changes.length + ' other episode(s) in season ' + numbering.season + '? Their numbers are saved immediately.') && renumber()
+                }, 'Renumber Season ' + numbering.season)
+            ])
+        ]);
+    }
+
+    /**
+     * Episode artwork picker
+     *
+     * Validates the selected image against Apple Podcasts requirements once
+     * its details load from the core data store.
+     */
+    function ArtworkControl({ artworkId, onChange }) {
+        const artwork = useSelect(select => artworkId ? select('core').getMedia(artworkId) : null, [artworkId]);
+        const problems = artwork ? getArtworkProblems(artwork) : [];
+
+        return createElement(BaseControl, {
+            label: 'Episode Artwork',
+            help: 'Square JPEG or PNG, 1400x1400 to 3000x3000 pixels. Falls back to the show artwork.'
+        }, createElement('div', { className: 'betterfeed-artwork-control' }, [
+            artwork && createElement('img', {
+                key: 'preview',
+                src: (artwork.media_details && artwork.media_details.sizes && artwork.media_details.sizes.thumbnail) ? artwork.media_details.sizes.thumbnail.source_url : artwork.source_url,
+                alt: ''
+            }),
+            artworkId > 0 && !artwork && createElement(Spinner, { key: 'loading' }),
+            createElement('div', { key: 'buttons', className: 'betterfeed-artwork-buttons' }, [
+                createElement(Button, {
+                    key: 'select',
+                    variant: 'secondary',
+                    onClick: () => openMediaLibrary('Select Episode Artwork', 'image', (attachment) => onChange(attachment.id))
+                }, artworkId ? 'Replace Artwork' : 'Select Artwork'),
+                artworkId > 0 && createElement(Button, {
+                    key: 'remove',
+                    variant: 'link',
+                    isDestructive: true,
+                    onClick: () => onChange(0)
+                }, 'Remove')
+            ]),
+            problems.length > 0 && createElement(Notice, {
+                key: 'problems',
+                status: 'error',
+                isDismissible: false
+            }, createElement('ul', null, problems.map((problem, index) =>
+                createElement('li', { key: index }, problem)
+            )))
+        ]));
+    }
+
+    /**
+     * Generate a random v4 UUID for episode GUIDs
+     *
+     * @return {string} UUID
+     */
+    function generateGuid() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (character) => {
+            const random = Math.random() * 16 | 0;
+            return (character === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    /**
+     * Read-only episode GUID with regenerate and reset actions
+     *
+     * Podcast apps identify episodes by GUID, so changing it on a published
+     * episode makes it show up (and download) again as a new episode.
+     */
+    function GuidControl({ guid, postGuid, isPublished, onChange }) {
+        const confirmChange = () => !isPublished || window.confirm('This episode is already published. Changing its GUID makes podcast apps treat it as a new episode and download it again. Continue?');
+
+        return createElement(BaseControl, {
+            label: 'Episode GUID',
+            help: guid ? 'Custom GUID used in feeds' : 'Using the WordPress post GUID'
+        }, [
+            createElement('code', { key: 'value', className: 'betterfeed-guid' }, guid || postGuid || '(assigned on save)'),
+            isPublished && createElement(Notice, {
+                key: 'warning',
+                status: 'warning',
+                isDismissible: false
+            }, 'Changing the GUID of a published episode makes podcast apps treat it as a new episode.'),
+            createElement('div', { key: 'buttons', className: 'betterfeed-artwork-buttons' }, [
+                createElement(Button, {
+                    key: 'regenerate',
+                    variant: 'secondary',
+                    onClick: () => confirmChange() && onChange(generateGuid())
+                }, 'Regenerate'),
+                guid && createElement(Button, {
+                    key: 'reset',
+                    variant: 'link',
+                    onClick: () => confirmChange() && onChange('')
+                }, 'Use Post GUID')
+            ])
+        ]);
+    }
 
     /**
      * Episode Settings Panel Component
@@ -32,19 +1514,90 @@
     function EpisodeSettingsPanel() {
         const [isValidating, setIsValidating] = useState(false);
         const [validationErrors, setValidationErrors] = useState({});
+        const [audioInfo, setAudioInfo] = useState(null);
+        const [isDetectingAudio, setIsDetectingAudio] = useState(false);
+
+        // Set when the audio URL is typed, so the next detection fills in the fields
+        const autofillAudio = useRef(false);
 
         // Get post data
-        const { postType, postId, meta } = useSelect(select => ({
+        const { postType, postId, postTitle, postGuid, isPublished, meta } = useSelect(select => ({
             postType: select('core/editor').getCurrentPostType(),
             postId: select('core/editor').getCurrentPostId(),
+            postTitle: select('core/editor').getEditedPostAttribute('title'),
+            postGuid: select('core/editor').getCurrentPostAttribute('guid'),
+            isPublished: select('core/editor').isCurrentPostPublished(),
             meta: select('core/editor').getEditedPostAttribute('meta') || {}
         }));
 
+        const audioUrl = useEpisodeAudioUrl(meta);
+
         // Get dispatch functions
         const { editPost } = useDispatch('core/editor');
 
-        // Only show for posts (episodes)
-        if (postType !== 'post') {
+        // Update several meta keys at once, merging with the latest edits
+        const updateMetaValues = (values) => {
+            const currentMeta = wpData.select('core/editor').getEditedPostAttribute('meta') || {};
+            editPost({ meta: { ...currentMeta, ...values } });
+        };
+
+        // Write detected audio info into the enclosure fields
+        const applyAudioInfo = (info) => {
+            const values = {};
+
+            if (info.url) {
+                values.episode_audio_url = info.url;
+            }
+            if (info.length) {
+                values.episode_audio_length = info.length;
+            }
+            if (info.type) {
+                values.episode_audio_type = info.type;
+            }
+            if (info.duration) {
+                values.episode_duration = formatTimestamp(Math.round(info.duration));
+            }
+
+            updateMetaValues(values);
+        };
+
+        // Detect audio info whenever the audio URL changes
+        useEffect(() => {
+            if (!/^https?:\/\//.test(audioUrl)) {
+                setAudioInfo(null);
+                return;
+            }
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => {
+                setIsDetectingAudio(true);
+
+                detectAudioInfo(audioUrl, controller.signal).then((info) => {
+                    // The duration probe can finish after the URL changed
+                    if (controller.signal.aborted) {
+                        return;
+                    }
+
+                    setAudioInfo(info);
+                    if (autofillAudio.current) {
+                        autofillAudio.current = false;
+                        applyAudioInfo(info);
+                    }
+                }).catch(() => {}).finally(() => {
+                    if (!controller.signal.aborted) {
+                        setIsDetectingAudio(false);
+                    }
+                });
+            }, 800);
+
+            return () => {
+                controller.abort();
+                clearTimeout(timer);
+            };
+        }, [audioUrl]);
+
+        // Only show for episode post types (Settings > BetterFeed > Podcast)
+        if (!isEpisodePostType(postType)) {
             return null;
         }
 
@@ -75,26 +1628,28 @@
 
         // Media upload handler
         const handleMediaUpload = (field, allowedTypes) => {
-            const mediaUploader = wp.media({
-                title: 'Select Audio File',
-                button: {
-                    text: 'Use this file'
-                },
-                library: {
-                    type: allowedTypes
-                },
-                multiple: false
-            });
+            openMediaLibrary('Select Audio File', allowedTypes, (attachment) => {
+                const info = getAttachmentAudioInfo(attachment);
 
-            mediaUploader.on('select', function() {
-                const attachment = mediaUploader.state().get('selection').first().toJSON();
-                updateMeta(field, attachment.id);
-                validateField(field, attachment.id);
-            });
+                autofillAudio.current = false;
+                setAudioInfo(info);
+                applyAudioInfo(info);
+                validateField(field, info.url);
 
-            mediaUploader.open();
+                // Attachments without ID3 data have no length; read it from the file
+                if (!info.duration) {
+                    probeAudioDuration(info.url).then((duration) => {
+                        if (duration) {
+                            setAudioInfo({ ...info, duration: duration });
+                            applyAudioInfo({ duration: duration });
+                        }
+                    });
+                }
+            });
         };
 
+        const audioMismatches = audioInfo && !isDetectingAudio ? getAudioMismatches(meta, audioInfo) : [];
+
         return createElement(PluginDocumentSettingPanel, {
             name: "betterfeed-episode-settings",
             title: "Podcast Episode Settings",
@@ -152,18 +1707,42 @@
                 label: "Audio URL",
                 value: meta.episode_audio_url || '',
                 onChange: (value) => {
+                    autofillAudio.current = true;
                     updateMeta('episode_audio_url', value);
                     validateField('episode_audio_url', value);
                 },
                 help: validationErrors.episode_audio_url || 'Direct URL to audio file'
             }),
 
+            isDetectingAudio && createElement('p', {
+                key: 'audio-detecting',
+                className: 'betterfeed-audio-detecting'
+            }, [
+                createElement(Spinner, { key: 'spinner' }),
+                'Reading audio file…'
+            ]),
+
+            audioMismatches.length > 0 && createElement(Notice, {
+                key: 'audio-mismatch',
+                status: 'warning',
+                isDismissible: false,
+                actions: [{
+                    label: 'Update from file',
+                    onClick: () => applyAudioInfo(audioInfo)
+                }]
+            }, [
+                createElement('p', { key: 'intro' }, 'The stored enclosure values do not match the audio file. Podcast directories may reject the episode.'),
+                createElement('ul', { key: 'list' }, audioMismatches.map((mismatch, index) =>
+                    createElement('li', { key: index }, mismatch)
+                ))
+            ]),
+
             createElement(TextControl, {
                 key: 'duration',
                 label: "Duration (HH:MM:SS)",
                 value: meta.episode_duration || '',
                 onChange: (value) => updateMeta('episode_duration', value),
-                help: "Episode duration in HH:MM:SS format"
+                help: "Episode duration in HH:MM:SS format (detected automatically)"
             }),
 
             createElement(TextControl, {
@@ -171,7 +1750,16 @@
                 label: "File Size (bytes)",
                 value: meta.episode_audio_length || '',
                 onChange: (value) => updateMeta('episode_audio_length', value),
-                help: "Audio file size in bytes"
+                help: "Audio file size in bytes (detected automatically)"
+            }),
+
+            createElement(SelectControl, {
+                key: 'audio-type',
+                label: "Audio Type",
+                value: normalizeAudioType(meta.episode_audio_type) || 'audio/mpeg',
+                options: AUDIO_TYPES,
+                onChange: (value) => updateMeta('episode_audio_type', value),
+                help: "MIME type used in the enclosure (detected automatically)"
             }),
 
             // Episode Details
@@ -194,39 +1782,120 @@
             createElement(TextControl, {
                 key: 'season',
                 label: "Season Number",
+                type: 'number',
+                min: 1,
                 value: meta.episode_season || '',
-                onChange: (value) => updateMeta('episode_season', value),
+                onChange: (value) => updateMeta('episode_season', value === '' ? null : parseInt(value, 10)),
                 help: "Season number (optional)"
             }),
 
             createElement(TextControl, {
                 key: 'episode-num',
                 label: "Episode Number",
+                type: 'number',
+                min: 1,
                 value: meta.episode_number || '',
-                onChange: (value) => updateMeta('episode_number', value),
+                onChange: (value) => updateMeta('episode_number', value === '' ? null : parseInt(value, 10)),
                 help: "Episode number within the season"
             }),
 
+            createElement(NumberingAssistant, {
+                key: 'numbering',
+                postId: postId,
+                season: parseInt(meta.episode_season, 10) || 0,
+                number: parseInt(meta.episode_number, 10) || 0,
+                onChangeSeason: (value) => updateMeta('episode_season', value),
+                onChangeNumber: (value) => updateMeta('episode_number', value)
+            }),
+
+            createElement(ArtworkControl, {
+                key: 'artwork',
+                artworkId: parseInt(meta.episode_artwork, 10) || 0,
+                onChange: (value) => updateMeta('episode_artwork', value)
+            }),
+
+            createElement(ToggleControl, {
+                key: 'explicit',
+                label: "Explicit Content",
+                checked: ['true', 'yes'].indexOf(meta.episode_explicit) !== -1,
+                onChange: (value) => updateMeta('episode_explicit', value ? 'true' : 'false'),
+                help: "Marks the episode as explicit in Apple Podcasts and other directories"
+            }),
+
+            createElement(FormTokenField, {
+                key: 'keywords',
+                label: "Keywords",
+                value: String(meta.episode_keywords || '').split(',').map(keyword => keyword.trim()).filter(Boolean),
+                onChange: (tokens) => updateMeta('episode_keywords', tokens.map(token => String(token.value || token).replace(/,/g, ' ').trim()).filter(Boolean).join(',')),
+                __experimentalShowHowTo: false
+            }),
+
+            // People
+            createElement(BaseControl, { key: 'persons-header' },
+                createElement('h3', null, 'People')
+            ),
+
+            createElement(PersonsEditor, {
+                key: 'persons-editor',
+                persons: Array.isArray(meta.episode_persons) ? meta.episode_persons : [],
+                onChange: (value) => updateMeta('episode_persons', value)
+            }),
+
+            // Soundbites
+            createElement(BaseControl, { key: 'soundbites-header' },
+                createElement('h3', null, 'Soundbites')
+            ),
+
+            createElement(SoundbitesEditor, {
+                key: 'soundbites-editor',
+                soundbites: Array.isArray(meta.episode_soundbites) ? meta.episode_soundbites : [],
+                duration: parseTimestamp(meta.episode_duration),
+                onChange: (value) => updateMeta('episode_soundbites', value)
+            }),
+
+            // Chapters
+            createElement(BaseControl, { key: 'chapters-header' },
+                createElement('h3', null, 'Chapters')
+            ),
+
+            createElement(ChapterEditor, {
+                key: 'chapter-editor',
+                chapters: Array.isArray(meta.episode_chapters) ? meta.episode_chapters : [],
+                duration: parseTimestamp(meta.episode_duration),
+                onChange: (value) => updateMeta('episode_chapters', value)
+            }),
+
             createElement(TextControl, {
                 key: 'chapters',
-                label: "Chapters URL",
+                label: "External Chapters URL",
                 value: meta.episode_chapters_url || '',
                 onChange: (value) => {
                     updateMeta('episode_chapters_url', value);
                     validateField('episode_chapters_url', value);
                 },
-                help: validationErrors.episode_chapters_url || 'URL to chapters JSON file'
+                help: validationErrors.episode_chapters_url || 'Optional. Overrides the chapters above with a hosted JSON file'
+            }),
+
+            // Transcript
+            createElement(BaseControl, { key: 'transcript-header' },
+                createElement('h3', null, 'Transcript')
+            ),
+
+            createElement(TranscriptEditor, {
+                key: 'transcript-editor',
+                segments: Array.isArray(meta.episode_transcript) ? meta.episode_transcript : [],
+                onChange: (value) => updateMeta('episode_transcript', value)
             }),
 
             createElement(TextControl, {
                 key: 'transcript',
-                label: "Transcript URL",
+                label: "External Transcript URL",
                 value: meta.episode_transcript_url || '',
                 onChange: (value) => {
                     updateMeta('episode_transcript_url', value);
                     validateField('episode_transcript_url', value);
                 },
-                help: validationErrors.episode_transcript_url || 'URL to transcript file'
+                help: validationErrors.episode_transcript_url || 'Optional. A hosted transcript advertised alongside the formats above'
             }),
 
             createElement(ToggleControl, {
@@ -237,6 +1906,26 @@
                 help: "Prevent this episode from appearing in podcast directories"
             }),
 
+            createElement(GuidControl, {
+                key: 'guid',
+                guid: meta.episode_guid || '',
+                postGuid: postGuid && (postGuid.raw || postGuid.rendered || postGuid),
+                isPublished: isPublished,
+                onChange: (value) => updateMeta('episode_guid', value)
+            }),
+
+            // Feed Preview
+            createElement(BaseControl, { key: 'preview-header' },
+                createElement('h3', null, 'Feed Preview')
+            ),
+
+            createElement(ItemPreview, {
+                key: 'item-preview',
+                postId: postId,
+                title: postTitle,
+                meta: meta
+            }),
+
             // Validation Summary
             Object.keys(validationErrors).length > 0 && createElement(Notice, {
                 key: 'validation-notice',
@@ -253,6 +1942,11 @@
                 render: EpisodeSettingsPanel,
                 icon: 'microphone'
             });
+
+            registerPlugin('betterfeed-episode-checklist', {
+                render: EpisodePrePublishChecklist,
+                icon: 'microphone'
+            });
         }
     });
 
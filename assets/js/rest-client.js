@@ -0,0 +1,393 @@
+/**
+ * BetterFeed REST Client
+ *
+ * Shared REST API layer for the settings screens and the block editor panel.
+ * It keeps the REST nonce fresh, retries idempotent requests that fail for
+ * temporary reasons, times requests out, turns WordPress error responses
+ * into readable messages and shows each failure once.
+ *
+ * @package BetterFeed
+ * @since   1.0.4
+ */
+
+(function(window, config) {
+    'use strict';
+
+    /**
+     * Methods that are safe to send again after a failure
+     */
+    const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+    /**
+     * HTTP statuses worth retrying
+     */
+    const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+    /**
+     * Identical notices within this many milliseconds are only shown once
+     */
+    const NOTICE_DEDUPE_MS = 5000;
+
+    let nonce = config.nonce;
+    let nonceRequest = null;
+    let noticeHandler = null;
+    const recentNotices = new Map();
+
+    /**
+     * Error from a failed request.
+     *
+     * @since 1.0.4
+     */
+    class RestClientError extends Error {
+        /**
+         * @param {string} message        - Message from the server, or a description of the failure
+         * @param {Object} details        - Error details
+         * @param {string} details.code   - WP_Error code, or timeout, aborted, network or invalid_json
+         * @param {number} details.status - HTTP status, 0 if no response was received
+         * @param {Object} details.fields - Messages for individual request parameters, keyed by parameter
+         * @param {*}      details.data   - Response body
+         */
+        constructor(message, details = {}) {
+            super(message);
+            this.name = details.code === 'aborted' ? 'AbortError' : 'RestClientError';
+            this.code = details.code || 'error';
+            this.status = details.status || 0;
+            this.fields = details.fields || {};
+            this.data = details.data;
+            this.notified = false;
+        }
+    }
+
+    /**
+     * Build the URL for a request.
+     *
+     * @param {Object} options - Request options
+     *
+     * @return {string} URL
+     */
+    function buildUrl(options) {
+        if (options.url) {
+            return options.url;
+        }
+
+        let path = String(options.path || '').replace(/^\//, '');
+
+        // Plain permalinks put the route in a query argument already
+        if (config.root.indexOf('?') !== -1) {
+            path = path.replace('?', '&');
+        }
+
+        return config.root + path;
+    }
+
+    /**
+     * Collect the per-parameter messages from a WP_Error response.
+     *
+     * @param {Object} body - Response body
+     *
+     * @return {Object} Messages keyed by parameter
+     */
+    function getFieldMessages(body) {
+        const fields = {};
+        const errors = [body].concat(Array.isArray(body.additional_errors) ? body.additional_errors : []);
+
+        errors.forEach(error => {
+            const data = error && error.data ? error.data : {};
+
+            Object.keys(data.params || {}).forEach(param => {
+                fields[param] = String(data.params[param]);
+            });
+
+            // details has the reason behind each invalid parameter where WordPress knows it
+            Object.keys(data.details || {}).forEach(param => {
+                if (data.details[param] && data.details[param].message) {
+                    fields[param] = data.details[param].message;
+                }
+            });
+        });
+
+        return fields;
+    }
+
+    /**
+     * Turn an error response into an error.
+     *
+     * Handles both WP_Error envelopes ({ code, message, data }) and the
+     * plugin's own { success: false, message } responses.
+     *
+     * @param {Response} response - Fetch response
+     * @param {*}        body     - Parsed response body, or null if it wasn't JSON
+     *
+     * @return {RestClientError} Error
+     */
+    function createResponseError(response, body) {
+        if (!body || typeof body !== 'object') {
+            return new RestClientError(`HTTP error! status: ${response.status} ${response.statusText}`, {
+                code: 'http_error',
+                status: response.status
+            });
+        }
+
+        return new RestClientError(body.message || `HTTP error! status: ${response.status} ${response.statusText}`, {
+            code: body.code || 'http_error',
+            status: response.status,
+            fields: getFieldMessages(body),
+            data: body
+        });
+    }
+
+    /**
+     * Fetch a fresh REST nonce.
+     *
+     * Concurrent requests that all hit an expired nonce share one refresh.
+     *
+     * @return {Promise<string>} Promise resolving to the new nonce
+     */
+    function refreshNonce() {
+        if (!nonceRequest) {
+            nonceRequest = fetch(config.nonce_endpoint, { credentials: 'same-origin' })
+                .then(response => response.ok ? response.text() : '')
+                .then(text => {
+                    // admin-ajax.php answers 0 when the user is logged out
+                    if (!text || text.trim() === '0') {
+                        throw new RestClientError('Your session has expired. Please log in again and reload the page.', {
+                            code: 'rest_cookie_invalid_nonce',
+                            status: 403
+                        });
+                    }
+
+                    nonce = text.trim();
+                    return nonce;
+                })
+                .finally(() => {
+                    nonceRequest = null;
+                });
+        }
+
+        return nonceRequest;
+    }
+
+    /**
+     * Wait before the next attempt.
+     *
+     * Backs off exponentially with some jitter, and stops waiting as soon as
+     * the caller cancels.
+     *
+     * @param {number}      attempt - Attempt that just failed, starting at 0
+     * @param {AbortSignal} signal  - Caller's signal, if any
+     *
+     * @return {Promise} Promise resolving when it is time to retry
+     */
+    function backoff(attempt, signal) {
+        const delay = 500 * Math.pow(2, attempt) + Math.random() * 250;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, delay);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new RestClientError('The request was cancelled.', { code: 'aborted' }));
+                }, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Send a request once, timing it out if it takes too long.
+     *
+     * @param {string} url     - URL
+     * @param {Object} options - Normalized request options
+     *
+     * @return {Promise<Object>} Promise resolving to the parsed body, or rejecting with a RestClientError
+     */
+    function send(url, options) {
+        const controller = new AbortController();
+        let timedOut = false;
+        let timer = null;
+
+        if (options.timeout > 0) {
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, options.timeout);
+        }
+
+        const onAbort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) {
+                controller.abort();
+            }
+            options.signal.addEventListener('abort', onAbort);
+        }
+
+        const headers = Object.assign({ 'X-WP-Nonce': nonce }, options.headers);
+        if (options.data !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        return fetch(url, {
+            method: options.method,
+            credentials: 'same-origin',
+            headers: headers,
+            body: options.data !== undefined ? JSON.stringify(options.data) : undefined,
+            signal: controller.signal
+        })
+        .catch(error => {
+            if (timedOut) {
+                throw new RestClientError('The request timed out. Please try again.', { code: 'timeout' });
+            }
+
+            if (error.name === 'AbortError') {
+                throw new RestClientError('The request was cancelled.', { code: 'aborted' });
+            }
+
+            throw new RestClientError('Could not reach the server. Check your connection and try again.', { code: 'network' });
+        })
+        .then(response => {
+            // WordPress sends a fresh nonce with every cookie-authenticated response
+            if (response.headers.get('X-WP-Nonce')) {
+                nonce = response.headers.get('X-WP-Nonce');
+            }
+
+            return response.json()
+                .catch(() => null)
+                .then(body => {
+                    if (!response.ok) {
+                        throw createResponseError(response, body);
+                    }
+
+                    if (!body || typeof body !== 'object') {
+                        throw new RestClientError('Invalid response format from server', {
+                            code: 'invalid_json',
+                            status: response.status
+                        });
+                    }
+
+                    return body;
+                });
+        })
+        .finally(() => {
+            clearTimeout(timer);
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+        });
+    }
+
+    /**
+     * Show a failed request's message, unless it was shown moments ago.
+     *
+     * @param {RestClientError} error - Error
+     */
+    function notify(error) {
+        const messages = Object.values(error.fields).filter(message => message !== error.message);
+        const message = messages.length ? error.message + ' ' + messages.join(' ') : error.message;
+        const now = Date.now();
+
+        error.notified = true;
+
+        if (!noticeHandler || now - (recentNotices.get(message) || 0) < NOTICE_DEDUPE_MS) {
+            return;
+        }
+
+        recentNotices.set(message, now);
+        noticeHandler(message, error);
+    }
+
+    /**
+     * Send a REST API request.
+     *
+     * Requests rejected because the nonce expired are sent again once with a
+     * fresh nonce. Idempotent requests that time out, can't reach the server
+     * or get a 408, 429 or 5xx response are retried with backoff.
+     *
+     * @since 1.0.4
+     *
+     * @param {Object}      options         - Request options
+     * @param {string}      options.path    - Route relative to the REST root, e.g. 'betterfeed/v1/presets'
+     * @param {string}      options.url     - Full URL to call instead of path
+     * @param {string}      options.method  - HTTP method (default: 'GET')
+     * @param {Object}      options.data    - Request body, sent as JSON
+     * @param {Object}      options.headers - Additional headers
+     * @param {AbortSignal} options.signal  - Signal to cancel the request
+     * @param {number}      options.timeout - Milliseconds before each attempt times out, 0 for none (default: 30000)
+     * @param {number}      options.retries - Retries for idempotent requests (default: 2)
+     * @param {boolean}     options.notify  - Whether to show a notice on failure (default: true)
+     *
+     * @return {Promise<Object>} Promise resolving to the response body, or rejecting with a RestClientError
+     *
+     * @example
+     * const controller = new AbortController();
+     * bfRestClient.request({ path: 'betterfeed/v1/presets', signal: controller.signal })
+     *   .then(data => console.log(data.presets));
+     * controller.abort();
+     */
+    function request(options) {
+        const method = (options.method || 'GET').toUpperCase();
+        const normalized = Object.assign({ timeout: 30000, retries: 2, notify: true }, options, { method: method });
+        const retries = IDEMPOTENT_METHODS.indexOf(method) !== -1 ? normalized.retries : 0;
+        const url = buildUrl(normalized);
+
+        const attempt = (number, nonceRefreshed) => send(url, normalized).catch(error => {
+            if (error.code === 'rest_cookie_invalid_nonce' && !nonceRefreshed) {
+                // The request was rejected before it ran, so it is safe to send again
+                return refreshNonce().then(() => attempt(number, true));
+            }
+
+            const temporary = ['timeout', 'network'].indexOf(error.code) !== -1 || RETRY_STATUSES.indexOf(error.status) !== -1;
+            if (temporary && number < retries && !(normalized.signal && normalized.signal.aborted)) {
+                return backoff(number, normalized.signal).then(() => attempt(number + 1, nonceRefreshed));
+            }
+
+            throw error;
+        });
+
+        return attempt(0, false).catch(error => {
+            if (!(error instanceof RestClientError)) {
+                error = new RestClientError(error.message || 'Unknown error');
+            }
+
+            if (error.code !== 'aborted') {
+                console.error('BetterFeed API Error:', error);
+
+                if (normalized.notify) {
+                    notify(error);
+                }
+            }
+
+            throw error;
+        });
+    }
+
+    /**
+     * Set how failed requests are reported to the user.
+     *
+     * @since 1.0.4
+     *
+     * @param {Function} handler - Called with the message and the RestClientError
+     */
+    function setNoticeHandler(handler) {
+        noticeHandler = handler;
+    }
+
+    /**
+     * Whether an error came from cancelling a request.
+     *
+     * @since 1.0.4
+     *
+     * @param {Error} error - Error
+     *
+     * @return {boolean} True if the request was cancelled
+     */
+    function isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    window.bfRestClient = {
+        request: request,
+        setNoticeHandler: setNoticeHandler,
+        isAbortError: isAbortError,
+        RestClientError: RestClientError
+    };
+})(window, window.bf_rest_client || {});
@@ -91,8 +91,10 @@ final class BetterFeed {
         require_once BF_PLUGIN_DIR . 'includes/class-bf-validator.php';
         require_once BF_PLUGIN_DIR . 'includes/class-bf-content-enhancer.php';
         require_once BF_PLUGIN_DIR . 'includes/class-bf-import-export.php';
+        require_once BF_PLUGIN_DIR . 'includes/class-bf-settings-history.php';
         require_once BF_PLUGIN_DIR . 'includes/class-bf-scheduler.php';
 require_once BF_PLUGIN_DIR . 'includes/class-bf-episode-meta.php';
+require_once BF_PLUGIN_DIR . 'includes/class-bf-transcripts.php';
 require_once BF_PLUGIN_DIR . 'includes/class-bf-podcast-rss.php';
 require_once BF_PLUGIN_DIR . 'includes/class-bf-json-feed.php';
 require_once BF_PLUGIN_DIR . 'includes/class-bf-custom-feeds.php';
@@ -138,12 +140,18 @@ require_once BF_PLUGIN_DIR . 'includes/class-bf-optimizer-suggestions.php';
         // Import/Export
         BF_Import_Export::instance();
         
+        // Settings history
+        BF_Settings_History::instance();
+        
         // Feed scheduling and optimization
         BF_Scheduler::instance();
         
         // Episode meta fields
         BF_Episode_Meta::instance();
         
+        // Episode transcripts
+        BF_Transcripts::instance();
+        
         // Podcast RSS feed emission
         BF_Podcast_RSS::instance();
         
@@ -113,6 +113,9 @@ class BF_Admin {
         // Dashboard widget
         add_action('wp_dashboard_setup', array($this, 'add_dashboard_widget'));
         
+        // Streamed analytics export downloads
+        add_action('admin_post_bf_download_analytics', array($this, 'download_analytics_export'));
+        
         // REST API endpoints registered in register_rest_routes() - no AJAX!
     }
     
@@ -284,6 +287,13 @@ class BF_Admin {
             'bf_analytics',
             'bf_analytics_section'
         );
+        add_settings_field(
+            'scheduled_export',
+            esc_html__('Scheduled Export', 'betterfeed'),
+            array($this, 'scheduled_export_callback'),
+            'bf_analytics',
+            'bf_analytics_section'
+        );
         
         add_settings_section(
             'bf_tools_cache_section',
@@ -409,6 +419,22 @@ class BF_Admin {
             'bf_podcast_show',
             'bf_podcast_show_section'
         );
+        
+        add_settings_field(
+            'podcast_publish_checks',
+            esc_html__('Pre-publish Checks', 'betterfeed'),
+            array($this, 'podcast_publish_checks_callback'),
+            'bf_podcast_show',
+            'bf_podcast_show_section'
+        );
+        
+        add_settings_field(
+            'podcast_episode_post_types',
+            esc_html__('Episode Post Types', 'betterfeed'),
+            array($this, 'podcast_episode_post_types_callback'),
+            'bf_podcast_show',
+            'bf_podcast_show_section'
+        );
     }
     
     /**
@@ -416,6 +442,22 @@ class BF_Admin {
      */
     public function enqueue_admin_assets($hook_suffix) {
         
+        // Shared REST client for the settings page and the editor panel
+        wp_register_script(
+            'bf-rest-client',
+            BF_PLUGIN_URL . 'assets/js/rest-client.js',
+            array(),
+            BF_VERSION,
+            false
+        );
+        
+        // The nonce endpoint is core's, used to renew an expired REST nonce
+        wp_localize_script('bf-rest-client', 'bf_rest_client', array(
+            'root' => esc_url_raw(rest_url()),
+            'nonce' => wp_create_nonce('wp_rest'),
+            'nonce_endpoint' => admin_url('admin-ajax.php?action=rest-nonce')
+        ));
+        
         // Load settings page assets
         if ('settings_page_bf-settings' === $hook_suffix) {
             wp_enqueue_style(
@@ -428,19 +470,12 @@ class BF_Admin {
             wp_enqueue_script(
                 'bf-admin',
                 BF_PLUGIN_URL . 'assets/js/admin.js?v=' . time() . '&cb=' . wp_rand(),
-                array(),
+                array('bf-rest-client'),
                 BF_VERSION,
                 false
             );
             
-            // Localize script with nonce (REST API only, no AJAX)
-            wp_localize_script('bf-admin', 'bf_admin', array(
-                'nonce' => wp_create_nonce('bf_admin_nonce')
-            ));
-            
             wp_localize_script('bf-admin', 'bf_config', array(
-                'rest_api_url' => rest_url('betterfeed/v1/'),
-                'nonce' => wp_create_nonce('wp_rest'),
                 'timestamp' => time(), // Force cache refresh
                 'strings' => array(
                     'cache_cleared' => esc_html__('Cache cleared successfully!', 'betterfeed'),
@@ -457,11 +492,19 @@ class BF_Admin {
                 wp_enqueue_script(
                     'bf-editor-episode-panel',
                     BF_PLUGIN_URL . 'assets/js/editor/episode-panel.js',
-                    array('wp-plugins', 'wp-editor', 'wp-element', 'wp-components', 'wp-data', 'wp-media-utils'),
+                    array('wp-plugins', 'wp-editor', 'wp-element', 'wp-components', 'wp-data', 'wp-media-utils', 'wp-notices', 'bf-rest-client'),
                     BF_VERSION,
                     true
                 );
                 
+                $show_settings = get_option('bf_podcast_show', array());
+                
+                wp_localize_script('bf-editor-episode-panel', 'bf_episode_panel', array(
+                    'post_types' => BF_Episode_Meta::get_episode_post_types(),
+                    'publish_checks' => BF_Episode_Meta::get_publish_check_levels(),
+                    'show_artwork' => absint($show_settings['artwork'] ?? 0)
+                ));
+                
                 wp_enqueue_style(
                     'bf-editor-episode-panel',
                     BF_PLUGIN_URL . 'assets/css/editor.css',
@@ -497,6 +540,34 @@ class BF_Admin {
             'permission_callback' => array($this, 'check_admin_permissions'),
         ));
         
+        // Analytics summary route
+        register_rest_route('betterfeed/v1', '/analytics-summary', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_analytics_summary'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Analytics feed readers route
+        register_rest_route('betterfeed/v1', '/analytics-readers', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_analytics_readers'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Analytics geography route
+        register_rest_route('betterfeed/v1', '/analytics-geography', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_analytics_geography'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Live feed traffic route, polled by the Dashboard tab
+        register_rest_route('betterfeed/v1', '/analytics-live', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_live_analytics'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
         // Apply preset route
         register_rest_route('betterfeed/v1', '/apply-preset', array(
             'methods' => 'POST',
@@ -504,6 +575,41 @@ class BF_Admin {
             'permission_callback' => array($this, 'check_admin_permissions'),
         ));
         
+        // Presets list route
+        register_rest_route('betterfeed/v1', '/presets', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_presets'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Preview preset route
+        register_rest_route('betterfeed/v1', '/preview-preset', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_preview_preset'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Undo preset route
+        register_rest_route('betterfeed/v1', '/undo-preset', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_undo_preset'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Save custom preset route
+        register_rest_route('betterfeed/v1', '/save-preset', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_save_preset'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Delete custom preset route
+        register_rest_route('betterfeed/v1', '/delete-preset', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_delete_preset'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
         // Export settings route
         register_rest_route('betterfeed/v1', '/export-settings', array(
             'methods' => 'GET',
@@ -511,6 +617,41 @@ class BF_Admin {
             'permission_callback' => array($this, 'check_admin_permissions'),
         ));
         
+        // Preview settings import route
+        register_rest_route('betterfeed/v1', '/preview-settings-import', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_preview_settings_import'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Import settings route
+        register_rest_route('betterfeed/v1', '/import-settings', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_import_settings'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Settings history route
+        register_rest_route('betterfeed/v1', '/settings-history', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_settings_history'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Settings version diff route
+        register_rest_route('betterfeed/v1', '/settings-history-diff', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_diff_settings_version'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Settings version restore route
+        register_rest_route('betterfeed/v1', '/restore-settings-version', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_restore_settings_version'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
         // Run performance test route
         register_rest_route('betterfeed/v1', '/run-performance-test', array(
             'methods' => 'POST',
@@ -525,6 +666,13 @@ class BF_Admin {
             'permission_callback' => array($this, 'check_admin_permissions'),
         ));
         
+        // Apply several suggestions route
+        register_rest_route('betterfeed/v1', '/apply-suggestions', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_apply_suggestions'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
         // Apply suggestion route
         register_rest_route('betterfeed/v1', '/apply-suggestion', array(
             'methods' => 'POST',
@@ -546,6 +694,20 @@ class BF_Admin {
             'permission_callback' => array($this, 'check_admin_permissions'),
         ));
         
+        // Update redirect route
+        register_rest_route('betterfeed/v1', '/update-redirect', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_update_redirect'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Test URL against redirects route
+        register_rest_route('betterfeed/v1', '/test-redirect', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_test_redirect'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
         // Flush rewrite rules route
         register_rest_route('betterfeed/v1', '/flush-rewrite-rules', array(
             'methods' => 'POST',
@@ -553,6 +715,27 @@ class BF_Admin {
             'permission_callback' => array($this, 'check_admin_permissions'),
         ));
         
+        // Get custom feed route
+        register_rest_route('betterfeed/v1', '/get-custom-feed', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_custom_feed'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Update custom feed route
+        register_rest_route('betterfeed/v1', '/update-custom-feed', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_update_custom_feed'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Preview unsaved custom feed route
+        register_rest_route('betterfeed/v1', '/preview-custom-feed', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_preview_custom_feed'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
         // Delete custom feed route
         register_rest_route('betterfeed/v1', '/delete-custom-feed', array(
             'methods' => 'POST',
@@ -566,6 +749,55 @@ class BF_Admin {
             'callback' => array($this, 'rest_delete_redirect'),
             'permission_callback' => array($this, 'check_admin_permissions'),
         ));
+        
+        // Custom feeds list route
+        register_rest_route('betterfeed/v1', '/custom-feeds', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_custom_feeds'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Redirects list route
+        register_rest_route('betterfeed/v1', '/redirects', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_redirects'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Optimization suggestions list route
+        register_rest_route('betterfeed/v1', '/suggestions', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_suggestions'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Run optimization scan route
+        register_rest_route('betterfeed/v1', '/run-optimization-scan', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_run_optimization_scan'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Dismiss or snooze suggestion route
+        register_rest_route('betterfeed/v1', '/dismiss-suggestion', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_dismiss_suggestion'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Restore dismissed suggestion route
+        register_rest_route('betterfeed/v1', '/restore-suggestion', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_restore_suggestion'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
+        
+        // Dismissed and applied suggestion history route
+        register_rest_route('betterfeed/v1', '/suggestion-history', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_suggestion_history'),
+            'permission_callback' => array($this, 'check_admin_permissions'),
+        ));
     }
     
     /**
@@ -622,47 +854,22 @@ class BF_Admin {
      */
     public function rest_export_analytics($request) {
         try {
-            $format = $request->get_param('format') ?: 'csv';
-            $days = $request->get_param('days') ?: 30;
-            
-            // Validate parameters
-            if (!in_array($format, array('csv', 'json'))) {
-                return new WP_REST_Response(array(
-                    'success' => false,
-                    'message' => 'Invalid format. Must be csv or json.'
-                ), 400);
-            }
-            
-            $days = intval($days);
-            if ($days < 1 || $days > 365) {
-                return new WP_REST_Response(array(
-                    'success' => false,
-                    'message' => 'Days must be between 1 and 365.'
-                ), 400);
+            $export = $this->get_analytics_export_options($request);
+            if ($export instanceof WP_REST_Response) {
+                return $export;
             }
             
             // Get analytics data using the analytics class
             $analytics_class = BF_Analytics::instance();
-            $data = $analytics_class->export_analytics($days, $format);
-            
-            if (empty($data)) {
-                return new WP_REST_Response(array(
-                    'success' => true,
-                    'data' => $format === 'csv' ? 'feed_url,user_agent,ip_address,referer,accessed_at' : '[]',
-                    'filename' => 'analytics-empty-' . gmdate('Y-m-d') . '.' . $format,
-                    'message' => 'No analytics data found for the specified period.'
-                ), 200);
-            }
-            
-            // Generate filename
-            $filename = 'betterfeed-analytics-' . gmdate('Y-m-d') . '-' . $days . 'days.' . $format;
+            $data = $analytics_class->export_analytics($export['days'], $export['format'], $export['args']);
             
             return new WP_REST_Response(array(
                 'success' => true,
                 'data' => $data,
-                'filename' => $filename,
-                'format' => $format,
-                'days' => $days,
+                'filename' => $export['filename'],
+                'format' => $export['format'],
+                'content_type' => BF_Analytics::EXPORT_FORMATS[$export['format']],
+                'days' => $export['days'],
                 'message' => 'Analytics exported successfully!'
             ), 200);
             
@@ -675,695 +882,1594 @@ class BF_Admin {
     }
     
     /**
-     * REST endpoint: Apply preset
+     * Stream an analytics export as a file download
+     * 
+     * Takes the same parameters as the export-analytics REST endpoint but writes
+     * rows straight to the response, so large exports never sit in memory.
      */
-    public function rest_apply_preset($request) {
+    public function download_analytics_export() {
+        check_admin_referer('bf_download_analytics');
+        
+        if (!current_user_can('manage_options')) {
+            wp_die(esc_html__('You do not have permission to export analytics.', 'betterfeed'), 403);
+        }
+        
+        $request = new WP_REST_Request('GET');
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Each parameter is sanitized in get_analytics_export_options()
+        $request->set_query_params(wp_unslash($_GET));
+        
+        $export = $this->get_analytics_export_options($request);
+        if ($export instanceof WP_REST_Response) {
+            wp_die(esc_html($export->get_data()['message']), 400);
+        }
+        
+        // Send rows as they are written instead of buffering the whole file
+        while (ob_get_level()) {
+            ob_end_clean();
+        }
+        
+        nocache_headers();
+        header('Content-Type: ' . BF_Analytics::EXPORT_FORMATS[$export['format']] . '; charset=utf-8');
+        header('Content-Disposition: attachment; filename="' . $export['filename'] . '"');
+        
+        // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Response body stream
+        $output = fopen('php://output', 'w');
+        BF_Analytics::instance()->write_export($output, $export['days'], $export['format'], $export['args']);
+        // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose -- Response body stream
+        fclose($output);
+        exit;
+    }
+    
+    /**
+     * Read analytics export options from a request
+     * 
+     * @param WP_REST_Request $request Request
+     * @return array|WP_REST_Response Format, filename, days and BF_Analytics export args, or an error response
+     */
+    private function get_analytics_export_options($request) {
+        $format = sanitize_key($request->get_param('format') ?: 'csv');
+        
+        if (!isset(BF_Analytics::EXPORT_FORMATS[$format])) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Invalid format. Must be csv, json or ndjson.'
+            ), 400);
+        }
+        
+        $export = $this->get_analytics_period($request);
+        if ($export instanceof WP_REST_Response) {
+            return $export;
+        }
+        
+        // Columns come as an array from forms or a comma separated list from URLs
+        $columns = $request->get_param('columns');
+        $export['args']['columns'] = array_map('sanitize_key', is_string($columns) ? explode(',', $columns) : (array) $columns);
+        
+        $export['format'] = $format;
+        $export['filename'] = 'betterfeed-analytics-' . $export['args']['end_date'] . '-' . $export['days'] . 'days.' . $format;
+        
+        return $export;
+    }
+    
+    /**
+     * REST endpoint: Analytics summary for a period
+     */
+    public function rest_get_analytics_summary($request) {
         try {
-            // Get preset from JSON body or URL parameter
-            $preset_name = $request->get_param('preset');
-            
-            // If not found in URL params, try JSON body
-            if (empty($preset_name)) {
-                $json_params = $request->get_json_params();
-                if (isset($json_params['preset'])) {
-                    $preset_name = sanitize_text_field($json_params['preset']);
-                }
-            }
-            
-            if (empty($preset_name)) {
-                return new WP_REST_Response(array(
-                    'success' => false,
-                    'message' => 'No preset specified'
-                ), 400);
+            $period = $this->get_analytics_period($request);
+            if ($period instanceof WP_REST_Response) {
+                return $period;
             }
             
-            $import_export = BF_Import_Export::instance();
-            $result = $import_export->apply_preset($preset_name);
+            $analytics = BF_Analytics::instance();
             
-            return new WP_REST_Response($result, $result['success'] ? 200 : 500);
+            return new WP_REST_Response(array(
+                'success' => true,
+                'from' => $period['from'],
+                'to' => $period['args']['end_date'],
+                'summary' => $analytics->get_analytics_summary($period['days'], $period['args']),
+                'feeds' => $analytics->get_tracked_feeds($period['days'], $period['args'])
+            ), 200);
         } catch (Exception $e) {
             return new WP_REST_Response(array(
                 'success' => false,
-                'message' => 'Error applying preset: ' . $e->getMessage()
+                'message' => 'Failed to load analytics: ' . $e->getMessage()
             ), 500);
         }
     }
     
     /**
-     * REST endpoint: Export settings
+     * REST endpoint: Feed readers for a period
      */
-    public function rest_export_settings($request) {
+    public function rest_get_analytics_readers($request) {
         try {
-            // Collect all BetterFeed settings
-            $settings = array(
-                'general' => get_option('bf_general_options', array()),
-                'performance' => get_option('bf_performance_options', array()),
-                'content' => get_option('bf_content_options', array()),
-                'analytics' => get_option('bf_analytics_options', array()),
-                'tools' => get_option('bf_tools_options', array())
-            );
-            
-            // Add metadata
-            $export_data = array(
-                'plugin' => 'BetterFeed',
-                'version' => BF_VERSION,
-                'exported_at' => gmdate('Y-m-d H:i:s'),
-                'site_url' => get_site_url(),
-                'settings' => $settings
-            );
-            
-            // Convert to JSON
-            $json_data = wp_json_encode($export_data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
-            
-            if ($json_data === false) {
-                throw new Exception('Failed to encode settings to JSON');
+            $period = $this->get_analytics_period($request);
+            if ($period instanceof WP_REST_Response) {
+                return $period;
             }
             
-            // Generate filename
-            $filename = 'betterfeed-settings-' . gmdate('Y-m-d-H-i-s') . '.json';
+            $readers = array();
+            foreach (BF_Analytics::instance()->get_feed_reader_analysis($period['days'], $period['args']) as $reader => $count) {
+                $readers[] = array('reader' => $reader, 'count' => $count);
+            }
             
             return new WP_REST_Response(array(
                 'success' => true,
-                'data' => $json_data,
-                'filename' => $filename,
-                'message' => 'Settings exported successfully!'
+                'readers' => array_slice($readers, 0, $period['args']['limit'])
             ), 200);
-            
         } catch (Exception $e) {
             return new WP_REST_Response(array(
                 'success' => false,
-                'message' => 'Failed to export settings: ' . $e->getMessage()
+                'message' => 'Failed to load feed readers: ' . $e->getMessage()
             ), 500);
         }
     }
     
     /**
-     * Add plugin action links
+     * REST endpoint: Geographic distribution for a period
      */
-    public function add_plugin_action_links($links) {
-        $settings_link = '<a href="' . esc_url(admin_url('options-general.php?page=bf-settings')) . '">' . esc_html__('Settings', 'betterfeed') . '</a>';
-        array_unshift($links, $settings_link);
-        return $links;
+    public function rest_get_analytics_geography($request) {
+        try {
+            $period = $this->get_analytics_period($request);
+            if ($period instanceof WP_REST_Response) {
+                return $period;
+            }
+            
+            $stats = BF_Analytics::instance()->get_geographic_stats($period['days'], $period['args']);
+            $countries = array();
+            
+            foreach ($stats['country_distribution'] as $country => $count) {
+                $countries[] = array('country' => $country, 'count' => $count);
+            }
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'countries' => array_slice($countries, 0, $period['args']['limit'])
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to load geographic stats: ' . $e->getMessage()
+            ), 500);
+        }
     }
     
     /**
-     * Add dashboard widget
+     * REST endpoint: Live feed traffic for the last hour
      */
-    public function add_dashboard_widget() {
-        if (!get_option('bf_enable_analytics', true)) {
-            return;
-        }
-        
-        wp_add_dashboard_widget(
-            'bf_dashboard_widget',
-            __('BetterFeed Analytics', 'betterfeed'),
-            array($this, 'render_dashboard_widget')
-        );
-    }
-    
-    /**
-     * Render dashboard widget
-     */
-    public function render_dashboard_widget() {
-        // Widget content here
-        ?>
-        <div class="bf-dashboard-widget">
-            <p><?php esc_html_e('BetterFeed analytics dashboard coming soon.', 'betterfeed'); ?></p>
-        </div>
-        <?php
+    public function rest_get_live_analytics($request) {
+        try {
+            return new WP_REST_Response(array(
+                'success' => true,
+                'live' => BF_Analytics::instance()->get_live_traffic()
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to load live traffic: ' . $e->getMessage()
+            ), 500);
+        }
     }
     
     /**
-     * Render main settings page using WordPress core design standards
+     * Read the analytics period from a request
+     * 
+     * Takes a from/to range (Y-m-d, inclusive) or a number of days ending
+     * today, plus optional feed and limit parameters.
+     * 
+     * @param WP_REST_Request $request Request
+     * @return array|WP_REST_Response Days, from date and BF_Analytics period args, or an error response
      */
-    public function render_settings_page() {
-        // Check user capabilities
-        if (!current_user_can('manage_options')) {
-            wp_die(esc_html__('You do not have sufficient permissions to access this page.', 'betterfeed'));
-        }
+    private function get_analytics_period($request) {
+        $to = sanitize_text_field($request->get_param('to') ?: gmdate('Y-m-d'));
+        $days = intval($request->get_param('days') ?: 30);
+        $from = sanitize_text_field($request->get_param('from') ?: gmdate('Y-m-d', strtotime($to . ' -' . ($days - 1) . ' days')));
         
-        // Get active tab from URL parameter
-        $active_tab = $this->get_current_tab();
+        if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $from) || !preg_match('/^\d{4}-\d{2}-\d{2}$/', $to)) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Dates must be in YYYY-MM-DD format.'
+            ), 400);
+        }
         
-        // Validate tab
-        $valid_tabs = array('general', 'performance', 'content', 'tools', 'analytics', 'podcast', 'feeds', 'redirects', 'dashboard');
-        if (!in_array($active_tab, $valid_tabs)) {
-            $active_tab = 'general';
+        $days = intval(round((strtotime($to) - strtotime($from)) / DAY_IN_SECONDS)) + 1;
+        if ($days < 1 || $days > 365) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Date range must be between 1 and 365 days.'
+            ), 400);
         }
-        ?>
         
-        <div class="wrap">
-            <h1><?php echo esc_html(get_admin_page_title()); ?></h1>
+        return array(
+            'days' => $days,
+            'from' => $from,
+            'args' => array(
+                'end_date' => $to,
+                'feed_url' => esc_url_raw((string) $request->get_param('feed')),
+                'limit' => min(100, max(1, intval($request->get_param('limit') ?: 10)))
+            )
+        );
+    }
+    
+    /**
+     * REST endpoint: Apply preset
+     */
+    public function rest_apply_preset($request) {
+        try {
+            // Get preset from JSON body or URL parameter
+            $preset_name = $request->get_param('preset');
             
-            <p><?php esc_html_e('Enhance your WordPress feeds with modern features, performance optimizations, and SEO improvements. Build upon the solid foundation WordPress already provides.', 'betterfeed'); ?></p>
+            // If not found in URL params, try JSON body
+            if (empty($preset_name)) {
+                $json_params = $request->get_json_params();
+                if (isset($json_params['preset'])) {
+                    $preset_name = sanitize_text_field($json_params['preset']);
+                }
+            }
             
-            <!-- Tab Navigation - WordPress 5.2+ Standard -->
-            <nav class="nav-tab-wrapper wp-clearfix" aria-label="<?php esc_attr_e('Settings navigation', 'betterfeed'); ?>">
-                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'general'), admin_url('options-general.php'))); ?>" 
-                   class="nav-tab <?php echo esc_attr($active_tab === 'general' ? 'nav-tab-active' : ''); ?>">
-                    <?php esc_html_e('General', 'betterfeed'); ?>
-                </a>
-                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'performance'), admin_url('options-general.php'))); ?>" 
-                   class="nav-tab <?php echo esc_attr($active_tab === 'performance' ? 'nav-tab-active' : ''); ?>">
-                    <?php esc_html_e('Performance', 'betterfeed'); ?>
-                </a>
-                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'content'), admin_url('options-general.php'))); ?>" 
-                   class="nav-tab <?php echo esc_attr($active_tab === 'content' ? 'nav-tab-active' : ''); ?>">
-                    <?php esc_html_e('Content', 'betterfeed'); ?>
-                </a>
-                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'tools'), admin_url('options-general.php'))); ?>" 
-                   class="nav-tab <?php echo esc_attr($active_tab === 'tools' ? 'nav-tab-active' : ''); ?>">
-                    <?php esc_html_e('Tools', 'betterfeed'); ?>
-                </a>
-                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'analytics'), admin_url('options-general.php'))); ?>" 
-                   class="nav-tab <?php echo esc_attr($active_tab === 'analytics' ? 'nav-tab-active' : ''); ?>">
-                    <?php esc_html_e('Analytics', 'betterfeed'); ?>
-                </a>
-                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'podcast'), admin_url('options-general.php'))); ?>" 
-                   class="nav-tab <?php echo esc_attr($active_tab === 'podcast' ? 'nav-tab-active' : ''); ?>">
-                    <?php esc_html_e('Podcast', 'betterfeed'); ?>
-                </a>
-                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'feeds'), admin_url('options-general.php'))); ?>" 
-                   class="nav-tab <?php echo esc_attr($active_tab === 'feeds' ? 'nav-tab-active' : ''); ?>">
-                    <?php esc_html_e('Custom Feeds', 'betterfeed'); ?>
-                </a>
-                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'redirects'), admin_url('options-general.php'))); ?>" 
-                   class="nav-tab <?php echo esc_attr($active_tab === 'redirects' ? 'nav-tab-active' : ''); ?>">
-                    <?php esc_html_e('Feed Redirects', 'betterfeed'); ?>
-                </a>
-                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'dashboard'), admin_url('options-general.php'))); ?>" 
-                   class="nav-tab <?php echo esc_attr($active_tab === 'dashboard' ? 'nav-tab-active' : ''); ?>">
-                    <?php esc_html_e('Dashboard', 'betterfeed'); ?>
-                </a>
-            </nav>
+            if (empty($preset_name)) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'No preset specified'
+                ), 400);
+            }
             
-            <!-- Tab Content -->
-            <?php $this->render_tab_content($active_tab); ?>
-        </div>
-        <?php
+            $import_export = BF_Import_Export::instance();
+            $result = $import_export->apply_preset($preset_name);
+            
+            return new WP_REST_Response($result, $result['success'] ? 200 : 500);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Error applying preset: ' . $e->getMessage()
+            ), 500);
+        }
     }
     
     /**
-     * Render tab content
+     * REST endpoint: List presets
      */
-    private function render_tab_content($active_tab) {
-                switch ($active_tab) {
-                    case 'performance':
-                        $this->render_performance_tab();
-                        break;
-                    case 'content':
-                        $this->render_content_tab();
-                        break;
-                    case 'tools':
-                        $this->render_tools_tab();
-                        break;
-                    case 'analytics':
-                        $this->render_analytics_tab();
-                        break;
-                    case 'podcast':
-                        $this->render_podcast_tab();
-                        break;
-                    case 'feeds':
-                        $this->render_custom_feeds_tab();
-                        break;
-                    case 'redirects':
-                        $this->render_feed_redirects_tab();
-                        break;
-                    case 'dashboard':
-                        $this->render_dashboard_tab();
-                        break;
-                    default:
-                        $this->render_general_tab();
-                        break;
+    public function rest_get_presets($request) {
+        try {
+            return new WP_REST_Response(array(
+                'success' => true,
+                'presets' => $this->get_preset_list_items(),
+                'undo' => BF_Import_Export::instance()->get_preset_undo()
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to load presets: ' . $e->getMessage()
+            ), 500);
         }
     }
     
     /**
-     * Render General tab
+     * REST endpoint: Preview preset
      */
-    private function render_general_tab() {
-        ?>
-        <form method="post" action="options.php">
-            <?php settings_fields('bf-settings'); ?>
-            <?php do_settings_sections('bf_general'); ?>
-            <?php submit_button(); ?>
-        </form>
-        <?php
+    public function rest_preview_preset($request) {
+        try {
+            $preset_name = sanitize_text_field($request->get_param('preset'));
+            
+            if (empty($preset_name)) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'No preset specified'
+                ), 400);
+            }
+            
+            $result = BF_Import_Export::instance()->preview_preset($preset_name);
+            
+            return new WP_REST_Response($result, $result['success'] ? 200 : 404);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Error previewing preset: ' . $e->getMessage()
+            ), 500);
+        }
     }
     
     /**
-     * Render Performance tab
+     * REST endpoint: Undo the last applied preset
      */
-    private function render_performance_tab() {
-        ?>
-        <form method="post" action="options.php">
-            <?php settings_fields('bf-settings'); ?>
-            <?php do_settings_sections('bf_performance'); ?>
-            <?php submit_button(); ?>
-        </form>
-        <?php
+    public function rest_undo_preset($request) {
+        try {
+            $result = BF_Import_Export::instance()->undo_preset();
+            
+            return new WP_REST_Response($result, $result['success'] ? 200 : 400);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Error undoing preset: ' . $e->getMessage()
+            ), 500);
+        }
     }
     
     /**
-     * Render Content tab
+     * REST endpoint: Save the current configuration as a preset
      */
-    private function render_content_tab() {
-        ?>
-        <form method="post" action="options.php">
-            <?php settings_fields('bf-settings'); ?>
-            <?php do_settings_sections('bf_content'); ?>
-            <?php submit_button(); ?>
-        </form>
-        <?php
+    public function rest_save_preset($request) {
+        try {
+            $json_params = $request->get_json_params();
+            
+            $result = BF_Import_Export::instance()->save_custom_preset(
+                isset($json_params['name']) ? (string) $json_params['name'] : '',
+                isset($json_params['description']) ? (string) $json_params['description'] : ''
+            );
+            
+            if ($result['success']) {
+                $result['presets'] = $this->get_preset_list_items();
+            }
+            
+            return new WP_REST_Response($result, $result['success'] ? 200 : 400);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Error saving preset: ' . $e->getMessage()
+            ), 500);
+        }
     }
     
     /**
-     * Render Tools tab - following same pattern as Performance tab
+     * REST endpoint: Delete a custom preset
      */
-    private function render_tools_tab() {
-        ?>
-        <form method="post" action="options.php">
-            <?php settings_fields('bf-settings'); ?>
-            <?php do_settings_sections('bf_tools'); ?>
+    public function rest_delete_preset($request) {
+        try {
+            $json_params = $request->get_json_params();
+            $preset_name = isset($json_params['preset']) ? sanitize_text_field($json_params['preset']) : '';
             
-            <table class="form-table">
-                <tr>
-                <th scope="row"><?php esc_html_e('Export Settings', 'betterfeed'); ?></th>
-                <td>
-                    <button type="button" class="button button-secondary" id="bf-export-settings">
-                        <?php esc_html_e('Export Settings', 'betterfeed'); ?>
-                    </button>
-                    <p class="description"><?php esc_html_e('Download a JSON file containing all your BetterFeed settings.', 'betterfeed'); ?></p>
-                    </td>
-                </tr>
-            </table>
+            $result = BF_Import_Export::instance()->delete_custom_preset($preset_name);
             
-            <?php submit_button(); ?>
-        </form>
-        <?php
+            if ($result['success']) {
+                $result['presets'] = $this->get_preset_list_items();
+            }
+            
+            return new WP_REST_Response($result, $result['success'] ? 200 : 404);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Error deleting preset: ' . $e->getMessage()
+            ), 500);
+        }
     }
     
     /**
-     * Render Analytics tab - following same pattern as Performance tab
+     * Get presets formatted for the preset dropdown
+     * 
+     * @return array Presets with ID, name, description and whether they are custom
      */
-    private function render_analytics_tab() {
-        ?>
-        <form method="post" action="options.php">
-            <?php settings_fields('bf-settings'); ?>
-            <?php do_settings_sections('bf_analytics'); ?>
-            
-            <?php 
-            $options = get_option('bf_analytics_options');
-            if (isset($options['enable_analytics']) && $options['enable_analytics']): ?>
-            <table class="form-table">
-                <tr>
-                    <th scope="row"><?php esc_html_e('Analytics Dashboard', 'betterfeed'); ?></th>
-                    <td>
-                        <div class="bf-stats-grid">
-                        <?php
-        $analytics = BF_Analytics::instance();
-        $summary = $analytics->get_analytics_summary(30);
-        $performance = $analytics->get_performance_metrics(7);
-        ?>
-                            <div class="bf-stat-card">
-                                <h5><?php esc_html_e('Total Requests', 'betterfeed'); ?></h5>
-                                <span class="bf-stat-number"><?php echo esc_html(number_format($summary['total_requests'])); ?></span>
-                    </div>
-                    
-                            <div class="bf-stat-card">
-                                <h5><?php esc_html_e('Unique Visitors', 'betterfeed'); ?></h5>
-                                <span class="bf-stat-number"><?php echo esc_html(number_format($summary['unique_visitors'])); ?></span>
-            </div>
-                    
-                            <div class="bf-stat-card">
-                                <h5><?php esc_html_e('Cache Hit Rate', 'betterfeed'); ?></h5>
-                                <span class="bf-stat-number"><?php echo esc_html($performance['cache_hit_rate'] ?? 0); ?>%</span>
-                    </div>
-                    
-                            <div class="bf-stat-card">
-                                <h5><?php esc_html_e('Active Readers', 'betterfeed'); ?></h5>
-                                <span class="bf-stat-number"><?php echo esc_html($performance['realtime_readers'] ?? 0); ?></span>
-                    </div>
-                </div>
-                
-                        <div class="bf-analytics-actions">
-                            <?php if (class_exists('BF_Analytics')): ?>
-                            <button type="button" id="bf-export-analytics" class="button button-secondary">
-                        <?php esc_html_e('Export Analytics (CSV)', 'betterfeed'); ?>
-                    </button>
-            <?php endif; ?>
-        </div>
-                    </td>
-                </tr>
-            </table>
-            <?php endif; ?>
-            
-            <?php submit_button(); ?>
-        </form>
-        <?php
+    private function get_preset_list_items() {
+        $items = array();
+        
+        foreach (BF_Import_Export::instance()->get_presets() as $preset_id => $preset) {
+            $items[] = array(
+                'id' => $preset_id,
+                'name' => $preset['name'],
+                'description' => $preset['description'],
+                'custom' => !empty($preset['custom'])
+            );
+        }
+        
+        return $items;
     }
     
     /**
-     * Render Podcast tab
+     * REST endpoint: Export settings
      */
-    private function render_podcast_tab() {
-        ?>
-        <form method="post" action="options.php">
-            <?php settings_fields('bf-settings'); ?>
-            <div class="tab-content">
-                <h2><?php esc_html_e('Podcast Settings', 'betterfeed'); ?></h2>
-                <p><?php esc_html_e('Configure podcast RSS feed settings for Apple Podcasts, Spotify, and other platforms.', 'betterfeed'); ?></p>
-                
-                <?php do_settings_sections('bf_podcast_integrations'); ?>
-                <?php do_settings_sections('bf_podcast_show'); ?>
-                
-                <?php submit_button(); ?>
-            </div>
-        </form>
-        <?php
+    public function rest_export_settings($request) {
+        try {
+            // Collect all BetterFeed settings
+            $settings = array();
+            foreach (BF_Import_Export::SETTINGS_SECTIONS as $section => $option_name) {
+                $settings[$section] = get_option($option_name, array());
+            }
+            
+            // Add metadata
+            $export_data = array(
+                'plugin' => 'BetterFeed',
+                'version' => BF_VERSION,
+                'exported_at' => gmdate('Y-m-d H:i:s'),
+                'site_url' => get_site_url(),
+                'settings' => $settings
+            );
+            
+            // Convert to JSON
+            $json_data = wp_json_encode($export_data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
+            
+            if ($json_data === false) {
+                throw new Exception('Failed to encode settings to JSON');
+            }
+            
+            // Generate filename
+            $filename = 'betterfeed-settings-' . gmdate('Y-m-d-H-i-s') . '.json';
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'data' => $json_data,
+                'filename' => $filename,
+                'message' => 'Settings exported successfully!'
+            ), 200);
+            
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to export settings: ' . $e->getMessage()
+            ), 500);
+        }
     }
     
     /**
-     * Check if BetterFeed functionality is enabled
+     * REST endpoint: Preview settings import
      */
-    private function is_betterfeed_enabled() {
-        $general_options = get_option('bf_general_options', array());
-        return !empty($general_options['enable_betterfeed']);
-    }
-    
-    // Settings API callback functions
-    public function general_section_callback() {
-        echo '<p>' . esc_html__('Configure basic BetterFeed settings.', 'betterfeed') . '</p>';
-    }
-    
-    public function performance_section_callback() {
-        echo '<p>' . esc_html__('Configure caching and performance optimization settings.', 'betterfeed') . '</p>';
-    }
-    
-    public function content_section_callback() {
-        echo '<p>' . esc_html__('Configure how content appears in your feeds.', 'betterfeed') . '</p>';
+    public function rest_preview_settings_import($request) {
+        try {
+            $json_params = $request->get_json_params();
+            
+            if (empty($json_params['settings']) || !is_string($json_params['settings'])) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'No settings file provided'
+                ), 400);
+            }
+            
+            $result = BF_Import_Export::instance()->preview_import($json_params['settings']);
+            
+            return new WP_REST_Response($result, $result['success'] ? 200 : 400);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to read settings file: ' . $e->getMessage()
+            ), 500);
+        }
     }
     
-    public function analytics_section_callback() {
-        echo '<p>' . esc_html__('Configure feed analytics and tracking settings.', 'betterfeed') . '</p>';
+    /**
+     * REST endpoint: Import settings
+     */
+    public function rest_import_settings($request) {
+        try {
+            $json_params = $request->get_json_params();
+            
+            if (empty($json_params['settings']) || !is_string($json_params['settings'])) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'No settings file provided'
+                ), 400);
+            }
+            
+            // Only the settings ticked in the preview are applied
+            $keys = isset($json_params['keys']) && is_array($json_params['keys'])
+                ? array_map('sanitize_text_field', $json_params['keys'])
+                : array();
+            
+            $result = BF_Import_Export::instance()->import_settings($json_params['settings'], $keys);
+            
+            return new WP_REST_Response($result, $result['success'] ? 200 : 400);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to import settings: ' . $e->getMessage()
+            ), 500);
+        }
     }
     
-    public function tools_cache_section_callback() {
-        echo '<p>' . esc_html__('Tools and utilities for managing BetterFeed.', 'betterfeed') . '</p>';
+    /**
+     * REST endpoint: Settings history timeline
+     */
+    public function rest_get_settings_history($request) {
+        try {
+            $history = BF_Settings_History::instance();
+            $versions = array();
+            
+            foreach ($history->get_versions() as $version) {
+                $versions[] = array(
+                    'id' => $version['id'],
+                    'time' => $version['time'],
+                    'user' => $this->get_user_display_name($version['user_id']),
+                    'source' => $version['source'],
+                    'source_label' => $history->get_source_label($version['source']),
+                    'detail' => $version['detail'],
+                    'keys' => $history->get_changed_keys($version)
+                );
+            }
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'versions' => $versions
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to load settings history: ' . $e->getMessage()
+            ), 500);
+        }
     }
     
-    public function podcast_integrations_section_callback() {
-        echo '<p>' . esc_html__('Enable support for different podcast platforms and directories.', 'betterfeed') . '</p>';
+    /**
+     * REST endpoint: Diff a settings version against the current settings
+     */
+    public function rest_diff_settings_version($request) {
+        try {
+            $version_id = absint($request->get_param('version'));
+            $diff = BF_Settings_History::instance()->diff_with_current($version_id);
+            
+            if ($diff === null) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'That version is no longer in the history'
+                ), 404);
+            }
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'version' => $version_id,
+                'changes' => array_values($diff)
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to compare settings: ' . $e->getMessage()
+            ), 500);
+        }
     }
     
-    public function podcast_show_section_callback() {
-        echo '<p>' . esc_html__('Configure your podcast show information and metadata.', 'betterfeed') . '</p>';
+    /**
+     * REST endpoint: Restore a settings version, fully or per setting
+     */
+    public function rest_restore_settings_version($request) {
+        try {
+            $json_params = $request->get_json_params();
+            $version_id = isset($json_params['version']) ? absint($json_params['version']) : 0;
+            
+            // Without keys every setting that differs is restored
+            $keys = isset($json_params['keys']) && is_array($json_params['keys'])
+                ? array_map('sanitize_text_field', $json_params['keys'])
+                : null;
+            
+            $result = BF_Settings_History::instance()->restore_version($version_id, $keys);
+            
+            return new WP_REST_Response($result, $result['success'] ? 200 : 400);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to restore settings: ' . $e->getMessage()
+            ), 500);
+        }
     }
     
-    // Field callbacks
-    public function enable_betterfeed_callback() {
-        $options = get_option('bf_general_options');
-        $value = isset($options['enable_betterfeed']) ? $options['enable_betterfeed'] : true;
-        ?>
-        <label for="enable_betterfeed">
-            <input type="checkbox" 
-                   id="enable_betterfeed" 
-                   name="bf_general_options[enable_betterfeed]" 
-                   value="1" 
-                   <?php checked(1, $value); ?>>
-            <?php esc_html_e('Enable BetterFeed functionality', 'betterfeed'); ?>
-        </label>
-            <?php
+    /**
+     * Add plugin action links
+     */
+    public function add_plugin_action_links($links) {
+        $settings_link = '<a href="' . esc_url(admin_url('options-general.php?page=bf-settings')) . '">' . esc_html__('Settings', 'betterfeed') . '</a>';
+        array_unshift($links, $settings_link);
+        return $links;
     }
     
-    public function enable_caching_callback() {
-        $options = get_option('bf_performance_options');
-        $value = isset($options['enable_caching']) ? $options['enable_caching'] : true;
-        ?>
-        <label for="enable_caching">
-            <input type="checkbox" 
-                   id="enable_caching" 
-                   name="bf_performance_options[enable_caching]" 
-                   value="1" 
-                   <?php checked(1, $value); ?>>
-            <?php esc_html_e('Cache feed output for better performance', 'betterfeed'); ?>
-        </label>
-        <?php
+    /**
+     * Add dashboard widget
+     */
+    public function add_dashboard_widget() {
+        if (!get_option('bf_enable_analytics', true)) {
+            return;
+        }
+        
+        wp_add_dashboard_widget(
+            'bf_dashboard_widget',
+            __('BetterFeed Analytics', 'betterfeed'),
+            array($this, 'render_dashboard_widget')
+        );
     }
     
-    public function cache_duration_callback() {
-        $options = get_option('bf_performance_options');
-        $value = isset($options['cache_duration']) ? $options['cache_duration'] : 3600;
+    /**
+     * Render dashboard widget
+     */
+    public function render_dashboard_widget() {
+        // Widget content here
         ?>
-        <input type="number" 
-               id="cache_duration" 
-               name="bf_performance_options[cache_duration]" 
-               value="<?php echo esc_attr($value); ?>" 
-               class="small-text" 
-               min="60" 
-               max="86400">
-        <p class="description"><?php esc_html_e('How long to cache feed output (60-86400 seconds)', 'betterfeed'); ?></p>
+        <div class="bf-dashboard-widget">
+            <p><?php esc_html_e('BetterFeed analytics dashboard coming soon.', 'betterfeed'); ?></p>
+        </div>
         <?php
     }
     
-    public function enable_gzip_callback() {
-        $options = get_option('bf_performance_options');
-        $value = isset($options['enable_gzip']) ? $options['enable_gzip'] : true;
-        ?>
-        <label for="enable_gzip">
-            <input type="checkbox" 
-                   id="enable_gzip" 
-                   name="bf_performance_options[enable_gzip]" 
-                   value="1" 
-                   <?php checked(1, $value); ?>>
-            <?php esc_html_e('Enable GZIP compression for feeds', 'betterfeed'); ?>
-        </label>
-        <?php
-    }
-    
-    public function enable_etag_callback() {
-        $options = get_option('bf_performance_options');
-        $value = isset($options['enable_etag']) ? $options['enable_etag'] : true;
+    /**
+     * Render main settings page using WordPress core design standards
+     */
+    public function render_settings_page() {
+        // Check user capabilities
+        if (!current_user_can('manage_options')) {
+            wp_die(esc_html__('You do not have sufficient permissions to access this page.', 'betterfeed'));
+        }
+        
+        // Get active tab from URL parameter
+        $active_tab = $this->get_current_tab();
+        
+        // Validate tab
+        $valid_tabs = array('general', 'performance', 'content', 'tools', 'analytics', 'podcast', 'episodes', 'feeds', 'redirects', 'dashboard');
+        if (!in_array($active_tab, $valid_tabs)) {
+            $active_tab = 'general';
+        }
         ?>
-        <label for="enable_etag">
-            <input type="checkbox" 
-                   id="enable_etag" 
-                   name="bf_performance_options[enable_etag]" 
-                   value="1" 
-                   <?php checked(1, $value); ?>>
-            <?php esc_html_e('Add ETag headers for better caching', 'betterfeed'); ?>
-        </label>
+        
+        <div class="wrap">
+            <h1><?php echo esc_html(get_admin_page_title()); ?></h1>
+            
+            <p><?php esc_html_e('Enhance your WordPress feeds with modern features, performance optimizations, and SEO improvements. Build upon the solid foundation WordPress already provides.', 'betterfeed'); ?></p>
+            
+            <!-- Tab Navigation - WordPress 5.2+ Standard -->
+            <nav class="nav-tab-wrapper wp-clearfix" aria-label="<?php esc_attr_e('Settings navigation', 'betterfeed'); ?>">
+                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'general'), admin_url('options-general.php'))); ?>" 
+                   class="nav-tab <?php echo esc_attr($active_tab === 'general' ? 'nav-tab-active' : ''); ?>">
+                    <?php esc_html_e('General', 'betterfeed'); ?>
+                </a>
+                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'performance'), admin_url('options-general.php'))); ?>" 
+                   class="nav-tab <?php echo esc_attr($active_tab === 'performance' ? 'nav-tab-active' : ''); ?>">
+                    <?php esc_html_e('Performance', 'betterfeed'); ?>
+                </a>
+                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'content'), admin_url('options-general.php'))); ?>" 
+                   class="nav-tab <?php echo esc_attr($active_tab === 'content' ? 'nav-tab-active' : ''); ?>">
+                    <?php esc_html_e('Content', 'betterfeed'); ?>
+                </a>
+                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'tools'), admin_url('options-general.php'))); ?>" 
+                   class="nav-tab <?php echo esc_attr($active_tab === 'tools' ? 'nav-tab-active' : ''); ?>">
+                    <?php esc_html_e('Tools', 'betterfeed'); ?>
+                </a>
+                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'analytics'), admin_url('options-general.php'))); ?>" 
+                   class="nav-tab <?php echo esc_attr($active_tab === 'analytics' ? 'nav-tab-active' : ''); ?>">
+                    <?php esc_html_e('Analytics', 'betterfeed'); ?>
+                </a>
+                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'podcast'), admin_url('options-general.php'))); ?>" 
+                   class="nav-tab <?php echo esc_attr($active_tab === 'podcast' ? 'nav-tab-active' : ''); ?>">
+                    <?php esc_html_e('Podcast', 'betterfeed'); ?>
+                </a>
+                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'episodes'), admin_url('options-general.php'))); ?>" 
+                   class="nav-tab <?php echo esc_attr($active_tab === 'episodes' ? 'nav-tab-active' : ''); ?>">
+                    <?php esc_html_e('Episodes', 'betterfeed'); ?>
+                </a>
+                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'feeds'), admin_url('options-general.php'))); ?>" 
+                   class="nav-tab <?php echo esc_attr($active_tab === 'feeds' ? 'nav-tab-active' : ''); ?>">
+                    <?php esc_html_e('Custom Feeds', 'betterfeed'); ?>
+                </a>
+                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'redirects'), admin_url('options-general.php'))); ?>" 
+                   class="nav-tab <?php echo esc_attr($active_tab === 'redirects' ? 'nav-tab-active' : ''); ?>">
+                    <?php esc_html_e('Feed Redirects', 'betterfeed'); ?>
+                </a>
+                <a href="<?php echo esc_url(add_query_arg(array('page' => 'bf-settings', 'tab' => 'dashboard'), admin_url('options-general.php'))); ?>" 
+                   class="nav-tab <?php echo esc_attr($active_tab === 'dashboard' ? 'nav-tab-active' : ''); ?>">
+                    <?php esc_html_e('Dashboard', 'betterfeed'); ?>
+                </a>
+            </nav>
+            
+            <!-- Tab Content -->
+            <?php $this->render_tab_content($active_tab); ?>
+        </div>
         <?php
     }
     
     /**
-     * Enable conditional requests callback
+     * Render tab content
      */
-    public function enable_conditional_requests_callback() {
-        $options = get_option('bf_performance_options');
-        $value = isset($options['enable_conditional_requests']) ? $options['enable_conditional_requests'] : true;
-        ?>
-        <label for="enable_conditional_requests">
-            <input type="checkbox" 
-                   id="enable_conditional_requests" 
-                   name="bf_performance_options[enable_conditional_requests]" 
-                   value="1" 
-                   <?php checked(1, $value); ?>>
-            <?php esc_html_e('Send 304 Not Modified responses for unchanged feeds', 'betterfeed'); ?>
-        </label>
-        <?php
+    private function render_tab_content($active_tab) {
+                switch ($active_tab) {
+                    case 'performance':
+                        $this->render_performance_tab();
+                        break;
+                    case 'content':
+                        $this->render_content_tab();
+                        break;
+                    case 'tools':
+                        $this->render_tools_tab();
+                        break;
+                    case 'analytics':
+                        $this->render_analytics_tab();
+                        break;
+                    case 'podcast':
+                        $this->render_podcast_tab();
+                        break;
+                    case 'episodes':
+                        $this->render_episodes_tab();
+                        break;
+                    case 'feeds':
+                        $this->render_custom_feeds_tab();
+                        break;
+                    case 'redirects':
+                        $this->render_feed_redirects_tab();
+                        break;
+                    case 'dashboard':
+                        $this->render_dashboard_tab();
+                        break;
+                    default:
+                        $this->render_general_tab();
+                        break;
+        }
     }
     
     /**
-     * Enable enhanced discovery callback
+     * Render General tab
      */
-    public function enable_enhanced_discovery_callback() {
-        $options = get_option('bf_performance_options');
-        $value = isset($options['enable_enhanced_discovery']) ? $options['enable_enhanced_discovery'] : true;
+    private function render_general_tab() {
         ?>
-        <label for="enable_enhanced_discovery">
-            <input type="checkbox" 
-                   id="enable_enhanced_discovery" 
-                   name="bf_performance_options[enable_enhanced_discovery]" 
-                   value="1" 
-                   <?php checked(1, $value); ?>>
-            <?php esc_html_e('Add comprehensive feed discovery links to HTML head', 'betterfeed'); ?>
-        </label>
+        <form method="post" action="options.php">
+            <?php settings_fields('bf-settings'); ?>
+            <?php do_settings_sections('bf_general'); ?>
+            <?php submit_button(); ?>
+        </form>
         <?php
     }
     
     /**
-     * Enable enclosure fix callback
+     * Render Performance tab
      */
-    public function enable_enclosure_fix_callback() {
-        $options = get_option('bf_performance_options');
-        $value = isset($options['enable_enclosure_fix']) ? $options['enable_enclosure_fix'] : true;
+    private function render_performance_tab() {
         ?>
-        <label for="enable_enclosure_fix">
-            <input type="checkbox" 
-                   id="enable_enclosure_fix" 
-                   name="bf_performance_options[enable_enclosure_fix]" 
-                   value="1" 
-                   <?php checked(1, $value); ?>>
-            <?php esc_html_e('Automatically detect and fix enclosure file sizes for podcasts', 'betterfeed'); ?>
-        </label>
+        <form method="post" action="options.php">
+            <?php settings_fields('bf-settings'); ?>
+            <?php do_settings_sections('bf_performance'); ?>
+            <?php submit_button(); ?>
+        </form>
         <?php
     }
     
     /**
-     * Enable responsive images callback
+     * Render Content tab
      */
-    public function enable_responsive_images_callback() {
-        $options = get_option('bf_performance_options');
-        $value = isset($options['enable_responsive_images']) ? $options['enable_responsive_images'] : true;
+    private function render_content_tab() {
         ?>
-        <label for="enable_responsive_images">
-            <input type="checkbox" 
-                   id="enable_responsive_images" 
-                   name="bf_performance_options[enable_responsive_images]" 
-                   value="1" 
-                   <?php checked(1, $value); ?>>
-            <?php esc_html_e('Add responsive images with multiple sizes and Media RSS support', 'betterfeed'); ?>
-        </label>
+        <form method="post" action="options.php">
+            <?php settings_fields('bf-settings'); ?>
+            <?php do_settings_sections('bf_content'); ?>
+            <?php submit_button(); ?>
+        </form>
         <?php
     }
     
     /**
-     * Enable JSON feed callback
+     * Render Tools tab - following same pattern as Performance tab
      */
-    public function enable_json_feed_callback() {
-        $options = get_option('bf_performance_options');
-        $value = isset($options['enable_json_feed']) ? $options['enable_json_feed'] : true;
+    private function render_tools_tab() {
         ?>
-        <label for="enable_json_feed">
-            <input type="checkbox" 
-                   id="enable_json_feed" 
-                   name="bf_performance_options[enable_json_feed]" 
-                   value="1" 
-                   <?php checked(1, $value); ?>>
-            <?php esc_html_e('Enable JSON Feed 1.1 support at /feed/json/', 'betterfeed'); ?>
-        </label>
+        <form method="post" action="options.php">
+            <?php settings_fields('bf-settings'); ?>
+            <?php do_settings_sections('bf_tools'); ?>
+            
+            <table class="form-table">
+                <tr>
+                <th scope="row"><?php esc_html_e('Export Settings', 'betterfeed'); ?></th>
+                <td>
+                    <button type="button" class="button button-secondary" id="bf-export-settings">
+                        <?php esc_html_e('Export Settings', 'betterfeed'); ?>
+                    </button>
+                    <p class="description"><?php esc_html_e('Download a JSON file containing all your BetterFeed settings.', 'betterfeed'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                <th scope="row"><?php esc_html_e('Import Settings', 'betterfeed'); ?></th>
+                <td>
+                    <input type="file" id="bf-import-settings-file" accept=".json,application/json">
+                    <button type="button" class="button button-secondary" id="bf-preview-import">
+                        <?php esc_html_e('Preview Import', 'betterfeed'); ?>
+                    </button>
+                    <p class="description"><?php esc_html_e('Upload a settings file exported from another site. You can review every change before it is applied.', 'betterfeed'); ?></p>
+                    
+                    <div id="bf-import-preview" class="bf-import-preview" hidden>
+                        <p class="bf-import-source"></p>
+                        <table class="widefat striped">
+                            <thead>
+                                <tr>
+                                    <td class="check-column"><input type="checkbox" id="bf-import-select-all" checked aria-label="<?php esc_attr_e('Select all', 'betterfeed'); ?>"></td>
+                                    <th><?php esc_html_e('Setting', 'betterfeed'); ?></th>
+                                    <th><?php esc_html_e('Current', 'betterfeed'); ?></th>
+                                    <th><?php esc_html_e('Imported', 'betterfeed'); ?></th>
+                                    <th><?php esc_html_e('Status', 'betterfeed'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                        <p>
+                            <button type="button" class="button button-primary" id="bf-apply-import"><?php esc_html_e('Import Selected Settings', 'betterfeed'); ?></button>
+                            <button type="button" class="button" id="bf-cancel-import"><?php esc_html_e('Cancel', 'betterfeed'); ?></button>
+                        </p>
+                    </div>
+                    </td>
+                </tr>
+                <tr>
+                <th scope="row"><?php esc_html_e('Settings History', 'betterfeed'); ?></th>
+                <td>
+                    <div id="bf-settings-history" class="bf-settings-history">
+                        <p class="description"><?php esc_html_e('Every change to BetterFeed settings is recorded here. Compare any version with your current settings and restore all or part of it.', 'betterfeed'); ?></p>
+                        <p class="bf-history-empty" hidden><?php esc_html_e('No settings changes have been recorded yet.', 'betterfeed'); ?></p>
+                        <table class="widefat striped">
+                            <thead>
+                                <tr>
+                                    <th><?php esc_html_e('Version', 'betterfeed'); ?></th>
+                                    <th><?php esc_html_e('When', 'betterfeed'); ?></th>
+                                    <th><?php esc_html_e('Who', 'betterfeed'); ?></th>
+                                    <th><?php esc_html_e('Source', 'betterfeed'); ?></th>
+                                    <th><?php esc_html_e('Changed', 'betterfeed'); ?></th>
+                                    <th><?php esc_html_e('Actions', 'betterfeed'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                        
+                        <div class="bf-history-diff" hidden>
+                            <h4 class="bf-history-diff-title"></h4>
+                            <table class="widefat striped">
+                                <thead>
+                                    <tr>
+                                        <td class="check-column"><input type="checkbox" class="bf-history-select-all" checked aria-label="<?php esc_attr_e('Select all', 'betterfeed'); ?>"></td>
+                                        <th><?php esc_html_e('Setting', 'betterfeed'); ?></th>
+                                        <th><?php esc_html_e('Current', 'betterfeed'); ?></th>
+                                        <th><?php esc_html_e('In this version', 'betterfeed'); ?></th>
+                                    </tr>
+                                </thead>
+                                <tbody></tbody>
+                            </table>
+                            <p>
+                                <button type="button" class="button button-primary" id="bf-history-restore"><?php esc_html_e('Restore Selected Settings', 'betterfeed'); ?></button>
+                                <button type="button" class="button" id="bf-history-close"><?php esc_html_e('Close', 'betterfeed'); ?></button>
+                            </p>
+                        </div>
+                    </div>
+                    </td>
+                </tr>
+            </table>
+            
+            <?php submit_button(); ?>
+        </form>
         <?php
     }
     
     /**
-     * Enable Google Discover callback
+     * Render Analytics tab - following same pattern as Performance tab
      */
-    public function enable_google_discover_callback() {
-        $options = get_option('bf_performance_options');
-        $value = isset($options['enable_google_discover']) ? $options['enable_google_discover'] : true;
+    private function render_analytics_tab() {
         ?>
-        <label for="enable_google_discover">
-            <input type="checkbox" 
-                   id="enable_google_discover" 
-                   name="bf_performance_options[enable_google_discover]" 
-                   value="1" 
-                   <?php checked(1, $value); ?>>
-            <?php esc_html_e('Add Google Discover optimization with schema.org markup and large images', 'betterfeed'); ?>
-        </label>
+        <form method="post" action="options.php">
+            <?php settings_fields('bf-settings'); ?>
+            <?php do_settings_sections('bf_analytics'); ?>
+            
+            <?php 
+            $options = get_option('bf_analytics_options');
+            if (isset($options['enable_analytics']) && $options['enable_analytics']): ?>
+            <table class="form-table">
+                <tr>
+                    <th scope="row"><?php esc_html_e('Analytics Dashboard', 'betterfeed'); ?></th>
+                    <td>
+                        <?php
+                        $performance = BF_Analytics::instance()->get_performance_metrics(7);
+                        $to = gmdate('Y-m-d');
+                        $from = gmdate('Y-m-d', strtotime('-29 days'));
+                        ?>
+                        <div id="bf-analytics-dashboard" class="bf-analytics-dashboard">
+                            <div class="bf-analytics-filters">
+                                <label>
+                                    <?php esc_html_e('Range', 'betterfeed'); ?>
+                                    <select id="bf-analytics-range">
+                                        <option value="7"><?php esc_html_e('Last 7 days', 'betterfeed'); ?></option>
+                                        <option value="30" selected><?php esc_html_e('Last 30 days', 'betterfeed'); ?></option>
+                                        <option value="90"><?php esc_html_e('Last 90 days', 'betterfeed'); ?></option>
+                                        <option value=""><?php esc_html_e('Custom', 'betterfeed'); ?></option>
+                                    </select>
+                                </label>
+                                <label>
+                                    <?php esc_html_e('From', 'betterfeed'); ?>
+                                    <input type="date" id="bf-analytics-from" value="<?php echo esc_attr($from); ?>" max="<?php echo esc_attr($to); ?>">
+                                </label>
+                                <label>
+                                    <?php esc_html_e('To', 'betterfeed'); ?>
+                                    <input type="date" id="bf-analytics-to" value="<?php echo esc_attr($to); ?>" max="<?php echo esc_attr($to); ?>">
+                                </label>
+                                <label>
+                                    <?php esc_html_e('Feed', 'betterfeed'); ?>
+                                    <select id="bf-analytics-feed">
+                                        <option value=""><?php esc_html_e('All feeds', 'betterfeed'); ?></option>
+                                    </select>
+                                </label>
+                                <label>
+                                    <?php esc_html_e('Show top', 'betterfeed'); ?>
+                                    <select id="bf-analytics-limit">
+                                        <option value="5">5</option>
+                                        <option value="10" selected>10</option>
+                                        <option value="25">25</option>
+                                        <option value="50">50</option>
+                                    </select>
+                                </label>
+                            </div>
+                            
+                            <div class="bf-stats-grid">
+                                <div class="bf-stat-card">
+                                    <h5><?php esc_html_e('Total Requests', 'betterfeed'); ?></h5>
+                                    <span class="bf-stat-number" data-stat="total_requests">&ndash;</span>
+                                </div>
+                                
+                                <div class="bf-stat-card">
+                                    <h5><?php esc_html_e('Unique Readers', 'betterfeed'); ?></h5>
+                                    <span class="bf-stat-number" data-stat="unique_visitors">&ndash;</span>
+                                </div>
+                                
+                                <div class="bf-stat-card">
+                                    <h5><?php esc_html_e('Bandwidth', 'betterfeed'); ?></h5>
+                                    <span class="bf-stat-number" data-stat="bandwidth">&ndash;</span>
+                                </div>
+                                
+                                <div class="bf-stat-card">
+                                    <h5><?php esc_html_e('Cache Hit Rate', 'betterfeed'); ?></h5>
+                                    <span class="bf-stat-number"><?php echo esc_html($performance['cache_hit_rate'] ?? 0); ?>%</span>
+                                </div>
+                                
+                                <div class="bf-stat-card">
+                                    <h5><?php esc_html_e('Active Readers', 'betterfeed'); ?></h5>
+                                    <span class="bf-stat-number"><?php echo esc_html($performance['realtime_readers'] ?? 0); ?></span>
+                                </div>
+                            </div>
+                            
+                            <div class="bf-analytics-charts">
+                                <div class="bf-analytics-chart-panel">
+                                    <h4><?php esc_html_e('Requests', 'betterfeed'); ?></h4>
+                                    <div class="bf-analytics-chart" data-metric="count"></div>
+                                </div>
+                                <div class="bf-analytics-chart-panel">
+                                    <h4><?php esc_html_e('Unique Readers', 'betterfeed'); ?></h4>
+                                    <div class="bf-analytics-chart" data-metric="unique_visitors"></div>
+                                </div>
+                                <div class="bf-analytics-chart-panel">
+                                    <h4><?php esc_html_e('Bandwidth', 'betterfeed'); ?></h4>
+                                    <div class="bf-analytics-chart" data-metric="bandwidth"></div>
+                                </div>
+                            </div>
+                            
+                            <div class="bf-analytics-tables">
+                                <div class="bf-analytics-table-panel">
+                                    <h4><?php esc_html_e('Feed Readers', 'betterfeed'); ?></h4>
+                                    <table class="widefat striped">
+                                        <thead>
+                                            <tr>
+                                                <th><?php esc_html_e('Reader', 'betterfeed'); ?></th>
+                                                <th><?php esc_html_e('Requests', 'betterfeed'); ?></th>
+                                            </tr>
+                                        </thead>
+                                        <tbody data-table="readers"></tbody>
+                                    </table>
+                                </div>
+                                <div class="bf-analytics-table-panel">
+                                    <h4><?php esc_html_e('Referrers', 'betterfeed'); ?></h4>
+                                    <table class="widefat striped">
+                                        <thead>
+                                            <tr>
+                                                <th><?php esc_html_e('Referrer', 'betterfeed'); ?></th>
+                                                <th><?php esc_html_e('Requests', 'betterfeed'); ?></th>
+                                            </tr>
+                                        </thead>
+                                        <tbody data-table="referers"></tbody>
+                                    </table>
+                                </div>
+                                <div class="bf-analytics-table-panel">
+                                    <h4><?php esc_html_e('Countries', 'betterfeed'); ?></h4>
+                                    <table class="widefat striped">
+                                        <thead>
+                                            <tr>
+                                                <th><?php esc_html_e('Country', 'betterfeed'); ?></th>
+                                                <th><?php esc_html_e('Requests', 'betterfeed'); ?></th>
+                                            </tr>
+                                        </thead>
+                                        <tbody data-table="countries"></tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        </div>
+                        
+                        <div class="bf-analytics-actions">
+                            <button type="button" id="bf-export-analytics" class="button button-secondary">
+                                <?php esc_html_e('Export Analytics', 'betterfeed'); ?>
+                            </button>
+                        </div>
+                    </td>
+                </tr>
+            </table>
+            <?php endif; ?>
+            
+            <?php submit_button(); ?>
+        </form>
+        
+        <?php if (isset($options['enable_analytics']) && $options['enable_analytics']): ?>
+        <dialog id="bf-export-dialog" class="bf-export-dialog">
+            <form method="get" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
+                <input type="hidden" name="action" value="bf_download_analytics">
+                <?php wp_nonce_field('bf_download_analytics'); ?>
+                
+                <h2><?php esc_html_e('Export Analytics', 'betterfeed'); ?></h2>
+                
+                <p>
+                    <label for="bf-export-format"><?php esc_html_e('Format', 'betterfeed'); ?></label>
+                    <select id="bf-export-format" name="format">
+                        <option value="csv">CSV</option>
+                        <option value="json">JSON</option>
+                        <option value="ndjson"><?php esc_html_e('NDJSON (one JSON object per line)', 'betterfeed'); ?></option>
+                    </select>
+                </p>
+                <p>
+                    <label for="bf-export-from"><?php esc_html_e('From', 'betterfeed'); ?></label>
+                    <input type="date" id="bf-export-from" name="from" required>
+                    <label for="bf-export-to"><?php esc_html_e('To', 'betterfeed'); ?></label>
+                    <input type="date" id="bf-export-to" name="to" required>
+                </p>
+                <p>
+                    <label for="bf-export-feed"><?php esc_html_e('Feed', 'betterfeed'); ?></label>
+                    <select id="bf-export-feed" name="feed"></select>
+                </p>
+                <fieldset>
+                    <legend><?php esc_html_e('Columns', 'betterfeed'); ?></legend>
+                    <?php foreach (BF_Analytics::EXPORT_COLUMNS as $column): ?>
+                    <label>
+                        <input type="checkbox" name="columns[]" value="<?php echo esc_attr($column); ?>" checked>
+                        <code><?php echo esc_html($column); ?></code>
+                    </label>
+                    <?php endforeach; ?>
+                </fieldset>
+                
+                <p class="bf-export-dialog-actions">
+                    <button type="button" class="button" id="bf-export-cancel"><?php esc_html_e('Cancel', 'betterfeed'); ?></button>
+                    <button type="submit" class="button button-primary"><?php esc_html_e('Download', 'betterfeed'); ?></button>
+                </p>
+            </form>
+        </dialog>
+        <?php endif; ?>
         <?php
     }
     
-    public function include_featured_images_callback() {
-        $options = get_option('bf_content_options');
-        $value = isset($options['include_featured_images']) ? $options['include_featured_images'] : true;
+    /**
+     * Render Podcast tab
+     */
+    private function render_podcast_tab() {
         ?>
-        <label for="include_featured_images">
+        <form method="post" action="options.php">
+            <?php settings_fields('bf-settings'); ?>
+            <div class="tab-content">
+                <h2><?php esc_html_e('Podcast Settings', 'betterfeed'); ?></h2>
+                <p><?php esc_html_e('Configure podcast RSS feed settings for Apple Podcasts, Spotify, and other platforms.', 'betterfeed'); ?></p>
+                
+                <?php do_settings_sections('bf_podcast_integrations'); ?>
+                <?php do_settings_sections('bf_podcast_show'); ?>
+                
+                <?php submit_button(); ?>
+            </div>
+        </form>
+        <?php
+    }
+    
+    /**
+     * Render Episodes tab
+     *
+     * Lists every episode with its podcast meta in an editable grid. Rows are
+     * saved through the core REST API using the meta registered by BF_Episode_Meta.
+     */
+    private function render_episodes_tab() {
+        // Only post types exposed in REST can be saved from the grid
+        $post_types = array_values(array_filter(BF_Episode_Meta::get_episode_post_types(), function($post_type) {
+            $post_type_object = get_post_type_object($post_type);
+            return $post_type_object && $post_type_object->show_in_rest;
+        }));
+        
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only pagination parameter
+        $paged = isset($_GET['paged']) ? max(1, absint($_GET['paged'])) : 1;
+        
+        $episodes = empty($post_types) ? null : new WP_Query(array(
+            'post_type' => $post_types,
+            'post_status' => array('publish', 'future', 'draft', 'pending', 'private'),
+            'posts_per_page' => 50,
+            'paged' => $paged,
+            'orderby' => 'date',
+            'order' => 'DESC',
+        ));
+        
+        ?>
+        <div class="tab-content">
+            <h2><?php esc_html_e('Episodes', 'betterfeed'); ?></h2>
+            <p><?php esc_html_e('Edit podcast details across your back catalogue. Changes are saved without reloading the page.', 'betterfeed'); ?></p>
+            
+            <?php if (!$episodes || !$episodes->have_posts()): ?>
+                <p><?php esc_html_e('No episodes found.', 'betterfeed'); ?></p>
+            <?php else: ?>
+                <div class="bf-episodes-toolbar">
+                    <label for="bf-episodes-bulk-action" class="screen-reader-text"><?php esc_html_e('Bulk action', 'betterfeed'); ?></label>
+                    <select id="bf-episodes-bulk-action">
+                        <option value=""><?php esc_html_e('Bulk actions', 'betterfeed'); ?></option>
+                        <option value="episode_season"><?php esc_html_e('Set season', 'betterfeed'); ?></option>
+                        <option value="episode_type"><?php esc_html_e('Set episode type', 'betterfeed'); ?></option>
+                        <option value="episode_explicit"><?php esc_html_e('Set explicit', 'betterfeed'); ?></option>
+                        <option value="block"><?php esc_html_e('Block from directories', 'betterfeed'); ?></option>
+                        <option value="unblock"><?php esc_html_e('Unblock', 'betterfeed'); ?></option>
+                    </select>
+                    <input type="number" min="1" class="small-text bf-episodes-bulk-value" data-action="episode_season" aria-label="<?php esc_attr_e('Season', 'betterfeed'); ?>" hidden>
+                    <select class="bf-episodes-bulk-value" data-action="episode_type" aria-label="<?php esc_attr_e('Episode type', 'betterfeed'); ?>" hidden>
+                        <option value="full"><?php esc_html_e('Full', 'betterfeed'); ?></option>
+                        <option value="trailer"><?php esc_html_e('Trailer', 'betterfeed'); ?></option>
+                        <option value="bonus"><?php esc_html_e('Bonus', 'betterfeed'); ?></option>
+                    </select>
+                    <select class="bf-episodes-bulk-value" data-action="episode_explicit" aria-label="<?php esc_attr_e('Explicit', 'betterfeed'); ?>" hidden>
+                        <option value="false"><?php esc_html_e('Clean', 'betterfeed'); ?></option>
+                        <option value="true"><?php esc_html_e('Explicit', 'betterfeed'); ?></option>
+                    </select>
+                    <button type="button" class="button" id="bf-episodes-bulk-apply"><?php esc_html_e('Apply', 'betterfeed'); ?></button>
+                    <button type="button" class="button button-primary" id="bf-episodes-save" disabled><?php esc_html_e('Save Changes', 'betterfeed'); ?></button>
+                    <span class="bf-episodes-status" aria-live="polite"></span>
+                </div>
+                
+                <table class="wp-list-table widefat fixed striped bf-episodes-grid">
+                    <thead>
+                        <tr>
+                            <td class="manage-column column-cb check-column">
+                                <label for="bf-episodes-select-all" class="screen-reader-text"><?php esc_html_e('Select all', 'betterfeed'); ?></label>
+                                <input type="checkbox" id="bf-episodes-select-all">
+                            </td>
+                            <th class="column-title"><?php esc_html_e('Episode', 'betterfeed'); ?></th>
+                            <th><?php esc_html_e('Season', 'betterfeed'); ?></th>
+                            <th><?php esc_html_e('Number', 'betterfeed'); ?></th>
+                            <th><?php esc_html_e('Type', 'betterfeed'); ?></th>
+                            <th><?php esc_html_e('Explicit', 'betterfeed'); ?></th>
+                            <th><?php esc_html_e('Block', 'betterfeed'); ?></th>
+                            <th><?php esc_html_e('Duration', 'betterfeed'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($episodes->posts as $episode):
+                            $post_type_object = get_post_type_object($episode->post_type);
+                            $rest_base = !empty($post_type_object->rest_base) ? $post_type_object->rest_base : $episode->post_type;
+                            $episode_title = get_the_title($episode);
+                            $episode_type = get_post_meta($episode->ID, 'episode_type', true);
+                            $is_explicit = in_array(get_post_meta($episode->ID, 'episode_explicit', true), array('true', 'yes'), true);
+                            ?>
+                            <tr data-id="<?php echo esc_attr($episode->ID); ?>" data-rest-base="<?php echo esc_attr($rest_base); ?>">
+                                <th scope="row" class="check-column">
+                                    <input type="checkbox" class="bf-episode-select" aria-label="<?php echo esc_attr($episode_title); ?>">
+                                </th>
+                                <td class="column-title">
+                                    <strong>
+                                        <a href="<?php echo esc_url(get_edit_post_link($episode->ID)); ?>"><?php echo esc_html($episode_title ?: __('(no title)', 'betterfeed')); ?></a>
+                                    </strong>
+                                    <span class="bf-episode-row-meta">
+                                        <?php echo esc_html($post_type_object->labels->singular_name . ' · ' . get_post_status_object($episode->post_status)->label . ' · ' . get_the_date('', $episode)); ?>
+                                    </span>
+                                </td>
+                                <td><input type="number" min="1" class="small-text" data-meta="episode_season" value="<?php echo esc_attr(get_post_meta($episode->ID, 'episode_season', true)); ?>"></td>
+                                <td><input type="number" min="1" class="small-text" data-meta="episode_number" value="<?php echo esc_attr(get_post_meta($episode->ID, 'episode_number', true)); ?>"></td>
+                                <td>
+                                    <select data-meta="episode_type">
+                                        <option value="full" <?php selected($episode_type, 'full'); ?>><?php esc_html_e('Full', 'betterfeed'); ?></option>
+                                        <option value="trailer" <?php selected($episode_type, 'trailer'); ?>><?php esc_html_e('Trailer', 'betterfeed'); ?></option>
+                                        <option value="bonus" <?php selected($episode_type, 'bonus'); ?>><?php esc_html_e('Bonus', 'betterfeed'); ?></option>
+                                    </select>
+                                </td>
+                                <td>
+                                    <select data-meta="episode_explicit">
+                                        <option value="false" <?php selected(!$is_explicit); ?>><?php esc_html_e('Clean', 'betterfeed'); ?></option>
+                                        <option value="true" <?php selected($is_explicit); ?>><?php esc_html_e('Explicit', 'betterfeed'); ?></option>
+                                    </select>
+                                </td>
+                                <td><input type="checkbox" data-meta="episode_block" <?php checked((bool) get_post_meta($episode->ID, 'episode_block', true)); ?>></td>
+                                <td><input type="text" class="small-text" data-meta="episode_duration" placeholder="HH:MM:SS" value="<?php echo esc_attr(get_post_meta($episode->ID, 'episode_duration', true)); ?>"></td>
+                            </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+                
+                <?php if ($episodes->max_num_pages > 1): ?>
+                    <div class="tablenav bottom">
+                        <div class="tablenav-pages">
+                            <?php
+                            echo wp_kses_post(paginate_links(array(
+                                'base' => add_query_arg(array('page' => 'bf-settings', 'tab' => 'episodes', 'paged' => '%#%'), admin_url('options-general.php')),
+                                'format' => '',
+                                'current' => $paged,
+                                'total' => $episodes->max_num_pages,
+                            )));
+                            ?>
+                        </div>
+                    </div>
+                <?php endif; ?>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Check if BetterFeed functionality is enabled
+     */
+    private function is_betterfeed_enabled() {
+        $general_options = get_option('bf_general_options', array());
+        return !empty($general_options['enable_betterfeed']);
+    }
+    
+    // Settings API callback functions
+    public function general_section_callback() {
+        echo '<p>' . esc_html__('Configure basic BetterFeed settings.', 'betterfeed') . '</p>';
+    }
+    
+    public function performance_section_callback() {
+        echo '<p>' . esc_html__('Configure caching and performance optimization settings.', 'betterfeed') . '</p>';
+    }
+    
+    public function content_section_callback() {
+        echo '<p>' . esc_html__('Configure how content appears in your feeds.', 'betterfeed') . '</p>';
+    }
+    
+    public function analytics_section_callback() {
+        echo '<p>' . esc_html__('Configure feed analytics and tracking settings.', 'betterfeed') . '</p>';
+    }
+    
+    public function tools_cache_section_callback() {
+        echo '<p>' . esc_html__('Tools and utilities for managing BetterFeed.', 'betterfeed') . '</p>';
+    }
+    
+    public function podcast_integrations_section_callback() {
+        echo '<p>' . esc_html__('Enable support for different podcast platforms and directories.', 'betterfeed') . '</p>';
+    }
+    
+    public function podcast_show_section_callback() {
+        echo '<p>' . esc_html__('Configure your podcast show information and metadata.', 'betterfeed') . '</p>';
+    }
+    
+    // Field callbacks
+    public function enable_betterfeed_callback() {
+        $options = get_option('bf_general_options');
+        $value = isset($options['enable_betterfeed']) ? $options['enable_betterfeed'] : true;
+        ?>
+        <label for="enable_betterfeed">
             <input type="checkbox" 
-                   id="include_featured_images" 
-                   name="bf_content_options[include_featured_images]" 
+                   id="enable_betterfeed" 
+                   name="bf_general_options[enable_betterfeed]" 
                    value="1" 
                    <?php checked(1, $value); ?>>
-            <?php esc_html_e('Add featured images to feed content', 'betterfeed'); ?>
-                        </label>
-        <?php
+            <?php esc_html_e('Enable BetterFeed functionality', 'betterfeed'); ?>
+        </label>
+            <?php
     }
     
-    public function enable_full_content_callback() {
-        $options = get_option('bf_content_options');
-        $value = isset($options['enable_full_content']) ? $options['enable_full_content'] : false;
+    public function enable_caching_callback() {
+        $options = get_option('bf_performance_options');
+        $value = isset($options['enable_caching']) ? $options['enable_caching'] : true;
         ?>
-        <label for="enable_full_content">
+        <label for="enable_caching">
             <input type="checkbox" 
-                   id="enable_full_content" 
-                   name="bf_content_options[enable_full_content]" 
+                   id="enable_caching" 
+                   name="bf_performance_options[enable_caching]" 
                    value="1" 
                    <?php checked(1, $value); ?>>
-            <?php esc_html_e('Include full post content instead of excerpt', 'betterfeed'); ?>
-                        </label>
+            <?php esc_html_e('Cache feed output for better performance', 'betterfeed'); ?>
+        </label>
         <?php
     }
     
-    public function max_feed_items_callback() {
-        $options = get_option('bf_content_options');
-        $value = isset($options['max_feed_items']) ? $options['max_feed_items'] : 10;
+    public function cache_duration_callback() {
+        $options = get_option('bf_performance_options');
+        $value = isset($options['cache_duration']) ? $options['cache_duration'] : 3600;
         ?>
         <input type="number" 
-               id="max_feed_items" 
-               name="bf_content_options[max_feed_items]" 
+               id="cache_duration" 
+               name="bf_performance_options[cache_duration]" 
                value="<?php echo esc_attr($value); ?>" 
                class="small-text" 
-               min="1" 
-               max="100">
-        <p class="description"><?php esc_html_e('Number of items to include in feeds (1-100)', 'betterfeed'); ?></p>
-                        <?php
+               min="60" 
+               max="86400">
+        <p class="description"><?php esc_html_e('How long to cache feed output (60-86400 seconds)', 'betterfeed'); ?></p>
+        <?php
     }
     
-    
-    public function enable_analytics_callback() {
-        $options = get_option('bf_analytics_options');
-        $value = isset($options['enable_analytics']) ? $options['enable_analytics'] : true;
+    public function enable_gzip_callback() {
+        $options = get_option('bf_performance_options');
+        $value = isset($options['enable_gzip']) ? $options['enable_gzip'] : true;
         ?>
-        <label for="enable_analytics">
+        <label for="enable_gzip">
             <input type="checkbox" 
-                   id="enable_analytics" 
-                   name="bf_analytics_options[enable_analytics]" 
+                   id="enable_gzip" 
+                   name="bf_performance_options[enable_gzip]" 
                    value="1" 
                    <?php checked(1, $value); ?>>
-            <?php esc_html_e('Track feed access and reader statistics', 'betterfeed'); ?>
-                        </label>
+            <?php esc_html_e('Enable GZIP compression for feeds', 'betterfeed'); ?>
+        </label>
         <?php
     }
     
-    public function cache_actions_callback() {
+    public function enable_etag_callback() {
+        $options = get_option('bf_performance_options');
+        $value = isset($options['enable_etag']) ? $options['enable_etag'] : true;
         ?>
-        <button type="button" class="button button-primary" id="bf-clear-cache">
-            <?php esc_html_e('Clear Cache', 'betterfeed'); ?>
-        </button>
-        <button type="button" class="button button-secondary" id="bf-warm-cache">
-            <?php esc_html_e('Warm Cache', 'betterfeed'); ?>
-        </button>
-        <p class="description"><?php esc_html_e('Clear removes cached data. Warm rebuilds cache for faster loading.', 'betterfeed'); ?></p>
+        <label for="enable_etag">
+            <input type="checkbox" 
+                   id="enable_etag" 
+                   name="bf_performance_options[enable_etag]" 
+                   value="1" 
+                   <?php checked(1, $value); ?>>
+            <?php esc_html_e('Add ETag headers for better caching', 'betterfeed'); ?>
+        </label>
         <?php
     }
     
-    public function preset_selection_callback() {
+    /**
+     * Enable conditional requests callback
+     */
+    public function enable_conditional_requests_callback() {
+        $options = get_option('bf_performance_options');
+        $value = isset($options['enable_conditional_requests']) ? $options['enable_conditional_requests'] : true;
         ?>
-        <select id="bf-preset-select" name="bf_preset" class="regular-text">
-            <option value=""><?php esc_html_e('Select a preset...', 'betterfeed'); ?></option>
-            <option value="performance"><?php esc_html_e('Performance Focused', 'betterfeed'); ?></option>
-            <option value="seo"><?php esc_html_e('SEO Optimized', 'betterfeed'); ?></option>
-            <option value="minimal"><?php esc_html_e('Minimal Setup', 'betterfeed'); ?></option>
-            <option value="custom"><?php esc_html_e('Custom Configuration', 'betterfeed'); ?></option>
-        </select>
-        <button type="button" class="button button-primary" id="bf-apply-preset" style="margin-left: 10px;">
-            <?php esc_html_e('Apply Preset', 'betterfeed'); ?>
-        </button>
-        <p class="description"><?php esc_html_e('Choose a configuration preset to apply optimized settings.', 'betterfeed'); ?></p>
+        <label for="enable_conditional_requests">
+            <input type="checkbox" 
+                   id="enable_conditional_requests" 
+                   name="bf_performance_options[enable_conditional_requests]" 
+                   value="1" 
+                   <?php checked(1, $value); ?>>
+            <?php esc_html_e('Send 304 Not Modified responses for unchanged feeds', 'betterfeed'); ?>
+        </label>
         <?php
     }
     
-    // Sanitization callbacks  
-    public function sanitize_general_options($input) {
-        $sanitized = array();
-        
-        if (isset($input['enable_betterfeed'])) {
-            $sanitized['enable_betterfeed'] = 1;
-        } else {
-            $sanitized['enable_betterfeed'] = 0;
-        }
-        
-        return $sanitized;
+    /**
+     * Enable enhanced discovery callback
+     */
+    public function enable_enhanced_discovery_callback() {
+        $options = get_option('bf_performance_options');
+        $value = isset($options['enable_enhanced_discovery']) ? $options['enable_enhanced_discovery'] : true;
+        ?>
+        <label for="enable_enhanced_discovery">
+            <input type="checkbox" 
+                   id="enable_enhanced_discovery" 
+                   name="bf_performance_options[enable_enhanced_discovery]" 
+                   value="1" 
+                   <?php checked(1, $value); ?>>
+            <?php esc_html_e('Add comprehensive feed discovery links to HTML head', 'betterfeed'); ?>
+        </label>
+        <?php
+    }
+    
+    /**
+     * Enable enclosure fix callback
+     */
+    public function enable_enclosure_fix_callback() {
+        $options = get_option('bf_performance_options');
+        $value = isset($options['enable_enclosure_fix']) ? $options['enable_enclosure_fix'] : true;
+        ?>
+        <label for="enable_enclosure_fix">
+            <input type="checkbox" 
+                   id="enable_enclosure_fix" 
+                   name="bf_performance_options[enable_enclosure_fix]" 
+                   value="1" 
+                   <?php checked(1, $value); ?>>
+            <?php esc_html_e('Automatically detect and fix enclosure file sizes for podcasts', 'betterfeed'); ?>
+        </label>
+        <?php
+    }
+    
+    /**
+     * Enable responsive images callback
+     */
+    public function enable_responsive_images_callback() {
+        $options = get_option('bf_performance_options');
+        $value = isset($options['enable_responsive_images']) ? $options['enable_responsive_images'] : true;
+        ?>
+        <label for="enable_responsive_images">
+            <input type="checkbox" 
+                   id="enable_responsive_images" 
+                   name="bf_performance_options[enable_responsive_images]" 
+                   value="1" 
+                   <?php checked(1, $value); ?>>
+            <?php esc_html_e('Add responsive images with multiple sizes and Media RSS support', 'betterfeed'); ?>
+        </label>
+        <?php
+    }
+    
+    /**
+     * Enable JSON feed callback
+     */
+    public function enable_json_feed_callback() {
+        $options = get_option('bf_performance_options');
+        $value = isset($options['enable_json_feed']) ? $options['enable_json_feed'] : true;
+        ?>
+        <label for="enable_json_feed">
+            <input type="checkbox" 
+                   id="enable_json_feed" 
+                   name="bf_performance_options[enable_json_feed]" 
+                   value="1" 
+                   <?php checked(1, $value); ?>>
+            <?php esc_html_e('Enable JSON Feed 1.1 support at /feed/json/', 'betterfeed'); ?>
+        </label>
+        <?php
+    }
+    
+    /**
+     * Enable Google Discover callback
+     */
+    public function enable_google_discover_callback() {
+        $options = get_option('bf_performance_options');
+        $value = isset($options['enable_google_discover']) ? $options['enable_google_discover'] : true;
+        ?>
+        <label for="enable_google_discover">
+            <input type="checkbox" 
+                   id="enable_google_discover" 
+                   name="bf_performance_options[enable_google_discover]" 
+                   value="1" 
+                   <?php checked(1, $value); ?>>
+            <?php esc_html_e('Add Google Discover optimization with schema.org markup and large images', 'betterfeed'); ?>
+        </label>
+        <?php
+    }
+    
+    public function include_featured_images_callback() {
+        $options = get_option('bf_content_options');
+        $value = isset($options['include_featured_images']) ? $options['include_featured_images'] : true;
+        ?>
+        <label for="include_featured_images">
+            <input type="checkbox" 
+                   id="include_featured_images" 
+                   name="bf_content_options[include_featured_images]" 
+                   value="1" 
+                   <?php checked(1, $value); ?>>
+            <?php esc_html_e('Add featured images to feed content', 'betterfeed'); ?>
+                        </label>
+        <?php
+    }
+    
+    public function enable_full_content_callback() {
+        $options = get_option('bf_content_options');
+        $value = isset($options['enable_full_content']) ? $options['enable_full_content'] : false;
+        ?>
+        <label for="enable_full_content">
+            <input type="checkbox" 
+                   id="enable_full_content" 
+                   name="bf_content_options[enable_full_content]" 
+                   value="1" 
+                   <?php checked(1, $value); ?>>
+            <?php esc_html_e('Include full post content instead of excerpt', 'betterfeed'); ?>
+                        </label>
+        <?php
+    }
+    
+    public function max_feed_items_callback() {
+        $options = get_option('bf_content_options');
+        $value = isset($options['max_feed_items']) ? $options['max_feed_items'] : 10;
+        ?>
+        <input type="number" 
+               id="max_feed_items" 
+               name="bf_content_options[max_feed_items]" 
+               value="<?php echo esc_attr($value); ?>" 
+               class="small-text" 
+               min="1" 
+               max="100">
+        <p class="description"><?php esc_html_e('Number of items to include in feeds (1-100)', 'betterfeed'); ?></p>
+                        <?php
+    }
+    
+    
+    public function enable_analytics_callback() {
+        $options = get_option('bf_analytics_options');
+        $value = isset($options['enable_analytics']) ? $options['enable_analytics'] : true;
+        ?>
+        <label for="enable_analytics">
+            <input type="checkbox" 
+                   id="enable_analytics" 
+                   name="bf_analytics_options[enable_analytics]" 
+                   value="1" 
+                   <?php checked(1, $value); ?>>
+            <?php esc_html_e('Track feed access and reader statistics', 'betterfeed'); ?>
+                        </label>
+        <?php
+    }
+    
+    public function scheduled_export_callback() {
+        $options = get_option('bf_analytics_options', array());
+        $schedule = $options['export_schedule'] ?? '';
+        $format = $options['export_format'] ?? 'csv';
+        $delivery = $options['export_delivery'] ?? 'file';
+        ?>
+        <p>
+            <label for="bf_export_schedule" class="screen-reader-text"><?php esc_html_e('Frequency', 'betterfeed'); ?></label>
+            <select id="bf_export_schedule" name="bf_analytics_options[export_schedule]">
+                <option value="" <?php selected($schedule, ''); ?>><?php esc_html_e('Never', 'betterfeed'); ?></option>
+                <option value="daily" <?php selected($schedule, 'daily'); ?>><?php esc_html_e('Daily (previous day)', 'betterfeed'); ?></option>
+                <option value="weekly" <?php selected($schedule, 'weekly'); ?>><?php esc_html_e('Weekly (previous 7 days)', 'betterfeed'); ?></option>
+            </select>
+            <label for="bf_export_format" class="screen-reader-text"><?php esc_html_e('Format', 'betterfeed'); ?></label>
+            <select id="bf_export_format" name="bf_analytics_options[export_format]">
+                <option value="csv" <?php selected($format, 'csv'); ?>>CSV</option>
+                <option value="json" <?php selected($format, 'json'); ?>>JSON</option>
+                <option value="ndjson" <?php selected($format, 'ndjson'); ?>>NDJSON</option>
+            </select>
+            <label for="bf_export_delivery" class="screen-reader-text"><?php esc_html_e('Delivery', 'betterfeed'); ?></label>
+            <select id="bf_export_delivery" name="bf_analytics_options[export_delivery]">
+                <option value="file" <?php selected($delivery, 'file'); ?>><?php esc_html_e('Save to uploads', 'betterfeed'); ?></option>
+                <option value="email" <?php selected($delivery, 'email'); ?>><?php esc_html_e('Send by email', 'betterfeed'); ?></option>
+            </select>
+        </p>
+        <p>
+            <label for="bf_export_email"><?php esc_html_e('Email to', 'betterfeed'); ?></label>
+            <input type="email" id="bf_export_email" name="bf_analytics_options[export_email]" value="<?php echo esc_attr($options['export_email'] ?? ''); ?>" class="regular-text" placeholder="<?php echo esc_attr(get_option('admin_email')); ?>">
+        </p>
+        <p class="description"><?php
+            echo esc_html(sprintf(
+                // translators: %d is the number of days exports are kept
+                __('Saved exports go to wp-content/uploads/bf/exports/, which is blocked from public access, and are deleted after %d days.', 'betterfeed'),
+                BF_Analytics::RETENTION_DAYS
+            ));
+        ?></p>
+        <?php
+    }
+    
+    public function cache_actions_callback() {
+        ?>
+        <button type="button" class="button button-primary" id="bf-clear-cache">
+            <?php esc_html_e('Clear Cache', 'betterfeed'); ?>
+        </button>
+        <button type="button" class="button button-secondary" id="bf-warm-cache">
+            <?php esc_html_e('Warm Cache', 'betterfeed'); ?>
+        </button>
+        <p class="description"><?php esc_html_e('Clear removes cached data. Warm rebuilds cache for faster loading.', 'betterfeed'); ?></p>
+        <?php
+    }
+    
+    public function preset_selection_callback() {
+        $undo = BF_Import_Export::instance()->get_preset_undo();
+        ?>
+        <div id="bf-presets" data-items="<?php echo esc_attr(wp_json_encode($this->get_preset_list_items())); ?>">
+            <select id="bf-preset-select" name="bf_preset" class="regular-text">
+                <option value=""><?php esc_html_e('Select a preset...', 'betterfeed'); ?></option>
+            </select>
+            <button type="button" class="button button-primary" id="bf-apply-preset" style="margin-left: 10px;" disabled>
+                <?php esc_html_e('Apply Preset', 'betterfeed'); ?>
+            </button>
+            <button type="button" class="button button-link-delete" id="bf-delete-preset" hidden>
+                <?php esc_html_e('Delete Preset', 'betterfeed'); ?>
+            </button>
+            <p class="description"><?php esc_html_e('Choose a configuration preset to see the settings it changes before applying it.', 'betterfeed'); ?></p>
+            
+            <div id="bf-preset-preview" class="bf-preset-preview" hidden>
+                <p class="bf-preset-summary"></p>
+                <table class="widefat striped">
+                    <thead>
+                        <tr>
+                            <th><?php esc_html_e('Setting', 'betterfeed'); ?></th>
+                            <th><?php esc_html_e('Current', 'betterfeed'); ?></th>
+                            <th><?php esc_html_e('Preset', 'betterfeed'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            
+            <p id="bf-preset-undo" class="bf-preset-undo" <?php echo $undo ? '' : 'hidden'; ?>>
+                <span class="bf-preset-undo-label"><?php
+                if ($undo) {
+                    echo esc_html(sprintf(
+                        // translators: %1$s is the preset name, %2$s is when it was applied
+                        __('"%1$s" was applied on %2$s.', 'betterfeed'),
+                        $undo['name'],
+                        $undo['applied_at']
+                    ));
+                }
+                ?></span>
+                <button type="button" class="button" id="bf-undo-preset"><?php esc_html_e('Undo Preset', 'betterfeed'); ?></button>
+            </p>
+            
+            <p class="bf-preset-save">
+                <label for="bf-preset-name"><?php esc_html_e('Save current settings as a preset', 'betterfeed'); ?></label><br>
+                <input type="text" id="bf-preset-name" class="regular-text" placeholder="<?php esc_attr_e('Preset name', 'betterfeed'); ?>">
+                <button type="button" class="button" id="bf-save-preset"><?php esc_html_e('Save Preset', 'betterfeed'); ?></button>
+            </p>
+        </div>
+        <?php
+    }
+    
+    // Sanitization callbacks  
+    public function sanitize_general_options($input) {
+        $sanitized = array();
+        
+        if (isset($input['enable_betterfeed'])) {
+            $sanitized['enable_betterfeed'] = 1;
+        } else {
+            $sanitized['enable_betterfeed'] = 0;
+        }
+        
+        return $sanitized;
     }
     
     public function sanitize_performanceOptions($input) {
@@ -1467,6 +2573,11 @@ class BF_Admin {
             $sanitized['enable_analytics'] = 0;
         }
         
+        $sanitized['export_schedule'] = isset($input['export_schedule'], BF_Analytics::EXPORT_SCHEDULES[$input['export_schedule']]) ? $input['export_schedule'] : '';
+        $sanitized['export_format'] = isset($input['export_format'], BF_Analytics::EXPORT_FORMATS[$input['export_format']]) ? $input['export_format'] : 'csv';
+        $sanitized['export_delivery'] = isset($input['export_delivery']) && $input['export_delivery'] === 'email' ? 'email' : 'file';
+        $sanitized['export_email'] = isset($input['export_email']) ? sanitize_email($input['export_email']) : '';
+        
         return $sanitized;
     }
     
@@ -1630,6 +2741,58 @@ class BF_Admin {
         <?php
     }
     
+    public function podcast_episode_post_types_callback() {
+        $selected = BF_Episode_Meta::get_episode_post_types();
+        $post_types = get_post_types(array('public' => true), 'objects');
+        unset($post_types['attachment']);
+        
+        foreach ($post_types as $post_type) : ?>
+            <label style="display: block; margin-bottom: 4px;">
+                <input type="checkbox" name="bf_podcast_show[episode_post_types][]" value="<?php echo esc_attr($post_type->name); ?>" <?php checked(in_array($post_type->name, $selected, true)); ?> />
+                <?php echo esc_html($post_type->labels->name); ?>
+            </label>
+        <?php endforeach; ?>
+        <p class="description">
+            <?php esc_html_e('Post types that are podcast episodes. They get the episode settings panel and podcast tags in feeds.', 'betterfeed'); ?>
+            <?php
+            printf(
+                // translators: %s is the podcast feed URL.
+                esc_html__('Podcast feed with only these post types: %s', 'betterfeed'),
+                '<a href="' . esc_url(BF_Podcast_RSS::get_podcast_feed_url()) . '" target="_blank"><code>' . esc_html(BF_Podcast_RSS::get_podcast_feed_url()) . '</code></a>'
+            );
+            ?>
+        </p>
+        <?php
+    }
+    
+    public function podcast_publish_checks_callback() {
+        $levels = BF_Episode_Meta::get_publish_check_levels();
+        $checks = array(
+            'audio' => __('Audio file attached', 'betterfeed'),
+            'duration' => __('Duration set', 'betterfeed'),
+            'length' => __('File size matches the audio file', 'betterfeed'),
+            'artwork' => __('Artwork meets Apple Podcasts requirements', 'betterfeed'),
+            'numbering' => __('Season and episode number are unique', 'betterfeed'),
+        );
+        ?>
+        <table class="bf-publish-checks">
+            <?php foreach ($checks as $check => $label) : ?>
+                <tr>
+                    <td><label for="bf_publish_check_<?php echo esc_attr($check); ?>"><?php echo esc_html($label); ?></label></td>
+                    <td>
+                        <select id="bf_publish_check_<?php echo esc_attr($check); ?>" name="bf_podcast_show[publish_checks][<?php echo esc_attr($check); ?>]">
+                            <option value="block" <?php selected($levels[$check], 'block'); ?>><?php esc_html_e('Block publishing', 'betterfeed'); ?></option>
+                            <option value="warn" <?php selected($levels[$check], 'warn'); ?>><?php esc_html_e('Warn only', 'betterfeed'); ?></option>
+                            <option value="off" <?php selected($levels[$check], 'off'); ?>><?php esc_html_e('Off', 'betterfeed'); ?></option>
+                        </select>
+                    </td>
+                </tr>
+            <?php endforeach; ?>
+        </table>
+        <p class="description"><?php esc_html_e('Checks shown before an episode is published. Blocking checks must pass before the Publish button is enabled.', 'betterfeed'); ?></p>
+        <?php
+    }
+    
     public function sanitize_podcast_integrations($input) {
         $sanitized = array();
         
@@ -1691,6 +2854,22 @@ class BF_Admin {
             $sanitized['author'] = sanitize_text_field($input['author']);
         }
         
+        if (isset($input['episode_post_types']) && is_array($input['episode_post_types'])) {
+            $sanitized['episode_post_types'] = array_values(array_filter(array_map('sanitize_key', $input['episode_post_types']), 'post_type_exists'));
+        }
+        
+        if (empty($sanitized['episode_post_types'])) {
+            $sanitized['episode_post_types'] = array('post');
+        }
+        
+        if (isset($input['publish_checks']) && is_array($input['publish_checks'])) {
+            $sanitized['publish_checks'] = array();
+            foreach (array_keys(BF_Episode_Meta::get_publish_check_levels()) as $check) {
+                $level = $input['publish_checks'][$check] ?? 'warn';
+                $sanitized['publish_checks'][$check] = in_array($level, array('block', 'warn', 'off'), true) ? $level : 'warn';
+            }
+        }
+        
         return $sanitized;
     }
     
@@ -1795,27 +2974,23 @@ class BF_Admin {
      * Render Custom Feeds tab
      */
     private function render_custom_feeds_tab() {
-        $custom_feeds = get_option('bf_custom_feeds', array());
-        
         if (isset($_POST['action']) && $_POST['action'] === 'add_feed' && 
             isset($_POST['bf_feed_nonce']) && wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['bf_feed_nonce'])), 'bf_add_feed')) {
             $this->handle_add_custom_feed();
-            $custom_feeds = get_option('bf_custom_feeds', array());
         }
         
         ?>
         <div class="tab-content">
             <h2><?php esc_html_e('Custom Feeds', 'betterfeed'); ?></h2>
-            <p><?php esc_html_e('Create custom RSS feeds with specific filtering options.', 'betterfeed'); ?></p>
+            <p><?php esc_html_e('Create custom feeds with specific filtering options, served as RSS 2.0, Atom and JSON Feed.', 'betterfeed'); ?></p>
             
             <div class="bf-custom-feeds-admin">
                 <div class="bf-feeds-list">
                     <h3><?php esc_html_e('Active Custom Feeds', 'betterfeed'); ?></h3>
                     
-                    <?php if (empty($custom_feeds)): ?>
-                        <p><?php esc_html_e('No custom feeds configured yet.', 'betterfeed'); ?></p>
-                    <?php else: ?>
-                        <table class="wp-list-table widefat fixed striped">
+                    <div class="bf-admin-list" data-list="feeds" data-items="<?php echo esc_attr(wp_json_encode($this->get_feed_list_items())); ?>">
+                        <p class="bf-admin-list-empty" hidden><?php esc_html_e('No custom feeds configured yet.', 'betterfeed'); ?></p>
+                        <table class="wp-list-table widefat fixed striped" hidden>
                             <thead>
                                 <tr>
                                     <th><?php esc_html_e('Title', 'betterfeed'); ?></th>
@@ -1825,41 +3000,18 @@ class BF_Admin {
                                     <th><?php esc_html_e('Actions', 'betterfeed'); ?></th>
                                 </tr>
                             </thead>
-                            <tbody>
-                                <?php foreach ($custom_feeds as $index => $feed): ?>
-                                    <tr>
-                                        <td><?php echo esc_html($feed['title']); ?></td>
-                                        <td><?php echo esc_html($feed['slug']); ?></td>
-                                        <td>
-                                            <a href="<?php echo esc_url(home_url('/feed/' . $feed['slug'] . '/')); ?>" target="_blank">
-                                                <?php echo esc_url(home_url('/feed/' . $feed['slug'] . '/')); ?>
-                                            </a>
-                                        </td>
-                                        <td>
-                                            <span class="bf-status <?php echo $feed['enabled'] ? 'enabled' : 'disabled'; ?>">
-                                                <?php echo $feed['enabled'] ? esc_html__('Enabled', 'betterfeed') : esc_html__('Disabled', 'betterfeed'); ?>
-                                            </span>
-                                        </td>
-                                        <td>
-                                            <button type="button" class="button button-small" onclick="editFeed(<?php echo esc_js($index); ?>)">
-                                                <?php esc_html_e('Edit', 'betterfeed'); ?>
-                                            </button>
-                                            <button type="button" class="button button-small button-link-delete" onclick="deleteFeed(<?php echo esc_js($index); ?>)">
-                                                <?php esc_html_e('Delete', 'betterfeed'); ?>
-                                            </button>
-                                        </td>
-                                    </tr>
-                                <?php endforeach; ?>
-                            </tbody>
+                            <tbody></tbody>
                         </table>
-                    <?php endif; ?>
+                    </div>
                 </div>
                 
                 <div class="bf-add-feed">
-                    <h3><?php esc_html_e('Add New Custom Feed', 'betterfeed'); ?></h3>
+                    <h3 data-add-label="<?php esc_attr_e('Add New Custom Feed', 'betterfeed'); ?>" data-edit-label="<?php esc_attr_e('Edit Custom Feed', 'betterfeed'); ?>"><?php esc_html_e('Add New Custom Feed', 'betterfeed'); ?></h3>
                     <form method="post">
                         <?php wp_nonce_field('bf_add_feed', 'bf_feed_nonce'); ?>
                         <input type="hidden" name="action" value="add_feed">
+                        <input type="hidden" name="feed_id" value="">
+                        <input type="hidden" name="updated_at" value="">
                         
                         <table class="form-table">
                             <tr>
@@ -1901,14 +3053,22 @@ class BF_Admin {
                                     <?php endforeach; ?>
                                 </td>
                             </tr>
+                            <?php $this->render_feed_filter_rows(); ?>
                             <tr>
                                 <th scope="row"><?php esc_html_e('Order By', 'betterfeed'); ?></th>
                                 <td>
                                     <select name="feed_orderby">
                                         <option value="date"><?php esc_html_e('Date', 'betterfeed'); ?></option>
+                                        <option value="modified"><?php esc_html_e('Last Modified', 'betterfeed'); ?></option>
                                         <option value="title"><?php esc_html_e('Title', 'betterfeed'); ?></option>
+                                        <option value="comment_count"><?php esc_html_e('Comment Count', 'betterfeed'); ?></option>
+                                        <option value="menu_order"><?php esc_html_e('Menu Order', 'betterfeed'); ?></option>
+                                        <option value="meta_value"><?php esc_html_e('Custom Field (text)', 'betterfeed'); ?></option>
+                                        <option value="meta_value_num"><?php esc_html_e('Custom Field (number)', 'betterfeed'); ?></option>
                                         <option value="rand"><?php esc_html_e('Random', 'betterfeed'); ?></option>
                                     </select>
+                                    <input type="text" name="feed_order_meta_key" class="regular-text" placeholder="<?php esc_attr_e('Custom field key', 'betterfeed'); ?>">
+                                    <p class="description"><?php esc_html_e('The custom field key is only used when ordering by a custom field.', 'betterfeed'); ?></p>
                                 </td>
                             </tr>
                             <tr>
@@ -1931,15 +3091,75 @@ class BF_Admin {
                             </tr>
                         </table>
                         
-                        <button type="button" class="button button-primary" onclick="addCustomFeed()">
+                        <p class="description bf-feed-slug-notice" hidden><?php esc_html_e('Changing the slug adds a 301 redirect from the old feed URL so existing subscribers keep receiving updates.', 'betterfeed'); ?></p>
+                        
+                        <button type="button" class="button button-primary" onclick="addCustomFeed()" data-add-label="<?php esc_attr_e('Add Custom Feed', 'betterfeed'); ?>" data-edit-label="<?php esc_attr_e('Update Custom Feed', 'betterfeed'); ?>">
                             <?php esc_html_e('Add Custom Feed', 'betterfeed'); ?>
                         </button>
+                        <button type="button" class="button bf-cancel-feed-edit" onclick="resetFeedForm()" hidden>
+                            <?php esc_html_e('Cancel', 'betterfeed'); ?>
+                        </button>
+                        <button type="button" class="button" onclick="previewCustomFeed()">
+                            <?php esc_html_e('Preview', 'betterfeed'); ?>
+                        </button>
                     </form>
                 </div>
+                
+                <div class="bf-feed-preview" hidden>
+                    <h3><?php esc_html_e('Feed Preview', 'betterfeed'); ?></h3>
+                    <p class="bf-feed-preview-summary"></p>
+                    <table class="wp-list-table widefat fixed striped">
+                        <thead>
+                            <tr>
+                                <th><?php esc_html_e('Title', 'betterfeed'); ?></th>
+                                <th><?php esc_html_e('Post Type', 'betterfeed'); ?></th>
+                                <th><?php esc_html_e('Date', 'betterfeed'); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                    <details>
+                        <summary><?php esc_html_e('Rendered XML', 'betterfeed'); ?></summary>
+                        <pre class="bf-feed-preview-xml"></pre>
+                    </details>
+                </div>
             </div>
         </div>
         
         <style>
+        .bf-feed-term-filters th,
+        .bf-feed-term-filters td {
+            padding: 4px 8px 4px 0;
+            vertical-align: top;
+        }
+        .bf-feed-term-filters select,
+        .bf-feed-filter-group select {
+            min-width: 160px;
+        }
+        .bf-feed-filter-group {
+            display: inline-block;
+            margin-right: 15px;
+        }
+        .bf-meta-filter {
+            margin: 0 0 8px;
+        }
+        .bf-feed-preview {
+            grid-column: 1 / -1;
+            border: 1px solid #ddd;
+            padding: 20px;
+            background: #fff;
+        }
+        .bf-feed-preview details {
+            margin-top: 15px;
+        }
+        .bf-feed-preview-xml {
+            max-height: 400px;
+            overflow: auto;
+            padding: 10px;
+            background: #f6f7f7;
+            white-space: pre-wrap;
+            word-break: break-all;
+        }
         .bf-custom-feeds-admin {
             display: grid;
             grid-template-columns: 1fr 1fr;
@@ -1974,15 +3194,111 @@ class BF_Admin {
     }
     
     /**
-     * Render Feed Redirects tab
+     * Render the filter rows of the custom feed form
+     * 
+     * Field names mirror the keys read by BF_Custom_Feeds::sanitize_feed_config().
      */
-    private function render_feed_redirects_tab() {
-        $redirects = get_option('bf_feed_redirects', array());
-        
-        if (isset($_POST['action']) && $_POST['action'] === 'add_redirect' && 
-            isset($_POST['bf_redirect_nonce']) && wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['bf_redirect_nonce'])), 'bf_add_redirect')) {
+    private function render_feed_filter_rows() {
+        $taxonomies = get_taxonomies(array('public' => true, 'show_ui' => true), 'objects');
+        $authors = get_users(array('has_published_posts' => true, 'orderby' => 'display_name', 'fields' => array('ID', 'display_name')));
+        $compare_options = array('=', '!=', '>', '>=', '<', '<=', 'LIKE', 'NOT LIKE', 'EXISTS', 'NOT EXISTS');
+        ?>
+        <tr>
+            <th scope="row"><?php esc_html_e('Taxonomy Terms', 'betterfeed'); ?></th>
+            <td>
+                <table class="bf-feed-term-filters">
+                    <thead>
+                        <tr>
+                            <th><?php esc_html_e('Taxonomy', 'betterfeed'); ?></th>
+                            <th><?php esc_html_e('Include', 'betterfeed'); ?></th>
+                            <th><?php esc_html_e('Exclude', 'betterfeed'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($taxonomies as $taxonomy):
+                            $terms = get_terms(array('taxonomy' => $taxonomy->name, 'hide_empty' => false, 'number' => 500));
+                            if (is_wp_error($terms) || empty($terms)) {
+                                continue;
+                            }
+                            ?>
+                            <tr>
+                                <td><?php echo esc_html($taxonomy->label); ?></td>
+                                <?php foreach (array('feed_taxonomies' => __('Include', 'betterfeed'), 'feed_exclude_taxonomies' => __('Exclude', 'betterfeed')) as $field => $label): ?>
+                                    <td>
+                                        <select name="<?php echo esc_attr($field . '[' . $taxonomy->name . '][]'); ?>" multiple size="4" aria-label="<?php echo esc_attr($label . ' ' . $taxonomy->label); ?>">
+                                            <?php foreach ($terms as $term): ?>
+                                                <option value="<?php echo esc_attr($term->term_id); ?>"><?php echo esc_html($term->name); ?></option>
+                                            <?php endforeach; ?>
+                                        </select>
+                                    </td>
+                                <?php endforeach; ?>
+                            </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+                <p class="description"><?php esc_html_e('Posts must have at least one included term in each taxonomy and none of the excluded terms. Hold Ctrl or Cmd to select several.', 'betterfeed'); ?></p>
+            </td>
+        </tr>
+        <tr>
+            <th scope="row"><?php esc_html_e('Authors', 'betterfeed'); ?></th>
+            <td>
+                <?php foreach (array('feed_authors' => __('Include', 'betterfeed'), 'feed_exclude_authors' => __('Exclude', 'betterfeed')) as $field => $label): ?>
+                    <label class="bf-feed-filter-group">
+                        <?php echo esc_html($label); ?><br>
+                        <select name="<?php echo esc_attr($field); ?>[]" multiple size="4">
+                            <?php foreach ($authors as $author): ?>
+                                <option value="<?php echo esc_attr($author->ID); ?>"><?php echo esc_html($author->display_name); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </label>
+                <?php endforeach; ?>
+            </td>
+        </tr>
+        <tr>
+            <th scope="row"><?php esc_html_e('Date Range', 'betterfeed'); ?></th>
+            <td>
+                <label>
+                    <?php esc_html_e('Only posts from the last', 'betterfeed'); ?>
+                    <input type="number" name="feed_date_window" min="0" class="small-text">
+                    <?php esc_html_e('days', 'betterfeed'); ?>
+                </label>
+                <p>
+                    <label><?php esc_html_e('From', 'betterfeed'); ?> <input type="date" name="feed_date_from"></label>
+                    <label><?php esc_html_e('To', 'betterfeed'); ?> <input type="date" name="feed_date_to"></label>
+                </p>
+                <p class="description"><?php esc_html_e('Leave empty for no date limit. The day window and fixed dates can be combined.', 'betterfeed'); ?></p>
+            </td>
+        </tr>
+        <tr>
+            <th scope="row"><?php esc_html_e('Custom Field Filters', 'betterfeed'); ?></th>
+            <td>
+                <div class="bf-meta-filters"></div>
+                <template id="bf-meta-filter-template">
+                    <p class="bf-meta-filter">
+                        <input type="text" name="feed_meta_filters[__i__][key]" placeholder="<?php esc_attr_e('Custom field key', 'betterfeed'); ?>" aria-label="<?php esc_attr_e('Custom field key', 'betterfeed'); ?>">
+                        <select name="feed_meta_filters[__i__][compare]" aria-label="<?php esc_attr_e('Comparison', 'betterfeed'); ?>">
+                            <?php foreach ($compare_options as $compare): ?>
+                                <option value="<?php echo esc_attr($compare); ?>"><?php echo esc_html($compare); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                        <input type="text" name="feed_meta_filters[__i__][value]" placeholder="<?php esc_attr_e('Value', 'betterfeed'); ?>" aria-label="<?php esc_attr_e('Value', 'betterfeed'); ?>">
+                        <button type="button" class="button-link button-link-delete" onclick="removeMetaFilterRow(this)"><?php esc_html_e('Remove', 'betterfeed'); ?></button>
+                    </p>
+                </template>
+                <button type="button" class="button button-small" onclick="addMetaFilterRow()"><?php esc_html_e('Add Condition', 'betterfeed'); ?></button>
+                <p class="description"><?php esc_html_e('All conditions must match.', 'betterfeed'); ?></p>
+            </td>
+        </tr>
+        <?php
+    }
+    
+    /**
+     * Render Feed Redirects tab
+     */
+    private function render_feed_redirects_tab() {
+        if (isset($_POST['action']) && $_POST['action'] === 'add_redirect' && 
+            isset($_POST['bf_redirect_nonce']) && wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['bf_redirect_nonce'])), 'bf_add_redirect')) {
             $this->handle_add_feed_redirect();
-            $redirects = get_option('bf_feed_redirects', array());
         }
         
         // Get redirect logs for analytics
@@ -1998,10 +3314,9 @@ class BF_Admin {
                 <div class="bf-redirects-list">
                     <h3><?php esc_html_e('Active Redirects', 'betterfeed'); ?></h3>
                     
-                    <?php if (empty($redirects)): ?>
-                        <p><?php esc_html_e('No redirects configured yet.', 'betterfeed'); ?></p>
-                    <?php else: ?>
-                        <table class="wp-list-table widefat fixed striped">
+                    <div class="bf-admin-list" data-list="redirects" data-items="<?php echo esc_attr(wp_json_encode($this->get_redirect_list_items())); ?>">
+                        <p class="bf-admin-list-empty" hidden><?php esc_html_e('No redirects configured yet.', 'betterfeed'); ?></p>
+                        <table class="wp-list-table widefat fixed striped" hidden>
                             <thead>
                                 <tr>
                                     <th><?php esc_html_e('From URL', 'betterfeed'); ?></th>
@@ -2011,34 +3326,9 @@ class BF_Admin {
                                     <th><?php esc_html_e('Actions', 'betterfeed'); ?></th>
                                 </tr>
                             </thead>
-                            <tbody>
-                                <?php foreach ($redirects as $index => $redirect): ?>
-                                    <tr>
-                                        <td><?php echo esc_html($redirect['from']); ?></td>
-                                        <td>
-                                            <a href="<?php echo esc_url($redirect['to']); ?>" target="_blank">
-                                                <?php echo esc_html($redirect['to']); ?>
-                                            </a>
-                                        </td>
-                                        <td><?php echo esc_html($redirect['status_code']); ?></td>
-                                        <td>
-                                            <span class="bf-status <?php echo $redirect['enabled'] ? 'enabled' : 'disabled'; ?>">
-                                                <?php echo $redirect['enabled'] ? esc_html__('Enabled', 'betterfeed') : esc_html__('Disabled', 'betterfeed'); ?>
-                                            </span>
-                                        </td>
-                                        <td>
-                                            <button type="button" class="button button-small" onclick="editRedirect(<?php echo esc_js($index); ?>)">
-                                                <?php esc_html_e('Edit', 'betterfeed'); ?>
-                                            </button>
-                                            <button type="button" class="button button-small button-link-delete" onclick="deleteRedirect(<?php echo esc_js($index); ?>)">
-                                                <?php esc_html_e('Delete', 'betterfeed'); ?>
-                                            </button>
-                                        </td>
-                                    </tr>
-                                <?php endforeach; ?>
-                            </tbody>
+                            <tbody></tbody>
                         </table>
-                    <?php endif; ?>
+                    </div>
                 </div>
                 
                 <div class="bf-add-redirect">
@@ -2096,6 +3386,17 @@ class BF_Admin {
                     </form>
                 </div>
                 
+                <div class="bf-test-redirect">
+                    <h3><?php esc_html_e('Test a URL', 'betterfeed'); ?></h3>
+                    <p><?php esc_html_e('Check which redirect rule a feed URL hits, in the same order redirects are applied.', 'betterfeed'); ?></p>
+                    <p>
+                        <label for="bf-test-redirect-url" class="screen-reader-text"><?php esc_html_e('URL to test', 'betterfeed'); ?></label>
+                        <input type="text" id="bf-test-redirect-url" class="regular-text" placeholder="<?php echo esc_attr(home_url('/feed/')); ?>">
+                        <button type="button" class="button" id="bf-test-redirect" onclick="testRedirectUrl()"><?php esc_html_e('Test URL', 'betterfeed'); ?></button>
+                    </p>
+                    <div class="bf-test-redirect-result" aria-live="polite"></div>
+                </div>
+                
                 <?php if (!empty($recent_logs)): ?>
                 <div class="bf-redirect-logs">
                     <h3><?php esc_html_e('Recent Redirect Activity', 'betterfeed'); ?></h3>
@@ -2136,9 +3437,19 @@ class BF_Admin {
             padding: 20px;
             background: #fff;
         }
-        .bf-redirect-logs {
+        .bf-redirect-logs,
+        .bf-test-redirect {
             grid-column: 1 / -1;
         }
+        .bf-test-redirect {
+            border: 1px solid #ddd;
+            padding: 20px;
+            background: #fff;
+        }
+        .bf-redirects-list tr.bf-editing input[type="text"],
+        .bf-redirects-list tr.bf-editing input[type="url"] {
+            width: 100%;
+        }
         @media (max-width: 768px) {
             .bf-redirects-admin {
                 grid-template-columns: 1fr;
@@ -2155,24 +3466,89 @@ class BF_Admin {
         // Get performance metrics
         $metrics = get_option('bf_performance_metrics', array());
         
-        // Get optimization suggestions
-        $suggestions = get_option('bf_optimization_suggestions', array());
-        
         // If no suggestions exist, generate some for demonstration
-        if (empty($suggestions)) {
+        if (empty(get_option('bf_optimization_suggestions', array()))) {
             $this->generate_demo_suggestions();
-            $suggestions = get_option('bf_optimization_suggestions', array());
         }
         
         // Get recent performance test results
-        $test_results = get_option('bf_performance_test_results', array());
-        $latest_results = array_slice(array_reverse($test_results), 0, 5);
+        $latest_results = $this->get_performance_test_rows();
         
         ?>
         <div class="tab-content">
             <h2><?php esc_html_e('Performance Dashboard', 'betterfeed'); ?></h2>
             <p><?php esc_html_e('Monitor feed performance and optimization impact.', 'betterfeed'); ?></p>
             
+            <!-- Live Traffic -->
+            <div class="bf-dashboard-section bf-live-traffic">
+                <h3>
+                    <?php esc_html_e('Live Traffic', 'betterfeed'); ?>
+                    <span class="bf-live-status" aria-live="polite"></span>
+                </h3>
+                <?php if (!get_option('bf_enable_analytics', true)): ?>
+                    <p><?php esc_html_e('Analytics tracking is turned off, so there is no live traffic to show.', 'betterfeed'); ?></p>
+                <?php else: ?>
+                <div id="bf-live-traffic">
+                    <p class="description">
+                        <?php
+                        printf(
+                            // translators: %d is the number of minutes the live rates cover
+                            esc_html__('Feed requests as they arrive. Rates cover the last %d minutes. Updates pause while this browser tab is hidden.', 'betterfeed'),
+                            (int) BF_Analytics::LIVE_WINDOW_MINUTES
+                        );
+                        ?>
+                    </p>
+                    <div class="bf-stats-grid">
+                        <div class="bf-stat-card">
+                            <h5><?php esc_html_e('Requests per Minute', 'betterfeed'); ?></h5>
+                            <span class="bf-stat-number" data-live-stat="per_minute">&ndash;</span>
+                        </div>
+                        <div class="bf-stat-card">
+                            <h5><?php esc_html_e('200 OK', 'betterfeed'); ?></h5>
+                            <span class="bf-stat-number" data-live-stat="ok">&ndash;</span>
+                        </div>
+                        <div class="bf-stat-card">
+                            <h5><?php esc_html_e('304 Not Modified', 'betterfeed'); ?></h5>
+                            <span class="bf-stat-number" data-live-stat="not_modified">&ndash;</span>
+                        </div>
+                    </div>
+                    
+                    <h4><?php esc_html_e('Requests per Minute, Last 60 Minutes', 'betterfeed'); ?></h4>
+                    <div class="bf-live-sparkline"></div>
+                    
+                    <div class="bf-live-tables">
+                        <div>
+                            <h4><?php esc_html_e('Feeds', 'betterfeed'); ?></h4>
+                            <table class="widefat striped">
+                                <thead>
+                                    <tr>
+                                        <th><?php esc_html_e('Feed', 'betterfeed'); ?></th>
+                                        <th><?php esc_html_e('Per Minute', 'betterfeed'); ?></th>
+                                        <th><?php esc_html_e('200', 'betterfeed'); ?></th>
+                                        <th><?php esc_html_e('304', 'betterfeed'); ?></th>
+                                        <th><?php esc_html_e('304 Share', 'betterfeed'); ?></th>
+                                    </tr>
+                                </thead>
+                                <tbody data-live-table="feeds"></tbody>
+                            </table>
+                        </div>
+                        <div>
+                            <h4><?php esc_html_e('Current Readers', 'betterfeed'); ?></h4>
+                            <table class="widefat striped">
+                                <thead>
+                                    <tr>
+                                        <th><?php esc_html_e('User Agent', 'betterfeed'); ?></th>
+                                        <th><?php esc_html_e('Requests', 'betterfeed'); ?></th>
+                                    </tr>
+                                </thead>
+                                <tbody data-live-table="agents"></tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+                <?php endif; ?>
+            </div>
+            
             <div class="bf-dashboard-grid">
                 <!-- Performance Metrics -->
                 <div class="bf-dashboard-section">
@@ -2200,33 +3576,31 @@ class BF_Admin {
                 <!-- Optimization Suggestions -->
                 <div class="bf-dashboard-section">
                     <h3><?php esc_html_e('Optimization Suggestions', 'betterfeed'); ?></h3>
-                    <?php if (empty($suggestions)): ?>
-                        <p><?php esc_html_e('No optimization suggestions at this time.', 'betterfeed'); ?></p>
-                    <?php else: ?>
-                        <div class="bf-suggestions-list">
-                            <?php foreach (array_slice($suggestions, 0, 5) as $suggestion): ?>
-                                <div class="bf-suggestion-item priority-<?php echo esc_attr($suggestion['priority']); ?>">
-                                    <h4><?php echo esc_html($suggestion['title']); ?></h4>
-                                    <p><?php echo esc_html($suggestion['description']); ?></p>
-                                    <button type="button" class="button button-small" onclick="applySuggestion('<?php echo esc_js($suggestion['id']); ?>')">
-                                        <?php esc_html_e('Apply', 'betterfeed'); ?>
-                                    </button>
-                                </div>
-                            <?php endforeach; ?>
-                        </div>
-                    <?php endif; ?>
+                    <div class="bf-admin-list" data-list="suggestions" data-items="<?php echo esc_attr(wp_json_encode($this->get_suggestion_list_items())); ?>">
+                        <p class="bf-admin-list-empty" hidden><?php esc_html_e('No optimization suggestions at this time.', 'betterfeed'); ?></p>
+                        <div class="bf-suggestions-list"></div>
+                    </div>
+                    <p>
+                        <button type="button" class="button button-secondary" id="bf-run-scan">
+                            <?php esc_html_e('Run New Scan', 'betterfeed'); ?>
+                        </button>
+                        <button type="button" class="button button-secondary" id="bf-apply-all">
+                            <?php esc_html_e('Apply All High Priority', 'betterfeed'); ?>
+                        </button>
+                    </p>
                 </div>
                 
                 <!-- Recent Performance Tests -->
                 <div class="bf-dashboard-section">
                     <h3><?php esc_html_e('Recent Performance Tests', 'betterfeed'); ?></h3>
-                    <?php if (empty($latest_results)): ?>
-                        <p><?php esc_html_e('No performance test results available.', 'betterfeed'); ?></p>
-                        <button type="button" class="button button-primary" onclick="runPerformanceTest()">
-                            <?php esc_html_e('Run Performance Test', 'betterfeed'); ?>
-                        </button>
-                    <?php else: ?>
-                        <table class="wp-list-table widefat fixed striped">
+                    <div id="bf-performance-tests">
+                        <div class="bf-performance-tests-empty" <?php echo empty($latest_results) ? '' : 'hidden'; ?>>
+                            <p><?php esc_html_e('No performance test results available.', 'betterfeed'); ?></p>
+                            <button type="button" class="button button-primary" onclick="runPerformanceTest()">
+                                <?php esc_html_e('Run Performance Test', 'betterfeed'); ?>
+                            </button>
+                        </div>
+                        <table class="wp-list-table widefat fixed striped" <?php echo empty($latest_results) ? 'hidden' : ''; ?>>
                             <thead>
                                 <tr>
                                     <th><?php esc_html_e('Test Time', 'betterfeed'); ?></th>
@@ -2238,7 +3612,7 @@ class BF_Admin {
                             <tbody>
                                 <?php foreach ($latest_results as $result): ?>
                                     <tr>
-                                        <td><?php echo esc_html(gmdate('M j, Y H:i', strtotime($result['test_time']))); ?></td>
+                                        <td><?php echo esc_html($result['test_time']); ?></td>
                                         <td><?php echo esc_html($result['feed_url']); ?></td>
                                         <td><?php echo esc_html($result['load_time']); ?>s</td>
                                         <td>
@@ -2250,7 +3624,7 @@ class BF_Admin {
                                 <?php endforeach; ?>
                             </tbody>
                         </table>
-                    <?php endif; ?>
+                    </div>
                 </div>
                 
                 <!-- Quick Actions -->
@@ -2268,9 +3642,66 @@ class BF_Admin {
                         </button>
                     </div>
                 </div>
+                
+                <!-- Suggestion History -->
+                <div class="bf-dashboard-section bf-suggestion-history" id="bf-suggestion-history">
+                    <h3><?php esc_html_e('Applied Suggestions', 'betterfeed'); ?></h3>
+                    <p class="description"><?php esc_html_e('The effect of each suggestion is measured by the first performance test after it was applied.', 'betterfeed'); ?></p>
+                    <p class="bf-suggestion-history-empty" data-table="applied" hidden><?php esc_html_e('No suggestions have been applied yet.', 'betterfeed'); ?></p>
+                    <table class="widefat striped" data-table="applied">
+                        <thead>
+                            <tr>
+                                <th><?php esc_html_e('Suggestion', 'betterfeed'); ?></th>
+                                <th><?php esc_html_e('Applied', 'betterfeed'); ?></th>
+                                <th><?php esc_html_e('Who', 'betterfeed'); ?></th>
+                                <th><?php esc_html_e('Measured Effect', 'betterfeed'); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                    
+                    <h3><?php esc_html_e('Dismissed Suggestions', 'betterfeed'); ?></h3>
+                    <p class="bf-suggestion-history-empty" data-table="dismissed" hidden><?php esc_html_e('No suggestions are dismissed or snoozed.', 'betterfeed'); ?></p>
+                    <table class="widefat striped" data-table="dismissed">
+                        <thead>
+                            <tr>
+                                <th><?php esc_html_e('Suggestion', 'betterfeed'); ?></th>
+                                <th><?php esc_html_e('Reason', 'betterfeed'); ?></th>
+                                <th><?php esc_html_e('Hidden Until', 'betterfeed'); ?></th>
+                                <th><?php esc_html_e('Who', 'betterfeed'); ?></th>
+                                <th><?php esc_html_e('Actions', 'betterfeed'); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
             </div>
         </div>
         
+        <dialog id="bf-dismiss-dialog" class="bf-dismiss-dialog">
+            <form method="dialog">
+                <h2><?php esc_html_e('Dismiss Suggestion', 'betterfeed'); ?></h2>
+                <p class="bf-dismiss-title"></p>
+                <p>
+                    <label for="bf-dismiss-period"><?php esc_html_e('Hide this suggestion', 'betterfeed'); ?></label>
+                    <select id="bf-dismiss-period">
+                        <option value="0"><?php esc_html_e('Permanently', 'betterfeed'); ?></option>
+                        <option value="7"><?php esc_html_e('For 1 week', 'betterfeed'); ?></option>
+                        <option value="30"><?php esc_html_e('For 30 days', 'betterfeed'); ?></option>
+                        <option value="90"><?php esc_html_e('For 90 days', 'betterfeed'); ?></option>
+                    </select>
+                </p>
+                <p>
+                    <label for="bf-dismiss-reason"><?php esc_html_e('Reason', 'betterfeed'); ?></label>
+                    <textarea id="bf-dismiss-reason" class="large-text" rows="3" required></textarea>
+                </p>
+                <p class="bf-dismiss-dialog-actions">
+                    <button type="button" class="button" id="bf-dismiss-cancel"><?php esc_html_e('Cancel', 'betterfeed'); ?></button>
+                    <button type="submit" class="button button-primary"><?php esc_html_e('Dismiss', 'betterfeed'); ?></button>
+                </p>
+            </form>
+        </dialog>
+        
         <style>
         .bf-dashboard-grid {
             display: grid;
@@ -2347,18 +3778,15 @@ class BF_Admin {
             wp_die(esc_html__('Security check failed.', 'betterfeed'));
         }
         
-        $feed_data = array(
-            'title' => isset($_POST['feed_title']) ? sanitize_text_field(wp_unslash($_POST['feed_title'])) : '',
-            'slug' => isset($_POST['feed_slug']) ? sanitize_title(wp_unslash($_POST['feed_slug'])) : '',
-            'description' => isset($_POST['feed_description']) ? sanitize_textarea_field(wp_unslash($_POST['feed_description'])) : '',
-            'limit' => isset($_POST['feed_limit']) ? intval($_POST['feed_limit']) : 10,
-            'post_types' => isset($_POST['feed_post_types']) ? array_map('sanitize_text_field', wp_unslash($_POST['feed_post_types'])) : array('post'),
-            'orderby' => isset($_POST['feed_orderby']) ? sanitize_text_field(wp_unslash($_POST['feed_orderby'])) : 'date',
-            'order' => isset($_POST['feed_order']) ? sanitize_text_field(wp_unslash($_POST['feed_order'])) : 'DESC',
-            'enabled' => isset($_POST['feed_enabled'])
+        $feed_data = array_merge(
+            array('id' => uniqid()),
+            BF_Custom_Feeds::sanitize_feed_config(wp_unslash($_POST)),
+            array('created_at' => current_time('mysql'))
         );
         
-        $custom_feeds = get_option('bf_custom_feeds', array());
+        $this->release_feed_slug($feed_data['slug']);
+        
+        $custom_feeds = BF_Custom_Feeds::get_feeds();
         $custom_feeds[] = $feed_data;
         
         update_option('bf_custom_feeds', $custom_feeds);
@@ -2380,432 +3808,988 @@ class BF_Admin {
             wp_die(esc_html__('Security check failed.', 'betterfeed'));
         }
         
-        $redirect_data = array(
-            'id' => uniqid(),
-            'from' => isset($_POST['redirect_from']) ? sanitize_text_field(wp_unslash($_POST['redirect_from'])) : '',
-            'to' => isset($_POST['redirect_to']) ? esc_url_raw(wp_unslash($_POST['redirect_to'])) : '',
-            'status_code' => isset($_POST['redirect_status_code']) ? intval($_POST['redirect_status_code']) : 301,
-            'description' => isset($_POST['redirect_description']) ? sanitize_text_field(wp_unslash($_POST['redirect_description'])) : '',
-            'enabled' => isset($_POST['redirect_enabled']),
-            'created_at' => current_time('mysql')
-        );
+        $redirect_data = array(
+            'id' => uniqid(),
+            'from' => isset($_POST['redirect_from']) ? sanitize_text_field(wp_unslash($_POST['redirect_from'])) : '',
+            'to' => isset($_POST['redirect_to']) ? esc_url_raw(wp_unslash($_POST['redirect_to'])) : '',
+            'status_code' => isset($_POST['redirect_status_code']) ? intval($_POST['redirect_status_code']) : 301,
+            'description' => isset($_POST['redirect_description']) ? sanitize_text_field(wp_unslash($_POST['redirect_description'])) : '',
+            'enabled' => isset($_POST['redirect_enabled']),
+            'created_at' => current_time('mysql')
+        );
+        
+        $redirects = get_option('bf_feed_redirects', array());
+        $redirects[] = $redirect_data;
+        
+        update_option('bf_feed_redirects', $redirects);
+        
+        add_action('admin_notices', function() {
+            echo '<div class="notice notice-success is-dismissible"><p>' . esc_html__('Redirect created successfully!', 'betterfeed') . '</p></div>';
+        });
+    }
+    
+    /**
+     * REST endpoint: Run performance test
+     */
+    public function rest_run_performance_test($request) {
+        try {
+            // Check if performance monitor class exists and has the required method
+            if (class_exists('BF_Performance_Monitor')) {
+                $monitor = BF_Performance_Monitor::instance();
+                
+                // Verify the method exists before calling it
+                if (method_exists($monitor, 'run_performance_tests')) {
+                    $results = $monitor->run_performance_tests();
+                    
+                    return new WP_REST_Response(array(
+                        'success' => true,
+                        'message' => 'Performance test completed successfully!',
+                        'results' => $results,
+                        'recent_tests' => $this->get_performance_test_rows()
+                    ), 200);
+                } else {
+                    // Method doesn't exist, return appropriate error
+                    return new WP_REST_Response(array(
+                        'success' => false,
+                        'message' => 'Performance monitoring method not available'
+                    ), 400);
+                }
+            } else {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'Performance monitoring class not available'
+                ), 400);
+            }
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to run performance test: ' . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * REST endpoint: Generate optimization report
+     */
+    public function rest_generate_optimization_report($request) {
+        try {
+            // Generate a simple optimization report
+            $report_data = array(
+                'timestamp' => current_time('mysql'),
+                'site_url' => home_url(),
+                'wordpress_version' => get_bloginfo('version'),
+                'plugin_version' => BF_VERSION,
+                'performance_metrics' => get_option('bf_performance_metrics', array()),
+                'optimization_suggestions' => get_option('bf_optimization_suggestions', array()),
+                'settings' => array(
+                    'general_options' => get_option('bf_general_options', array()),
+                    'performance_options' => get_option('bf_performance_options', array()),
+                    'content_options' => get_option('bf_content_options', array())
+                )
+            );
+            
+            // Store report temporarily
+            $report_id = 'bf_report_' . time();
+            update_option('bf_optimization_report_' . $report_id, $report_data, false);
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'message' => 'Optimization report generated successfully!',
+                'report_id' => $report_id,
+                'report_url' => admin_url('options-general.php?page=bf-settings&tab=dashboard&report=' . $report_id)
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to generate report: ' . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * REST endpoint: Apply optimization suggestion
+     */
+    public function rest_apply_suggestion($request) {
+        try {
+            // Log the request for debugging
+            // Debug logging removed for production
+            
+            $suggestion_id = $request->get_param('suggestion_id');
+            
+            if (empty($suggestion_id)) {
+                // No suggestion ID provided
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'Suggestion ID is required'
+                ), 400);
+            }
+            
+            // Applying suggestion
+            
+            if (class_exists('BF_Settings_History')) {
+                BF_Settings_History::instance()->set_source('suggestion', $suggestion_id);
+            }
+            
+            // Always use manual application for now (safer)
+            $applied = $this->apply_suggestion_manually($suggestion_id);
+            
+            if ($applied) {
+                $this->remove_applied_suggestions(array($suggestion_id));
+                
+                // Suggestion applied successfully
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'message' => 'Optimization suggestion applied successfully!',
+                    'suggestion_id' => $suggestion_id
+                ), 200);
+            } else {
+                // Failed to apply suggestion
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'Unknown suggestion or failed to apply'
+                ), 400);
+            }
+        } catch (Exception $e) {
+            // Exception in apply suggestion
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to apply suggestion: ' . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * REST endpoint: Apply several optimization suggestions in order
+     */
+    public function rest_apply_suggestions($request) {
+        try {
+            $json_params = $request->get_json_params();
+            $suggestion_ids = isset($json_params['suggestion_ids']) && is_array($json_params['suggestion_ids'])
+                ? array_values(array_unique(array_filter(array_map('sanitize_key', $json_params['suggestion_ids']))))
+                : array();
+            
+            if (empty($suggestion_ids)) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'At least one suggestion ID is required'
+                ), 400);
+            }
+            
+            if (class_exists('BF_Settings_History')) {
+                BF_Settings_History::instance()->set_source('suggestion', implode(', ', $suggestion_ids));
+            }
+            
+            $results = $this->apply_suggestions($suggestion_ids);
+            $applied = array_column(array_filter($results, function($result) {
+                return $result['status'] === 'applied';
+            }), 'suggestion_id');
+            
+            if (count($applied) === count($suggestion_ids)) {
+                $this->remove_applied_suggestions($applied);
+                
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'message' => sprintf('Applied %d optimization suggestions.', count($applied)),
+                    'results' => $results
+                ), 200);
+            }
+            
+            // 207 so the per-suggestion results reach the client alongside the failure
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'No suggestions were applied because one of them failed.',
+                'results' => $results
+            ), 207);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to apply suggestions: ' . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * Remove applied suggestions from the stored list
+     * 
+     * Applied suggestions leave the list until the next scan and are added
+     * to the applied history so their effect can be measured.
+     * 
+     * @param array $suggestion_ids Suggestion IDs
+     */
+    private function remove_applied_suggestions($suggestion_ids) {
+        $suggestions = get_option('bf_optimization_suggestions', array());
+        
+        if (class_exists('BF_Optimizer_Suggestions')) {
+            $titles = array_column($suggestions, 'title', 'id');
+            BF_Optimizer_Suggestions::instance()->record_applied_suggestions(array_map(function($suggestion_id) use ($titles) {
+                return array(
+                    'id' => $suggestion_id,
+                    'title' => $titles[$suggestion_id] ?? $suggestion_id
+                );
+            }, $suggestion_ids));
+        }
+        
+        $remaining = array_filter($suggestions, function($suggestion) use ($suggestion_ids) {
+            return !in_array($suggestion['id'], $suggestion_ids, true);
+        });
+        update_option('bf_optimization_suggestions', array_values($remaining));
+    }
+    
+    /**
+     * REST endpoint: Dismiss an optimization suggestion permanently or snooze it
+     */
+    public function rest_dismiss_suggestion($request) {
+        try {
+            $json_params = $request->get_json_params();
+            $suggestion_id = sanitize_key($json_params['suggestion_id'] ?? '');
+            $reason = sanitize_textarea_field($json_params['reason'] ?? '');
+            $snooze_days = absint($json_params['snooze_days'] ?? 0);
+            
+            if (empty($suggestion_id)) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'Suggestion ID is required'
+                ), 400);
+            }
+            
+            if ($reason === '') {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'Please give a reason for dismissing this suggestion'
+                ), 400);
+            }
+            
+            if ($snooze_days > 365) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'Suggestions can be snoozed for at most 365 days'
+                ), 400);
+            }
+            
+            $suggestions = get_option('bf_optimization_suggestions', array());
+            $titles = array_column($suggestions, 'title', 'id');
+            $optimizer = BF_Optimizer_Suggestions::instance();
+            
+            $optimizer->dismiss_suggestion($suggestion_id, $reason, $snooze_days, $titles[$suggestion_id] ?? '');
+            update_option('bf_optimization_suggestions', $optimizer->filter_dismissed($suggestions));
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'message' => $snooze_days > 0
+                    ? sprintf('Suggestion snoozed for %d days.', $snooze_days)
+                    : 'Suggestion dismissed. It will not be suggested again.',
+                'suggestion_id' => $suggestion_id
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to dismiss suggestion: ' . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * REST endpoint: Bring back a dismissed or snoozed optimization suggestion
+     */
+    public function rest_restore_suggestion($request) {
+        try {
+            $json_params = $request->get_json_params();
+            $suggestion_id = sanitize_key($json_params['suggestion_id'] ?? '');
+            
+            if (!BF_Optimizer_Suggestions::instance()->restore_suggestion($suggestion_id)) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'That suggestion is not dismissed'
+                ), 404);
+            }
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'message' => 'Suggestion restored. It will show again after the next scan if it still applies.'
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to restore suggestion: ' . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * REST endpoint: List dismissed suggestions and applied suggestions with their measured effect
+     */
+    public function rest_get_suggestion_history($request) {
+        try {
+            $optimizer = BF_Optimizer_Suggestions::instance();
+            $dismissed = array();
+            $applied = array();
+            
+            foreach ($optimizer->get_dismissed_suggestions() as $suggestion_id => $dismissal) {
+                $dismissed[] = array(
+                    'id' => $suggestion_id,
+                    'title' => $dismissal['title'],
+                    'reason' => $dismissal['reason'],
+                    'until' => $dismissal['until'] ? wp_date('Y-m-d H:i:s', $dismissal['until']) : null,
+                    'user' => $this->get_user_display_name($dismissal['user_id']),
+                    'time' => $dismissal['time']
+                );
+            }
+            
+            foreach ($optimizer->get_applied_suggestions() as $entry) {
+                $applied[] = array(
+                    'id' => $entry['id'],
+                    'suggestion_id' => $entry['suggestion_id'],
+                    'title' => $entry['title'],
+                    'user' => $this->get_user_display_name($entry['user_id']),
+                    'time' => $entry['time'],
+                    'measured_at' => $entry['measured_at'],
+                    'effect' => $optimizer->get_measured_effect($entry)
+                );
+            }
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'dismissed' => $dismissed,
+                'applied' => $applied
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to load suggestion history: ' . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * Get the name to show for the user who made a change
+     * 
+     * @param int $user_id User ID, or 0 for changes made by the system
+     * @return string Display name
+     */
+    private function get_user_display_name($user_id) {
+        $user = $user_id ? get_userdata($user_id) : false;
+        
+        return $user ? $user->display_name : __('System', 'betterfeed');
+    }
+    
+    /**
+     * Manually apply optimization suggestions
+     */
+    private function apply_suggestion_manually($suggestion_id) {
+        try {
+            $suggestion_settings = $this->get_suggestion_settings();
+            
+            if (!isset($suggestion_settings[$suggestion_id])) {
+                return false;
+            }
+            
+            list($option_name, $key, $value) = $suggestion_settings[$suggestion_id];
+            
+            $options = get_option($option_name, array());
+            if (!is_array($options)) {
+                $options = array();
+            }
+            
+            // A suggestion that is already in effect counts as applied
+            if (isset($options[$key]) && $options[$key] == $value) {
+                return true;
+            }
+            
+            $options[$key] = $value;
+            return update_option($option_name, $options);
+        } catch (Exception $e) {
+            // Error applying suggestion
+            return false;
+        }
+    }
+    
+    /**
+     * Get the setting each optimization suggestion changes
+     * 
+     * @return array Option name, setting key and value, keyed by suggestion ID
+     */
+    private function get_suggestion_settings() {
+        return array(
+            'enable_caching' => array('bf_performance_options', 'enable_caching', 1),
+            'enable_gzip' => array('bf_performance_options', 'enable_gzip', 1),
+            'enable_etag' => array('bf_performance_options', 'enable_etag', 1),
+            'enable_conditional_requests' => array('bf_performance_options', 'enable_conditional_requests', 1),
+            'reduce_feed_items' => array('bf_content_options', 'max_items', 50), // Set reasonable default
+            'optimize_images' => array('bf_content_options', 'optimize_images', 1),
+            'fix_enclosures' => array('bf_content_options', 'fix_enclosures', 1),
+            'add_featured_images' => array('bf_content_options', 'add_featured_images', 1),
+            'enable_json_feed' => array('bf_general_options', 'enable_json_feed', 1),
+            'enable_google_discover' => array('bf_general_options', 'google_discover', 1),
+        );
+    }
+    
+    /**
+     * Apply several suggestions in order as one change
+     * 
+     * If any suggestion fails, the settings are put back as they were and
+     * the remaining suggestions are not attempted.
+     * 
+     * @param array $suggestion_ids Suggestion IDs
+     * @return array Result for each suggestion with its ID, status (applied, failed, rolled_back or skipped) and message
+     */
+    private function apply_suggestions($suggestion_ids) {
+        $snapshot = array();
+        foreach (array_unique(array_column($this->get_suggestion_settings(), 0)) as $option_name) {
+            $snapshot[$option_name] = get_option($option_name, null);
+        }
+        
+        $results = array();
+        $failed = false;
+        
+        foreach ($suggestion_ids as $suggestion_id) {
+            if ($failed) {
+                $results[] = array(
+                    'suggestion_id' => $suggestion_id,
+                    'status' => 'skipped',
+                    'message' => 'Not applied because an earlier suggestion failed'
+                );
+                continue;
+            }
+            
+            if ($this->apply_suggestion_manually($suggestion_id)) {
+                $results[] = array(
+                    'suggestion_id' => $suggestion_id,
+                    'status' => 'applied',
+                    'message' => 'Applied'
+                );
+                continue;
+            }
+            
+            $failed = true;
+            $results[] = array(
+                'suggestion_id' => $suggestion_id,
+                'status' => 'failed',
+                'message' => 'Unknown suggestion or failed to apply'
+            );
+        }
+        
+        if (!$failed) {
+            return $results;
+        }
         
-        $redirects = get_option('bf_feed_redirects', array());
-        $redirects[] = $redirect_data;
+        // Roll back so the batch is all or nothing
+        foreach ($snapshot as $option_name => $value) {
+            if ($value === null) {
+                delete_option($option_name);
+            } else {
+                update_option($option_name, $value);
+            }
+        }
         
-        update_option('bf_feed_redirects', $redirects);
+        foreach ($results as $index => $result) {
+            if ($result['status'] === 'applied') {
+                $results[$index]['status'] = 'rolled_back';
+                $results[$index]['message'] = 'Undone because a later suggestion failed';
+            }
+        }
         
-        add_action('admin_notices', function() {
-            echo '<div class="notice notice-success is-dismissible"><p>' . esc_html__('Redirect created successfully!', 'betterfeed') . '</p></div>';
-        });
+        return $results;
     }
     
     /**
-     * REST endpoint: Run performance test
+     * REST endpoint: Add custom feed
      */
-    public function rest_run_performance_test($request) {
+    public function rest_add_custom_feed($request) {
         try {
-            // Check if performance monitor class exists and has the required method
-            if (class_exists('BF_Performance_Monitor')) {
-                $monitor = BF_Performance_Monitor::instance();
-                
-                // Verify the method exists before calling it
-                if (method_exists($monitor, 'run_performance_tests')) {
-                    $results = $monitor->run_performance_tests();
-                    
-                    return new WP_REST_Response(array(
-                        'success' => true,
-                        'message' => 'Performance test completed successfully!',
-                        'results' => $results
-                    ), 200);
-                } else {
-                    // Method doesn't exist, return appropriate error
+            // Log the request for debugging
+            // Add custom feed request received
+            
+            $config = $this->get_feed_config_from_request($request);
+            $feed_title = $config['title'];
+            $feed_slug = $config['slug'];
+            
+            // Validate required fields
+            if (empty($feed_title) || empty($feed_slug)) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'Feed title and slug are required'
+                ), 400);
+            }
+            
+            // Check if slug already exists
+            $existing_feeds = BF_Custom_Feeds::get_feeds();
+            foreach ($existing_feeds as $feed) {
+                if ($feed['slug'] === $feed_slug) {
                     return new WP_REST_Response(array(
                         'success' => false,
-                        'message' => 'Performance monitoring method not available'
+                        'message' => 'A feed with this slug already exists'
                     ), 400);
                 }
-            } else {
-                return new WP_REST_Response(array(
-                    'success' => false,
-                    'message' => 'Performance monitoring class not available'
-                ), 400);
             }
+            
+            // Create feed data
+            $feed_data = array_merge(
+                array('id' => uniqid()),
+                $config,
+                array('created_at' => current_time('mysql'))
+            );
+            
+            // An old slug of another feed is free to reuse once its redirect is dropped
+            $this->release_feed_slug($feed_slug);
+            
+            // Add to existing feeds
+            $existing_feeds = BF_Custom_Feeds::get_feeds();
+            $existing_feeds[] = $feed_data;
+            update_option('bf_custom_feeds', $existing_feeds);
+            
+            // Flush rewrite rules to make the new feed accessible
+            flush_rewrite_rules();
+            
+            // Custom feed added successfully
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'message' => 'Custom feed added successfully!',
+                'feed_data' => $feed_data,
+                'feed_item' => $this->format_feed_list_item($feed_data),
+                'feed_url' => BF_Custom_Feeds::get_feed_url($feed_slug),
+                'feed_urls' => BF_Custom_Feeds::get_feed_urls($feed_slug)
+            ), 200);
+            
         } catch (Exception $e) {
+            // Exception in add custom feed
             return new WP_REST_Response(array(
                 'success' => false,
-                'message' => 'Failed to run performance test: ' . $e->getMessage()
+                'message' => 'Failed to add custom feed: ' . $e->getMessage()
             ), 500);
         }
     }
     
     /**
-     * REST endpoint: Generate optimization report
+     * REST endpoint: Add redirect
      */
-    public function rest_generate_optimization_report($request) {
+    public function rest_add_redirect($request) {
         try {
-            // Generate a simple optimization report
-            $report_data = array(
-                'timestamp' => current_time('mysql'),
-                'site_url' => home_url(),
-                'wordpress_version' => get_bloginfo('version'),
-                'plugin_version' => BF_VERSION,
-                'performance_metrics' => get_option('bf_performance_metrics', array()),
-                'optimization_suggestions' => get_option('bf_optimization_suggestions', array()),
-                'settings' => array(
-                    'general_options' => get_option('bf_general_options', array()),
-                    'performance_options' => get_option('bf_performance_options', array()),
-                    'content_options' => get_option('bf_content_options', array())
-                )
+            // Log the request for debugging
+            // Add redirect request received
+            
+            $redirect_from = sanitize_text_field($request->get_param('redirect_from'));
+            $redirect_to = esc_url_raw($request->get_param('redirect_to'));
+            $redirect_status_code = intval($request->get_param('redirect_status_code'));
+            $redirect_description = sanitize_text_field($request->get_param('redirect_description'));
+            $redirect_enabled = $request->get_param('redirect_enabled') ? true : false;
+            
+            // Validate required fields
+            if (empty($redirect_from) || empty($redirect_to)) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'From URL and To URL are required'
+                ), 400);
+            }
+            
+            // Check if redirect already exists
+            $existing_redirects = get_option('bf_feed_redirects', array());
+            foreach ($existing_redirects as $redirect) {
+                if ($redirect['from'] === $redirect_from) {
+                    return new WP_REST_Response(array(
+                        'success' => false,
+                        'message' => 'A redirect with this From URL already exists'
+                    ), 400);
+                }
+            }
+            
+            // Create redirect data
+            $redirect_data = array(
+                'id' => uniqid(),
+                'from' => $redirect_from,
+                'to' => $redirect_to,
+                'status_code' => $redirect_status_code ?: 301,
+                'description' => $redirect_description,
+                'enabled' => $redirect_enabled,
+                'created_at' => current_time('mysql')
             );
             
-            // Store report temporarily
-            $report_id = 'bf_report_' . time();
-            update_option('bf_optimization_report_' . $report_id, $report_data, false);
+            // Add to existing redirects
+            $existing_redirects[] = $redirect_data;
+            update_option('bf_feed_redirects', $existing_redirects);
+            
+            // Redirect added successfully
             
             return new WP_REST_Response(array(
                 'success' => true,
-                'message' => 'Optimization report generated successfully!',
-                'report_id' => $report_id,
-                'report_url' => admin_url('options-general.php?page=bf-settings&tab=dashboard&report=' . $report_id)
+                'message' => 'Redirect added successfully!',
+                'redirect_data' => $redirect_data
             ), 200);
+            
         } catch (Exception $e) {
+            // Exception in add redirect
             return new WP_REST_Response(array(
                 'success' => false,
-                'message' => 'Failed to generate report: ' . $e->getMessage()
+                'message' => 'Failed to add redirect: ' . $e->getMessage()
             ), 500);
         }
     }
     
     /**
-     * REST endpoint: Apply optimization suggestion
+     * REST endpoint: Update redirect
      */
-    public function rest_apply_suggestion($request) {
+    public function rest_update_redirect($request) {
         try {
-            // Log the request for debugging
-            // Debug logging removed for production
-            
-            $suggestion_id = $request->get_param('suggestion_id');
+            $redirect_id = sanitize_text_field($request->get_param('redirect_id'));
+            $redirect_from = sanitize_text_field($request->get_param('redirect_from'));
+            $redirect_to = esc_url_raw($request->get_param('redirect_to'));
+            $redirect_status_code = intval($request->get_param('redirect_status_code'));
             
-            if (empty($suggestion_id)) {
-                // No suggestion ID provided
+            if (empty($redirect_from) || empty($redirect_to)) {
                 return new WP_REST_Response(array(
                     'success' => false,
-                    'message' => 'Suggestion ID is required'
+                    'message' => 'From URL and To URL are required'
                 ), 400);
             }
             
-            // Applying suggestion
+            if (!in_array($redirect_status_code, array(301, 302, 307), true)) {
+                $redirect_status_code = 301;
+            }
             
-            // Always use manual application for now (safer)
-            $applied = $this->apply_suggestion_manually($suggestion_id);
+            $redirects = BF_Redirects::get_redirects();
+            $redirect_index = false;
             
-            if ($applied) {
-                // Suggestion applied successfully
+            foreach ($redirects as $index => $redirect) {
+                if (isset($redirect['id']) && $redirect['id'] === $redirect_id) {
+                    $redirect_index = $index;
+                } elseif ($redirect['from'] === $redirect_from) {
+                    return new WP_REST_Response(array(
+                        'success' => false,
+                        'message' => 'A redirect with this From URL already exists'
+                    ), 400);
+                }
+            }
+            
+            if (false === $redirect_index) {
                 return new WP_REST_Response(array(
-                    'success' => true,
-                    'message' => 'Optimization suggestion applied successfully!',
-                    'suggestion_id' => $suggestion_id
-                ), 200);
-            } else {
-                // Failed to apply suggestion
+                    'success' => false,
+                    'message' => 'Redirect not found'
+                ), 404);
+            }
+            
+            $redirects[$redirect_index] = array_merge($redirects[$redirect_index], array(
+                'from' => $redirect_from,
+                'to' => $redirect_to,
+                'status_code' => $redirect_status_code,
+                'enabled' => $request->get_param('redirect_enabled') ? true : false,
+                'updated_at' => current_time('mysql')
+            ));
+            
+            update_option('bf_feed_redirects', $redirects);
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'message' => 'Redirect updated successfully!',
+                'redirect_data' => $redirects[$redirect_index]
+            ), 200);
+            
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to update redirect: ' . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * REST endpoint: Test a URL against the redirect rules
+     */
+    public function rest_test_redirect($request) {
+        try {
+            $url = trim(sanitize_text_field($request->get_param('url')));
+            
+            if (empty($url)) {
                 return new WP_REST_Response(array(
                     'success' => false,
-                    'message' => 'Unknown suggestion or failed to apply'
+                    'message' => 'Please enter a URL to test'
                 ), 400);
             }
+            
+            return new WP_REST_Response(array_merge(
+                array('success' => true),
+                BF_Redirects::instance()->test_url($url)
+            ), 200);
+            
         } catch (Exception $e) {
-            // Exception in apply suggestion
             return new WP_REST_Response(array(
                 'success' => false,
-                'message' => 'Failed to apply suggestion: ' . $e->getMessage()
+                'message' => 'Failed to test URL: ' . $e->getMessage()
             ), 500);
         }
     }
     
     /**
-     * Manually apply optimization suggestions
+     * REST endpoint: Flush rewrite rules
      */
-    private function apply_suggestion_manually($suggestion_id) {
+    public function rest_flush_rewrite_rules($request) {
         try {
-            switch ($suggestion_id) {
-                case 'enable_caching':
-                    $options = get_option('bf_performance_options', array());
-                    if (!is_array($options)) {
-                        $options = array();
-                    }
-                    $options['enable_caching'] = 1;
-                    $result = update_option('bf_performance_options', $options);
-                    return $result !== false;
-                    
-                case 'enable_gzip':
-                    $options = get_option('bf_performance_options', array());
-                    if (!is_array($options)) {
-                        $options = array();
-                    }
-                    $options['enable_gzip'] = 1;
-                    $result = update_option('bf_performance_options', $options);
-                    return $result !== false;
-                    
-                case 'enable_etag':
-                    $options = get_option('bf_performance_options', array());
-                    if (!is_array($options)) {
-                        $options = array();
-                    }
-                    $options['enable_etag'] = 1;
-                    $result = update_option('bf_performance_options', $options);
-                    return $result !== false;
-                    
-                case 'enable_conditional_requests':
-                    $options = get_option('bf_performance_options', array());
-                    if (!is_array($options)) {
-                        $options = array();
-                    }
-                    $options['enable_conditional_requests'] = 1;
-                    $result = update_option('bf_performance_options', $options);
-                    return $result !== false;
-                    
-                case 'reduce_feed_items':
-                    $options = get_option('bf_content_options', array());
-                    if (!is_array($options)) {
-                        $options = array();
-                    }
-                    $options['max_items'] = 50; // Set reasonable default
-                    $result = update_option('bf_content_options', $options);
-                    return $result !== false;
-                    
-                case 'optimize_images':
-                    $options = get_option('bf_content_options', array());
-                    if (!is_array($options)) {
-                        $options = array();
-                    }
-                    $options['optimize_images'] = 1;
-                    $result = update_option('bf_content_options', $options);
-                    return $result !== false;
-                    
-                case 'fix_enclosures':
-                    $options = get_option('bf_content_options', array());
-                    if (!is_array($options)) {
-                        $options = array();
-                    }
-                    $options['fix_enclosures'] = 1;
-                    $result = update_option('bf_content_options', $options);
-                    return $result !== false;
-                    
-                case 'add_featured_images':
-                    $options = get_option('bf_content_options', array());
-                    if (!is_array($options)) {
-                        $options = array();
-                    }
-                    $options['add_featured_images'] = 1;
-                    $result = update_option('bf_content_options', $options);
-                    return $result !== false;
-                    
-                case 'enable_json_feed':
-                    $options = get_option('bf_general_options', array());
-                    if (!is_array($options)) {
-                        $options = array();
-                    }
-                    $options['enable_json_feed'] = 1;
-                    $result = update_option('bf_general_options', $options);
-                    return $result !== false;
-                    
-                case 'enable_google_discover':
-                    $options = get_option('bf_general_options', array());
-                    if (!is_array($options)) {
-                        $options = array();
-                    }
-                    $options['google_discover'] = 1;
-                    $result = update_option('bf_general_options', $options);
-                    return $result !== false;
-                    
-                default:
-                    return false;
-            }
+            // Flush rewrite rules
+            flush_rewrite_rules();
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'message' => 'Rewrite rules flushed successfully!'
+            ), 200);
+            
         } catch (Exception $e) {
-            // Error applying suggestion
-            return false;
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to flush rewrite rules: ' . $e->getMessage()
+            ), 500);
         }
     }
     
     /**
-     * REST endpoint: Add custom feed
+     * REST endpoint: Get a custom feed's stored configuration
      */
-    public function rest_add_custom_feed($request) {
+    public function rest_get_custom_feed($request) {
         try {
-            // Log the request for debugging
-            // Add custom feed request received
+            $custom_feeds = BF_Custom_Feeds::get_feeds();
+            $feed_index = BF_Custom_Feeds::find_feed_index($custom_feeds, sanitize_text_field($request->get_param('feed_id')));
             
-            $feed_title = sanitize_text_field($request->get_param('feed_title'));
-            $feed_slug = sanitize_title($request->get_param('feed_slug'));
-            $feed_description = sanitize_textarea_field($request->get_param('feed_description'));
-            $feed_limit = intval($request->get_param('feed_limit'));
-            $feed_post_types = $request->get_param('feed_post_types');
-            $feed_orderby = sanitize_text_field($request->get_param('feed_orderby'));
-            $feed_order = sanitize_text_field($request->get_param('feed_order'));
-            $feed_enabled = $request->get_param('feed_enabled') ? true : false;
-            
-            // Validate required fields
-            if (empty($feed_title) || empty($feed_slug)) {
+            if (false === $feed_index) {
                 return new WP_REST_Response(array(
                     'success' => false,
-                    'message' => 'Feed title and slug are required'
-                ), 400);
-            }
-            
-            // Check if slug already exists
-            $existing_feeds = get_option('bf_custom_feeds', array());
-            foreach ($existing_feeds as $feed) {
-                if ($feed['slug'] === $feed_slug) {
-                    return new WP_REST_Response(array(
-                        'success' => false,
-                        'message' => 'A feed with this slug already exists'
-                    ), 400);
-                }
+                    'message' => 'Feed not found'
+                ), 404);
             }
             
-            // Create feed data
-            $feed_data = array(
-                'id' => uniqid(),
-                'title' => $feed_title,
-                'slug' => $feed_slug,
-                'description' => $feed_description,
-                'limit' => $feed_limit ?: 10,
-                'post_types' => is_array($feed_post_types) ? $feed_post_types : array('post'),
-                'orderby' => $feed_orderby ?: 'date',
-                'order' => $feed_order ?: 'DESC',
-                'enabled' => $feed_enabled,
-                'created_at' => current_time('mysql')
-            );
-            
-            // Add to existing feeds
-            $existing_feeds[] = $feed_data;
-            update_option('bf_custom_feeds', $existing_feeds);
-            
-            // Flush rewrite rules to make the new feed accessible
-            flush_rewrite_rules();
-            
-            // Custom feed added successfully
-            
             return new WP_REST_Response(array(
                 'success' => true,
-                'message' => 'Custom feed added successfully!',
-                'feed_data' => $feed_data,
-                'feed_url' => home_url('/feed/' . $feed_slug . '/')
+                'feed_data' => BF_Custom_Feeds::normalize_feed_config($custom_feeds[$feed_index])
             ), 200);
             
         } catch (Exception $e) {
-            // Exception in add custom feed
             return new WP_REST_Response(array(
                 'success' => false,
-                'message' => 'Failed to add custom feed: ' . $e->getMessage()
+                'message' => 'Failed to load custom feed: ' . $e->getMessage()
             ), 500);
         }
     }
     
     /**
-     * REST endpoint: Add redirect
+     * REST endpoint: Update custom feed
+     * 
+     * Rejects the update if the feed changed since the edit form was loaded,
+     * and redirects the old URL when the slug changes.
      */
-    public function rest_add_redirect($request) {
+    public function rest_update_custom_feed($request) {
         try {
-            // Log the request for debugging
-            // Add redirect request received
-            
-            $redirect_from = sanitize_text_field($request->get_param('redirect_from'));
-            $redirect_to = esc_url_raw($request->get_param('redirect_to'));
-            $redirect_status_code = intval($request->get_param('redirect_status_code'));
-            $redirect_description = sanitize_text_field($request->get_param('redirect_description'));
-            $redirect_enabled = $request->get_param('redirect_enabled') ? true : false;
+            $feed_id = sanitize_text_field($request->get_param('feed_id'));
+            $feed_title = sanitize_text_field($request->get_param('feed_title'));
+            $feed_slug = sanitize_title($request->get_param('feed_slug'));
             
-            // Validate required fields
-            if (empty($redirect_from) || empty($redirect_to)) {
+            if (empty($feed_title) || empty($feed_slug)) {
                 return new WP_REST_Response(array(
                     'success' => false,
-                    'message' => 'From URL and To URL are required'
+                    'message' => 'Feed title and slug are required'
                 ), 400);
             }
             
-            // Check if redirect already exists
-            $existing_redirects = get_option('bf_feed_redirects', array());
-            foreach ($existing_redirects as $redirect) {
-                if ($redirect['from'] === $redirect_from) {
+            $custom_feeds = BF_Custom_Feeds::get_feeds();
+            $feed_index = BF_Custom_Feeds::find_feed_index($custom_feeds, $feed_id);
+            
+            if (false === $feed_index) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'Feed not found'
+                ), 404);
+            }
+            
+            $feed = BF_Custom_Feeds::normalize_feed_config($custom_feeds[$feed_index]);
+            
+            if (($feed['updated_at'] ?? '') !== (string) $request->get_param('updated_at')) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => 'This feed was changed by someone else. Reload the page to see the latest version.'
+                ), 409);
+            }
+            
+            foreach ($custom_feeds as $index => $other_feed) {
+                if ($index !== $feed_index && $other_feed['slug'] === $feed_slug) {
                     return new WP_REST_Response(array(
                         'success' => false,
-                        'message' => 'A redirect with this From URL already exists'
+                        'message' => 'A feed with this slug already exists'
                     ), 400);
                 }
             }
             
-            // Create redirect data
-            $redirect_data = array(
-                'id' => uniqid(),
-                'from' => $redirect_from,
-                'to' => $redirect_to,
-                'status_code' => $redirect_status_code ?: 301,
-                'description' => $redirect_description,
-                'enabled' => $redirect_enabled,
-                'created_at' => current_time('mysql')
-            );
+            $old_slug = $feed['slug'];
             
-            // Add to existing redirects
-            $existing_redirects[] = $redirect_data;
-            update_option('bf_feed_redirects', $existing_redirects);
+            $feed = array_merge($feed, $this->get_feed_config_from_request($request), array(
+                'updated_at' => current_time('mysql')
+            ));
             
-            // Redirect added successfully
+            $redirect = null;
+            if ($old_slug !== $feed_slug) {
+                $this->release_feed_slug($feed_slug);
+                $redirect = $this->add_feed_slug_redirect($old_slug, $feed_slug);
+                
+                $feed['previous_slugs'] = array_values(array_diff(
+                    array_unique(array_merge($feed['previous_slugs'] ?? array(), array($old_slug))),
+                    array($feed_slug)
+                ));
+                
+                // release_feed_slug() may have changed other feeds
+                $custom_feeds = BF_Custom_Feeds::get_feeds();
+            }
+            
+            $custom_feeds[$feed_index] = $feed;
+            update_option('bf_custom_feeds', $custom_feeds);
+            
+            flush_rewrite_rules();
             
             return new WP_REST_Response(array(
                 'success' => true,
-                'message' => 'Redirect added successfully!',
-                'redirect_data' => $redirect_data
+                'message' => $redirect ? 'Custom feed updated. The old URL now redirects to the new one.' : 'Custom feed updated successfully!',
+                'feed_data' => $feed,
+                'feed_item' => $this->format_feed_list_item($feed),
+                'feed_url' => BF_Custom_Feeds::get_feed_url($feed_slug),
+                'feed_urls' => BF_Custom_Feeds::get_feed_urls($feed_slug),
+                'redirect_data' => $redirect
             ), 200);
             
         } catch (Exception $e) {
-            // Exception in add redirect
             return new WP_REST_Response(array(
                 'success' => false,
-                'message' => 'Failed to add redirect: ' . $e->getMessage()
+                'message' => 'Failed to update custom feed: ' . $e->getMessage()
             ), 500);
         }
     }
     
     /**
-     * REST endpoint: Flush rewrite rules
+     * REST endpoint: Preview an unsaved custom feed configuration
      */
-    public function rest_flush_rewrite_rules($request) {
+    public function rest_preview_custom_feed($request) {
         try {
-            // Flush rewrite rules
-            flush_rewrite_rules();
+            $config = $this->get_feed_config_from_request($request);
+            
+            // The slug only affects the self link, so an empty form still previews
+            if (empty($config['slug'])) {
+                $config['slug'] = 'preview';
+            }
+            
+            $preview = BF_Custom_Feeds::instance()->preview_feed($config);
             
             return new WP_REST_Response(array(
                 'success' => true,
-                'message' => 'Rewrite rules flushed successfully!'
+                'count' => count($preview['posts']),
+                'posts' => $preview['posts'],
+                'xml' => $preview['xml'],
+                'feed_url' => BF_Custom_Feeds::get_feed_url($config['slug'])
             ), 200);
             
         } catch (Exception $e) {
             return new WP_REST_Response(array(
                 'success' => false,
-                'message' => 'Failed to flush rewrite rules: ' . $e->getMessage()
+                'message' => 'Failed to preview custom feed: ' . $e->getMessage()
             ), 500);
         }
     }
     
+    /**
+     * Build a sanitized custom feed configuration from the feed form fields
+     * 
+     * @param WP_REST_Request $request Request with feed_* params
+     * @return array Feed configuration
+     */
+    private function get_feed_config_from_request($request) {
+        return BF_Custom_Feeds::sanitize_feed_config($request->get_params());
+    }
+    
+    /**
+     * Redirect a custom feed's old URLs to its new slug
+     * 
+     * Adds one redirect per feed format. Existing redirects to an old URL
+     * are pointed at the new one so subscribers never go through a chain
+     * of redirects.
+     * 
+     * @param string $old_slug Previous feed slug
+     * @param string $new_slug New feed slug
+     * @return array Redirect data for the RSS 2.0 URL
+     */
+    private function add_feed_slug_redirect($old_slug, $new_slug) {
+        $old_urls = BF_Custom_Feeds::get_feed_urls($old_slug);
+        $new_urls = BF_Custom_Feeds::get_feed_urls($new_slug);
+        $redirects = get_option('bf_feed_redirects', array());
+        $added = array();
+        
+        foreach ($old_urls as $format => $old_url) {
+            foreach ($redirects as $index => $redirect) {
+                if ($redirect['to'] === $old_url) {
+                    $redirects[$index]['to'] = $new_urls[$format];
+                }
+            }
+            
+            $added[] = array(
+                'id' => uniqid('', true),
+                'from' => $old_url,
+                'to' => $new_urls[$format],
+                'status_code' => 301,
+                // translators: %1$s is the old feed slug, %2$s is the new feed slug
+                'description' => sprintf(__('Custom feed renamed from "%1$s" to "%2$s"', 'betterfeed'), $old_slug, $new_slug),
+                'enabled' => true,
+                'created_at' => current_time('mysql')
+            );
+        }
+        
+        update_option('bf_feed_redirects', array_merge(array_values($redirects), $added));
+        
+        return $added[0];
+    }
+    
+    /**
+     * Free a slug for use by a feed
+     * 
+     * Drops the slug from other feeds' previous slugs and removes redirects
+     * from its URL, which would otherwise shadow the feed.
+     * 
+     * @param string $slug Feed slug
+     */
+    private function release_feed_slug($slug) {
+        $custom_feeds = BF_Custom_Feeds::get_feeds();
+        $feeds_changed = false;
+        
+        foreach ($custom_feeds as $index => $feed) {
+            if (!empty($feed['previous_slugs']) && in_array($slug, $feed['previous_slugs'], true)) {
+                $custom_feeds[$index]['previous_slugs'] = array_values(array_diff($feed['previous_slugs'], array($slug)));
+                $feeds_changed = true;
+            }
+        }
+        
+        if ($feeds_changed) {
+            update_option('bf_custom_feeds', $custom_feeds);
+        }
+        
+        $urls = BF_Custom_Feeds::get_feed_urls($slug);
+        $redirects = get_option('bf_feed_redirects', array());
+        $remaining = array_filter($redirects, function($redirect) use ($urls) {
+            return !in_array($redirect['from'], $urls, true);
+        });
+        
+        if (count($remaining) !== count($redirects)) {
+            update_option('bf_feed_redirects', array_values($remaining));
+        }
+    }
+    
     /**
      * REST endpoint: Delete custom feed
      */
     public function rest_delete_custom_feed($request) {
         try {
-            $feed_index = intval($request->get_param('feed_index'));
+            $feed_id = sanitize_text_field($request->get_param('feed_id'));
             
-            if ($feed_index < 0) {
+            if (empty($feed_id)) {
                 return new WP_REST_Response(array(
                     'success' => false,
-                    'message' => 'Invalid feed index'
+                    'message' => 'Invalid feed ID'
                 ), 400);
             }
             
-            $custom_feeds = get_option('bf_custom_feeds', array());
+            $custom_feeds = BF_Custom_Feeds::get_feeds();
+            $feed_index = BF_Custom_Feeds::find_feed_index($custom_feeds, $feed_id);
             
-            if (!isset($custom_feeds[$feed_index])) {
+            if (false === $feed_index) {
                 return new WP_REST_Response(array(
                     'success' => false,
                     'message' => 'Feed not found'
@@ -2840,18 +4824,35 @@ class BF_Admin {
      */
     public function rest_delete_redirect($request) {
         try {
-            $redirect_index = intval($request->get_param('redirect_index'));
+            $redirects = BF_Redirects::get_redirects();
+            $redirect_id = sanitize_text_field($request->get_param('redirect_id'));
             
-            if ($redirect_index < 0) {
+            if ($redirect_id) {
+                $redirect_index = false;
+                foreach ($redirects as $index => $redirect) {
+                    if (isset($redirect['id']) && $redirect['id'] === $redirect_id) {
+                        $redirect_index = $index;
+                        break;
+                    }
+                }
+            } elseif (is_numeric($request->get_param('redirect_index'))) {
+                // Older clients still send the position in the list
+                $redirect_index = intval($request->get_param('redirect_index'));
+                
+                if ($redirect_index < 0) {
+                    return new WP_REST_Response(array(
+                        'success' => false,
+                        'message' => 'Invalid redirect index'
+                    ), 400);
+                }
+            } else {
                 return new WP_REST_Response(array(
                     'success' => false,
-                    'message' => 'Invalid redirect index'
+                    'message' => 'Redirect ID is required'
                 ), 400);
             }
             
-            $redirects = get_option('bf_feed_redirects', array());
-            
-            if (!isset($redirects[$redirect_index])) {
+            if (false === $redirect_index || !isset($redirects[$redirect_index])) {
                 return new WP_REST_Response(array(
                     'success' => false,
                     'message' => 'Redirect not found'
@@ -2878,6 +4879,166 @@ class BF_Admin {
         }
     }
     
+    /**
+     * REST endpoint: List custom feeds
+     */
+    public function rest_get_custom_feeds($request) {
+        try {
+            return new WP_REST_Response(array(
+                'success' => true,
+                'feeds' => $this->get_feed_list_items()
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to load custom feeds: ' . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * REST endpoint: List redirects
+     */
+    public function rest_get_redirects($request) {
+        try {
+            return new WP_REST_Response(array(
+                'success' => true,
+                'redirects' => $this->get_redirect_list_items()
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to load redirects: ' . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * REST endpoint: List optimization suggestions
+     */
+    public function rest_get_suggestions($request) {
+        try {
+            return new WP_REST_Response(array(
+                'success' => true,
+                'suggestions' => $this->get_suggestion_list_items()
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to load suggestions: ' . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * REST endpoint: Regenerate optimization suggestions from the current settings
+     */
+    public function rest_run_optimization_scan($request) {
+        try {
+            $suggestions = BF_Optimizer_Suggestions::instance()->generate_suggestions();
+            update_option('bf_optimization_suggestions', $suggestions);
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'message' => 'Optimization scan completed! New suggestions generated.',
+                'suggestions' => $this->get_suggestion_list_items()
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Failed to run optimization scan: ' . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * Get custom feeds as rendered in the feeds list
+     * 
+     * @return array
+     */
+    private function get_feed_list_items() {
+        return array_map(array($this, 'format_feed_list_item'), BF_Custom_Feeds::get_feeds());
+    }
+    
+    /**
+     * Format a custom feed for the feeds list
+     * 
+     * @param array $feed Stored feed configuration
+     * @return array
+     */
+    private function format_feed_list_item($feed) {
+        $formats = BF_Custom_Feeds::get_feed_formats();
+        $urls = array();
+        
+        foreach (BF_Custom_Feeds::get_feed_urls($feed['slug']) as $format => $url) {
+            $urls[] = array(
+                'format' => $format,
+                'label' => $formats[$format]['label'],
+                'url' => $url
+            );
+        }
+        
+        return array(
+            'id' => $feed['id'],
+            'title' => $feed['title'],
+            'slug' => $feed['slug'],
+            'enabled' => !empty($feed['enabled']),
+            'urls' => $urls
+        );
+    }
+    
+    /**
+     * Get redirects as rendered in the redirects list
+     * 
+     * @return array
+     */
+    private function get_redirect_list_items() {
+        return array_map(function($redirect) {
+            return array(
+                'id' => $redirect['id'],
+                'from' => $redirect['from'],
+                'to' => $redirect['to'],
+                'status_code' => intval($redirect['status_code']),
+                'description' => $redirect['description'] ?? '',
+                'enabled' => !empty($redirect['enabled'])
+            );
+        }, array_values(BF_Redirects::get_redirects()));
+    }
+    
+    /**
+     * Get recent performance tests as rendered on the Dashboard tab
+     * 
+     * @return array
+     */
+    private function get_performance_test_rows() {
+        if (!class_exists('BF_Performance_Monitor')) {
+            return array();
+        }
+        
+        return array_map(function($result) {
+            $result['test_time'] = gmdate('M j, Y H:i', strtotime($result['test_time']));
+            return $result;
+        }, BF_Performance_Monitor::instance()->get_recent_test_results(5));
+    }
+    
+    /**
+     * Get optimization suggestions as rendered in the suggestions list
+     * 
+     * @return array
+     */
+    private function get_suggestion_list_items() {
+        return array_map(function($suggestion) {
+            return array(
+                'id' => $suggestion['id'],
+                'type' => $suggestion['type'] ?? '',
+                'priority' => $suggestion['priority'],
+                'title' => $suggestion['title'],
+                'description' => $suggestion['description'],
+                'impact' => $suggestion['impact'] ?? ''
+            );
+        }, BF_Optimizer_Suggestions::instance()->filter_dismissed(get_option('bf_optimization_suggestions', array())));
+    }
+    
     /**
      * Generate demo optimization suggestions for testing
      * 
@@ -23,6 +23,59 @@ class BF_Analytics {
      */
     private static $instance = null;
     
+    /**
+     * Days of daily stats to keep
+     */
+    const RETENTION_DAYS = 90;
+    
+    /**
+     * Export formats and their content types
+     */
+    const EXPORT_FORMATS = array(
+        'csv' => 'text/csv',
+        'json' => 'application/json',
+        'ndjson' => 'application/x-ndjson'
+    );
+    
+    /**
+     * Columns available in analytics exports
+     */
+    const EXPORT_COLUMNS = array('date', 'feed_url', 'requests', 'unique_visitors', 'bandwidth', 'top_user_agent', 'top_referer');
+    
+    /**
+     * Scheduled export recurrences and the days each export covers
+     */
+    const EXPORT_SCHEDULES = array(
+        'daily' => 1,
+        'weekly' => 7
+    );
+    
+    /**
+     * Minutes of traffic kept for the live monitor
+     */
+    const LIVE_HISTORY_MINUTES = 60;
+    
+    /**
+     * Minutes the live monitor's current rates are measured over
+     */
+    const LIVE_WINDOW_MINUTES = 5;
+    
+    /**
+     * Known feed readers and the user agent text that identifies them
+     */
+    const FEED_READERS = array(
+        'Feedly' => 'feedly',
+        'Inoreader' => 'inoreader',
+        'NewsBlur' => 'newsblur',
+        'The Old Reader' => 'theoldreader',
+        'Feedbin' => 'feedbin',
+        'NetNewsWire' => 'netnewswire',
+        'Reeder' => 'reeder',
+        'FeedReader' => 'feedreader',
+        'RSS Bot' => 'rssbot',
+        'FeedBurner' => 'feedburner'
+    );
+    
     /**
      * Get class instance
      * 
@@ -54,8 +107,15 @@ class BF_Analytics {
             wp_schedule_event(time(), 'daily', 'bf_analytics_cleanup');
         }
         
+        // Scheduled exports
+        add_filter('cron_schedules', array($this, 'add_cron_schedules'));
+        add_action('bf_scheduled_analytics_export', array($this, 'run_scheduled_export'));
+        add_action('update_option_bf_analytics_options', array($this, 'reschedule_export'));
+        $this->maybe_schedule_export();
+        
         // Track feed access
         add_action('template_redirect', array($this, 'maybe_track_feed_access'));
+        add_filter('status_header', array($this, 'maybe_track_core_not_modified'), 10, 2);
     }
     
     /**
@@ -71,10 +131,7 @@ class BF_Analytics {
         // Get feed URL
         $feed_url = $this->get_current_feed_url($feed_type);
         
-        // Get user agent - WordPress has no direct equivalent, so use proper WordPress pattern
-        $user_agent = isset($_SERVER['HTTP_USER_AGENT']) 
-            ? sanitize_text_field(wp_unslash($_SERVER['HTTP_USER_AGENT'])) 
-            : '';
+        $user_agent = $this->get_user_agent();
         
         // Get IP address
         $ip_address = $this->get_client_ip();
@@ -109,60 +166,322 @@ class BF_Analytics {
             set_transient($hash_key, $existing_data, DAY_IN_SECONDS);
         }
         
-        // Store daily aggregations
+        // Store daily aggregations, with a per-feed breakdown for filtering
         $today_key = 'bf_daily_stats_' . gmdate('Y-m-d');
         $daily_stats = get_transient($today_key);
         
         if ($daily_stats === false) {
-            $daily_stats = array(
-                'total_requests' => 1,
-                'unique_ips' => array($ip_address),
-                'top_feeds' => array($feed_url => 1),
-                'top_user_agents' => array($user_agent => 1),
-                'top_referers' => array($referer => 1)
-            );
-        } else {
-            $daily_stats['total_requests']++;
+            $daily_stats = array();
+        }
+        
+        $daily_stats = $this->add_request_to_stats($daily_stats, $ip_address, $user_agent, $referer);
+        $daily_stats['top_feeds'][$feed_url] = isset($daily_stats['top_feeds'][$feed_url]) ? $daily_stats['top_feeds'][$feed_url] + 1 : 1;
+        $daily_stats['feeds'][$feed_url] = $this->add_request_to_stats($daily_stats['feeds'][$feed_url] ?? array(), $ip_address, $user_agent, $referer);
+        
+        set_transient($today_key, $daily_stats, self::RETENTION_DAYS * DAY_IN_SECONDS);
+    }
+    
+    /**
+     * Count one request in a set of daily stats
+     * 
+     * @param array  $stats      Daily stats, or the stats of one feed for the day
+     * @param string $ip_address Client IP
+     * @param string $user_agent User agent
+     * @param string $referer    Referer
+     * @return array Updated stats
+     */
+    private function add_request_to_stats($stats, $ip_address, $user_agent, $referer) {
+        $stats = wp_parse_args($stats, array(
+            'total_requests' => 0,
+            'unique_ips' => array(),
+            'countries' => array(),
+            'top_user_agents' => array(),
+            'top_referers' => array(),
+            'bandwidth' => 0
+        ));
+        
+        $stats['total_requests']++;
+        
+        // Stats are kept for RETENTION_DAYS, so only a hash of the address is stored
+        $visitor = wp_hash($ip_address);
+        if (!in_array($visitor, $stats['unique_ips'], true)) {
+            $stats['unique_ips'][] = $visitor;
             
-            if (!in_array($ip_address, $daily_stats['unique_ips'])) {
-                $daily_stats['unique_ips'][] = $ip_address;
+            $country = $this->get_country_from_ip($ip_address);
+            $stats['countries'][$country] = ($stats['countries'][$country] ?? 0) + 1;
+        }
+        
+        if (!empty($user_agent)) {
+            $stats['top_user_agents'][$user_agent] = isset($stats['top_user_agents'][$user_agent]) ? $stats['top_user_agents'][$user_agent] + 1 : 1;
+        }
+        
+        if (!empty($referer)) {
+            $stats['top_referers'][$referer] = isset($stats['top_referers'][$referer]) ? $stats['top_referers'][$referer] + 1 : 1;
+        }
+        
+        return $stats;
+    }
+    
+    /**
+     * Add the size of a served feed to today's bandwidth
+     * 
+     * @param string $feed_url Feed URL
+     * @param int    $bytes    Response body size
+     */
+    public function record_bandwidth($feed_url, $bytes) {
+        $today_key = 'bf_daily_stats_' . gmdate('Y-m-d');
+        $daily_stats = get_transient($today_key);
+        
+        if ($daily_stats === false || !isset($daily_stats['feeds'][$feed_url])) {
+            return;
+        }
+        
+        $daily_stats['bandwidth'] = ($daily_stats['bandwidth'] ?? 0) + $bytes;
+        $daily_stats['feeds'][$feed_url]['bandwidth'] += $bytes;
+        
+        set_transient($today_key, $daily_stats, self::RETENTION_DAYS * DAY_IN_SECONDS);
+    }
+    
+    /**
+     * Maybe track feed access on template redirect
+     * 
+     * Also buffers the response so its size can be counted as bandwidth.
+     */
+    public function maybe_track_feed_access() {
+        if (!is_feed() && !get_query_var('bf_custom_feed') && !get_query_var('bf_json_feed')) {
+            return;
+        }
+        
+        $feed_type = get_query_var('feed');
+        $this->track_feed_access($feed_type);
+        
+        if (!get_option('bf_enable_analytics', true)) {
+            return;
+        }
+        
+        $feed_url = $this->get_current_feed_url($feed_type);
+        $bytes = 0;
+        
+        $this->record_live_request($feed_url, http_response_code() ?: 200, $this->get_user_agent());
+        
+        ob_start(function($buffer, $phase) use ($feed_url, &$bytes) {
+            $bytes += strlen($buffer);
+            
+            if ($phase & PHP_OUTPUT_HANDLER_FINAL) {
+                $this->record_bandwidth($feed_url, $bytes);
             }
             
-            $daily_stats['top_feeds'][$feed_url] = isset($daily_stats['top_feeds'][$feed_url]) ? $daily_stats['top_feeds'][$feed_url] + 1 : 1;
+            return $buffer;
+        });
+    }
+    
+    /**
+     * Count a 304 Not Modified response in the live monitor
+     * 
+     * Called by BF_Feed_Optimizer just before it exits, so the request never
+     * reaches maybe_track_feed_access().
+     * 
+     * @param string $feed_type Feed type, defaults to the current query's feed var
+     */
+    public function track_not_modified($feed_type = '') {
+        if (!get_option('bf_enable_analytics', true)) {
+            return;
+        }
+        
+        $this->record_live_request($this->get_current_feed_url($feed_type ?: get_query_var('feed')), 304, $this->get_user_agent());
+    }
+    
+    /**
+     * Count the 304 responses WordPress sends for unchanged feeds
+     * 
+     * WP::send_headers() answers conditional feed requests itself and exits
+     * before the main query runs, so the feed type comes from the parsed
+     * request rather than the query.
+     * 
+     * @param string $status_header Status header line
+     * @param int    $code          HTTP status code
+     * @return string Status header line, unchanged
+     */
+    public function maybe_track_core_not_modified($status_header, $code) {
+        global $wp;
+        
+        if (304 === (int) $code && $wp instanceof WP && !empty($wp->query_vars['feed']) && !did_action('template_redirect')) {
+            $this->track_not_modified($wp->query_vars['feed']);
+        }
+        
+        return $status_header;
+    }
+    
+    /**
+     * Add a request to the live monitor's per-minute counts
+     * 
+     * @param string $feed_url   Feed URL
+     * @param int    $status     HTTP status sent
+     * @param string $user_agent User agent
+     */
+    private function record_live_request($feed_url, $status, $user_agent) {
+        $now = time();
+        $minute = $now - $now % MINUTE_IN_SECONDS;
+        $cutoff = $minute - (self::LIVE_HISTORY_MINUTES - 1) * MINUTE_IN_SECONDS;
+        
+        $traffic = get_transient('bf_live_traffic');
+        $traffic = is_array($traffic) ? array_filter($traffic, function($time) use ($cutoff) {
+            return $time >= $cutoff;
+        }, ARRAY_FILTER_USE_KEY) : array();
+        
+        $bucket = $traffic[$minute] ?? array('feeds' => array(), 'agents' => array());
+        $bucket['feeds'][$feed_url][$status] = ($bucket['feeds'][$feed_url][$status] ?? 0) + 1;
+        
+        // Cap distinct agents per minute so a burst of odd clients can't bloat the transient
+        if ($user_agent !== '' && (isset($bucket['agents'][$user_agent]) || count($bucket['agents']) < 50)) {
+            $bucket['agents'][$user_agent] = ($bucket['agents'][$user_agent] ?? 0) + 1;
+        }
+        
+        $traffic[$minute] = $bucket;
+        set_transient('bf_live_traffic', $traffic, HOUR_IN_SECONDS);
+    }
+    
+    /**
+     * Get live feed traffic
+     * 
+     * Rates, statuses, feeds and user agents cover the last LIVE_WINDOW_MINUTES
+     * minutes. The timeline covers the last LIVE_HISTORY_MINUTES minutes.
+     * 
+     * @return array {
+     *     @type int   $time       Current Unix time
+     *     @type float $per_minute Requests per minute across all feeds
+     *     @type array $statuses   Requests by status: 200, 304 and other
+     *     @type array $feeds      Per feed: feed_url, requests, per_minute, ok, not_modified and other
+     *     @type array $agents     Top user agents: user_agent, reader and requests
+     *     @type array $timeline   Requests per minute, oldest first: time and requests
+     * }
+     */
+    public function get_live_traffic() {
+        $traffic = get_transient('bf_live_traffic');
+        $traffic = is_array($traffic) ? $traffic : array();
+        
+        $now = time();
+        $minute = $now - $now % MINUTE_IN_SECONDS;
+        $window_start = $minute - (self::LIVE_WINDOW_MINUTES - 1) * MINUTE_IN_SECONDS;
+        
+        // The current minute is still running, so rates use the time actually elapsed
+        $window_minutes = (self::LIVE_WINDOW_MINUTES - 1) + max(1, $now - $minute) / MINUTE_IN_SECONDS;
+        
+        $statuses = array('200' => 0, '304' => 0, 'other' => 0);
+        $status_columns = array('200' => 'ok', '304' => 'not_modified', 'other' => 'other');
+        $feeds = array();
+        $agents = array();
+        $timeline = array();
+        
+        for ($i = self::LIVE_HISTORY_MINUTES - 1; $i >= 0; $i--) {
+            $time = $minute - $i * MINUTE_IN_SECONDS;
+            $bucket = $traffic[$time] ?? array('feeds' => array(), 'agents' => array());
+            $requests = 0;
             
-            if (!empty($user_agent)) {
-                $daily_stats['top_user_agents'][$user_agent] = isset($daily_stats['top_user_agents'][$user_agent]) ? $daily_stats['top_user_agents'][$user_agent] + 1 : 1;
+            foreach ($bucket['feeds'] as $feed_url => $counts) {
+                $requests += array_sum($counts);
+                
+                if ($time < $window_start) {
+                    continue;
+                }
+                
+                if (!isset($feeds[$feed_url])) {
+                    $feeds[$feed_url] = array('feed_url' => $feed_url, 'requests' => 0, 'ok' => 0, 'not_modified' => 0, 'other' => 0);
+                }
+                
+                foreach ($counts as $status => $count) {
+                    $key = in_array((int) $status, array(200, 304), true) ? (string) $status : 'other';
+                    $statuses[$key] += $count;
+                    $feeds[$feed_url]['requests'] += $count;
+                    $feeds[$feed_url][$status_columns[$key]] += $count;
+                }
             }
             
-            if (!empty($referer)) {
-                $daily_stats['top_referers'][$referer] = isset($daily_stats['top_referers'][$referer]) ? $daily_stats['top_referers'][$referer] + 1 : 1;
+            if ($time >= $window_start) {
+                foreach ($bucket['agents'] as $user_agent => $count) {
+                    $agents[$user_agent] = ($agents[$user_agent] ?? 0) + $count;
+                }
             }
+            
+            $timeline[] = array(
+                'time' => $time,
+                'requests' => $requests
+            );
+        }
+        
+        foreach ($feeds as $feed_url => $feed) {
+            $feeds[$feed_url]['per_minute'] = round($feed['requests'] / $window_minutes, 1);
+        }
+        usort($feeds, function($a, $b) {
+            return $b['requests'] - $a['requests'];
+        });
+        
+        arsort($agents);
+        $top_agents = array();
+        foreach (array_slice($agents, 0, 10, true) as $user_agent => $count) {
+            $top_agents[] = array(
+                'user_agent' => $user_agent,
+                'reader' => $this->get_reader_name($user_agent),
+                'requests' => $count
+            );
         }
         
-        set_transient($today_key, $daily_stats, DAY_IN_SECONDS);
+        return array(
+            'time' => $now,
+            'per_minute' => round(array_sum($statuses) / $window_minutes, 1),
+            'statuses' => $statuses,
+            'feeds' => $feeds,
+            'agents' => $top_agents,
+            'timeline' => $timeline
+        );
     }
     
     /**
-     * Maybe track feed access on template redirect
+     * Get the name of the feed reader behind a user agent
+     * 
+     * @param string $user_agent User agent
+     * @return string Reader name, or an empty string if it isn't a known reader
      */
-    public function maybe_track_feed_access() {
-        if (!is_feed()) {
-            return;
+    private function get_reader_name($user_agent) {
+        foreach (self::FEED_READERS as $reader_name => $reader_pattern) {
+            if (stripos($user_agent, $reader_pattern) !== false) {
+                return $reader_name;
+            }
         }
         
-        $feed_type = get_query_var('feed');
-        $this->track_feed_access($feed_type);
+        return '';
+    }
+    
+    /**
+     * Get the user agent of the current request
+     * 
+     * @return string User agent, or an empty string if none was sent
+     */
+    private function get_user_agent() {
+        // WordPress has no direct equivalent, so use proper WordPress pattern
+        return isset($_SERVER['HTTP_USER_AGENT'])
+            ? sanitize_text_field(wp_unslash($_SERVER['HTTP_USER_AGENT']))
+            : '';
     }
     
     /**
      * Get analytics summary
      * 
-     * @param int $days Number of days to analyze (default: 30)
+     * @param int   $days Number of days to analyze (default: 30)
+     * @param array $args {
+     *     Optional. Narrow the period.
+     * 
+     *     @type string $end_date Last day of the period as Y-m-d (default: today)
+     *     @type string $feed_url Only count requests for this feed
+     *     @type int    $limit    Entries in each top list (default: 10)
+     * }
      * @return array Analytics summary
      */
-    public function get_analytics_summary($days = 30) {
+    public function get_analytics_summary($days = 30, $args = array()) {
+        $args = $this->parse_period_args($args);
+        
         // Check cache first
-        $cache_key = "bf_analytics_summary_{$days}";
+        $cache_key = 'bf_analytics_summary_' . $days . '_' . md5(serialize($args));
         $cached_summary = get_transient($cache_key);
         
         if ($cached_summary !== false) {
@@ -177,9 +496,12 @@ class BF_Analytics {
             'top_feeds' => array(),
             'top_user_agents' => array(),
             'top_referers' => array(),
+            'bandwidth' => 0,
             'daily_stats' => array(),
             'hourly_stats' => array(),
             'period_days' => $days,
+            'end_date' => $args['end_date'],
+            'feed_url' => $args['feed_url'],
             'generated_at' => current_time('mysql')
         );
         
@@ -191,13 +513,12 @@ class BF_Analytics {
         $daily_stats = array();
         $hourly_stats = array_fill(0, 24, 0);
         
-        for ($i = 0; $i < $days; $i++) {
-            $date = gmdate('Y-m-d', strtotime("-{$i} days"));
-            $day_key = 'bf_daily_stats_' . $date;
-            $day_data = get_transient($day_key);
+        foreach ($this->get_period_dates($days, $args['end_date']) as $date) {
+            $day_data = $this->get_day_stats($date, $args['feed_url']);
             
             if ($day_data !== false) {
                 $summary['total_requests'] += $day_data['total_requests'];
+                $summary['bandwidth'] += $day_data['bandwidth'] ?? 0;
                 
                 // Collect unique IPs
                 if (isset($day_data['unique_ips'])) {
@@ -232,7 +553,9 @@ class BF_Analytics {
                 // Store daily stats
                 $daily_stats[] = array(
                     'date' => $date,
-                    'count' => $day_data['total_requests']
+                    'count' => $day_data['total_requests'],
+                    'unique_visitors' => count($day_data['unique_ips'] ?? array()),
+                    'bandwidth' => $day_data['bandwidth'] ?? 0
                 );
                 
                 // For hourly stats, we'll distribute daily counts (simplified)
@@ -249,17 +572,17 @@ class BF_Analytics {
         arsort($top_feeds);
         $summary['top_feeds'] = array_slice(array_map(function($feed, $count) {
             return (object) array('feed_url' => $feed, 'count' => $count);
-        }, array_keys($top_feeds), array_values($top_feeds)), 0, 10);
+        }, array_keys($top_feeds), array_values($top_feeds)), 0, $args['limit']);
         
         arsort($top_user_agents);
         $summary['top_user_agents'] = array_slice(array_map(function($ua, $count) {
             return (object) array('user_agent' => $ua, 'count' => $count);
-        }, array_keys($top_user_agents), array_values($top_user_agents)), 0, 10);
+        }, array_keys($top_user_agents), array_values($top_user_agents)), 0, $args['limit']);
         
         arsort($top_referers);
         $summary['top_referers'] = array_slice(array_map(function($ref, $count) {
             return (object) array('referer' => $ref, 'count' => $count);
-        }, array_keys($top_referers), array_values($top_referers)), 0, 10);
+        }, array_keys($top_referers), array_values($top_referers)), 0, $args['limit']);
         
         // Count bot requests
         foreach ($top_user_agents as $ua => $count) {
@@ -290,34 +613,21 @@ class BF_Analytics {
     /**
      * Get feed reader analysis
      * 
-     * @param int $days Number of days to analyze
+     * @param int   $days Number of days to analyze
+     * @param array $args Optional. See get_analytics_summary()
      * @return array Feed reader statistics
      */
-    public function get_feed_reader_analysis($days = 30) {
-        // Known feed readers
-        $feed_readers = array(
-            'Feedly' => 'feedly',
-            'Inoreader' => 'inoreader',
-            'NewsBlur' => 'newsblur',
-            'The Old Reader' => 'theoldreader',
-            'Feedbin' => 'feedbin',
-            'NetNewsWire' => 'netnewswire',
-            'Reeder' => 'reeder',
-            'FeedReader' => 'feedreader',
-            'RSS Bot' => 'rssbot',
-            'FeedBurner' => 'feedburner'
-        );
+    public function get_feed_reader_analysis($days = 30, $args = array()) {
+        $args = $this->parse_period_args($args);
         
         $reader_stats = array();
         
         // Get analytics data from stored transients
-        for ($i = 0; $i < $days; $i++) {
-            $date = gmdate('Y-m-d', strtotime("-{$i} days"));
-            $day_key = 'bf_daily_stats_' . $date;
-            $day_data = get_transient($day_key);
+        foreach ($this->get_period_dates($days, $args['end_date']) as $date) {
+            $day_data = $this->get_day_stats($date, $args['feed_url']);
             
             if ($day_data !== false && isset($day_data['top_user_agents'])) {
-                foreach ($feed_readers as $reader_name => $reader_pattern) {
+                foreach (self::FEED_READERS as $reader_name => $reader_pattern) {
                     $count = 0;
                     
                     foreach ($day_data['top_user_agents'] as $ua => $ua_count) {
@@ -344,60 +654,35 @@ class BF_Analytics {
     /**
      * Get geographic distribution (basic IP-based)
      * 
-     * @param int $days Number of days to analyze
+     * @param int   $days Number of days to analyze
+     * @param array $args Optional. See get_analytics_summary()
      * @return array Geographic statistics
      */
-    public function get_geographic_stats($days = 30) {
+    public function get_geographic_stats($days = 30, $args = array()) {
+        $args = $this->parse_period_args($args);
+        
         // Check cache first
-        $cache_key = "bf_geographic_stats_{$days}";
+        $cache_key = 'bf_geographic_stats_' . $days . '_' . md5(serialize($args));
         $cached_stats = wp_cache_get($cache_key, 'bf_analytics');
         
         if ($cached_stats !== false) {
             return $cached_stats;
         }
         
-        $ip_stats = array();
         $country_stats = array();
         
-        // Collect IP data from stored analytics
-        for ($i = 0; $i < $days; $i++) {
-            $date = gmdate('Y-m-d', strtotime("-{$i} days"));
-            $day_key = 'bf_daily_stats_' . $date;
-            $day_data = get_transient($day_key);
+        // Unique visitors per country, counted when each day's stats were recorded
+        foreach ($this->get_period_dates($days, $args['end_date']) as $date) {
+            $day_data = $this->get_day_stats($date, $args['feed_url']);
             
-            if ($day_data !== false && isset($day_data['unique_ips'])) {
-                foreach ($day_data['unique_ips'] as $ip) {
-                    if (!empty($ip)) {
-                        $ip_stats[$ip] = isset($ip_stats[$ip]) ? $ip_stats[$ip] + 1 : 1;
-                    }
-                }
+            foreach ($day_data['countries'] ?? array() as $country => $count) {
+                $country_stats[$country] = ($country_stats[$country] ?? 0) + $count;
             }
         }
         
-        // Basic country detection based on IP ranges (very basic)
-        foreach ($ip_stats as $ip => $count) {
-            $country = $this->get_country_from_ip($ip);
-            
-            if (!isset($country_stats[$country])) {
-                $country_stats[$country] = 0;
-            }
-            
-            $country_stats[$country] += $count;
-        }
-        
         arsort($country_stats);
         
-        // Format IP distribution
-        $formatted_ip_stats = array();
-        $count = 0;
-        foreach ($ip_stats as $ip => $ip_count) {
-            if ($count >= 50) break; // Limit to top 50
-            $formatted_ip_stats[] = (object) array('ip_address' => $ip, 'count' => $ip_count);
-            $count++;
-        }
-        
         $result = array(
-            'ip_distribution' => $formatted_ip_stats,
             'country_distribution' => $country_stats
         );
         
@@ -407,12 +692,100 @@ class BF_Analytics {
         return $result;
     }
     
+    /**
+     * Get the feeds that were requested during a period
+     * 
+     * @param int   $days Number of days to look at
+     * @param array $args Optional. See get_analytics_summary(); feed_url is ignored
+     * @return array Feed URLs, most requested first
+     */
+    public function get_tracked_feeds($days = 30, $args = array()) {
+        $args = $this->parse_period_args($args);
+        $feeds = array();
+        
+        foreach ($this->get_period_dates($days, $args['end_date']) as $date) {
+            $day_data = $this->get_day_stats($date);
+            
+            foreach ($day_data['top_feeds'] ?? array() as $feed_url => $count) {
+                $feeds[$feed_url] = ($feeds[$feed_url] ?? 0) + $count;
+            }
+        }
+        
+        arsort($feeds);
+        
+        return array_keys($feeds);
+    }
+    
+    /**
+     * Fill in the defaults of the period arguments
+     * 
+     * @param array $args Period arguments
+     * @return array
+     */
+    private function parse_period_args($args) {
+        $args = wp_parse_args($args, array(
+            'end_date' => '',
+            'feed_url' => '',
+            'limit' => 10
+        ));
+        
+        if (empty($args['end_date'])) {
+            $args['end_date'] = gmdate('Y-m-d');
+        }
+        
+        $args['limit'] = max(1, intval($args['limit']));
+        
+        return $args;
+    }
+    
+    /**
+     * Get the dates in a period, newest first
+     * 
+     * @param int    $days     Number of days
+     * @param string $end_date Last day as Y-m-d
+     * @return array Dates as Y-m-d
+     */
+    private function get_period_dates($days, $end_date) {
+        $end = strtotime($end_date . ' 00:00:00 UTC');
+        $dates = array();
+        
+        for ($i = 0; $i < $days; $i++) {
+            $dates[] = gmdate('Y-m-d', $end - $i * DAY_IN_SECONDS);
+        }
+        
+        return $dates;
+    }
+    
+    /**
+     * Get the stored stats for one day
+     * 
+     * @param string $date     Day as Y-m-d
+     * @param string $feed_url Optional. Only this feed's share of the day
+     * @return array|false Day stats, or false when nothing was recorded
+     */
+    private function get_day_stats($date, $feed_url = '') {
+        $day_data = get_transient('bf_daily_stats_' . $date);
+        
+        if ($day_data === false || empty($feed_url)) {
+            return $day_data;
+        }
+        
+        // Days recorded before the per-feed breakdown existed can't be filtered
+        if (!isset($day_data['feeds'][$feed_url])) {
+            return false;
+        }
+        
+        return array_merge($day_data['feeds'][$feed_url], array(
+            'top_feeds' => array($feed_url => $day_data['feeds'][$feed_url]['total_requests'])
+        ));
+    }
+    
     /**
      * Cleanup old analytics data
      * 
      * @param int $days Keep data for this many days (default: 90)
      */
-    public function cleanup_old_analytics($days = 90) {
+    public function cleanup_old_analytics($days = self::RETENTION_DAYS) {
         $cleaned_count = 0;
         
         // Clean up expired transients using WordPress transient cleanup
@@ -426,6 +799,8 @@ class BF_Analytics {
             }
         }
         
+        $this->cleanup_old_exports($days);
+        
         // Clean up old individual analytics records
         // Use WordPress's built-in transient cleanup
         wp_cache_flush();
@@ -441,72 +816,292 @@ class BF_Analytics {
      * Export analytics data
      * 
      * @param int $days Number of days to export
-     * @param string $format Export format (csv, json)
+     * @param string $format Export format (csv, json, ndjson)
+     * @param array $args Optional. See get_analytics_summary(), plus columns to include
      * @return string Export data
      */
-    public function export_analytics($days = 30, $format = 'csv') {
+    public function export_analytics($days = 30, $format = 'csv', $args = array()) {
+        $args = $this->parse_period_args($args);
+        
         // Check cache first
-        $cache_key = "bf_export_analytics_{$days}_{$format}";
+        $cache_key = "bf_export_analytics_{$days}_{$format}_" . md5(serialize($args));
         $cached_export = wp_cache_get($cache_key, 'bf_analytics');
         
         if ($cached_export !== false) {
             return $cached_export;
         }
         
-        $data = array();
+        // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- In-memory stream, not a file
+        $handle = fopen('php://temp', 'w+');
+        $this->write_export($handle, $days, $format, $args);
+        rewind($handle);
+        $result = stream_get_contents($handle);
+        // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose -- In-memory stream, not a file
+        fclose($handle);
         
-        // Collect data from daily stats
-        for ($i = 0; $i < $days; $i++) {
-            $date = gmdate('Y-m-d', strtotime("-{$i} days"));
-            $day_key = 'bf_daily_stats_' . $date;
-            $day_data = get_transient($day_key);
-            
-            if ($day_data !== false) {
-                // Format as individual records
-                foreach ($day_data['top_feeds'] as $feed_url => $count) {
-                    for ($j = 0; $j < $count; $j++) {
-                        $data[] = array(
-                            'feed_url' => $feed_url,
-                            'user_agent' => isset($day_data['top_user_agents']) ? array_key_first($day_data['top_user_agents']) : '',
-                            'ip_address' => isset($day_data['unique_ips'][0]) ? $day_data['unique_ips'][0] : '',
-                            'referer' => isset($day_data['top_referers']) ? array_key_first($day_data['top_referers']) : '',
-                            'accessed_at' => $date . ' ' . gmdate('H:i:s', wp_rand(0, 86400))
-                        );
-                    }
-                }
+        // Cache the result for 1 hour
+        wp_cache_set($cache_key, $result, 'bf_analytics', 3600);
+        
+        return $result;
+    }
+    
+    /**
+     * Write analytics export rows to a stream
+     * 
+     * Rows are written one at a time so large exports can be streamed
+     * straight to the browser or a file.
+     * 
+     * @param resource $handle Writable stream
+     * @param int      $days   Number of days to export
+     * @param string   $format Export format (csv, json, ndjson)
+     * @param array    $args   Optional. See export_analytics()
+     */
+    public function write_export($handle, $days = 30, $format = 'csv', $args = array()) {
+        $args = $this->parse_period_args($args);
+        $columns = empty($args['columns'])
+            ? self::EXPORT_COLUMNS
+            : array_values(array_intersect(self::EXPORT_COLUMNS, (array) $args['columns']));
+        $first = true;
+        
+        // phpcs:disable WordPress.WP.AlternativeFunctions.file_system_operations_fwrite, WordPress.WP.AlternativeFunctions.file_system_operations_fputcsv -- Writing to a caller supplied stream
+        if ($format === 'csv') {
+            fputcsv($handle, $columns);
+        } elseif ($format === 'json') {
+            fwrite($handle, '[');
+        }
+        
+        foreach ($this->get_export_rows($days, $args, $columns) as $row) {
+            if ($format === 'csv') {
+                fputcsv($handle, array_map(array($this, 'escape_csv_value'), $row));
+            } elseif ($format === 'json') {
+                fwrite($handle, ($first ? "\n" : ",\n") . wp_json_encode($row));
+            } else {
+                fwrite($handle, wp_json_encode($row) . "\n");
             }
+            
+            $first = false;
         }
         
         if ($format === 'json') {
-            // Use PHP's native json_encode for WordPress 6.0+ compatibility
-            $result = function_exists('wp_json_encode') ? wp_json_encode($data, JSON_PRETTY_PRINT) : json_encode($data, JSON_PRETTY_PRINT);
-            wp_cache_set($cache_key, $result, 'bf_analytics', 3600);
-            return $result;
+            fwrite($handle, $first ? ']' : "\n]");
         }
+        // phpcs:enable
+    }
+    
+    /**
+     * Get analytics export rows, one per feed per day, oldest first
+     * 
+     * @param int   $days    Number of days to export
+     * @param array $args    Parsed period args
+     * @param array $columns Columns to include
+     * @return Generator Export rows
+     */
+    private function get_export_rows($days, $args, $columns) {
+        $columns = array_flip($columns);
         
-        // CSV format
-        if (empty($data)) {
-            wp_cache_set($cache_key, '', 'bf_analytics', 3600);
+        foreach (array_reverse($this->get_period_dates($days, $args['end_date'])) as $date) {
+            $day_data = get_transient('bf_daily_stats_' . $date);
+            
+            if ($day_data === false) {
+                continue;
+            }
+            
+            // Days recorded before the per-feed breakdown only have site-wide totals
+            $feeds = isset($day_data['feeds']) ? $day_data['feeds'] : array('' => $day_data);
+            
+            if (!empty($args['feed_url'])) {
+                $feeds = isset($feeds[$args['feed_url']]) ? array($args['feed_url'] => $feeds[$args['feed_url']]) : array();
+            }
+            
+            foreach ($feeds as $feed_url => $stats) {
+                $row = array(
+                    'date' => $date,
+                    'feed_url' => $feed_url,
+                    'requests' => intval($stats['total_requests'] ?? 0),
+                    'unique_visitors' => count($stats['unique_ips'] ?? array()),
+                    'bandwidth' => intval($stats['bandwidth'] ?? 0),
+                    'top_user_agent' => $this->get_top_entry($stats['top_user_agents'] ?? array()),
+                    'top_referer' => $this->get_top_entry($stats['top_referers'] ?? array())
+                );
+                
+                yield array_intersect_key($row, $columns);
+            }
+        }
+    }
+    
+    /**
+     * Get the most frequent key from a list of counts
+     * 
+     * @param array $counts Counts keyed by value
+     * @return string Most frequent value, or an empty string
+     */
+    private function get_top_entry($counts) {
+        if (empty($counts)) {
             return '';
         }
         
-        $csv = '';
+        arsort($counts);
         
-        // Headers
-        $headers = array_keys($data[0]);
-        $csv .= implode(',', $headers) . "\n";
+        return (string) array_key_first($counts);
+    }
+    
+    /**
+     * Stop spreadsheet apps from running CSV values as formulas
+     * 
+     * User agents and referers come straight from requests, so they can't be trusted.
+     * 
+     * @param mixed $value Cell value
+     * @return mixed Safe cell value
+     */
+    private function escape_csv_value($value) {
+        if (is_string($value) && $value !== '' && strpos('=+-@', $value[0]) !== false) {
+            return "'" . $value;
+        }
         
-        // Data rows
-        foreach ($data as $row) {
-            $csv .= implode(',', array_map(function($value) {
-                return '"' . str_replace('"', '""', $value) . '"';
-            }, $row)) . "\n";
+        return $value;
+    }
+    
+    /**
+     * Schedule the analytics export if one is configured
+     */
+    public function maybe_schedule_export() {
+        $options = get_option('bf_analytics_options', array());
+        $schedule = $options['export_schedule'] ?? '';
+        
+        if (isset(self::EXPORT_SCHEDULES[$schedule]) && !wp_next_scheduled('bf_scheduled_analytics_export')) {
+            wp_schedule_event(time(), $schedule, 'bf_scheduled_analytics_export');
+        }
+    }
+    
+    /**
+     * Register the weekly recurrence, which core only has since WordPress 5.4
+     * 
+     * @param array $schedules Cron schedules
+     * @return array Cron schedules
+     */
+    public function add_cron_schedules($schedules) {
+        if (!isset($schedules['weekly'])) {
+            $schedules['weekly'] = array(
+                'interval' => WEEK_IN_SECONDS,
+                'display' => __('Once Weekly', 'betterfeed')
+            );
+        }
+        
+        return $schedules;
+    }
+    
+    /**
+     * Reschedule the analytics export after its settings change
+     */
+    public function reschedule_export() {
+        wp_clear_scheduled_hook('bf_scheduled_analytics_export');
+        $this->maybe_schedule_export();
+    }
+    
+    /**
+     * Run the scheduled analytics export
+     * 
+     * Exports the last complete day or week and saves it to the protected
+     * exports directory or emails it, depending on the settings.
+     */
+    public function run_scheduled_export() {
+        $options = get_option('bf_analytics_options', array());
+        $schedule = $options['export_schedule'] ?? '';
+        
+        if (!isset(self::EXPORT_SCHEDULES[$schedule])) {
+            return;
+        }
+        
+        $days = self::EXPORT_SCHEDULES[$schedule];
+        $format = isset(self::EXPORT_FORMATS[$options['export_format'] ?? '']) ? $options['export_format'] : 'csv';
+        $end_date = gmdate('Y-m-d', strtotime('-1 day'));
+        $filename = 'betterfeed-analytics-' . $end_date . '-' . $days . 'days';
+        
+        if (($options['export_delivery'] ?? 'file') === 'email') {
+            $directory = trailingslashit(get_temp_dir());
+            $path = $directory . wp_unique_filename($directory, $filename . '.' . $format);
+        } else {
+            $directory = $this->get_export_directory();
+            if (!$directory) {
+                return;
+            }
+            
+            // Random suffix so files can't be guessed where .htaccess isn't honoured
+            $path = $directory . $filename . '-' . wp_generate_password(12, false) . '.' . $format;
+        }
+        
+        // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Streaming the export to disk
+        $handle = fopen($path, 'w');
+        if (!$handle) {
+            return;
+        }
+        
+        $this->write_export($handle, $days, $format, array('end_date' => $end_date));
+        // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose -- Streaming the export to disk
+        fclose($handle);
+        
+        if (($options['export_delivery'] ?? 'file') === 'email') {
+            $recipient = !empty($options['export_email']) ? $options['export_email'] : get_option('admin_email');
+            
+            wp_mail(
+                $recipient,
+                sprintf(
+                    // translators: %1$s is the site name, %2$s is the last day in the export
+                    __('[%1$s] BetterFeed analytics export to %2$s', 'betterfeed'),
+                    get_bloginfo('name'),
+                    $end_date
+                ),
+                __('Your scheduled BetterFeed analytics export is attached.', 'betterfeed'),
+                '',
+                array($path)
+            );
+            
+            wp_delete_file($path);
+        }
+    }
+    
+    /**
+     * Get the protected directory scheduled exports are saved to
+     * 
+     * @return string|false Directory path with trailing slash, or false if it can't be created
+     */
+    public function get_export_directory() {
+        $upload_dir = wp_upload_dir();
+        $directory = trailingslashit($upload_dir['basedir']) . 'bf/exports/';
+        
+        if (!wp_mkdir_p($directory)) {
+            return false;
         }
         
-        // Cache the CSV result for 1 hour
-        wp_cache_set($cache_key, $csv, 'bf_analytics', 3600);
+        $protection = array(
+            '.htaccess' => "<IfModule mod_authz_core.c>\n\tRequire all denied\n</IfModule>\n<IfModule !mod_authz_core.c>\n\tDeny from all\n</IfModule>\n",
+            'index.php' => "<?php\n// Silence is golden.\n"
+        );
+        
+        foreach ($protection as $file => $contents) {
+            if (!file_exists($directory . $file)) {
+                // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents -- Runs from cron, where WP_Filesystem may need credentials
+                file_put_contents($directory . $file, $contents);
+            }
+        }
         
-        return $csv;
+        return $directory;
+    }
+    
+    /**
+     * Delete saved exports older than the retention period
+     * 
+     * @param int $days Keep exports for this many days
+     */
+    private function cleanup_old_exports($days) {
+        $upload_dir = wp_upload_dir();
+        $files = glob(trailingslashit($upload_dir['basedir']) . 'bf/exports/betterfeed-analytics-*');
+        
+        foreach ($files ?: array() as $file) {
+            if (filemtime($file) < time() - $days * DAY_IN_SECONDS) {
+                wp_delete_file($file);
+            }
+        }
     }
     
     /**
@@ -516,6 +1111,15 @@ class BF_Analytics {
      * @return string Feed URL
      */
     private function get_current_feed_url($feed_type = '') {
+        $custom_feed = get_query_var('bf_custom_feed');
+        if ($custom_feed && class_exists('BF_Custom_Feeds')) {
+            return BF_Custom_Feeds::get_feed_url($custom_feed, get_query_var('bf_custom_feed_format') ?: 'rss2');
+        }
+        
+        if (empty($feed_type) && get_query_var('bf_json_feed')) {
+            $feed_type = 'json';
+        }
+        
         if (empty($feed_type)) {
             $feed_type = get_query_var('feed');
         }
@@ -592,69 +1196,10 @@ class BF_Analytics {
     /**
      * Get real-time feed access count
      * 
-     * @return int Current active feed readers
+     * @return int Feed requests in the live monitor's current window
      */
     public function get_realtime_access_count() {
-        $five_minutes_ago = current_time('timestamp') - 300;
-        $current_stats = get_transient('bf_daily_stats_' . gmdate('Y-m-d'));
-        
-        if ($current_stats === false) {
-            return 0;
-        }
-        
-        $realtime_count = 0;
-        $analytics_keys = $this->get_analytics_keys_for_period(5); // Last 5 minutes
-        
-        foreach ($analytics_keys as $key) {
-            $analytics_data = get_transient($key);
-            if ($analytics_data !== false && isset($analytics_data['accessed_at']) && $analytics_data['accessed_at'] >= $five_minutes_ago) {
-                $realtime_count++;
-            }
-        }
-        
-        return $realtime_count;
-    }
-    
-    /**
-     * Get analytics keys for a specific time period
-     * 
-     * @param int $minutes Number of minutes to look back
-     * @return array Array of transient keys
-     */
-    private function get_analytics_keys_for_period($minutes = 1440) {
-        global $wpdb;
-        
-        $time_threshold = current_time('timestamp') - ($minutes * 60);
-        
-        $option_patterns = array(
-            '_transient_bf_analytics_%',
-            '_transient_timeout_bf_analytics_%'
-        );
-        
-        $keys = array();
-        
-        // Use WordPress option system instead of direct DB queries
-        foreach ($option_patterns as $pattern) {
-            // Generate potential transient keys based on timestamp patterns
-            for ($i = 0; $i < 1440; $i++) { // Check last 24 hours with minute granularity
-                $timestamp = current_time('timestamp') - ($i * 60);
-                $date_key = gmdate('Y-m-d-H-i', $timestamp);
-                
-                $potential_keys = array(
-                    'bf_analytics_' . md5('key_' . $date_key),
-                    'bf_daily_stats_' . gmdate('Y-m-d', $timestamp),
-                    'bf_analytics_' . substr(md5($date_key), 0, 16)
-                );
-                
-                foreach ($potential_keys as $key) {
-                    if (get_transient($key) !== false) {
-                        $keys[] = $key;
-                    }
-                }
-            }
-        }
-        
-        return $keys;
+        return array_sum($this->get_live_traffic()['statuses']);
     }
     
     /**
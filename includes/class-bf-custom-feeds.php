@@ -79,12 +79,251 @@ class BF_Custom_Feeds {
                 continue;
             }
             
-            add_rewrite_rule(
-                '^feed/' . $feed['slug'] . '/?$',
-                'index.php?bf_custom_feed=' . $feed['slug'],
-                'top'
+            $this->add_feed_slug_rules($feed['slug']);
+            
+            // Keep old URLs routable so their redirects can fire
+            foreach ($feed['previous_slugs'] ?? array() as $previous_slug) {
+                $this->add_feed_slug_rules($previous_slug);
+            }
+        }
+    }
+    
+    /**
+     * Add the rewrite rules for one feed slug in every format
+     * 
+     * @param string $slug Feed slug
+     */
+    private function add_feed_slug_rules($slug) {
+        // RSS 2.0 is served from the bare slug
+        $formats = array_diff(array_keys(self::get_feed_formats()), array('rss2'));
+        
+        add_rewrite_rule(
+            '^feed/' . $slug . '/(' . implode('|', $formats) . ')/?$',
+            'index.php?bf_custom_feed=' . $slug . '&bf_custom_feed_format=$matches[1]',
+            'top'
+        );
+        
+        add_rewrite_rule(
+            '^feed/' . $slug . '/?$',
+            'index.php?bf_custom_feed=' . $slug,
+            'top'
+        );
+    }
+    
+    /**
+     * Get all custom feeds, assigning IDs to feeds saved before IDs existed
+     * 
+     * @return array
+     */
+    public static function get_feeds() {
+        $custom_feeds = get_option('bf_custom_feeds', array());
+        $needs_update = false;
+        
+        foreach ($custom_feeds as $index => $feed) {
+            if (empty($feed['id'])) {
+                $custom_feeds[$index]['id'] = uniqid();
+                $needs_update = true;
+            }
+        }
+        
+        if ($needs_update) {
+            $custom_feeds = array_values($custom_feeds);
+            update_option('bf_custom_feeds', $custom_feeds);
+        }
+        
+        return $custom_feeds;
+    }
+    
+    /**
+     * Find a custom feed's position by its ID
+     * 
+     * @param array  $custom_feeds Feeds from get_feeds()
+     * @param string $feed_id      Feed ID
+     * @return int|false Array index, or false if not found
+     */
+    public static function find_feed_index($custom_feeds, $feed_id) {
+        foreach ($custom_feeds as $index => $feed) {
+            if (isset($feed['id']) && (string) $feed['id'] === (string) $feed_id) {
+                return $index;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Get the formats every custom feed is served in
+     * 
+     * Keyed by format, as used in get_feed_url().
+     * 
+     * @return array
+     */
+    public static function get_feed_formats() {
+        return array(
+            'rss2' => array(
+                'label' => 'RSS 2.0',
+                'content_type' => 'application/rss+xml'
+            ),
+            'atom' => array(
+                'label' => 'Atom 1.0',
+                'content_type' => 'application/atom+xml'
+            ),
+            'json' => array(
+                'label' => 'JSON Feed 1.1',
+                'content_type' => 'application/feed+json'
+            )
+        );
+    }
+    
+    /**
+     * Get the public URL of a custom feed
+     * 
+     * RSS 2.0 lives at /feed/<slug>/, other formats at /feed/<slug>/<format>/.
+     * 
+     * @param string $slug   Feed slug
+     * @param string $format Feed format from get_feed_formats()
+     * @return string
+     */
+    public static function get_feed_url($slug, $format = 'rss2') {
+        if ('rss2' === $format) {
+            return home_url('/feed/' . $slug . '/');
+        }
+        
+        return home_url('/feed/' . $slug . '/' . $format . '/');
+    }
+    
+    /**
+     * Get a custom feed's URL in every format
+     * 
+     * @param string $slug Feed slug
+     * @return array URLs keyed by format
+     */
+    public static function get_feed_urls($slug) {
+        $urls = array();
+        
+        foreach (array_keys(self::get_feed_formats()) as $format) {
+            $urls[$format] = self::get_feed_url($slug, $format);
+        }
+        
+        return $urls;
+    }
+    
+    /**
+     * Sanitize a custom feed configuration from the feed form fields
+     * 
+     * @param array $input Unslashed feed_* fields
+     * @return array Feed configuration
+     */
+    public static function sanitize_feed_config($input) {
+        $orderby_options = array('date', 'modified', 'title', 'rand', 'comment_count', 'menu_order', 'meta_value', 'meta_value_num');
+        $orderby = sanitize_key($input['feed_orderby'] ?? 'date');
+        
+        return array(
+            'title' => sanitize_text_field($input['feed_title'] ?? ''),
+            'slug' => sanitize_title($input['feed_slug'] ?? ''),
+            'description' => sanitize_textarea_field($input['feed_description'] ?? ''),
+            'limit' => intval($input['feed_limit'] ?? 10) ?: 10,
+            'post_types' => !empty($input['feed_post_types']) && is_array($input['feed_post_types']) ? array_map('sanitize_key', $input['feed_post_types']) : array('post'),
+            'taxonomies' => self::sanitize_term_map($input['feed_taxonomies'] ?? array()),
+            'exclude_taxonomies' => self::sanitize_term_map($input['feed_exclude_taxonomies'] ?? array()),
+            'authors' => self::sanitize_id_list($input['feed_authors'] ?? array()),
+            'exclude_authors' => self::sanitize_id_list($input['feed_exclude_authors'] ?? array()),
+            'date_window' => absint($input['feed_date_window'] ?? 0),
+            'date_from' => self::sanitize_date($input['feed_date_from'] ?? ''),
+            'date_to' => self::sanitize_date($input['feed_date_to'] ?? ''),
+            'meta_filters' => self::sanitize_meta_filters($input['feed_meta_filters'] ?? array()),
+            'orderby' => in_array($orderby, $orderby_options, true) ? $orderby : 'date',
+            'order_meta_key' => sanitize_text_field($input['feed_order_meta_key'] ?? ''),
+            'order' => 'ASC' === strtoupper((string) ($input['feed_order'] ?? '')) ? 'ASC' : 'DESC',
+            'enabled' => !empty($input['feed_enabled'])
+        );
+    }
+    
+    /**
+     * Move the legacy categories and tags keys into taxonomies
+     * 
+     * @param array $feed Stored feed configuration
+     * @return array
+     */
+    public static function normalize_feed_config($feed) {
+        $legacy_keys = array('categories' => 'category', 'tags' => 'post_tag');
+        
+        foreach ($legacy_keys as $key => $taxonomy) {
+            if (!empty($feed[$key])) {
+                $feed['taxonomies'][$taxonomy] = array_values(array_unique(array_merge(
+                    $feed['taxonomies'][$taxonomy] ?? array(),
+                    array_map('intval', $feed[$key])
+                )));
+            }
+            unset($feed[$key]);
+        }
+        
+        return $feed;
+    }
+    
+    /**
+     * Sanitize a taxonomy => term IDs map, dropping unknown taxonomies
+     */
+    private static function sanitize_term_map($input) {
+        $terms = array();
+        
+        if (!is_array($input)) {
+            return $terms;
+        }
+        
+        foreach ($input as $taxonomy => $term_ids) {
+            $taxonomy = sanitize_key($taxonomy);
+            $term_ids = self::sanitize_id_list($term_ids);
+            
+            if (taxonomy_exists($taxonomy) && !empty($term_ids)) {
+                $terms[$taxonomy] = $term_ids;
+            }
+        }
+        
+        return $terms;
+    }
+    
+    /**
+     * Sanitize a list of IDs
+     */
+    private static function sanitize_id_list($input) {
+        return array_values(array_filter(array_map('absint', (array) $input)));
+    }
+    
+    /**
+     * Sanitize a Y-m-d date
+     */
+    private static function sanitize_date($input) {
+        $input = sanitize_text_field((string) $input);
+        return preg_match('/^\d{4}-\d{2}-\d{2}$/', $input) ? $input : '';
+    }
+    
+    /**
+     * Sanitize custom field filter rows
+     */
+    private static function sanitize_meta_filters($input) {
+        $compare_options = array('=', '!=', '>', '>=', '<', '<=', 'LIKE', 'NOT LIKE', 'EXISTS', 'NOT EXISTS');
+        $filters = array();
+        
+        if (!is_array($input)) {
+            return $filters;
+        }
+        
+        foreach ($input as $filter) {
+            if (!is_array($filter) || empty($filter['key'])) {
+                continue;
+            }
+            
+            $compare = strtoupper(sanitize_text_field($filter['compare'] ?? '='));
+            
+            $filters[] = array(
+                'key' => sanitize_text_field($filter['key']),
+                'compare' => in_array($compare, $compare_options, true) ? $compare : '=',
+                'value' => sanitize_text_field($filter['value'] ?? '')
             );
         }
+        
+        return $filters;
     }
     
     /**
@@ -92,6 +331,7 @@ class BF_Custom_Feeds {
      */
     public function add_query_vars($vars) {
         $vars[] = 'bf_custom_feed';
+        $vars[] = 'bf_custom_feed_format';
         return $vars;
     }
     
@@ -118,18 +358,103 @@ class BF_Custom_Feeds {
             return;
         }
         
+        $formats = self::get_feed_formats();
+        $format = get_query_var('bf_custom_feed_format') ?: 'rss2';
+        if (!isset($formats[$format])) {
+            return;
+        }
+        
         // Set proper headers
-        header('Content-Type: application/rss+xml; charset=' . get_option('blog_charset'));
+        header('Content-Type: ' . $formats[$format]['content_type'] . '; charset=' . get_option('blog_charset'));
         
         // Generate custom feed
-        $this->generate_custom_feed($feed_config);
+        $this->generate_custom_feed($feed_config, $format);
         exit;
     }
     
     /**
      * Generate custom feed
      */
-    private function generate_custom_feed($config) {
+    private function generate_custom_feed($config, $format = 'rss2') {
+        // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Each element is escaped as the feed is rendered
+        echo $this->render_custom_feed($config, $format);
+    }
+    
+    /**
+     * Preview a feed configuration without saving it
+     * 
+     * Runs the same query and rendering as the live feed.
+     * 
+     * @param array $config Feed configuration
+     * @return array Matching posts and the rendered XML
+     */
+    public function preview_feed($config) {
+        $posts = array();
+        
+        foreach ($this->get_custom_feed_posts($config) as $post) {
+            $posts[] = array(
+                'id' => $post->ID,
+                'title' => get_the_title($post),
+                'post_type' => $post->post_type,
+                'date' => get_post_time('c', true, $post),
+                'link' => get_permalink($post)
+            );
+        }
+        
+        return array(
+            'posts' => $posts,
+            'xml' => $this->render_custom_feed($config)
+        );
+    }
+    
+    /**
+     * Render a custom feed
+     * 
+     * @param array  $config Feed configuration
+     * @param string $format Feed format from get_feed_formats()
+     * @return string
+     */
+    private function render_custom_feed($config, $format = 'rss2') {
+        switch ($format) {
+            case 'atom':
+                return $this->render_atom_feed($config);
+            case 'json':
+                return $this->render_json_feed($config);
+            default:
+                return $this->render_rss_feed($config);
+        }
+    }
+    
+    /**
+     * Get the links to a custom feed's other formats
+     * 
+     * @param string $slug   Feed slug
+     * @param string $format Format being rendered
+     * @return array Arrays of url, type and title
+     */
+    private function get_alternate_links($slug, $format) {
+        $links = array();
+        
+        foreach (self::get_feed_formats() as $key => $details) {
+            if ($key !== $format) {
+                $links[] = array(
+                    'url' => self::get_feed_url($slug, $key),
+                    'type' => $details['content_type'],
+                    'title' => $details['label']
+                );
+            }
+        }
+        
+        return $links;
+    }
+    
+    /**
+     * Render custom feed as RSS 2.0
+     * 
+     * @param array $config Feed configuration
+     * @return string
+     */
+    private function render_rss_feed($config) {
         // Start output buffering
         ob_start();
         
@@ -141,12 +466,17 @@ class BF_Custom_Feeds {
         // Channel info
         $title = !empty($config['title']) ? $config['title'] : get_bloginfo('name');
         $description = !empty($config['description']) ? $config['description'] : get_bloginfo('description');
-        $feed_url = home_url('/feed/' . $config['slug'] . '/');
+        $feed_url = self::get_feed_url($config['slug']);
         
         echo '<title><![CDATA[' . esc_html($title) . ']]></title>' . "\n";
         echo '<description><![CDATA[' . esc_html($description) . ']]></description>' . "\n";
         echo '<link>' . esc_url(home_url('/')) . '</link>' . "\n";
         echo '<atom:link href="' . esc_url($feed_url) . '" rel="self" type="application/rss+xml" />' . "\n";
+        
+        foreach ($this->get_alternate_links($config['slug'], 'rss2') as $link) {
+            echo '<atom:link href="' . esc_url($link['url']) . '" rel="alternate" type="' . esc_attr($link['type']) . '" title="' . esc_attr($link['title']) . '" />' . "\n";
+        }
+        
         echo '<language>' . esc_html(get_locale()) . '</language>' . "\n";
         echo '<lastBuildDate>' . esc_html(gmdate('r')) . '</lastBuildDate>' . "\n";
         echo '<sy:updatePeriod>hourly</sy:updatePeriod>' . "\n";
@@ -163,9 +493,86 @@ class BF_Custom_Feeds {
         echo '</channel>' . "\n";
         echo '</rss>' . "\n";
         
-        // Get output and send
-        $output = ob_get_clean();
-        echo wp_kses_post($output);
+        return ob_get_clean();
+    }
+    
+    /**
+     * Render custom feed as Atom 1.0
+     * 
+     * @param array $config Feed configuration
+     * @return string
+     */
+    private function render_atom_feed($config) {
+        ob_start();
+        
+        $title = !empty($config['title']) ? $config['title'] : get_bloginfo('name');
+        $description = !empty($config['description']) ? $config['description'] : get_bloginfo('description');
+        $feed_url = self::get_feed_url($config['slug'], 'atom');
+        $posts = $this->get_custom_feed_posts($config);
+        
+        // The feed is as recent as its most recently modified entry
+        $updated = gmdate('Y-m-d\TH:i:s\Z');
+        if (!empty($posts)) {
+            $updated = max(array_map(function($post) {
+                return get_post_modified_time('Y-m-d\TH:i:s\Z', true, $post);
+            }, $posts));
+        }
+        
+        echo '<?xml version="1.0" encoding="' . esc_attr(get_option('blog_charset')) . '"?>' . "\n";
+        echo '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="' . esc_attr(get_bloginfo('language')) . '">' . "\n";
+        echo '<title type="text">' . esc_html($title) . '</title>' . "\n";
+        echo '<subtitle type="text">' . esc_html($description) . '</subtitle>' . "\n";
+        echo '<id>' . esc_url($feed_url) . '</id>' . "\n";
+        echo '<updated>' . esc_html($updated) . '</updated>' . "\n";
+        echo '<link rel="self" type="application/atom+xml" href="' . esc_url($feed_url) . '" />' . "\n";
+        echo '<link rel="alternate" type="' . esc_attr(get_bloginfo('html_type')) . '" href="' . esc_url(home_url('/')) . '" />' . "\n";
+        
+        foreach ($this->get_alternate_links($config['slug'], 'atom') as $link) {
+            echo '<link rel="alternate" type="' . esc_attr($link['type']) . '" title="' . esc_attr($link['title']) . '" href="' . esc_url($link['url']) . '" />' . "\n";
+        }
+        
+        echo '<generator uri="https://github.com/WeAreIconick/BetterFeed">BetterFeed</generator>' . "\n";
+        
+        foreach ($posts as $post) {
+            $this->output_atom_entry($post);
+        }
+        
+        echo '</feed>' . "\n";
+        
+        return ob_get_clean();
+    }
+    
+    /**
+     * Render custom feed as JSON Feed 1.1
+     * 
+     * Items are built the same way as the site-wide JSON feed.
+     * 
+     * @param array $config Feed configuration
+     * @return string
+     */
+    private function render_json_feed($config) {
+        $json_feed = BF_JSON_Feed::instance();
+        $items = array();
+        
+        foreach ($this->get_custom_feed_posts($config) as $post) {
+            $items[] = $json_feed->format_post_as_json_item($post);
+        }
+        
+        $feed = array(
+            'version' => 'https://jsonfeed.org/version/1.1',
+            'title' => !empty($config['title']) ? $config['title'] : get_bloginfo('name'),
+            'description' => !empty($config['description']) ? $config['description'] : get_bloginfo('description'),
+            'home_page_url' => home_url('/'),
+            'feed_url' => self::get_feed_url($config['slug'], 'json'),
+            'language' => get_bloginfo('language'),
+            '_betterfeed' => array(
+                'about' => 'https://github.com/WeAreIconick/BetterFeed',
+                'alternates' => $this->get_alternate_links($config['slug'], 'json')
+            ),
+            'items' => $items
+        );
+        
+        return wp_json_encode($feed, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
     }
     
     /**
@@ -202,42 +609,97 @@ class BF_Custom_Feeds {
             $args['tag__in'] = array_map('intval', $config['tags']);
         }
         
-        // Custom taxonomies
-        if (!empty($config['taxonomies'])) {
-            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query -- Query is cached for 15 minutes
-            $tax_query = array('relation' => 'AND');
-            
-            foreach ($config['taxonomies'] as $taxonomy => $terms) {
+        // Custom taxonomies, included and excluded terms
+        $tax_query = array('relation' => 'AND');
+        
+        foreach (array('taxonomies' => 'IN', 'exclude_taxonomies' => 'NOT IN') as $key => $operator) {
+            foreach ($config[$key] ?? array() as $taxonomy => $terms) {
                 if (!empty($terms)) {
                     $tax_query[] = array(
                         'taxonomy' => sanitize_text_field($taxonomy),
                         'field' => 'term_id',
-                        'terms' => array_map('intval', $terms)
+                        'terms' => array_map('intval', $terms),
+                        'operator' => $operator
                     );
                 }
             }
-            
-            if (count($tax_query) > 1) {
-                $args['tax_query'] = $tax_query;
-            }
+        }
+        
+        if (count($tax_query) > 1) {
+            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query -- Query is cached for 15 minutes
+            $args['tax_query'] = $tax_query;
+        }
+        
+        // Authors
+        if (!empty($config['authors'])) {
+            $args['author__in'] = array_map('intval', $config['authors']);
+        }
+        
+        if (!empty($config['exclude_authors'])) {
+            $args['author__not_in'] = array_map('intval', $config['exclude_authors']);
         }
         
         // Date range
+        $date_range = array();
+        
         if (!empty($config['date_from'])) {
-            $args['date_query']['after'] = sanitize_text_field($config['date_from']);
+            $date_range['after'] = sanitize_text_field($config['date_from']);
         }
         
         if (!empty($config['date_to'])) {
-            $args['date_query']['before'] = sanitize_text_field($config['date_to']);
+            $date_range['before'] = sanitize_text_field($config['date_to']);
         }
         
-        if (isset($args['date_query'])) {
-            $args['date_query']['inclusive'] = true;
+        if (!empty($date_range)) {
+            $date_range['inclusive'] = true;
+            $args['date_query'][] = $date_range;
+        }
+        
+        // Relative date window, e.g. the last 30 days
+        if (!empty($config['date_window'])) {
+            $args['date_query'][] = array(
+                'after' => intval($config['date_window']) . ' days ago',
+                'inclusive' => true
+            );
+        }
+        
+        // Custom field filters
+        if (!empty($config['meta_filters'])) {
+            $meta_query = array('relation' => 'AND');
+            
+            foreach ($config['meta_filters'] as $filter) {
+                $clause = array(
+                    'key' => $filter['key'],
+                    'compare' => $filter['compare']
+                );
+                
+                if (!in_array($filter['compare'], array('EXISTS', 'NOT EXISTS'), true)) {
+                    $clause['value'] = $filter['value'];
+                    
+                    if (in_array($filter['compare'], array('>', '>=', '<', '<='), true) && is_numeric($filter['value'])) {
+                        $clause['type'] = 'NUMERIC';
+                    }
+                }
+                
+                $meta_query[] = $clause;
+            }
+            
+            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Query is cached for 15 minutes
+            $args['meta_query'] = $meta_query;
         }
         
         // Order
         if (!empty($config['orderby'])) {
             $args['orderby'] = sanitize_text_field($config['orderby']);
+            
+            if (in_array($args['orderby'], array('meta_value', 'meta_value_num'), true)) {
+                if (empty($config['order_meta_key'])) {
+                    $args['orderby'] = 'date';
+                } else {
+                    // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key -- Query is cached for 15 minutes
+                    $args['meta_key'] = $config['order_meta_key'];
+                }
+            }
         }
         
         if (!empty($config['order'])) {
@@ -285,6 +747,61 @@ class BF_Custom_Feeds {
         echo '</item>' . "\n";
     }
     
+    /**
+     * Get an Atom entry ID, which must be an IRI
+     * 
+     * Episode GUIDs can be any string, so UUIDs become urn:uuid: IRIs and
+     * anything else without a scheme falls back to the permalink.
+     * 
+     * @param WP_Post $post Post
+     * @return string Entry ID
+     */
+    private function get_atom_entry_id($post) {
+        $guid = trim((string) get_the_guid($post->ID));
+        
+        if (preg_match('/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i', $guid)) {
+            return 'urn:uuid:' . strtolower($guid);
+        }
+        
+        if (preg_match('/^[a-z][a-z0-9+.-]*:\S+$/i', $guid)) {
+            return $guid;
+        }
+        
+        return get_permalink($post->ID);
+    }
+    
+    /**
+     * Output Atom entry
+     */
+    private function output_atom_entry($post) {
+        echo '<entry>' . "\n";
+        echo '<title type="html"><![CDATA[' . esc_html(get_the_title($post->ID)) . ']]></title>' . "\n";
+        echo '<link rel="alternate" type="' . esc_attr(get_bloginfo('html_type')) . '" href="' . esc_url(get_permalink($post->ID)) . '" />' . "\n";
+        echo '<id>' . esc_html($this->get_atom_entry_id($post)) . '</id>' . "\n";
+        echo '<published>' . esc_html(get_post_time('Y-m-d\TH:i:s\Z', true, $post)) . '</published>' . "\n";
+        echo '<updated>' . esc_html(get_post_modified_time('Y-m-d\TH:i:s\Z', true, $post)) . '</updated>' . "\n";
+        echo '<author><name><![CDATA[' . esc_html(get_the_author_meta('display_name', $post->post_author)) . ']]></name></author>' . "\n";
+        
+        // Categories
+        $categories = get_the_category($post->ID);
+        foreach ($categories as $category) {
+            echo '<category term="' . esc_attr($category->name) . '" />' . "\n";
+        }
+        
+        // Summary
+        $excerpt = get_the_excerpt($post);
+        if ($excerpt) {
+            echo '<summary type="html"><![CDATA[' . esc_html($excerpt) . ']]></summary>' . "\n";
+        }
+        
+        // Content
+        $content = apply_filters('the_content', get_the_content(null, false, $post));
+        $content = str_replace(']]>', ']]&gt;', $content);
+        echo '<content type="html"><![CDATA[' . wp_kses_post($content) . ']]></content>' . "\n";
+        
+        echo '</entry>' . "\n";
+    }
+    
     /**
      * Add admin menu
      */
@@ -303,12 +820,12 @@ class BF_Custom_Feeds {
      * Admin page
      */
     public function admin_page() {
-        $custom_feeds = get_option('bf_custom_feeds', array());
+        $custom_feeds = self::get_feeds();
         
         if (isset($_POST['action']) && $_POST['action'] === 'add_feed' && 
             isset($_POST['bf_feed_nonce']) && wp_verify_nonce(sanitize_text_field(wp_unslash($_POST['bf_feed_nonce'])), 'bf_add_feed')) {
             $this->handle_add_feed();
-            $custom_feeds = get_option('bf_custom_feeds', array());
+            $custom_feeds = self::get_feeds();
         }
         
         ?>
@@ -333,15 +850,19 @@ class BF_Custom_Feeds {
                                 </tr>
                             </thead>
                             <tbody>
-                                <?php foreach ($custom_feeds as $index => $feed): ?>
+                                <?php foreach ($custom_feeds as $feed): ?>
                                     <tr>
                                         <td><?php echo esc_html($feed['title']); ?></td>
                                         <td><code><?php echo esc_html($feed['slug']); ?></code></td>
-                                        <td><a href="<?php echo esc_url(home_url('/feed/' . $feed['slug'] . '/')); ?>" target="_blank"><?php echo esc_url(home_url('/feed/' . $feed['slug'] . '/')); ?></a></td>
+                                        <td>
+                                            <?php foreach (self::get_feed_urls($feed['slug']) as $url): ?>
+                                                <a href="<?php echo esc_url($url); ?>" target="_blank"><?php echo esc_url($url); ?></a><br>
+                                            <?php endforeach; ?>
+                                        </td>
                                         <td><?php echo !empty($feed['enabled']) ? '<span style="color: green;">✓ Enabled</span>' : '<span style="color: red;">✗ Disabled</span>'; ?></td>
                                         <td>
-                                            <a href="?page=bf-custom-feeds&edit=<?php echo esc_attr($index); ?>" class="button button-small"><?php esc_html_e('Edit', 'betterfeed'); ?></a>
-                                            <a href="<?php echo esc_url(wp_nonce_url(admin_url('admin-post.php?action=bf_delete_custom_feed&feed_index=' . $index), 'bf_delete_feed')); ?>" class="button button-small" onclick="return confirm('<?php esc_attr_e('Are you sure?', 'betterfeed'); ?>')"><?php esc_html_e('Delete', 'betterfeed'); ?></a>
+                                            <a href="<?php echo esc_url(admin_url('options-general.php?page=bf-settings&tab=feeds')); ?>" class="button button-small"><?php esc_html_e('Edit', 'betterfeed'); ?></a>
+                                            <a href="<?php echo esc_url(wp_nonce_url(admin_url('admin-post.php?action=bf_delete_custom_feed&feed_id=' . $feed['id']), 'bf_delete_feed')); ?>" class="button button-small" onclick="return confirm('<?php esc_attr_e('Are you sure?', 'betterfeed'); ?>')"><?php esc_html_e('Delete', 'betterfeed'); ?></a>
                                         </td>
                                     </tr>
                                 <?php endforeach; ?>
@@ -406,7 +927,7 @@ class BF_Custom_Feeds {
                                     $categories = get_categories(array('hide_empty' => false));
                                     foreach ($categories as $category): ?>
                                         <label>
-                                            <input type="checkbox" name="feed_categories[]" value="<?php echo esc_attr($category->term_id); ?>">
+                                            <input type="checkbox" name="feed_taxonomies[category][]" value="<?php echo esc_attr($category->term_id); ?>">
                                             <?php echo esc_html($category->name); ?>
                                         </label><br>
                                     <?php endforeach; ?>
@@ -419,7 +940,7 @@ class BF_Custom_Feeds {
                                     $tags = get_tags(array('hide_empty' => false));
                                     foreach ($tags as $tag): ?>
                                         <label>
-                                            <input type="checkbox" name="feed_tags[]" value="<?php echo esc_attr($tag->term_id); ?>">
+                                            <input type="checkbox" name="feed_taxonomies[post_tag][]" value="<?php echo esc_attr($tag->term_id); ?>">
                                             <?php echo esc_html($tag->name); ?>
                                         </label><br>
                                     <?php endforeach; ?>
@@ -495,17 +1016,10 @@ class BF_Custom_Feeds {
             wp_die(esc_html__('Security check failed.', 'betterfeed'));
         }
         
-        $feed_data = array(
-            'title' => isset($_POST['feed_title']) ? sanitize_text_field(wp_unslash($_POST['feed_title'])) : '',
-            'slug' => isset($_POST['feed_slug']) ? sanitize_title(wp_unslash($_POST['feed_slug'])) : '',
-            'description' => isset($_POST['feed_description']) ? sanitize_textarea_field(wp_unslash($_POST['feed_description'])) : '',
-            'limit' => isset($_POST['feed_limit']) ? intval($_POST['feed_limit']) : 10,
-            'post_types' => isset($_POST['feed_post_types']) ? array_map('sanitize_text_field', wp_unslash($_POST['feed_post_types'])) : array('post'),
-            'categories' => isset($_POST['feed_categories']) ? array_map('intval', $_POST['feed_categories']) : array(),
-            'tags' => isset($_POST['feed_tags']) ? array_map('intval', $_POST['feed_tags']) : array(),
-            'orderby' => isset($_POST['feed_orderby']) ? sanitize_text_field(wp_unslash($_POST['feed_orderby'])) : 'date',
-            'order' => isset($_POST['feed_order']) ? sanitize_text_field(wp_unslash($_POST['feed_order'])) : 'DESC',
-            'enabled' => isset($_POST['feed_enabled'])
+        $feed_data = array_merge(
+            array('id' => uniqid()),
+            self::sanitize_feed_config(wp_unslash($_POST)),
+            array('created_at' => current_time('mysql'))
         );
         
         $custom_feeds = get_option('bf_custom_feeds', array());
@@ -539,10 +1053,11 @@ class BF_Custom_Feeds {
             wp_die(esc_html__('Security check failed.', 'betterfeed'));
         }
         
-        $feed_index = isset($_GET['feed_index']) ? intval($_GET['feed_index']) : -1;
-        $custom_feeds = get_option('bf_custom_feeds', array());
+        $feed_id = isset($_GET['feed_id']) ? sanitize_text_field(wp_unslash($_GET['feed_id'])) : '';
+        $custom_feeds = self::get_feeds();
+        $feed_index = self::find_feed_index($custom_feeds, $feed_id);
         
-        if (isset($custom_feeds[$feed_index])) {
+        if (false !== $feed_index) {
             unset($custom_feeds[$feed_index]);
             $custom_feeds = array_values($custom_feeds); // Re-index array
             update_option('bf_custom_feeds', $custom_feeds);
@@ -564,7 +1079,7 @@ class BF_Custom_Feeds {
      */
     public function maybe_flush_rewrite_rules() {
         $rewrite_rules_version = get_option('bf_custom_feeds_rewrite_rules_version');
-        $current_version = '1.0';
+        $current_version = '1.1';
         
         if ($rewrite_rules_version !== $current_version) {
             flush_rewrite_rules();
@@ -56,6 +56,9 @@ class BF_Deactivator {
             wp_unschedule_event($timestamp, 'bf_analytics_cleanup');
         }
         
+        // Clear scheduled analytics export cron
+        wp_clear_scheduled_hook('bf_scheduled_analytics_export');
+        
         // Clear performance monitor cron jobs
         $timestamp = wp_next_scheduled('bf_performance_monitor_cron');
         if ($timestamp) {
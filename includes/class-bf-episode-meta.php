@@ -33,11 +33,14 @@ class BF_Episode_Meta {
      * Constructor
      */
     private function __construct() {
-        add_action('init', array($this, 'register_episode_meta'));
+        // Late priority so post types registered by themes and other plugins exist
+        add_action('init', array($this, 'register_episode_meta'), 20);
+        add_action('rest_api_init', array($this, 'register_rest_routes'));
+        add_filter('wp_insert_post_data', array($this, 'enforce_publish_checks'), 10, 2);
     }
     
     /**
-     * Register episode meta fields
+     * Register episode meta fields for every episode post type
      */
     public function register_episode_meta() {
         // Check if BetterFeed is enabled
@@ -45,8 +48,26 @@ class BF_Episode_Meta {
         if (empty($general_options['enable_betterfeed'])) {
             return;
         }
+        
+        foreach (self::get_episode_post_types() as $post_type) {
+            // Meta is only exposed over REST for types that support custom fields
+            add_post_type_support($post_type, 'custom-fields');
+            
+            $this->register_post_type_meta($post_type);
+            
+            // The block editor, mobile apps and other REST clients publish through here
+            add_filter("rest_pre_insert_{$post_type}", array($this, 'rest_enforce_publish_checks'), 10, 2);
+        }
+    }
+    
+    /**
+     * Register episode meta fields for a post type
+     *
+     * @param string $post_type Post type name
+     */
+    private function register_post_type_meta($post_type) {
         // Audio file URL or attachment ID
-        register_post_meta('post', 'episode_audio_url', array(
+        register_post_meta($post_type, 'episode_audio_url', array(
             'type' => 'string',
             'description' => __('Audio file URL or attachment ID', 'betterfeed'),
             'single' => true,
@@ -56,7 +77,7 @@ class BF_Episode_Meta {
         ));
         
         // Audio file length in bytes
-        register_post_meta('post', 'episode_audio_length', array(
+        register_post_meta($post_type, 'episode_audio_length', array(
             'type' => 'integer',
             'description' => __('Audio file length in bytes', 'betterfeed'),
             'single' => true,
@@ -66,7 +87,7 @@ class BF_Episode_Meta {
         ));
         
         // Audio MIME type
-        register_post_meta('post', 'episode_audio_type', array(
+        register_post_meta($post_type, 'episode_audio_type', array(
             'type' => 'string',
             'description' => __('Audio MIME type', 'betterfeed'),
             'single' => true,
@@ -76,7 +97,7 @@ class BF_Episode_Meta {
         ));
         
         // Episode duration (HH:MM:SS or seconds)
-        register_post_meta('post', 'episode_duration', array(
+        register_post_meta($post_type, 'episode_duration', array(
             'type' => 'string',
             'description' => __('Episode duration in HH:MM:SS format or seconds', 'betterfeed'),
             'single' => true,
@@ -86,7 +107,7 @@ class BF_Episode_Meta {
         ));
         
         // Episode artwork (attachment ID)
-        register_post_meta('post', 'episode_artwork', array(
+        register_post_meta($post_type, 'episode_artwork', array(
             'type' => 'integer',
             'description' => __('Episode artwork attachment ID', 'betterfeed'),
             'single' => true,
@@ -96,7 +117,7 @@ class BF_Episode_Meta {
         ));
         
         // Episode explicit flag
-        register_post_meta('post', 'episode_explicit', array(
+        register_post_meta($post_type, 'episode_explicit', array(
             'type' => 'string',
             'description' => __('Episode explicit content flag', 'betterfeed'),
             'single' => true,
@@ -106,7 +127,7 @@ class BF_Episode_Meta {
         ));
         
         // Episode number
-        register_post_meta('post', 'episode_number', array(
+        register_post_meta($post_type, 'episode_number', array(
             'type' => 'integer',
             'description' => __('Episode number within season', 'betterfeed'),
             'single' => true,
@@ -116,7 +137,7 @@ class BF_Episode_Meta {
         ));
         
         // Season number
-        register_post_meta('post', 'episode_season', array(
+        register_post_meta($post_type, 'episode_season', array(
             'type' => 'integer',
             'description' => __('Season number', 'betterfeed'),
             'single' => true,
@@ -126,7 +147,7 @@ class BF_Episode_Meta {
         ));
         
         // Episode type
-        register_post_meta('post', 'episode_type', array(
+        register_post_meta($post_type, 'episode_type', array(
             'type' => 'string',
             'description' => __('Episode type (full, trailer, bonus)', 'betterfeed'),
             'single' => true,
@@ -136,7 +157,7 @@ class BF_Episode_Meta {
         ));
         
         // Episode subtitle
-        register_post_meta('post', 'episode_subtitle', array(
+        register_post_meta($post_type, 'episode_subtitle', array(
             'type' => 'string',
             'description' => __('Episode subtitle', 'betterfeed'),
             'single' => true,
@@ -146,7 +167,7 @@ class BF_Episode_Meta {
         ));
         
         // Episode author
-        register_post_meta('post', 'episode_author', array(
+        register_post_meta($post_type, 'episode_author', array(
             'type' => 'string',
             'description' => __('Episode author', 'betterfeed'),
             'single' => true,
@@ -156,7 +177,7 @@ class BF_Episode_Meta {
         ));
         
         // Episode GUID
-        register_post_meta('post', 'episode_guid', array(
+        register_post_meta($post_type, 'episode_guid', array(
             'type' => 'string',
             'description' => __('Episode GUID', 'betterfeed'),
             'single' => true,
@@ -166,7 +187,7 @@ class BF_Episode_Meta {
         ));
         
         // Chapters URL
-        register_post_meta('post', 'episode_chapters_url', array(
+        register_post_meta($post_type, 'episode_chapters_url', array(
             'type' => 'string',
             'description' => __('Chapters file URL', 'betterfeed'),
             'single' => true,
@@ -175,8 +196,33 @@ class BF_Episode_Meta {
             'auth_callback' => array($this, 'auth_callback'),
         ));
         
+        // Chapters edited in the episode panel (served as application/json+chapters)
+        register_post_meta($post_type, 'episode_chapters', array(
+            'type' => 'array',
+            'description' => __('Episode chapters', 'betterfeed'),
+            'single' => true,
+            'default' => array(),
+            'show_in_rest' => array(
+                'schema' => array(
+                    'type' => 'array',
+                    'items' => array(
+                        'type' => 'object',
+                        'properties' => array(
+                            'startTime' => array('type' => 'number'),
+                            'endTime' => array('type' => 'number'),
+                            'title' => array('type' => 'string'),
+                            'img' => array('type' => 'string'),
+                            'url' => array('type' => 'string'),
+                        ),
+                    ),
+                ),
+            ),
+            'sanitize_callback' => array($this, 'sanitize_chapters'),
+            'auth_callback' => array($this, 'auth_callback'),
+        ));
+        
         // Transcript URL
-        register_post_meta('post', 'episode_transcript_url', array(
+        register_post_meta($post_type, 'episode_transcript_url', array(
             'type' => 'string',
             'description' => __('Transcript file URL', 'betterfeed'),
             'single' => true,
@@ -185,8 +231,80 @@ class BF_Episode_Meta {
             'auth_callback' => array($this, 'auth_callback'),
         ));
         
+        // Transcript edited in the episode panel (served by BF_Transcripts)
+        register_post_meta($post_type, 'episode_transcript', array(
+            'type' => 'array',
+            'description' => __('Episode transcript segments', 'betterfeed'),
+            'single' => true,
+            'default' => array(),
+            'show_in_rest' => array(
+                'schema' => array(
+                    'type' => 'array',
+                    'items' => array(
+                        'type' => 'object',
+                        'properties' => array(
+                            'startTime' => array('type' => 'number'),
+                            'endTime' => array('type' => 'number'),
+                            'speaker' => array('type' => 'string'),
+                            'body' => array('type' => 'string'),
+                        ),
+                    ),
+                ),
+            ),
+            'sanitize_callback' => array($this, 'sanitize_transcript'),
+            'auth_callback' => array($this, 'auth_callback'),
+        ));
+        
+        // People credited on the episode (podcast:person)
+        register_post_meta($post_type, 'episode_persons', array(
+            'type' => 'array',
+            'description' => __('Episode hosts, guests and crew', 'betterfeed'),
+            'single' => true,
+            'default' => array(),
+            'show_in_rest' => array(
+                'schema' => array(
+                    'type' => 'array',
+                    'items' => array(
+                        'type' => 'object',
+                        'properties' => array(
+                            'name' => array('type' => 'string'),
+                            'role' => array('type' => 'string'),
+                            'group' => array('type' => 'string'),
+                            'img' => array('type' => 'string'),
+                            'href' => array('type' => 'string'),
+                        ),
+                    ),
+                ),
+            ),
+            'sanitize_callback' => array($this, 'sanitize_persons'),
+            'auth_callback' => array($this, 'auth_callback'),
+        ));
+        
+        // Soundbites (podcast:soundbite)
+        register_post_meta($post_type, 'episode_soundbites', array(
+            'type' => 'array',
+            'description' => __('Episode soundbites', 'betterfeed'),
+            'single' => true,
+            'default' => array(),
+            'show_in_rest' => array(
+                'schema' => array(
+                    'type' => 'array',
+                    'items' => array(
+                        'type' => 'object',
+                        'properties' => array(
+                            'startTime' => array('type' => 'number'),
+                            'duration' => array('type' => 'number'),
+                            'title' => array('type' => 'string'),
+                        ),
+                    ),
+                ),
+            ),
+            'sanitize_callback' => array($this, 'sanitize_soundbites'),
+            'auth_callback' => array($this, 'auth_callback'),
+        ));
+        
         // Block episode flag
-        register_post_meta('post', 'episode_block', array(
+        register_post_meta($post_type, 'episode_block', array(
             'type' => 'boolean',
             'description' => __('Block episode from appearing in directories', 'betterfeed'),
             'single' => true,
@@ -196,7 +314,7 @@ class BF_Episode_Meta {
         ));
         
         // Keywords (legacy)
-        register_post_meta('post', 'episode_keywords', array(
+        register_post_meta($post_type, 'episode_keywords', array(
             'type' => 'string',
             'description' => __('Episode keywords (comma-separated)', 'betterfeed'),
             'single' => true,
@@ -206,6 +324,657 @@ class BF_Episode_Meta {
         ));
     }
     
+    /**
+     * Get the post types that are podcast episodes
+     *
+     * Configured on the Podcast settings tab; defaults to posts.
+     *
+     * @return array Post type names
+     */
+    public static function get_episode_post_types() {
+        $show_settings = get_option('bf_podcast_show', array());
+        $post_types = !empty($show_settings['episode_post_types']) && is_array($show_settings['episode_post_types']) ? $show_settings['episode_post_types'] : array('post');
+        
+        $post_types = array_values(array_filter($post_types, 'post_type_exists'));
+        
+        return !empty($post_types) ? $post_types : array('post');
+    }
+    
+    /**
+     * Check whether a post is a podcast episode
+     *
+     * @param int|WP_Post $post Post ID or object
+     * @return bool
+     */
+    public static function is_episode_post_type($post) {
+        $post_type = get_post_type($post);
+        return $post_type && in_array($post_type, self::get_episode_post_types(), true);
+    }
+    
+    /**
+     * Register REST routes for episode data
+     */
+    public function register_rest_routes() {
+        $general_options = get_option('bf_general_options', array());
+        if (empty($general_options['enable_betterfeed'])) {
+            return;
+        }
+        
+        // Podcasting 2.0 chapters file
+        register_rest_route('betterfeed/v1', '/episodes/(?P<id>\d+)/chapters', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_chapters'),
+            'permission_callback' => '__return_true',
+            'args' => array(
+                'id' => array(
+                    'sanitize_callback' => 'absint',
+                ),
+            ),
+        ));
+        
+        // Other episodes using the same season and episode number
+        register_rest_route('betterfeed/v1', '/episodes/numbering-conflicts', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_numbering_conflicts'),
+            'permission_callback' => array($this, 'check_edit_permissions'),
+            'args' => array(
+                'post_id' => array(
+                    'sanitize_callback' => 'absint',
+                ),
+                'season' => array(
+                    'sanitize_callback' => 'absint',
+                ),
+                'number' => array(
+                    'required' => true,
+                    'sanitize_callback' => 'absint',
+                ),
+            ),
+        ));
+        
+        // Numbering suggestions for a season
+        register_rest_route('betterfeed/v1', '/episodes/numbering', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_numbering'),
+            'permission_callback' => array($this, 'check_edit_permissions'),
+            'args' => array(
+                'post_id' => array(
+                    'sanitize_callback' => 'absint',
+                ),
+                'season' => array(
+                    'sanitize_callback' => 'absint',
+                ),
+                'number' => array(
+                    'sanitize_callback' => 'absint',
+                ),
+            ),
+        ));
+        
+        // Renumber a season around the episode being edited
+        register_rest_route('betterfeed/v1', '/episodes/renumber', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_renumber_season'),
+            'permission_callback' => array($this, 'check_edit_permissions'),
+            'args' => array(
+                'post_id' => array(
+                    'sanitize_callback' => 'absint',
+                ),
+                'season' => array(
+                    'sanitize_callback' => 'absint',
+                ),
+                'number' => array(
+                    'required' => true,
+                    'sanitize_callback' => 'absint',
+                ),
+            ),
+        ));
+        
+        // Audio file probe used by the episode panel
+        register_rest_route('betterfeed/v1', '/episodes/audio-info', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_audio_info'),
+            'permission_callback' => array($this, 'check_edit_permissions'),
+            'args' => array(
+                'url' => array(
+                    'required' => true,
+                    'sanitize_callback' => 'esc_url_raw',
+                ),
+            ),
+        ));
+    }
+    
+    /**
+     * Pre-publish checks and their default level (block, warn or off)
+     *
+     * @return array Check ID => level
+     */
+    public static function get_publish_check_levels() {
+        $defaults = array(
+            'audio' => 'block',
+            'duration' => 'warn',
+            'length' => 'warn',
+            'artwork' => 'warn',
+            'numbering' => 'warn',
+        );
+        
+        $show_settings = get_option('bf_podcast_show', array());
+        $levels = isset($show_settings['publish_checks']) && is_array($show_settings['publish_checks']) ? $show_settings['publish_checks'] : array();
+        
+        return array_merge($defaults, array_intersect_key($levels, $defaults));
+    }
+    
+    /**
+     * Keep episodes that fail a blocking pre-publish check from being published
+     *
+     * Covers Quick Edit, the classic editor and anything else that saves
+     * through wp_insert_post(); the post is kept as a draft instead.
+     *
+     * @param array $data    Slashed post data about to be saved
+     * @param array $postarr Slashed post data as passed to wp_insert_post()
+     * @return array Post data
+     */
+    public function enforce_publish_checks($data, $postarr) {
+        // REST requests were checked against the submitted meta in rest_enforce_publish_checks()
+        if (defined('REST_REQUEST') && REST_REQUEST) {
+            return $data;
+        }
+        
+        $general_options = get_option('bf_general_options', array());
+        if (empty($general_options['enable_betterfeed']) || !in_array($data['post_type'], self::get_episode_post_types(), true)) {
+            return $data;
+        }
+        
+        $post_id = !empty($postarr['ID']) ? absint($postarr['ID']) : 0;
+        if (!self::is_publishing($post_id, $data['post_status'])) {
+            return $data;
+        }
+        
+        if (!empty(self::get_failed_publish_checks($post_id))) {
+            $data['post_status'] = 'draft';
+        }
+        
+        return $data;
+    }
+    
+    /**
+     * REST: Reject publishing an episode that fails a blocking pre-publish check
+     *
+     * @param stdClass|WP_Error $prepared_post Post prepared for insertion
+     * @param WP_REST_Request   $request       Request
+     * @return stdClass|WP_Error Prepared post, or an error when a check fails
+     */
+    public function rest_enforce_publish_checks($prepared_post, $request) {
+        if (is_wp_error($prepared_post) || !isset($prepared_post->post_status)) {
+            return $prepared_post;
+        }
+        
+        $post_id = !empty($prepared_post->ID) ? absint($prepared_post->ID) : 0;
+        if (!self::is_publishing($post_id, $prepared_post->post_status)) {
+            return $prepared_post;
+        }
+        
+        // Meta in the request is saved after the post, so check it instead of the stored values
+        $meta = is_array($request->get_param('meta')) ? $request->get_param('meta') : array();
+        $failures = self::get_failed_publish_checks($post_id, $meta);
+        
+        if (!empty($failures)) {
+            return new WP_Error(
+                'bf_publish_checks_failed',
+                // translators: %s is a list of failed pre-publish checks
+                sprintf(__('This episode cannot be published until the required checks pass: %s', 'betterfeed'), implode(' ', $failures)),
+                array('status' => 400)
+            );
+        }
+        
+        return $prepared_post;
+    }
+    
+    /**
+     * Check whether a save moves a post from unpublished to published or scheduled
+     *
+     * @param int    $post_id    Post ID, 0 for a new post
+     * @param string $new_status Status being saved
+     * @return bool
+     */
+    private static function is_publishing($post_id, $new_status) {
+        $live_statuses = array('publish', 'future');
+        
+        if (!in_array($new_status, $live_statuses, true)) {
+            return false;
+        }
+        
+        return !$post_id || !in_array(get_post_status($post_id), $live_statuses, true);
+    }
+    
+    /**
+     * Run the pre-publish checks set to block publishing
+     *
+     * Mirrors the checklist in the block editor, except that the file size is
+     * only required to be set rather than compared against the audio file.
+     *
+     * @param int   $post_id Episode ID, 0 for a new episode
+     * @param array $meta    Episode meta overriding the stored values
+     * @return array Messages for the failed checks, empty when publishing may go ahead
+     */
+    public static function get_failed_publish_checks($post_id, $meta = array()) {
+        $get_meta = function($key) use ($post_id, $meta) {
+            if (array_key_exists($key, $meta)) {
+                return $meta[$key];
+            }
+            return $post_id ? get_post_meta($post_id, $key, true) : '';
+        };
+        
+        $failures = array();
+        $levels = self::get_publish_check_levels();
+        
+        if ($levels['audio'] === 'block') {
+            $audio_url = (string) $get_meta('episode_audio_url');
+            if (is_numeric($audio_url)) {
+                $audio_url = (string) wp_get_attachment_url(absint($audio_url));
+            }
+            
+            if (!preg_match('#^https?://#i', $audio_url)) {
+                $failures[] = __('Select an audio file or enter its URL.', 'betterfeed');
+            }
+        }
+        
+        if ($levels['duration'] === 'block') {
+            $duration = (string) $get_meta('episode_duration');
+            $seconds = 0;
+            
+            if (preg_match('/^\d+(:\d{1,2}){0,2}$/', $duration)) {
+                foreach (explode(':', $duration) as $part) {
+                    $seconds = $seconds * 60 + (int) $part;
+                }
+            }
+            
+            if ($seconds < 1) {
+                $failures[] = __('Enter the duration as HH:MM:SS.', 'betterfeed');
+            }
+        }
+        
+        if ($levels['length'] === 'block' && absint($get_meta('episode_audio_length')) < 1) {
+            $failures[] = __('Enter the file size of the audio file.', 'betterfeed');
+        }
+        
+        if ($levels['artwork'] === 'block') {
+            $show_settings = get_option('bf_podcast_show', array());
+            $artwork_id = absint($get_meta('episode_artwork')) ?: absint($show_settings['artwork'] ?? 0);
+            $metadata = $artwork_id ? wp_get_attachment_metadata($artwork_id) : false;
+            $width = absint($metadata['width'] ?? 0);
+            $height = absint($metadata['height'] ?? 0);
+            
+            if (!$artwork_id) {
+                $failures[] = __('Set episode or show artwork.', 'betterfeed');
+            } elseif (!in_array(get_post_mime_type($artwork_id), array('image/jpeg', 'image/png'), true) || $width !== $height || $width < 1400 || $width > 3000) {
+                $failures[] = __('Artwork must be a square JPEG or PNG between 1400x1400 and 3000x3000 pixels.', 'betterfeed');
+            }
+        }
+        
+        if ($levels['numbering'] === 'block') {
+            $number = absint($get_meta('episode_number'));
+            $season = max(1, absint($get_meta('episode_season')));
+            
+            if ($number && !empty(self::get_numbering_conflicts($post_id, $season, $number))) {
+                // translators: 1: season number, 2: episode number
+                $failures[] = sprintf(__('Season %1$d, episode %2$d is already used by another episode.', 'betterfeed'), $season, $number);
+            }
+        }
+        
+        return $failures;
+    }
+    
+    /**
+     * Check that the current user can edit posts
+     */
+    public function check_edit_permissions() {
+        return current_user_can('edit_posts');
+    }
+    
+    /**
+     * REST: Serve episode chapters as application/json+chapters
+     */
+    public function rest_get_chapters($request) {
+        $post_id = $request->get_param('id');
+        $post = get_post($post_id);
+        
+        if (!$post || !is_post_publicly_viewable($post) || !self::is_episode_post_type($post)) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => __('Episode not found', 'betterfeed')
+            ), 404);
+        }
+        
+        $chapters = self::get_episode_chapters($post->ID);
+        if (empty($chapters)) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => __('This episode has no chapters', 'betterfeed')
+            ), 404);
+        }
+        
+        $response = new WP_REST_Response(array(
+            'version' => '1.2.0',
+            'title' => get_the_title($post),
+            'chapters' => $chapters
+        ), 200);
+        $response->header('Content-Type', 'application/json+chapters; charset=' . get_option('blog_charset'));
+        
+        return $response;
+    }
+    
+    /**
+     * REST: List episodes that share a season and episode number
+     */
+    public function rest_get_numbering_conflicts($request) {
+        try {
+            $conflicts = self::get_numbering_conflicts(
+                $request->get_param('post_id'),
+                $request->get_param('season'),
+                $request->get_param('number')
+            );
+            
+            $conflicts = self::filter_readable_episodes($conflicts);
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'conflicts' => $conflicts
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => __('Failed to check episode numbers: ', 'betterfeed') . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * REST: Suggest the next episode number and list numbering problems in a season
+     */
+    public function rest_get_numbering($request) {
+        try {
+            $post_id = $request->get_param('post_id');
+            $season = max(1, (int) $request->get_param('season'));
+            $number = (int) $request->get_param('number');
+            
+            $episodes = self::get_season_episodes($season, $post_id);
+            $numbers = wp_list_pluck($episodes, 'number');
+            
+            // Episodes the user can't read still take part in the plan, without their titles
+            $renumber = array_map(function($entry) {
+                if (!current_user_can('read_post', $entry['id'])) {
+                    $entry['title'] = __('(private episode)', 'betterfeed');
+                }
+                return $entry;
+            }, self::get_renumber_plan($season, $post_id, $number));
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'season' => $season,
+                'latest_season' => self::get_latest_season($post_id),
+                'next_number' => empty($numbers) ? 1 : max($numbers) + 1,
+                'conflicts' => $number > 0 ? self::filter_readable_episodes(wp_list_filter($episodes, array('number' => $number))) : array(),
+                'renumber' => $renumber
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => __('Failed to load episode numbers: ', 'betterfeed') . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * REST: Renumber the other episodes in a season
+     *
+     * The episode being edited keeps its unsaved number in the editor, so
+     * only the other episodes are written here.
+     */
+    public function rest_renumber_season($request) {
+        try {
+            $post_id = $request->get_param('post_id');
+            $season = max(1, (int) $request->get_param('season'));
+            $plan = self::get_renumber_plan($season, $post_id, (int) $request->get_param('number'));
+            
+            $changes = array_filter($plan, function($entry) {
+                return !$entry['current'] && $entry['from'] !== $entry['to'];
+            });
+            
+            foreach ($changes as $entry) {
+                if (!current_user_can('edit_post', $entry['id'])) {
+                    return new WP_REST_Response(array(
+                        'success' => false,
+                        // translators: %s is the episode title
+                        'message' => sprintf(__('You are not allowed to edit "%s"', 'betterfeed'), $entry['title'])
+                    ), 403);
+                }
+            }
+            
+            foreach ($changes as $entry) {
+                update_post_meta($entry['id'], 'episode_number', $entry['to']);
+            }
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                // translators: %1$d is the number of episodes, %2$d is the season number
+                'message' => sprintf(_n('Renumbered %1$d episode in season %2$d', 'Renumbered %1$d episodes in season %2$d', count($changes), 'betterfeed'), count($changes), $season),
+                'renumber' => $plan
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => __('Failed to renumber episodes: ', 'betterfeed') . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * Drop episodes the current user isn't allowed to read
+     *
+     * Numbering lookups include drafts and private episodes, whose titles
+     * shouldn't reach every user who can edit posts.
+     *
+     * @param array $episodes List of episodes with an id
+     * @return array Readable episodes
+     */
+    private static function filter_readable_episodes($episodes) {
+        return array_values(array_filter($episodes, function($episode) {
+            return current_user_can('read_post', $episode['id']);
+        }));
+    }
+    
+    /**
+     * Meta query matching a season, treating episodes without a season as season 1
+     */
+    private static function get_season_meta_query($season) {
+        if ($season > 1) {
+            return array('key' => 'episode_season', 'value' => $season, 'type' => 'NUMERIC');
+        }
+        
+        return array(
+            'relation' => 'OR',
+            array('key' => 'episode_season', 'value' => 1, 'type' => 'NUMERIC'),
+            array('key' => 'episode_season', 'compare' => 'NOT EXISTS'),
+        );
+    }
+    
+    /**
+     * Get the numbered episodes in a season, ordered by episode number
+     *
+     * @param int $season          Season number
+     * @param int $exclude_post_id Episode being edited (excluded)
+     * @return array List of id, title, status, date and number
+     */
+    public static function get_season_episodes($season, $exclude_post_id = 0) {
+        $posts = get_posts(array(
+            'post_type' => self::get_episode_post_types(),
+            'post_status' => array('publish', 'future', 'draft', 'pending', 'private'),
+            'post__not_in' => array(absint($exclude_post_id)),
+            'posts_per_page' => -1,
+            'fields' => 'ids',
+            'no_found_rows' => true,
+            'orderby' => 'date',
+            'order' => 'ASC',
+            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Only run from the editor on demand
+            'meta_query' => array(
+                'relation' => 'AND',
+                array('key' => 'episode_number', 'value' => 0, 'compare' => '>', 'type' => 'NUMERIC'),
+                self::get_season_meta_query($season),
+            ),
+        ));
+        
+        // Load the posts and their meta in a few queries rather than one per episode
+        _prime_post_caches($posts, false, true);
+        
+        $episodes = array();
+        foreach (array_map('get_post', $posts) as $post) {
+            $episodes[] = array(
+                'id' => $post->ID,
+                'title' => get_the_title($post),
+                'status' => $post->post_status,
+                'date' => $post->post_date,
+                'number' => (int) get_post_meta($post->ID, 'episode_number', true)
+            );
+        }
+        
+        usort($episodes, function($a, $b) {
+            return $a['number'] !== $b['number'] ? $a['number'] - $b['number'] : strcmp($a['date'], $b['date']);
+        });
+        
+        return $episodes;
+    }
+    
+    /**
+     * Get the highest season number in use
+     *
+     * @param int $exclude_post_id Episode being edited (excluded)
+     * @return int Season number, 1 when no seasons are set
+     */
+    public static function get_latest_season($exclude_post_id = 0) {
+        $posts = get_posts(array(
+            'post_type' => self::get_episode_post_types(),
+            'post_status' => array('publish', 'future', 'draft', 'pending', 'private'),
+            'post__not_in' => array(absint($exclude_post_id)),
+            'posts_per_page' => 1,
+            'no_found_rows' => true,
+            'fields' => 'ids',
+            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key -- Only run from the editor on demand
+            'meta_key' => 'episode_season',
+            'orderby' => 'meta_value_num',
+            'order' => 'DESC',
+        ));
+        
+        return empty($posts) ? 1 : max(1, (int) get_post_meta($posts[0], 'episode_season', true));
+    }
+    
+    /**
+     * Plan sequential numbers for a season with the edited episode inserted
+     *
+     * The edited episode goes before any episode already using its number,
+     * so inserting episode 5 moves the old 5 to 6 and so on. Gaps are closed.
+     *
+     * @param int $season  Season number
+     * @param int $post_id Episode being edited
+     * @param int $number  Edited episode's number, 0 to leave it out
+     * @return array List of id, title, from, to and current
+     */
+    public static function get_renumber_plan($season, $post_id, $number) {
+        $plan = array();
+        $inserted = $number < 1;
+        
+        foreach (self::get_season_episodes($season, $post_id) as $episode) {
+            if (!$inserted && $episode['number'] >= $number) {
+                $plan[] = array('id' => (int) $post_id, 'title' => get_the_title($post_id), 'from' => $number, 'current' => true);
+                $inserted = true;
+            }
+            
+            $plan[] = array('id' => $episode['id'], 'title' => $episode['title'], 'from' => $episode['number'], 'current' => false);
+        }
+        
+        if (!$inserted) {
+            $plan[] = array('id' => (int) $post_id, 'title' => get_the_title($post_id), 'from' => $number, 'current' => true);
+        }
+        
+        foreach ($plan as $index => $entry) {
+            $plan[$index]['to'] = $index + 1;
+        }
+        
+        return $plan;
+    }
+    
+    /**
+     * Find other episodes with the same season and episode number
+     *
+     * Episodes without a season are treated as season 1, matching how
+     * sanitize_season_number() stores them.
+     *
+     * @param int $post_id Episode being edited (excluded)
+     * @param int $season  Season number
+     * @param int $number  Episode number
+     * @return array List of id, title, status and edit_link
+     */
+    public static function get_numbering_conflicts($post_id, $season, $number) {
+        if ($number < 1) {
+            return array();
+        }
+        
+        $posts = get_posts(array(
+            'post_type' => self::get_episode_post_types(),
+            'post_status' => array('publish', 'future', 'draft', 'pending', 'private'),
+            'post__not_in' => array(absint($post_id)),
+            'posts_per_page' => 20,
+            'no_found_rows' => true,
+            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Only run from the editor on demand
+            'meta_query' => array(
+                'relation' => 'AND',
+                array('key' => 'episode_number', 'value' => $number, 'type' => 'NUMERIC'),
+                self::get_season_meta_query($season),
+            ),
+        ));
+        
+        $conflicts = array();
+        foreach ($posts as $post) {
+            $conflicts[] = array(
+                'id' => $post->ID,
+                'title' => get_the_title($post),
+                'status' => $post->post_status,
+                'edit_link' => get_edit_post_link($post->ID, 'raw')
+            );
+        }
+        
+        return $conflicts;
+    }
+    
+    /**
+     * REST: Detect length, MIME type and duration of an audio file
+     */
+    public function rest_get_audio_info($request) {
+        try {
+            $url = $request->get_param('url');
+            
+            if (empty($url) || !wp_http_validate_url($url)) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => __('Please enter a valid audio URL', 'betterfeed')
+                ), 400);
+            }
+            
+            $info = self::detect_audio_info($url);
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'url' => $url,
+                'length' => $info['length'],
+                'type' => $info['type'],
+                'duration' => $info['duration']
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => __('Failed to read audio file: ', 'betterfeed') . $e->getMessage()
+            ), 500);
+        }
+    }
+    
     /**
      * Authentication callback
      */
@@ -362,6 +1131,183 @@ class BF_Episode_Meta {
         return wp_http_validate_url($url) ? $url : '';
     }
     
+    /**
+     * Sanitize chapters
+     *
+     * Drops rows without a title, sorts by start time and removes end
+     * times that do not fall after their start.
+     */
+    public function sanitize_chapters($value) {
+        if (!is_array($value)) {
+            return array();
+        }
+        
+        $chapters = array();
+        foreach ($value as $chapter) {
+            if (!is_array($chapter)) {
+                continue;
+            }
+            
+            $title = sanitize_text_field($chapter['title'] ?? '');
+            if ($title === '') {
+                continue;
+            }
+            
+            $sanitized = array(
+                'startTime' => max(0, round((float) ($chapter['startTime'] ?? 0), 3)),
+                'title' => $title,
+            );
+            
+            if (isset($chapter['endTime']) && $chapter['endTime'] !== '' && (float) $chapter['endTime'] > $sanitized['startTime']) {
+                $sanitized['endTime'] = round((float) $chapter['endTime'], 3);
+            }
+            
+            $img = $this->sanitize_url($chapter['img'] ?? '');
+            if ($img) {
+                $sanitized['img'] = $img;
+            }
+            
+            $url = $this->sanitize_url($chapter['url'] ?? '');
+            if ($url) {
+                $sanitized['url'] = $url;
+            }
+            
+            $chapters[] = $sanitized;
+        }
+        
+        usort($chapters, function($a, $b) {
+            return $a['startTime'] <=> $b['startTime'];
+        });
+        
+        return $chapters;
+    }
+    
+    /**
+     * Sanitize transcript segments
+     *
+     * Timings are optional so plain text imports survive; timed segments
+     * are sorted by start time.
+     */
+    public function sanitize_transcript($value) {
+        if (!is_array($value)) {
+            return array();
+        }
+        
+        $segments = array();
+        foreach ($value as $segment) {
+            if (!is_array($segment)) {
+                continue;
+            }
+            
+            $body = sanitize_textarea_field($segment['body'] ?? '');
+            if ($body === '') {
+                continue;
+            }
+            
+            $sanitized = array();
+            if (isset($segment['startTime']) && is_numeric($segment['startTime'])) {
+                $sanitized['startTime'] = max(0, round((float) $segment['startTime'], 3));
+                
+                if (isset($segment['endTime']) && is_numeric($segment['endTime']) && (float) $segment['endTime'] > $sanitized['startTime']) {
+                    $sanitized['endTime'] = round((float) $segment['endTime'], 3);
+                }
+            }
+            
+            $speaker = sanitize_text_field($segment['speaker'] ?? '');
+            if ($speaker !== '') {
+                $sanitized['speaker'] = $speaker;
+            }
+            
+            $sanitized['body'] = $body;
+            $segments[] = $sanitized;
+        }
+        
+        $timed = array_filter($segments, function($segment) {
+            return isset($segment['startTime']);
+        });
+        if (count($timed) === count($segments)) {
+            usort($segments, function($a, $b) {
+                return $a['startTime'] <=> $b['startTime'];
+            });
+        }
+        
+        return $segments;
+    }
+    
+    /**
+     * Sanitize persons
+     */
+    public function sanitize_persons($value) {
+        if (!is_array($value)) {
+            return array();
+        }
+        
+        $persons = array();
+        foreach ($value as $person) {
+            if (!is_array($person)) {
+                continue;
+            }
+            
+            $name = sanitize_text_field($person['name'] ?? '');
+            if ($name === '') {
+                continue;
+            }
+            
+            $sanitized = array(
+                'name' => mb_substr($name, 0, 128),
+                'role' => sanitize_text_field($person['role'] ?? '') ?: 'host',
+                'group' => sanitize_text_field($person['group'] ?? '') ?: 'cast',
+            );
+            
+            $img = $this->sanitize_url($person['img'] ?? '');
+            if ($img) {
+                $sanitized['img'] = $img;
+            }
+            
+            $href = $this->sanitize_url($person['href'] ?? '');
+            if ($href) {
+                $sanitized['href'] = $href;
+            }
+            
+            $persons[] = $sanitized;
+        }
+        
+        return $persons;
+    }
+    
+    /**
+     * Sanitize soundbites
+     */
+    public function sanitize_soundbites($value) {
+        if (!is_array($value)) {
+            return array();
+        }
+        
+        $soundbites = array();
+        foreach ($value as $soundbite) {
+            if (!is_array($soundbite) || !isset($soundbite['startTime'], $soundbite['duration'])) {
+                continue;
+            }
+            
+            $duration = round((float) $soundbite['duration'], 3);
+            if ($duration <= 0) {
+                continue;
+            }
+            
+            $soundbites[] = array(
+                'startTime' => max(0, round((float) $soundbite['startTime'], 3)),
+                'duration' => $duration,
+                'title' => mb_substr(sanitize_text_field($soundbite['title'] ?? ''), 0, 128),
+            );
+        }
+        
+        usort($soundbites, function($a, $b) {
+            return $a['startTime'] <=> $b['startTime'];
+        });
+        
+        return $soundbites;
+    }
+    
     /**
      * Sanitize boolean
      */
@@ -436,24 +1382,126 @@ class BF_Episode_Meta {
                 }
             } elseif (!empty($audio_url)) {
                 // Try to get MIME type from URL extension
-                $path_info = pathinfo($audio_url);
-                $extension = strtolower($path_info['extension'] ?? '');
-                
-                $extension_map = array(
-                    'mp3' => 'audio/mpeg',
-                    'm4a' => 'audio/x-m4a',
-                    'mp4' => 'audio/mp4',
-                    'wav' => 'audio/wav',
-                    'ogg' => 'audio/ogg',
-                    'aac' => 'audio/aac'
-                );
-                
-                if (isset($extension_map[$extension])) {
-                    return $extension_map[$extension];
+                $mime_type = self::get_audio_type_from_url($audio_url);
+                if ($mime_type) {
+                    return $mime_type;
                 }
             }
         }
         
         return !empty($type) ? $type : 'audio/mpeg';
     }
+    
+    /**
+     * Get audio MIME type from a URL's file extension
+     */
+    public static function get_audio_type_from_url($url) {
+        $extension = strtolower(pathinfo((string) wp_parse_url($url, PHP_URL_PATH), PATHINFO_EXTENSION));
+        
+        $extension_map = array(
+            'mp3' => 'audio/mpeg',
+            'm4a' => 'audio/x-m4a',
+            'mp4' => 'audio/mp4',
+            'wav' => 'audio/wav',
+            'ogg' => 'audio/ogg',
+            'aac' => 'audio/aac'
+        );
+        
+        return $extension_map[$extension] ?? '';
+    }
+    
+    /**
+     * Map MIME type aliases onto the types accepted by sanitize_audio_type()
+     */
+    public static function normalize_audio_type($type) {
+        $aliases = array(
+            'audio/mp3' => 'audio/mpeg',
+            'audio/x-mp3' => 'audio/mpeg',
+            'audio/x-mpeg' => 'audio/mpeg',
+            'audio/m4a' => 'audio/x-m4a',
+            'audio/x-wav' => 'audio/wav',
+            'audio/wave' => 'audio/wav',
+            'audio/x-aac' => 'audio/aac',
+            'audio/aacp' => 'audio/aac',
+            'application/ogg' => 'audio/ogg'
+        );
+        
+        $type = strtolower(trim(explode(';', (string) $type)[0]));
+        return $aliases[$type] ?? $type;
+    }
+    
+    /**
+     * Detect length, MIME type and duration of an audio file
+     *
+     * Files in the media library are read from attachment metadata; remote
+     * files fall back to a HEAD request and the URL's extension. Duration is
+     * null when it cannot be determined server-side.
+     *
+     * @param string $url Audio file URL
+     * @return array length (bytes), type and duration (seconds)
+     */
+    public static function detect_audio_info($url) {
+        $info = array(
+            'length' => 0,
+            'type' => '',
+            'duration' => null
+        );
+        
+        $attachment_id = attachment_url_to_postid($url);
+        if ($attachment_id && wp_attachment_is('audio', $attachment_id)) {
+            $metadata = wp_get_attachment_metadata($attachment_id);
+            
+            $info['length'] = !empty($metadata['filesize']) ? absint($metadata['filesize']) : absint(wp_get_attachment_filesize($attachment_id));
+            $info['type'] = get_post_mime_type($attachment_id);
+            if (!empty($metadata['length'])) {
+                $info['duration'] = absint($metadata['length']);
+            }
+        } else {
+            // The URL comes from the editor, so keep the request off internal hosts
+            $response = wp_safe_remote_head($url, array(
+                'timeout' => 10,
+                'redirection' => 5
+            ));
+            
+            $status = (int) wp_remote_retrieve_response_code($response);
+            if (!is_wp_error($response) && $status >= 200 && $status < 300) {
+                $info['length'] = absint(wp_remote_retrieve_header($response, 'content-length'));
+                $info['type'] = wp_remote_retrieve_header($response, 'content-type');
+            }
+        }
+        
+        $info['type'] = self::normalize_audio_type($info['type']);
+        if (strpos($info['type'], 'audio/') !== 0) {
+            $info['type'] = self::get_audio_type_from_url($url);
+        }
+        
+        return $info;
+    }
+    
+    /**
+     * Get episode chapters
+     */
+    public static function get_episode_chapters($post_id) {
+        $chapters = get_post_meta($post_id, 'episode_chapters', true);
+        return is_array($chapters) ? $chapters : array();
+    }
+    
+    /**
+     * Get the chapters URL for an episode
+     *
+     * An explicit chapters URL wins; otherwise chapters edited in the panel
+     * are served from the plugin's REST endpoint.
+     */
+    public static function get_episode_chapters_url($post_id) {
+        $chapters_url = get_post_meta($post_id, 'episode_chapters_url', true);
+        if (!empty($chapters_url)) {
+            return $chapters_url;
+        }
+        
+        if (empty(self::get_episode_chapters($post_id))) {
+            return '';
+        }
+        
+        return rest_url('betterfeed/v1/episodes/' . absint($post_id) . '/chapters');
+    }
 }
@@ -148,6 +148,10 @@ class BF_Feed_Optimizer {
         
         // Send 304 if either condition matches
         if ($modified_match || $etag_match) {
+            if (class_exists('BF_Analytics')) {
+                BF_Analytics::instance()->track_not_modified();
+            }
+            
             http_response_code(304);
             exit;
         }
@@ -289,6 +293,21 @@ class BF_Feed_Optimizer {
             echo '<link rel="alternate" type="application/json" title="' . esc_attr($site_title . ' JSON Feed') . '" href="' . esc_url(home_url('/feed/json/')) . '" />' . "\n";
         }
         
+        // Custom feeds, in every format
+        if (class_exists('BF_Custom_Feeds')) {
+            $formats = BF_Custom_Feeds::get_feed_formats();
+            
+            foreach (get_option('bf_custom_feeds', array()) as $feed) {
+                if (empty($feed['slug']) || empty($feed['enabled'])) {
+                    continue;
+                }
+                
+                foreach (BF_Custom_Feeds::get_feed_urls($feed['slug']) as $format => $url) {
+                    echo '<link rel="alternate" type="' . esc_attr($formats[$format]['content_type']) . '" title="' . esc_attr($site_title . ' - ' . $feed['title'] . ' (' . $formats[$format]['label'] . ')') . '" href="' . esc_url($url) . '" />' . "\n";
+                }
+            }
+        }
+        
         // Category feeds
         $categories = get_categories(array('hide_empty' => true, 'number' => 10));
         foreach ($categories as $category) {
@@ -23,6 +23,53 @@ class BF_Import_Export {
      */
     private static $instance = null;
     
+    /**
+     * Option arrays included in settings exports, keyed by export section
+     */
+    const SETTINGS_SECTIONS = array(
+        'general' => 'bf_general_options',
+        'performance' => 'bf_performance_options',
+        'content' => 'bf_content_options',
+        'analytics' => 'bf_analytics_options',
+        'tools' => 'bf_tools_options',
+        'podcast_integrations' => 'bf_podcast_integrations',
+        'podcast_show' => 'bf_podcast_show'
+    );
+    
+    /**
+     * Keys each option array holds, as written by its BF_Admin sanitize callback
+     */
+    const SETTING_KEYS = array(
+        'bf_general_options' => array('enable_betterfeed'),
+        'bf_performance_options' => array(
+            'enable_caching',
+            'cache_duration',
+            'enable_gzip',
+            'enable_etag',
+            'enable_conditional_requests',
+            'enable_enhanced_discovery',
+            'enable_enclosure_fix',
+            'enable_responsive_images',
+            'enable_json_feed',
+            'enable_google_discover'
+        ),
+        'bf_content_options' => array('include_featured_images', 'enable_full_content', 'max_feed_items'),
+        'bf_analytics_options' => array('enable_analytics', 'export_schedule', 'export_format', 'export_delivery', 'export_email'),
+        'bf_tools_options' => array(),
+        'bf_podcast_integrations' => array('apple_itunes', 'spotify', 'podcast_index', 'google_youtube_music'),
+        'bf_podcast_show' => array(
+            'title',
+            'description',
+            'artwork',
+            'language',
+            'category',
+            'explicit',
+            'author',
+            'episode_post_types',
+            'publish_checks'
+        )
+    );
+    
     /**
      * Get class instance
      * 
@@ -57,8 +104,23 @@ class BF_Import_Export {
     public function get_all_settings() {
         $settings = array();
         
-        // Get all SMFB options
-        $option_names = array(
+        foreach ($this->get_option_names() as $option_name) {
+            $value = get_option($option_name);
+            if ($value !== false) {
+                $settings[$option_name] = $value;
+            }
+        }
+        
+        return $settings;
+    }
+    
+    /**
+     * Get the names of all individually stored SMFB options
+     * 
+     * @return array Option names
+     */
+    public function get_option_names() {
+        return array(
             // Performance Settings
             'bf_enable_caching',
             'bf_cache_duration',
@@ -116,15 +178,6 @@ class BF_Import_Export {
             'bf_podcast_author',
             'bf_podcast_email',
         );
-        
-        foreach ($option_names as $option_name) {
-            $value = get_option($option_name);
-            if ($value !== false) {
-                $settings[$option_name] = $value;
-            }
-        }
-        
-        return $settings;
     }
     
     /**
@@ -148,54 +201,81 @@ class BF_Import_Export {
     }
     
     /**
-     * Import settings from JSON
+     * Preview what importing a settings file would change
      * 
      * @param string $json_data JSON encoded settings
-     * @return array Import result
+     * @return array Preview result with one entry per changed, unknown or skipped setting
      */
-    public function import_settings($json_data) {
-        $data = json_decode($json_data, true);
+    public function preview_import($json_data) {
+        $parsed = $this->parse_import_data($json_data);
         
-        if (json_last_error() !== JSON_ERROR_NONE) {
-            return array(
-                'success' => false,
-                'message' => __('Invalid JSON format', 'betterfeed')
-            );
+        if (!$parsed['success']) {
+            return $parsed;
         }
         
-        // Validate import data
-        if (!isset($data['plugin']) || $data['plugin'] !== 'betterfeed') {
-            return array(
-                'success' => false,
-                'message' => __('Invalid plugin data', 'betterfeed')
-            );
+        $changes = array();
+        $unchanged_count = 0;
+        
+        foreach ($parsed['entries'] as $entry) {
+            if ($entry['status'] === 'unchanged') {
+                $unchanged_count++;
+                continue;
+            }
+            
+            $changes[] = $entry;
         }
         
-        if (!isset($data['settings']) || !is_array($data['settings'])) {
-            return array(
-                'success' => false,
-                'message' => __('No settings found in import data', 'betterfeed')
-            );
+        return array(
+            'success' => true,
+            'source' => $parsed['source'],
+            'changes' => $changes,
+            'unchanged' => $unchanged_count
+        );
+    }
+    
+    /**
+     * Import settings from JSON
+     * 
+     * @param string     $json_data JSON encoded settings
+     * @param array|null $keys      Setting keys from preview_import() to apply, or null for all
+     * @return array Import result
+     */
+    public function import_settings($json_data, $keys = null) {
+        $parsed = $this->parse_import_data($json_data);
+        
+        if (!$parsed['success']) {
+            return $parsed;
         }
         
         $imported_count = 0;
         $skipped_count = 0;
+        $updates = array();
         
-        foreach ($data['settings'] as $option_name => $option_value) {
-            // Validate option name
-            if (strpos($option_name, 'bf_') !== 0) {
+        if (class_exists('BF_Settings_History')) {
+            BF_Settings_History::instance()->set_source('import', $parsed['source']['site_url']);
+        }
+        
+        foreach ($parsed['entries'] as $entry) {
+            if ($entry['status'] !== 'changed' || (is_array($keys) && !in_array($entry['key'], $keys, true))) {
                 $skipped_count++;
                 continue;
             }
             
-            // Sanitize and update option
-            $sanitized_value = $this->sanitize_option_value($option_name, $option_value);
-            
-            if (update_option($option_name, $sanitized_value)) {
-                $imported_count++;
+            // Settings stored in option arrays are merged into the current array
+            if ($entry['setting'] === null) {
+                $updates[$entry['option']] = $entry['incoming'];
             } else {
-                $skipped_count++;
+                if (!isset($updates[$entry['option']])) {
+                    $updates[$entry['option']] = (array) get_option($entry['option'], array());
+                }
+                $updates[$entry['option']][$entry['setting']] = $entry['incoming'];
             }
+            
+            $imported_count++;
+        }
+        
+        foreach ($updates as $option_name => $value) {
+            update_option($option_name, $value);
         }
         
         // Clear cache after import
@@ -216,6 +296,167 @@ class BF_Import_Export {
         );
     }
     
+    /**
+     * Parse a settings file into one entry per setting
+     * 
+     * Accepts both the grouped format written by the Tools tab export and the
+     * flat format written by export_settings(). Each entry is compared with
+     * the current value and given a status: changed, unchanged, unknown (a
+     * BetterFeed option, or a key within an option group, that this version
+     * doesn't know) or skipped (not a BetterFeed option). Only changed
+     * entries can be imported.
+     * 
+     * @param string $json_data JSON encoded settings
+     * @return array Parse result
+     */
+    private function parse_import_data($json_data) {
+        $data = json_decode($json_data, true);
+        
+        if (json_last_error() !== JSON_ERROR_NONE) {
+            return array(
+                'success' => false,
+                'message' => __('Invalid JSON format', 'betterfeed')
+            );
+        }
+        
+        // Validate import data
+        if (!isset($data['plugin']) || !is_string($data['plugin']) || strtolower($data['plugin']) !== 'betterfeed') {
+            return array(
+                'success' => false,
+                'message' => __('Invalid plugin data', 'betterfeed')
+            );
+        }
+        
+        if (!isset($data['settings']) || !is_array($data['settings'])) {
+            return array(
+                'success' => false,
+                'message' => __('No settings found in import data', 'betterfeed')
+            );
+        }
+        
+        $entries = array();
+        
+        foreach ($data['settings'] as $name => $value) {
+            $name = (string) $name;
+            $option_name = isset(self::SETTINGS_SECTIONS[$name]) ? self::SETTINGS_SECTIONS[$name] : $name;
+            
+            if (in_array($option_name, self::SETTINGS_SECTIONS, true)) {
+                if (!is_array($value)) {
+                    $entries[] = $this->get_import_entry($option_name, null, $value, 'skipped', __('Expected a group of settings', 'betterfeed'));
+                    continue;
+                }
+                
+                foreach ($value as $setting => $setting_value) {
+                    $setting = (string) $setting;
+                    
+                    if (!in_array($setting, self::SETTING_KEYS[$option_name], true)) {
+                        $entries[] = $this->get_import_entry($option_name, $setting, $setting_value, 'unknown', __('Not a setting in this version of BetterFeed', 'betterfeed'));
+                        continue;
+                    }
+                    
+                    $entries[] = $this->get_import_entry($option_name, $setting, $setting_value);
+                }
+            } elseif (in_array($option_name, $this->get_option_names(), true)) {
+                $entries[] = $this->get_import_entry($option_name, null, $value);
+            } elseif (strpos($option_name, 'bf_') === 0) {
+                $entries[] = $this->get_import_entry($option_name, null, $value, 'unknown', __('Not a setting in this version of BetterFeed', 'betterfeed'));
+            } else {
+                $entries[] = $this->get_import_entry($option_name, null, $value, 'skipped', __('Not a BetterFeed setting', 'betterfeed'));
+            }
+        }
+        
+        return array(
+            'success' => true,
+            'source' => array(
+                'site_url' => isset($data['site_url']) ? esc_url_raw($data['site_url']) : '',
+                'version' => isset($data['version']) ? sanitize_text_field($data['version']) : '',
+                'exported_at' => isset($data['exported_at']) ? sanitize_text_field($data['exported_at']) : ''
+            ),
+            'entries' => $entries
+        );
+    }
+    
+    /**
+     * Build an import entry for one setting
+     * 
+     * @param string      $option_name Option name
+     * @param string|null $setting     Key within the option array, or null for individually stored options
+     * @param mixed       $value       Incoming value
+     * @param string      $status      Optional. Status for entries that can't be imported
+     * @param string      $reason      Optional. Why the entry can't be imported
+     * @return array Import entry
+     */
+    private function get_import_entry($option_name, $setting, $value, $status = '', $reason = '') {
+        $key = $setting === null ? $option_name : $option_name . '[' . $setting . ']';
+        
+        if ($status !== '') {
+            return array(
+                'key' => $key,
+                'option' => $option_name,
+                'setting' => $setting,
+                'status' => $status,
+                'reason' => $reason,
+                'current' => null,
+                'incoming' => $value
+            );
+        }
+        
+        if ($setting === null) {
+            $current = get_option($option_name, null);
+            $incoming = $this->sanitize_option_value($option_name, $value);
+        } else {
+            $options = (array) get_option($option_name, array());
+            $current = isset($options[$setting]) ? $options[$setting] : null;
+            $incoming = $this->sanitize_import_value($value, $current);
+        }
+        
+        return array(
+            'key' => $key,
+            'option' => $option_name,
+            'setting' => $setting,
+            'status' => $current === $incoming || ($current !== null && !is_array($current) && (string) $current === (string) $incoming) ? 'unchanged' : 'changed',
+            'reason' => '',
+            'current' => $current,
+            'incoming' => $incoming
+        );
+    }
+    
+    /**
+     * Sanitize an imported value for a setting stored in an option array
+     * 
+     * Values are cast to the type of the current value, since the settings
+     * form sanitizers expect checkbox input rather than stored values.
+     * 
+     * @param mixed $value   Incoming value
+     * @param mixed $current Current value, or null if not set
+     * @return mixed Sanitized value
+     */
+    private function sanitize_import_value($value, $current) {
+        if (is_array($value)) {
+            return array_map(function($item) {
+                return $this->sanitize_import_value($item, null);
+            }, $value);
+        }
+        
+        if (is_bool($current)) {
+            return (bool) $value;
+        }
+        
+        if (is_int($current)) {
+            return intval($value);
+        }
+        
+        if (is_float($current)) {
+            return floatval($value);
+        }
+        
+        if (is_bool($value) || is_int($value) || is_float($value) || is_null($value)) {
+            return $value;
+        }
+        
+        return sanitize_textarea_field((string) $value);
+    }
+    
     /**
      * Sanitize option value based on option name
      * 
@@ -224,6 +465,18 @@ class BF_Import_Export {
      * @return mixed Sanitized value
      */
     private function sanitize_option_value($option_name, $value) {
+        // Option arrays keep the type of each current value
+        if (in_array($option_name, self::SETTINGS_SECTIONS, true)) {
+            $current = (array) get_option($option_name, array());
+            $sanitized = array();
+            
+            foreach ((array) $value as $key => $item) {
+                $sanitized[sanitize_key($key)] = $this->sanitize_import_value($item, $current[$key] ?? null);
+            }
+            
+            return $sanitized;
+        }
+        
         // Boolean options
         $boolean_options = array(
             'bf_enable_caching',
@@ -280,6 +533,17 @@ class BF_Import_Export {
         return sanitize_text_field($value);
     }
     
+    /**
+     * Get all presets, built-in first, then saved custom presets
+     * 
+     * @return array Preset configurations keyed by preset ID
+     */
+    public function get_presets() {
+        $custom_presets = get_option('bf_custom_presets', array());
+        
+        return array_merge($this->get_builtin_presets(), is_array($custom_presets) ? $custom_presets : array());
+    }
+    
     /**
      * Generate preset configurations
      * 
@@ -287,7 +551,18 @@ class BF_Import_Export {
      * @return array Preset configuration
      */
     public function get_preset_configuration($preset_name) {
-        $presets = array(
+        $presets = $this->get_presets();
+        
+        return isset($presets[$preset_name]) ? $presets[$preset_name] : null;
+    }
+    
+    /**
+     * Get the presets that ship with the plugin
+     * 
+     * @return array Preset configurations keyed by preset ID
+     */
+    private function get_builtin_presets() {
+        return array(
             'performance' => array(
                 'name' => __('Performance Focused', 'betterfeed'),
                 'description' => __('Optimized for maximum performance and speed', 'betterfeed'),
@@ -352,13 +627,58 @@ class BF_Import_Export {
                 )
             )
         );
+    }
+    
+    /**
+     * Preview the settings a preset would change
+     * 
+     * @param string $preset_name Preset name
+     * @return array Preview result
+     */
+    public function preview_preset($preset_name) {
+        $preset = $this->get_preset_configuration($preset_name);
         
-        return isset($presets[$preset_name]) ? $presets[$preset_name] : null;
+        if (!$preset) {
+            return array(
+                'success' => false,
+                'message' => __('Preset not found', 'betterfeed')
+            );
+        }
+        
+        $changes = array();
+        $unchanged_count = 0;
+        
+        foreach ($preset['settings'] as $option_name => $option_value) {
+            $current = get_option($option_name, null);
+            $incoming = $this->sanitize_option_value($option_name, $option_value);
+            
+            if ($current === $incoming || ($current !== null && !is_array($current) && (string) $current === (string) $incoming)) {
+                $unchanged_count++;
+                continue;
+            }
+            
+            $changes[] = array(
+                'key' => $option_name,
+                'current' => $current,
+                'incoming' => $incoming
+            );
+        }
+        
+        return array(
+            'success' => true,
+            'preset' => $preset_name,
+            'name' => $preset['name'],
+            'description' => $preset['description'],
+            'changes' => $changes,
+            'unchanged' => $unchanged_count
+        );
     }
     
     /**
      * Apply preset configuration
      * 
+     * The previous values are kept so the preset can be undone with undo_preset().
+     * 
      * @param string $preset_name Preset name
      * @return array Result
      */
@@ -373,8 +693,14 @@ class BF_Import_Export {
         }
         
         $applied_count = 0;
+        $previous = array();
+        
+        if (class_exists('BF_Settings_History')) {
+            BF_Settings_History::instance()->set_source('preset', $preset['name']);
+        }
         
         foreach ($preset['settings'] as $option_name => $option_value) {
+            $previous[$option_name] = get_option($option_name, null);
             $sanitized_value = $this->sanitize_option_value($option_name, $option_value);
             
             if (update_option($option_name, $sanitized_value)) {
@@ -382,6 +708,13 @@ class BF_Import_Export {
             }
         }
         
+        update_option('bf_preset_undo', array(
+            'preset' => $preset_name,
+            'name' => $preset['name'],
+            'applied_at' => current_time('mysql'),
+            'previous' => $previous
+        ), false);
+        
         // Clear cache after applying preset
         if (class_exists('BF_Cache')) {
             BF_Cache::instance()->clear_all();
@@ -395,7 +728,147 @@ class BF_Import_Export {
                 $preset['name'],
                 $applied_count
             ),
-            'applied' => $applied_count
+            'applied' => $applied_count,
+            'undo' => $this->get_preset_undo()
+        );
+    }
+    
+    /**
+     * Get the preset that can currently be undone
+     * 
+     * @return array|null Preset ID, name and when it was applied, or null if there is nothing to undo
+     */
+    public function get_preset_undo() {
+        $snapshot = get_option('bf_preset_undo');
+        
+        if (!is_array($snapshot) || empty($snapshot['previous'])) {
+            return null;
+        }
+        
+        return array(
+            'preset' => $snapshot['preset'],
+            'name' => $snapshot['name'],
+            'applied_at' => $snapshot['applied_at']
+        );
+    }
+    
+    /**
+     * Restore the settings from before the last preset was applied
+     * 
+     * @return array Result
+     */
+    public function undo_preset() {
+        $snapshot = get_option('bf_preset_undo');
+        
+        if (!is_array($snapshot) || empty($snapshot['previous'])) {
+            return array(
+                'success' => false,
+                'message' => __('There is no preset to undo', 'betterfeed')
+            );
+        }
+        
+        if (class_exists('BF_Settings_History')) {
+            BF_Settings_History::instance()->set_source('preset_undo', $snapshot['name']);
+        }
+        
+        foreach ($snapshot['previous'] as $option_name => $value) {
+            // Options that didn't exist before the preset are removed again
+            if ($value === null) {
+                delete_option($option_name);
+            } else {
+                update_option($option_name, $value);
+            }
+        }
+        
+        delete_option('bf_preset_undo');
+        
+        if (class_exists('BF_Cache')) {
+            BF_Cache::instance()->clear_all();
+        }
+        
+        return array(
+            'success' => true,
+            'message' => sprintf(
+                // Translators: %s is the preset name.
+                __('Preset "%s" undone. Your previous settings have been restored.', 'betterfeed'),
+                $snapshot['name']
+            )
+        );
+    }
+    
+    /**
+     * Save the current configuration as a custom preset
+     * 
+     * Saving with the name of an existing custom preset replaces it.
+     * 
+     * @param string $name        Preset name
+     * @param string $description Optional. Preset description
+     * @return array Result
+     */
+    public function save_custom_preset($name, $description = '') {
+        $name = sanitize_text_field($name);
+        $preset_id = 'custom-' . sanitize_title($name);
+        
+        if ($name === '' || $preset_id === 'custom-') {
+            return array(
+                'success' => false,
+                'message' => __('Preset name is required', 'betterfeed')
+            );
+        }
+        
+        $settings = $this->get_all_settings();
+        foreach (self::SETTINGS_SECTIONS as $option_name) {
+            $value = get_option($option_name);
+            if (is_array($value)) {
+                $settings[$option_name] = $value;
+            }
+        }
+        
+        $custom_presets = get_option('bf_custom_presets', array());
+        $custom_presets = is_array($custom_presets) ? $custom_presets : array();
+        
+        $custom_presets[$preset_id] = array(
+            'name' => $name,
+            'description' => $description !== '' ? sanitize_text_field($description) : __('Saved from your configuration', 'betterfeed'),
+            'custom' => true,
+            'settings' => $settings
+        );
+        
+        update_option('bf_custom_presets', $custom_presets, false);
+        
+        return array(
+            'success' => true,
+            'message' => sprintf(
+                // Translators: %s is the preset name.
+                __('Preset "%s" saved.', 'betterfeed'),
+                $name
+            ),
+            'preset' => $preset_id
+        );
+    }
+    
+    /**
+     * Delete a custom preset
+     * 
+     * @param string $preset_name Preset ID
+     * @return array Result
+     */
+    public function delete_custom_preset($preset_name) {
+        $custom_presets = get_option('bf_custom_presets', array());
+        
+        if (!is_array($custom_presets) || !isset($custom_presets[$preset_name])) {
+            return array(
+                'success' => false,
+                'message' => __('Preset not found', 'betterfeed')
+            );
+        }
+        
+        unset($custom_presets[$preset_name]);
+        update_option('bf_custom_presets', $custom_presets, false);
+        
+        return array(
+            'success' => true,
+            'message' => __('Preset deleted.', 'betterfeed')
         );
     }
 }
\ No newline at end of file
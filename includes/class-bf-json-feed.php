@@ -194,8 +194,13 @@ class BF_JSON_Feed {
     
     /**
      * Format post as JSON feed item
+     * 
+     * Also used for custom feeds served as JSON Feed.
+     * 
+     * @param WP_Post $post Post object
+     * @return array
      */
-    private function format_post_as_json_item($post) {
+    public function format_post_as_json_item($post) {
         $item = array(
             'id' => $post->ID,
             'url' => get_permalink($post->ID),
@@ -25,6 +25,26 @@ class BF_Optimizer_Suggestions {
      */
     private static $instance = null;
     
+    /**
+     * Option dismissed and snoozed suggestions are stored in
+     */
+    const DISMISSED_OPTION = 'bf_dismissed_suggestions';
+    
+    /**
+     * Option the applied suggestion history is stored in
+     */
+    const APPLIED_OPTION = 'bf_applied_suggestions';
+    
+    /**
+     * Number of applied suggestions kept in the history
+     */
+    const MAX_APPLIED = 50;
+    
+    /**
+     * Performance metrics compared before and after a suggestion is applied
+     */
+    const EFFECT_METRICS = array('avg_load_time', 'avg_feed_size', 'bandwidth_saved');
+    
     /**
      * Get class instance
      * 
@@ -48,6 +68,9 @@ class BF_Optimizer_Suggestions {
      * Initialize WordPress hooks
      */
     private function init_hooks() {
+        // Measure applied suggestions on the next performance test
+        add_action('bf_performance_metrics_updated', array($this, 'record_measured_effect'));
+        
         // Check if BetterFeed is enabled
         $general_options = get_option('bf_general_options', array());
         if (empty($general_options['enable_betterfeed'])) {
@@ -245,7 +268,7 @@ class BF_Optimizer_Suggestions {
             );
         }
         
-        return $suggestions;
+        return $this->filter_dismissed($suggestions);
     }
     
     /**
@@ -397,6 +420,193 @@ class BF_Optimizer_Suggestions {
         update_option('bf_optimization_suggestions', $suggestions);
     }
     
+    /**
+     * Remove dismissed and snoozed suggestions from a list
+     *
+     * @param array $suggestions Suggestions
+     * @return array Suggestions still to be shown
+     */
+    public function filter_dismissed($suggestions) {
+        $dismissed = $this->get_dismissed_suggestions();
+        
+        return array_values(array_filter($suggestions, function($suggestion) use ($dismissed) {
+            return !isset($dismissed[$suggestion['id']]);
+        }));
+    }
+    
+    /**
+     * Get dismissed and snoozed suggestions
+     *
+     * Snoozes that have run out are dropped so the suggestion can come back.
+     *
+     * @return array Dismissals keyed by suggestion ID, each with title, reason, until (0 if permanent), user_id and time
+     */
+    public function get_dismissed_suggestions() {
+        $dismissed = get_option(self::DISMISSED_OPTION, array());
+        if (!is_array($dismissed)) {
+            return array();
+        }
+        
+        $active = array_filter($dismissed, function($dismissal) {
+            return empty($dismissal['until']) || $dismissal['until'] > time();
+        });
+        
+        if (count($active) !== count($dismissed)) {
+            update_option(self::DISMISSED_OPTION, $active, false);
+        }
+        
+        return $active;
+    }
+    
+    /**
+     * Dismiss a suggestion permanently or snooze it for a number of days
+     *
+     * @param string $suggestion_id Suggestion ID
+     * @param string $reason        Why the suggestion was rejected
+     * @param int    $snooze_days   Optional. Days to hide the suggestion for, or 0 to dismiss it permanently
+     * @param string $title         Optional. Suggestion title shown in the dismissed list
+     */
+    public function dismiss_suggestion($suggestion_id, $reason, $snooze_days = 0, $title = '') {
+        $dismissed = $this->get_dismissed_suggestions();
+        
+        $dismissed[$suggestion_id] = array(
+            'title' => $title !== '' ? $title : $suggestion_id,
+            'reason' => $reason,
+            'until' => $snooze_days > 0 ? time() + $snooze_days * DAY_IN_SECONDS : 0,
+            'user_id' => get_current_user_id(),
+            'time' => current_time('mysql')
+        );
+        
+        update_option(self::DISMISSED_OPTION, $dismissed, false);
+    }
+    
+    /**
+     * Let a dismissed or snoozed suggestion come back on the next scan
+     *
+     * @param string $suggestion_id Suggestion ID
+     * @return bool Whether the suggestion was dismissed
+     */
+    public function restore_suggestion($suggestion_id) {
+        $dismissed = $this->get_dismissed_suggestions();
+        
+        if (!isset($dismissed[$suggestion_id])) {
+            return false;
+        }
+        
+        unset($dismissed[$suggestion_id]);
+        update_option(self::DISMISSED_OPTION, $dismissed, false);
+        
+        return true;
+    }
+    
+    /**
+     * Add applied suggestions to the history
+     *
+     * The current performance metrics are kept as the baseline the next
+     * performance test is compared with.
+     *
+     * @param array $suggestions Applied suggestions, each with id and title
+     */
+    public function record_applied_suggestions($suggestions) {
+        $history = $this->get_applied_suggestions();
+        $before = $this->get_effect_metrics(get_option('bf_performance_metrics', array()));
+        $next_id = empty($history) ? 1 : $history[0]['id'] + 1;
+        
+        foreach ($suggestions as $suggestion) {
+            array_unshift($history, array(
+                'id' => $next_id++,
+                'suggestion_id' => $suggestion['id'],
+                'title' => $suggestion['title'],
+                'user_id' => get_current_user_id(),
+                'time' => current_time('mysql'),
+                'before' => $before,
+                'after' => null,
+                'measured_at' => null
+            ));
+        }
+        
+        update_option(self::APPLIED_OPTION, array_slice($history, 0, self::MAX_APPLIED), false);
+    }
+    
+    /**
+     * Record the first performance test after each applied suggestion
+     *
+     * @param array $metrics Performance metrics as just updated
+     */
+    public function record_measured_effect($metrics) {
+        $history = $this->get_applied_suggestions();
+        $measured = false;
+        
+        foreach ($history as $index => $entry) {
+            if ($entry['after'] === null) {
+                $history[$index]['after'] = $this->get_effect_metrics($metrics);
+                $history[$index]['measured_at'] = current_time('mysql');
+                $measured = true;
+            }
+        }
+        
+        if ($measured) {
+            update_option(self::APPLIED_OPTION, $history, false);
+        }
+    }
+    
+    /**
+     * Get the applied suggestion history, newest first
+     *
+     * @return array Applied suggestions
+     */
+    public function get_applied_suggestions() {
+        $history = get_option(self::APPLIED_OPTION, array());
+        
+        return is_array($history) ? $history : array();
+    }
+    
+    /**
+     * Get the measured change in each metric for an applied suggestion
+     *
+     * @param array $entry Applied suggestion from the history
+     * @return array|null Before, after and change keyed by metric, or null if not measured yet
+     */
+    public function get_measured_effect($entry) {
+        if ($entry['after'] === null) {
+            return null;
+        }
+        
+        $effect = array();
+        
+        foreach (self::EFFECT_METRICS as $metric) {
+            if (!isset($entry['before'][$metric], $entry['after'][$metric])) {
+                continue;
+            }
+            
+            $effect[$metric] = array(
+                'before' => $entry['before'][$metric],
+                'after' => $entry['after'][$metric],
+                'change' => round($entry['after'][$metric] - $entry['before'][$metric], 2)
+            );
+        }
+        
+        return $effect;
+    }
+    
+    /**
+     * Pick the metrics used to measure a suggestion's effect
+     *
+     * @param array $metrics Performance metrics
+     * @return array Metric values keyed by name
+     */
+    private function get_effect_metrics($metrics) {
+        $values = array();
+        
+        foreach (self::EFFECT_METRICS as $metric) {
+            if (isset($metrics[$metric]) && is_numeric($metrics[$metric])) {
+                $values[$metric] = $metrics[$metric] + 0;
+            }
+        }
+        
+        return $values;
+    }
+    
     /**
      * Add admin menu
      */
@@ -84,6 +84,8 @@ class BF_Performance_Monitor {
     
     /**
      * Run performance tests
+     * 
+     * @return array Results per feed URL
      */
     public function run_performance_tests() {
         $feed_urls = $this->get_feed_urls_to_test();
@@ -101,6 +103,41 @@ class BF_Performance_Monitor {
         
         // Check for performance degradation
         $this->check_performance_alerts($test_results);
+        
+        return $test_results;
+    }
+    
+    /**
+     * Get the latest feed test results, newest first
+     * 
+     * Only the plain request is reported; the gzip and conditional
+     * scenarios are left to the stored history.
+     * 
+     * @param int $limit Maximum number of results
+     * @return array List of test_time, feed_url, load_time (seconds) and status (success or error)
+     */
+    public function get_recent_test_results($limit = 5) {
+        $results = array();
+        
+        foreach (get_option('bf_performance_history', array()) as $url => $entries) {
+            foreach ($entries as $entry) {
+                $normal = $entry['scenarios']['normal'] ?? array();
+                $status_code = (int) ($normal['status_code'] ?? 0);
+                
+                $results[] = array(
+                    'test_time' => $entry['timestamp'],
+                    'feed_url' => $url,
+                    'load_time' => round(($normal['response_time'] ?? 0) / 1000, 3),
+                    'status' => empty($normal['error']) && $status_code >= 200 && $status_code < 300 ? 'success' : 'error'
+                );
+            }
+        }
+        
+        usort($results, function($a, $b) {
+            return strcmp($b['test_time'], $a['test_time']);
+        });
+        
+        return array_slice($results, 0, $limit);
     }
     
     /**
@@ -124,7 +161,7 @@ class BF_Performance_Monitor {
         $custom_feeds = get_option('bf_custom_feeds', array());
         foreach ($custom_feeds as $feed) {
             if (!empty($feed['enabled'])) {
-                $urls[] = home_url('/feed/' . $feed['slug'] . '/');
+                $urls = array_merge($urls, array_values(BF_Custom_Feeds::get_feed_urls($feed['slug'])));
             }
         }
         
@@ -280,6 +317,8 @@ class BF_Performance_Monitor {
         $metrics['last_updated'] = current_time('mysql');
         
         update_option('bf_performance_metrics', $metrics);
+        
+        do_action('bf_performance_metrics_updated', $metrics);
     }
     
     /**
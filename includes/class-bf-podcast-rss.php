@@ -19,6 +19,11 @@ class BF_Podcast_RSS {
      */
     private static $instance = null;
     
+    /**
+     * Whether an item preview is being rendered outside a feed
+     */
+    private $is_rendering_item = false;
+    
     /**
      * Get singleton instance
      */
@@ -34,6 +39,7 @@ class BF_Podcast_RSS {
      */
     private function __construct() {
         add_action('init', array($this, 'init_hooks'));
+        add_action('rest_api_init', array($this, 'register_rest_routes'));
     }
     
     /**
@@ -45,6 +51,244 @@ class BF_Podcast_RSS {
         add_action('rss2_head', array($this, 'add_channel_tags'));
         add_action('rss2_item', array($this, 'add_item_tags'));
         add_filter('the_content_feed', array($this, 'modify_feed_content'), 10, 2);
+        add_filter('get_the_guid', array($this, 'filter_episode_guid'), 10, 2);
+        
+        // Dedicated podcast feed at /feed/podcast/ containing only episode post types
+        add_feed('podcast', array($this, 'render_podcast_feed'));
+        add_action('pre_get_posts', array($this, 'filter_podcast_feed_query'));
+        add_action('wp_loaded', array($this, 'maybe_flush_rewrite_rules'));
+    }
+    
+    /**
+     * Use the episode's custom GUID in feeds when one is set
+     *
+     * Elsewhere get_the_guid() keeps returning the post's own GUID.
+     */
+    public function filter_episode_guid($guid, $post_id) {
+        if (!is_feed() && !get_query_var('bf_custom_feed') && !$this->is_rendering_item) {
+            return $guid;
+        }
+        
+        if (!$post_id || !$this->is_podcast_enabled() || !BF_Episode_Meta::is_episode_post_type($post_id)) {
+            return $guid;
+        }
+        
+        $episode_guid = get_post_meta($post_id, 'episode_guid', true);
+        return !empty($episode_guid) ? $episode_guid : $guid;
+    }
+    
+    /**
+     * Render the podcast feed using the core RSS2 template
+     */
+    public function render_podcast_feed() {
+        do_feed_rss2(false);
+    }
+    
+    /**
+     * Limit the podcast feed to episode post types
+     */
+    public function filter_podcast_feed_query($query) {
+        if (is_admin() || !$query->is_main_query() || !$query->is_feed('podcast')) {
+            return;
+        }
+        
+        $query->set('post_type', BF_Episode_Meta::get_episode_post_types());
+    }
+    
+    /**
+     * Get the podcast feed URL
+     */
+    public static function get_podcast_feed_url() {
+        return get_feed_link('podcast');
+    }
+    
+    /**
+     * Maybe flush rewrite rules so the podcast feed endpoint resolves
+     */
+    public function maybe_flush_rewrite_rules() {
+        $rewrite_rules_version = get_option('bf_podcast_feed_rewrite_rules_version');
+        $current_version = '1.0';
+        
+        if ($rewrite_rules_version !== $current_version) {
+            flush_rewrite_rules();
+            update_option('bf_podcast_feed_rewrite_rules_version', $current_version);
+        }
+    }
+    
+    /**
+     * Register REST routes
+     */
+    public function register_rest_routes() {
+        $general_options = get_option('bf_general_options', array());
+        if (empty($general_options['enable_betterfeed'])) {
+            return;
+        }
+        
+        // Feed item preview for the episode panel
+        register_rest_route('betterfeed/v1', '/episodes/(?P<id>\d+)/preview', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_preview_item'),
+            'permission_callback' => function($request) {
+                return current_user_can('edit_post', absint($request->get_param('id')));
+            },
+            'args' => array(
+                'id' => array(
+                    'sanitize_callback' => 'absint',
+                ),
+            ),
+        ));
+    }
+    
+    /**
+     * REST: Render the feed <item> for an episode and validate it
+     *
+     * Unsaved edits can be passed as `meta` and `title` so the preview
+     * matches what the editor currently shows.
+     */
+    public function rest_preview_item($request) {
+        try {
+            $post = get_post($request->get_param('id'));
+            if (!$post || !BF_Episode_Meta::is_episode_post_type($post)) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'message' => __('Episode not found', 'betterfeed')
+                ), 404);
+            }
+            
+            $meta_overrides = $this->sanitize_preview_meta($request->get_param('meta'), $post->post_type);
+            $title = $request->get_param('title');
+            
+            $meta_filter = function($value, $object_id, $meta_key, $single) use ($post, $meta_overrides) {
+                if ((int) $object_id !== $post->ID || !array_key_exists($meta_key, $meta_overrides)) {
+                    return $value;
+                }
+                return array($meta_overrides[$meta_key]);
+            };
+            $title_filter = function($post_title) use ($title) {
+                return esc_html(sanitize_text_field($title));
+            };
+            
+            add_filter('get_post_metadata', $meta_filter, 10, 4);
+            if (is_string($title) && $title !== '') {
+                add_filter('the_title_rss', $title_filter);
+            }
+            
+            $xml = $this->render_item_xml($post);
+            
+            remove_filter('get_post_metadata', $meta_filter, 10);
+            remove_filter('the_title_rss', $title_filter);
+            
+            $result = array(
+                'errors' => array(),
+                'warnings' => array(),
+                'info' => array()
+            );
+            
+            if (!$this->is_podcast_enabled()) {
+                $result['warnings'][] = 'No podcast integrations are enabled, so podcast tags are not added to feeds';
+            }
+            
+            libxml_use_internal_errors(true);
+            libxml_clear_errors();
+            $document = simplexml_load_string($xml['document']);
+            
+            if ($document === false) {
+                foreach (libxml_get_errors() as $error) {
+                    $result['errors'][] = 'XML Error: ' . trim($error->message);
+                }
+            } else {
+                BF_Validator::instance()->validate_rss2_item($document->channel->item, $result);
+            }
+            
+            return new WP_REST_Response(array(
+                'success' => true,
+                'xml' => $xml['item'],
+                'errors' => $result['errors'],
+                'warnings' => $result['warnings'],
+                'info' => $result['info'],
+                'valid' => empty($result['errors'])
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => __('Failed to render preview: ', 'betterfeed') . $e->getMessage()
+            ), 500);
+        }
+    }
+    
+    /**
+     * Sanitize episode meta sent with a preview request
+     */
+    private function sanitize_preview_meta($meta, $post_type) {
+        $sanitized = array();
+        
+        if (!is_array($meta)) {
+            return $sanitized;
+        }
+        
+        foreach ($meta as $key => $value) {
+            if (strpos($key, 'episode_') !== 0 || !registered_meta_key_exists('post', $key, $post_type)) {
+                continue;
+            }
+            $sanitized[$key] = sanitize_meta($key, $value, 'post', $post_type);
+        }
+        
+        return $sanitized;
+    }
+    
+    /**
+     * Render the <item> BetterFeed emits for a post
+     *
+     * Runs the same rss2_ns and rss2_item actions as the RSS2 template so
+     * every BetterFeed element is included.
+     *
+     * @param WP_Post $post Post object
+     * @return array 'item' XML and a full 'document' for validation
+     */
+    public function render_item_xml($post) {
+        $GLOBALS['post'] = $post;
+        setup_postdata($post);
+        $this->is_rendering_item = true;
+        
+        ob_start();
+        do_action('rss2_ns');
+        $namespaces = ob_get_clean();
+        
+        // Core RSS2 template namespaces plus ones BetterFeed prints without declaring
+        $default_namespaces = array(
+            'content' => 'http://purl.org/rss/1.0/modules/content/',
+            'wfw' => 'http://wellformedweb.org/CommentAPI/',
+            'dc' => 'http://purl.org/dc/elements/1.1/',
+            'atom' => 'http://www.w3.org/2005/Atom',
+            'sy' => 'http://purl.org/rss/1.0/modules/syndication/',
+            'slash' => 'http://purl.org/rss/1.0/modules/slash/',
+            'media' => 'http://search.yahoo.com/mrss/',
+            'smfb' => 'https://github.com/WeAreIconick/-betterfeed',
+        );
+        foreach ($default_namespaces as $prefix => $uri) {
+            if (strpos($namespaces, 'xmlns:' . $prefix . '=') === false) {
+                $namespaces .= ' xmlns:' . $prefix . '="' . $uri . '"';
+            }
+        }
+        
+        ob_start();
+        echo "<item>\n";
+        echo '<title>' . get_the_title_rss() . '</title>' . "\n"; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped by the_title_rss filters
+        echo '<link>' . esc_url(get_permalink($post)) . '</link>' . "\n";
+        echo '<pubDate>' . esc_html(mysql2date('D, d M Y H:i:s +0000', get_post_time('Y-m-d H:i:s', true, $post), false)) . '</pubDate>' . "\n";
+        echo '<guid isPermaLink="false">' . esc_html(get_the_guid($post)) . '</guid>' . "\n";
+        echo '<description><![CDATA[' . wp_kses_post(get_the_excerpt($post)) . ']]></description>' . "\n";
+        do_action('rss2_item');
+        echo '</item>';
+        $item = ob_get_clean();
+        
+        $this->is_rendering_item = false;
+        wp_reset_postdata();
+        
+        return array(
+            'item' => $item,
+            'document' => '<?xml version="1.0" encoding="UTF-8"?>' . '<rss version="2.0" ' . $namespaces . '><channel><title>' . esc_html(get_bloginfo('name')) . '</title><link>' . esc_url(home_url('/')) . '</link><description>' . esc_html(get_bloginfo('description')) . '</description>' . $item . '</channel></rss>'
+        );
     }
     
     /**
@@ -209,10 +453,12 @@ class BF_Podcast_RSS {
             return;
         }
         
-        if (!$this->is_podcast_enabled()) {
+        if (!$this->is_podcast_enabled() || !BF_Episode_Meta::is_episode_post_type($post)) {
             return;
         }
         
+        $integrations = get_option('bf_podcast_integrations', array());
+        
         // Get episode meta
         $episode_meta = $this->get_episode_meta($post->ID);
         
@@ -312,30 +558,37 @@ class BF_Podcast_RSS {
             echo '<podcast:chapters url="' . esc_url($episode_meta['chapters_url']) . '" type="application/json+chapters"></podcast:chapters>' . "\n";
         }
         
-        // Transcripts
-        if (!empty($episode_meta['transcript_url'])) {
-            $transcript_type = $this->get_transcript_type($episode_meta['transcript_url']);
-            echo '<podcast:transcript url="' . esc_url($episode_meta['transcript_url']) . '" type="' . esc_attr($transcript_type) . '"></podcast:transcript>' . "\n";
+        // Transcripts (hosted file plus every format generated from the edited transcript)
+        foreach ($episode_meta['transcripts'] as $transcript) {
+            echo '<podcast:transcript url="' . esc_url($transcript['url']) . '" type="' . esc_attr($transcript['type']) . '"' . (!empty($transcript['rel']) ? ' rel="' . esc_attr($transcript['rel']) . '"' : '') . '></podcast:transcript>' . "\n";
         }
         
-        // Soundbites (if implemented)
-        if (!empty($episode_meta['soundbites'])) {
+        // Soundbites
+        if (!empty($episode_meta['soundbites']) && is_array($episode_meta['soundbites'])) {
             foreach ($episode_meta['soundbites'] as $soundbite) {
-                if (!empty($soundbite['startTime']) && !empty($soundbite['duration'])) {
+                if (isset($soundbite['startTime']) && !empty($soundbite['duration'])) {
                     echo '<podcast:soundbite startTime="' . esc_attr($soundbite['startTime']) . '" duration="' . esc_attr($soundbite['duration']) . '">' . esc_html($soundbite['title'] ?? '') . '</podcast:soundbite>' . "\n";
                 }
             }
         }
         
-        // Persons (if implemented)
-        if (!empty($episode_meta['persons'])) {
+        // Persons
+        if (!empty($episode_meta['persons']) && is_array($episode_meta['persons'])) {
             foreach ($episode_meta['persons'] as $person) {
-                if (!empty($person['name']) && !empty($person['role'])) {
-                    $img_attr = !empty($person['img']) ? ' img="' . esc_attr($person['img']) . '"' : '';
-                    $href_attr = !empty($person['href']) ? ' href="' . esc_attr($person['href']) . '"' : '';
-                    $group_attr = !empty($person['group']) ? ' group="' . esc_attr($person['group']) . '"' : '';
+                if (!empty($person['name'])) {
+                    $attributes = '';
+                    foreach (array('role', 'group') as $attribute) {
+                        if (!empty($person[$attribute])) {
+                            $attributes .= ' ' . $attribute . '="' . esc_attr($person[$attribute]) . '"';
+                        }
+                    }
+                    foreach (array('img', 'href') as $attribute) {
+                        if (!empty($person[$attribute])) {
+                            $attributes .= ' ' . $attribute . '="' . esc_url($person[$attribute]) . '"';
+                        }
+                    }
                     
-                    echo '<podcast:person' . esc_attr($img_attr) . esc_attr($href_attr) . esc_attr($group_attr) . '>' . esc_html($person['name']) . '</podcast:person>' . "\n";
+                    echo '<podcast:person' . $attributes . '>' . esc_html($person['name']) . '</podcast:person>' . "\n"; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Attributes are escaped as they are built
                 }
             }
         }
@@ -372,8 +625,9 @@ class BF_Podcast_RSS {
             'subtitle' => get_post_meta($post_id, 'episode_subtitle', true),
             'author' => get_post_meta($post_id, 'episode_author', true),
             'guid' => get_post_meta($post_id, 'episode_guid', true),
-            'chapters_url' => get_post_meta($post_id, 'episode_chapters_url', true),
+            'chapters_url' => BF_Episode_Meta::get_episode_chapters_url($post_id),
             'transcript_url' => get_post_meta($post_id, 'episode_transcript_url', true),
+            'transcripts' => BF_Transcripts::get_episode_transcripts($post_id),
             'block' => get_post_meta($post_id, 'episode_block', true),
             'keywords' => get_post_meta($post_id, 'episode_keywords', true),
             'soundbites' => get_post_meta($post_id, 'episode_soundbites', true),
@@ -392,22 +646,4 @@ class BF_Podcast_RSS {
         $url = wp_get_attachment_url($attachment_id);
         return $url ? $url : '';
     }
-    
-    /**
-     * Get transcript MIME type from URL
-     */
-    private function get_transcript_type($url) {
-        $extension = strtolower(pathinfo($url, PATHINFO_EXTENSION));
-        
-        $type_map = array(
-            'txt' => 'text/plain',
-            'html' => 'text/html',
-            'htm' => 'text/html',
-            'srt' => 'application/srt',
-            'vtt' => 'text/vtt',
-            'json' => 'application/json',
-        );
-        
-        return $type_map[$extension] ?? 'text/plain';
-    }
 }
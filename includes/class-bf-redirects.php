@@ -68,11 +68,35 @@ class BF_Redirects {
         add_action('wp_ajax_nopriv_bf_log_redirect', array($this, 'log_redirect_ajax'));
     }
     
+    /**
+     * Get all redirects, assigning IDs to redirects saved before IDs existed
+     * 
+     * @return array
+     */
+    public static function get_redirects() {
+        $redirects = get_option('bf_feed_redirects', array());
+        $needs_update = false;
+        
+        foreach ($redirects as $index => $redirect) {
+            if (empty($redirect['id'])) {
+                $redirects[$index]['id'] = uniqid();
+                $needs_update = true;
+            }
+        }
+        
+        if ($needs_update) {
+            $redirects = array_values($redirects);
+            update_option('bf_feed_redirects', $redirects);
+        }
+        
+        return $redirects;
+    }
+    
     /**
      * Handle feed redirects
      */
     public function handle_redirects() {
-        if (!is_feed()) {
+        if (!is_feed() && !get_query_var('bf_custom_feed')) {
             return;
         }
         
@@ -104,6 +128,12 @@ class BF_Redirects {
     private function get_current_feed_url() {
         global $wp;
         
+        // Custom feeds, including old slugs kept routable after a rename
+        $custom_feed = get_query_var('bf_custom_feed');
+        if ($custom_feed) {
+            return BF_Custom_Feeds::get_feed_url($custom_feed, get_query_var('bf_custom_feed_format') ?: 'rss2');
+        }
+        
         $feed_type = get_query_var('feed');
         if (!$feed_type) {
             return null;
@@ -141,25 +171,85 @@ class BF_Redirects {
      * Check if URL matches redirect pattern
      */
     private function url_matches($url, $pattern) {
+        return false !== $this->get_match_type($url, $pattern);
+    }
+    
+    /**
+     * Get how a URL matches a redirect pattern
+     * 
+     * @param string $url     URL to test
+     * @param string $pattern Redirect "from" pattern
+     * @return string|false exact, wildcard or regex, or false if it doesn't match
+     */
+    private function get_match_type($url, $pattern) {
         // Exact match
         if ($url === $pattern) {
-            return true;
+            return 'exact';
         }
         
         // Wildcard match
         if (strpos($pattern, '*') !== false) {
-            $pattern = str_replace('*', '.*', preg_quote($pattern, '/'));
-            return preg_match('/^' . $pattern . '$/', $url);
+            $pattern = str_replace('\\*', '.*', preg_quote($pattern, '/'));
+            return preg_match('/^' . $pattern . '$/', $url) ? 'wildcard' : false;
         }
         
         // Regex match (if pattern starts and ends with /)
         if (preg_match('/^\/.*\/$/', $pattern)) {
-            return preg_match($pattern, $url);
+            // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged -- Invalid user patterns simply don't match
+            return @preg_match($pattern, $url) ? 'regex' : false;
         }
         
         return false;
     }
     
+    /**
+     * Test a URL against the redirect rules
+     * 
+     * Follows handle_redirects(): the first enabled matching rule wins and
+     * any later enabled matches are shadowed by it.
+     * 
+     * @param string $url Full URL or path relative to the site
+     * @return array url, match, shadowed and disabled entries
+     */
+    public function test_url($url) {
+        if (strpos($url, '/') === 0) {
+            $url = home_url($url);
+        }
+        
+        $result = array(
+            'url' => $url,
+            'match' => null,
+            'shadowed' => array(),
+            'disabled' => array()
+        );
+        
+        foreach (self::get_redirects() as $index => $redirect) {
+            $match_type = $this->get_match_type($url, $redirect['from']);
+            if (false === $match_type) {
+                continue;
+            }
+            
+            $entry = array(
+                'index' => $index,
+                'id' => $redirect['id'],
+                'from' => $redirect['from'],
+                'to' => $redirect['to'],
+                'status_code' => intval($redirect['status_code']),
+                'match_type' => $match_type
+            );
+            
+            if (empty($redirect['enabled'])) {
+                $result['disabled'][] = $entry;
+            } elseif (null === $result['match']) {
+                $result['match'] = $entry;
+            } else {
+                $result['shadowed'][] = $entry;
+            }
+        }
+        
+        return $result;
+    }
+    
     /**
      * Perform redirect
      */
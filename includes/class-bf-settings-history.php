@@ -0,0 +1,451 @@
+<?php
+/**
+ * Settings History
+ * Records every change to BetterFeed settings so past versions can be restored
+ *
+ * @package BetterFeed
+ * @since 1.0.4
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class BF_Settings_History {
+    
+    /**
+     * Singleton instance
+     */
+    private static $instance = null;
+    
+    /**
+     * Number of versions kept
+     */
+    const MAX_VERSIONS = 100;
+    
+    /**
+     * Option the history is stored in
+     */
+    const OPTION = 'bf_settings_history';
+    
+    /**
+     * Changes made during this request, keyed by option name
+     *
+     * @var array
+     */
+    private $pending = array();
+    
+    /**
+     * Source of the changes made during this request
+     *
+     * @var array|null
+     */
+    private $source = null;
+    
+    /**
+     * Get singleton instance
+     */
+    public static function instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+    
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        add_action('added_option', array($this, 'record_added_option'), 10, 2);
+        add_action('updated_option', array($this, 'record_updated_option'), 10, 3);
+        add_action('delete_option', array($this, 'record_deleted_option'));
+    }
+    
+    /**
+     * Get the options whose changes are recorded
+     *
+     * @return array Option names
+     */
+    public function get_tracked_options() {
+        return array_merge(
+            array_values(BF_Import_Export::SETTINGS_SECTIONS),
+            BF_Import_Export::instance()->get_option_names(),
+            array('bf_custom_feeds', 'bf_feed_redirects')
+        );
+    }
+    
+    /**
+     * Set where the changes made during this request come from
+     *
+     * Without this the source is worked out from the request.
+     *
+     * @param string $source Source key, see get_source_label()
+     * @param string $detail Optional. What was applied, e.g. the preset name
+     */
+    public function set_source($source, $detail = '') {
+        $this->source = array(
+            'source' => $source,
+            'detail' => $detail
+        );
+    }
+    
+    /**
+     * Get a readable label for a source key
+     *
+     * @param string $source Source key
+     * @return string Label
+     */
+    public function get_source_label($source) {
+        $labels = array(
+            'settings' => __('Settings page', 'betterfeed'),
+            'preset' => __('Preset', 'betterfeed'),
+            'preset_undo' => __('Preset undo', 'betterfeed'),
+            'suggestion' => __('Optimization suggestion', 'betterfeed'),
+            'import' => __('Settings import', 'betterfeed'),
+            'restore' => __('History restore', 'betterfeed'),
+            'admin' => __('Admin action', 'betterfeed'),
+            'cron' => __('Scheduled task', 'betterfeed'),
+            'cli' => __('WP-CLI', 'betterfeed'),
+            'other' => __('Other', 'betterfeed'),
+        );
+        
+        return isset($labels[$source]) ? $labels[$source] : $labels['other'];
+    }
+    
+    /**
+     * Record a newly added option
+     *
+     * @param string $option Option name
+     * @param mixed  $value  Option value
+     */
+    public function record_added_option($option, $value) {
+        $this->record_change($option, null, $value);
+    }
+    
+    /**
+     * Record an updated option
+     *
+     * @param string $option    Option name
+     * @param mixed  $old_value Previous value
+     * @param mixed  $value     New value
+     */
+    public function record_updated_option($option, $old_value, $value) {
+        $this->record_change($option, $old_value, $value);
+    }
+    
+    /**
+     * Record an option that is about to be deleted
+     *
+     * @param string $option Option name
+     */
+    public function record_deleted_option($option) {
+        if (in_array($option, $this->get_tracked_options(), true)) {
+            $this->record_change($option, get_option($option, null), null);
+        }
+    }
+    
+    /**
+     * Add a change to the version being built for this request
+     *
+     * @param string $option Option name
+     * @param mixed  $before Previous value, or null if the option didn't exist
+     * @param mixed  $after  New value, or null if the option was deleted
+     */
+    private function record_change($option, $before, $after) {
+        if (!in_array($option, $this->get_tracked_options(), true)) {
+            return;
+        }
+        
+        if (empty($this->pending)) {
+            add_action('shutdown', array($this, 'save_pending_changes'));
+        }
+        
+        // Several updates in one request keep the first before value
+        if (isset($this->pending[$option])) {
+            $this->pending[$option]['after'] = $after;
+        } else {
+            $this->pending[$option] = array(
+                'before' => $before,
+                'after' => $after
+            );
+        }
+    }
+    
+    /**
+     * Save the changes made during this request as a new version
+     */
+    public function save_pending_changes() {
+        $changes = array_filter($this->pending, function($change) {
+            return $change['before'] !== $change['after'];
+        });
+        $this->pending = array();
+        
+        if (empty($changes)) {
+            return;
+        }
+        
+        $source = $this->source ? $this->source : array(
+            'source' => $this->detect_source(),
+            'detail' => ''
+        );
+        
+        $history = $this->get_versions();
+        
+        array_unshift($history, array(
+            'id' => empty($history) ? 1 : $history[0]['id'] + 1,
+            'time' => current_time('mysql'),
+            'user_id' => get_current_user_id(),
+            'source' => $source['source'],
+            'detail' => $source['detail'],
+            'changes' => $changes
+        ));
+        
+        update_option(self::OPTION, array_slice($history, 0, self::MAX_VERSIONS), false);
+    }
+    
+    /**
+     * Work out where a change came from when no source was set
+     *
+     * @return string Source key
+     */
+    private function detect_source() {
+        global $pagenow;
+        
+        if (wp_doing_cron()) {
+            return 'cron';
+        }
+        
+        if (defined('WP_CLI') && WP_CLI) {
+            return 'cli';
+        }
+        
+        if (defined('REST_REQUEST') && REST_REQUEST) {
+            return 'admin';
+        }
+        
+        if ($pagenow === 'options.php') {
+            return 'settings';
+        }
+        
+        return 'other';
+    }
+    
+    /**
+     * Get all stored versions, newest first
+     *
+     * @return array Versions
+     */
+    public function get_versions() {
+        $history = get_option(self::OPTION, array());
+        
+        return is_array($history) ? $history : array();
+    }
+    
+    /**
+     * Get a version by ID
+     *
+     * @param int $version_id Version ID
+     * @return array|null Version, or null if it is no longer stored
+     */
+    public function get_version($version_id) {
+        foreach ($this->get_versions() as $version) {
+            if ($version['id'] === $version_id) {
+                return $version;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get the settings changed by a version, one key per setting
+     *
+     * @param array $version Version
+     * @return array Setting keys
+     */
+    public function get_changed_keys($version) {
+        $keys = array();
+        
+        foreach ($version['changes'] as $option => $change) {
+            $keys = array_merge($keys, array_keys($this->diff_option($option, $change['before'], $change['after'])));
+        }
+        
+        return $keys;
+    }
+    
+    /**
+     * Compare the settings as they were right after a version with the current settings
+     *
+     * @param int $version_id Version ID
+     * @return array|null Differences keyed by setting, each with the current and restored value, or null if the version is unknown
+     */
+    public function diff_with_current($version_id) {
+        $state = $this->get_state_at($version_id);
+        
+        if ($state === null) {
+            return null;
+        }
+        
+        $diff = array();
+        
+        foreach ($state as $option => $value) {
+            $diff = array_merge($diff, $this->diff_option($option, get_option($option, null), $value));
+        }
+        
+        return $diff;
+    }
+    
+    /**
+     * Restore the settings as they were right after a version
+     *
+     * @param int        $version_id Version ID
+     * @param array|null $keys       Optional. Setting keys from diff_with_current() to restore, or null for all
+     * @return array Result
+     */
+    public function restore_version($version_id, $keys = null) {
+        $diff = $this->diff_with_current($version_id);
+        
+        if ($diff === null) {
+            return array(
+                'success' => false,
+                'message' => __('That version is no longer in the history', 'betterfeed')
+            );
+        }
+        
+        if (is_array($keys)) {
+            $diff = array_intersect_key($diff, array_flip($keys));
+        }
+        
+        if (empty($diff)) {
+            return array(
+                'success' => false,
+                'message' => __('Nothing to restore', 'betterfeed')
+            );
+        }
+        
+        $updates = array();
+        
+        foreach ($diff as $change) {
+            if ($change['setting'] === null) {
+                $updates[$change['option']] = $change['restored'];
+                continue;
+            }
+            
+            // Settings in option arrays are restored one key at a time
+            if (!array_key_exists($change['option'], $updates)) {
+                $updates[$change['option']] = (array) get_option($change['option'], array());
+            }
+            
+            if ($change['restored'] === null) {
+                unset($updates[$change['option']][$change['setting']]);
+            } else {
+                $updates[$change['option']][$change['setting']] = $change['restored'];
+            }
+        }
+        
+        // translators: %d is the version number
+        $this->set_source('restore', sprintf(__('Version #%d', 'betterfeed'), $version_id));
+        
+        foreach ($updates as $option => $value) {
+            if ($value === null) {
+                delete_option($option);
+            } else {
+                update_option($option, $value);
+            }
+        }
+        
+        if (class_exists('BF_Cache')) {
+            BF_Cache::instance()->clear_all();
+        }
+        
+        return array(
+            'success' => true,
+            'message' => sprintf(
+                // translators: %1$d is the number of settings restored, %2$d is the version number
+                _n('%1$d setting restored from version #%2$d.', '%1$d settings restored from version #%2$d.', count($diff), 'betterfeed'),
+                count($diff),
+                $version_id
+            ),
+            'restored' => count($diff)
+        );
+    }
+    
+    /**
+     * Get the value of every recorded option right after a version
+     *
+     * Starts from the current values and undoes each newer version in turn.
+     *
+     * @param int $version_id Version ID
+     * @return array|null Option values keyed by name, null for options that didn't exist, or null if the version is unknown
+     */
+    private function get_state_at($version_id) {
+        if ($this->get_version($version_id) === null) {
+            return null;
+        }
+        
+        $state = array();
+        
+        foreach ($this->get_versions() as $version) {
+            if ($version['id'] <= $version_id) {
+                break;
+            }
+            
+            foreach ($version['changes'] as $option => $change) {
+                $state[$option] = $change['before'];
+            }
+        }
+        
+        return $state;
+    }
+    
+    /**
+     * Diff two values of an option, one entry per setting
+     *
+     * Option arrays from the settings tabs are compared key by key so single
+     * settings can be restored. Other options are compared as a whole.
+     *
+     * @param string $option Option name
+     * @param mixed  $from   Value to compare from, usually the current value
+     * @param mixed  $to     Value to compare to
+     * @return array Differences keyed by setting
+     */
+    private function diff_option($option, $from, $to) {
+        $diff = array();
+        
+        if (in_array($option, BF_Import_Export::SETTINGS_SECTIONS, true) && (is_array($from) || is_array($to))) {
+            $from = (array) $from;
+            $to = (array) $to;
+            
+            foreach (array_unique(array_merge(array_keys($from), array_keys($to))) as $setting) {
+                $from_value = array_key_exists($setting, $from) ? $from[$setting] : null;
+                $to_value = array_key_exists($setting, $to) ? $to[$setting] : null;
+                
+                if ($from_value !== $to_value) {
+                    $key = $option . '[' . $setting . ']';
+                    $diff[$key] = array(
+                        'key' => $key,
+                        'option' => $option,
+                        'setting' => (string) $setting,
+                        'current' => $from_value,
+                        'restored' => $to_value
+                    );
+                }
+            }
+            
+            return $diff;
+        }
+        
+        if ($from !== $to) {
+            $diff[$option] = array(
+                'key' => $option,
+                'option' => $option,
+                'setting' => null,
+                'current' => $from,
+                'restored' => $to
+            );
+        }
+        
+        return $diff;
+    }
+}
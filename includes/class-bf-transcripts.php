@@ -0,0 +1,343 @@
+<?php
+/**
+ * Episode Transcripts
+ * Serves transcripts edited in the episode panel in several formats
+ *
+ * @package BetterFeed
+ * @since 1.0.4
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class BF_Transcripts {
+    
+    /**
+     * Singleton instance
+     */
+    private static $instance = null;
+    
+    /**
+     * Published formats and their MIME types
+     */
+    const FORMATS = array(
+        'json' => 'application/json',
+        'vtt' => 'text/vtt',
+        'srt' => 'application/x-subrip',
+        'txt' => 'text/plain',
+    );
+    
+    /**
+     * Get singleton instance
+     */
+    public static function instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+    
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        add_action('rest_api_init', array($this, 'register_rest_routes'));
+        add_filter('rest_pre_serve_request', array($this, 'serve_plain_transcript'), 10, 4);
+    }
+    
+    /**
+     * Register REST routes
+     */
+    public function register_rest_routes() {
+        $general_options = get_option('bf_general_options', array());
+        if (empty($general_options['enable_betterfeed'])) {
+            return;
+        }
+        
+        register_rest_route('betterfeed/v1', '/episodes/(?P<id>\d+)/transcript\.(?P<format>json|vtt|srt|txt)', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_transcript'),
+            'permission_callback' => '__return_true',
+            'args' => array(
+                'id' => array(
+                    'sanitize_callback' => 'absint',
+                ),
+                'format' => array(
+                    'sanitize_callback' => 'sanitize_key',
+                ),
+            ),
+        ));
+    }
+    
+    /**
+     * REST: Serve an episode transcript
+     */
+    public function rest_get_transcript($request) {
+        $post = get_post($request->get_param('id'));
+        $format = $request->get_param('format');
+        
+        if (!$post || !is_post_publicly_viewable($post) || !BF_Episode_Meta::is_episode_post_type($post)) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => __('Episode not found', 'betterfeed')
+            ), 404);
+        }
+        
+        $segments = self::get_episode_transcript($post->ID);
+        if (empty($segments) || !in_array($format, self::get_available_formats($segments), true)) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'message' => __('This transcript format is not available for this episode', 'betterfeed')
+            ), 404);
+        }
+        
+        switch ($format) {
+            case 'json':
+                $data = self::to_json($segments);
+                break;
+            case 'vtt':
+                $data = self::to_vtt($segments);
+                break;
+            case 'srt':
+                $data = self::to_srt($segments);
+                break;
+            default:
+                $data = self::to_text($segments);
+                break;
+        }
+        
+        $response = new WP_REST_Response($data, 200);
+        $response->header('Content-Type', self::FORMATS[$format] . '; charset=' . get_option('blog_charset'));
+        
+        return $response;
+    }
+    
+    /**
+     * Output text transcript formats as-is instead of JSON-encoding them
+     */
+    public function serve_plain_transcript($served, $result, $request, $server) {
+        if ($served || !preg_match('#^/betterfeed/v1/episodes/\d+/transcript\.(vtt|srt|txt)$#', $request->get_route())) {
+            return $served;
+        }
+        
+        $data = $result->get_data();
+        if (!is_string($data)) {
+            return $served;
+        }
+        
+        // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Transcript text is sanitized on save and served verbatim
+        echo $data;
+        return true;
+    }
+    
+    /**
+     * Get transcript segments for an episode
+     */
+    public static function get_episode_transcript($post_id) {
+        $segments = get_post_meta($post_id, 'episode_transcript', true);
+        return is_array($segments) ? $segments : array();
+    }
+    
+    /**
+     * Get the formats a transcript can be published in
+     *
+     * Caption formats need timings, so untimed (plain text) imports are
+     * only published as text.
+     */
+    public static function get_available_formats($segments) {
+        if (empty($segments)) {
+            return array();
+        }
+        
+        foreach ($segments as $segment) {
+            if (!isset($segment['startTime'])) {
+                return array('txt');
+            }
+        }
+        
+        return array('json', 'vtt', 'srt', 'txt');
+    }
+    
+    /**
+     * Get all transcripts to advertise for an episode
+     *
+     * @param int $post_id Post ID
+     * @return array List of url, type and rel entries
+     */
+    public static function get_episode_transcripts($post_id) {
+        $transcripts = array();
+        
+        $transcript_url = get_post_meta($post_id, 'episode_transcript_url', true);
+        if (!empty($transcript_url)) {
+            $transcripts[] = array(
+                'url' => $transcript_url,
+                'type' => self::get_type_from_url($transcript_url),
+                'rel' => ''
+            );
+        }
+        
+        foreach (self::get_available_formats(self::get_episode_transcript($post_id)) as $format) {
+            $transcripts[] = array(
+                'url' => rest_url('betterfeed/v1/episodes/' . absint($post_id) . '/transcript.' . $format),
+                'type' => self::FORMATS[$format],
+                'rel' => in_array($format, array('vtt', 'srt'), true) ? 'captions' : ''
+            );
+        }
+        
+        return $transcripts;
+    }
+    
+    /**
+     * Get transcript MIME type from URL
+     */
+    public static function get_type_from_url($url) {
+        $extension = strtolower(pathinfo((string) wp_parse_url($url, PHP_URL_PATH), PATHINFO_EXTENSION));
+        
+        $type_map = array(
+            'txt' => 'text/plain',
+            'html' => 'text/html',
+            'htm' => 'text/html',
+            'srt' => 'application/x-subrip',
+            'vtt' => 'text/vtt',
+            'json' => 'application/json',
+        );
+        
+        return $type_map[$extension] ?? 'text/plain';
+    }
+    
+    /**
+     * Convert segments to Podcasting 2.0 JSON
+     */
+    public static function to_json($segments) {
+        $output = array(
+            'version' => '1.0.0',
+            'segments' => array()
+        );
+        
+        foreach ($segments as $segment) {
+            $item = array();
+            if (!empty($segment['speaker'])) {
+                $item['speaker'] = $segment['speaker'];
+            }
+            $item['startTime'] = (float) $segment['startTime'];
+            $item['endTime'] = (float) self::get_end_time($segments, $segment);
+            $item['body'] = $segment['body'];
+            
+            $output['segments'][] = $item;
+        }
+        
+        return $output;
+    }
+    
+    /**
+     * Convert segments to WebVTT
+     */
+    public static function to_vtt($segments) {
+        $output = "WEBVTT\n\n";
+        
+        foreach ($segments as $segment) {
+            $output .= self::format_timestamp($segment['startTime'], '.') . ' --> ' . self::format_timestamp(self::get_end_time($segments, $segment), '.') . "\n";
+            $speaker = !empty($segment['speaker']) ? '<v ' . self::escape_vtt_text(self::clean_cue_speaker($segment['speaker'])) . '>' : '';
+            $output .= $speaker . self::escape_vtt_text(self::clean_cue_text($segment['body'])) . "\n\n";
+        }
+        
+        return $output;
+    }
+    
+    /**
+     * Convert segments to SRT
+     */
+    public static function to_srt($segments) {
+        $output = '';
+        
+        foreach (array_values($segments) as $index => $segment) {
+            $output .= ($index + 1) . "\n";
+            $output .= self::format_timestamp($segment['startTime'], ',') . ' --> ' . self::format_timestamp(self::get_end_time($segments, $segment), ',') . "\n";
+            $output .= (!empty($segment['speaker']) ? self::clean_cue_speaker($segment['speaker']) . ': ' : '') . self::clean_cue_text($segment['body']) . "\n\n";
+        }
+        
+        return $output;
+    }
+    
+    /**
+     * Make text safe to use as a WebVTT or SRT cue payload
+     * 
+     * A blank line would end the cue early and "-->" would be read as the
+     * timing line of a new cue. Single line breaks are kept.
+     */
+    private static function clean_cue_text($text) {
+        $text = preg_replace('/\R(\s*\R)*/', "\n", trim((string) $text));
+        return preg_replace('/-{2,}>/', '->', $text);
+    }
+    
+    /**
+     * Make a speaker name safe to use in a cue, on a single line
+     */
+    private static function clean_cue_speaker($speaker) {
+        return self::clean_cue_text(preg_replace('/\s+/', ' ', (string) $speaker));
+    }
+    
+    /**
+     * Escape the characters WebVTT cue text reserves for markup
+     */
+    private static function escape_vtt_text($text) {
+        return str_replace(array('&', '<', '>'), array('&amp;', '&lt;', '&gt;'), $text);
+    }
+    
+    /**
+     * Convert segments to plain text, one paragraph per speaker turn
+     */
+    public static function to_text($segments) {
+        $paragraphs = array();
+        $speaker = null;
+        
+        foreach ($segments as $segment) {
+            $segment_speaker = $segment['speaker'] ?? '';
+            
+            if (!empty($paragraphs) && $segment_speaker === $speaker) {
+                $paragraphs[count($paragraphs) - 1] .= ' ' . $segment['body'];
+            } else {
+                $paragraphs[] = ($segment_speaker !== '' ? $segment_speaker . ': ' : '') . $segment['body'];
+            }
+            
+            $speaker = $segment_speaker;
+        }
+        
+        return implode("\n\n", $paragraphs) . "\n";
+    }
+    
+    /**
+     * Get a segment's end time, defaulting to the next segment's start
+     */
+    private static function get_end_time($segments, $segment) {
+        if (isset($segment['endTime'])) {
+            return $segment['endTime'];
+        }
+        
+        foreach ($segments as $candidate) {
+            if (isset($candidate['startTime']) && $candidate['startTime'] > $segment['startTime']) {
+                return $candidate['startTime'];
+            }
+        }
+        
+        return $segment['startTime'] + 5;
+    }
+    
+    /**
+     * Format seconds as HH:MM:SS.mmm (or HH:MM:SS,mmm for SRT)
+     */
+    private static function format_timestamp($seconds, $separator) {
+        $milliseconds = (int) round($seconds * 1000);
+        
+        return sprintf(
+            '%02d:%02d:%02d%s%03d',
+            floor($milliseconds / 3600000),
+            floor($milliseconds / 60000) % 60,
+            floor($milliseconds / 1000) % 60,
+            $separator,
+            $milliseconds % 1000
+        );
+    }
+}
@@ -74,6 +74,11 @@ class BF_Uninstaller {
             'bf_google_discover_enabled',
             'bf_content_optimization_enabled',
             'bf_feed_enhancement_enabled',
+            'bf_custom_presets',
+            'bf_preset_undo',
+            'bf_settings_history',
+            'bf_dismissed_suggestions',
+            'bf_applied_suggestions',
             'bf_cache_'  // Remove all cache options
         );
         
@@ -125,7 +130,8 @@ class BF_Uninstaller {
             'bf_geographic_stats',
             'bf_footer_cache',
             'bf_daily_stats_last_check',
-            'bf_web_sub_cache'
+            'bf_web_sub_cache',
+            'bf_live_traffic'
         );
         
         foreach ($transient_keys as $transient_key) {
@@ -168,6 +174,7 @@ class BF_Uninstaller {
         $cron_events = array(
             'bf_cache_cleanup',
             'bf_analytics_cleanup',
+            'bf_scheduled_analytics_export',
             'bf_feed_cleanup',
             'bf_scheduled_feed_check'
         );
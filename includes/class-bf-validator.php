@@ -244,8 +244,14 @@ class BF_Validator {
     
     /**
      * Validate RSS2 item
+     *
+     * Also used by the episode panel's item preview so editor and feed
+     * validation report the same problems.
+     *
+     * @param SimpleXMLElement $item   RSS <item> element
+     * @param array            $result Validation result (errors, warnings, info)
      */
-    private function validate_rss2_item($item, &$result) {
+    public function validate_rss2_item($item, &$result) {
         // Either title or description is required
         if (!isset($item->title) && !isset($item->description)) {
             $result['errors'][] = 'RSS item must have either title or description';
@@ -272,12 +278,139 @@ class BF_Validator {
                 
                 if ($length === '0') {
                     $result['warnings'][] = 'Enclosure length is 0 (common podcast issue)';
+                } elseif ($length === '') {
+                    $result['errors'][] = 'Enclosure missing length attribute';
+                } elseif (!ctype_digit($length)) {
+                    $result['errors'][] = "Enclosure length must be a whole number of bytes, got {$length}";
                 }
                 
                 if (empty($type)) {
                     $result['warnings'][] = 'Enclosure missing MIME type';
+                } elseif (strpos($type, 'audio/') !== 0 && strpos($type, 'video/') !== 0) {
+                    $result['warnings'][] = "Enclosure MIME type {$type} is not an audio or video type";
                 }
             }
+            
+            if (count($item->enclosure) > 1) {
+                $result['warnings'][] = 'Item has more than one enclosure; podcast apps only use the first';
+            }
+        }
+        
+        $this->validate_podcast_item($item, $result);
+    }
+    
+    /**
+     * Validate iTunes and Podcast Index item tags
+     *
+     * Follows Apple Podcasts and Podcasting 2.0 namespace requirements.
+     */
+    private function validate_podcast_item($item, &$result) {
+        $itunes = $item->children('http://www.itunes.com/dtds/podcast-1.0.dtd');
+        $podcast = $item->children('https://podcastindex.org/namespace/1.0');
+        
+        // Only podcast items are held to directory rules
+        if (!isset($item->enclosure) && !count($itunes) && !count($podcast)) {
+            return;
+        }
+        
+        if (!isset($item->enclosure)) {
+            $result['errors'][] = 'Podcast item has no <enclosure> with the episode audio';
+        }
+        
+        if (!isset($item->guid) || trim((string) $item->guid) === '') {
+            $result['warnings'][] = 'Podcast item has no <guid>; directories need it to track episodes';
+        }
+        
+        if (isset($itunes->duration)) {
+            $duration = trim((string) $itunes->duration);
+            if (!preg_match('/^(\d+|(\d+:)?[0-5]?\d:[0-5]\d)$/', $duration)) {
+                $result['errors'][] = "itunes:duration \"{$duration}\" must be seconds, MM:SS or HH:MM:SS";
+            }
+        } elseif (count($itunes)) {
+            $result['warnings'][] = 'Missing itunes:duration';
+        }
+        
+        if (isset($itunes->explicit) && !in_array((string) $itunes->explicit, array('true', 'false'), true)) {
+            $result['warnings'][] = 'itunes:explicit should be "true" or "false" (Apple no longer accepts yes/no/clean)';
+        }
+        
+        if (isset($itunes->episodeType) && !in_array((string) $itunes->episodeType, array('full', 'trailer', 'bonus'), true)) {
+            $result['errors'][] = 'itunes:episodeType must be full, trailer or bonus';
+        }
+        
+        foreach (array('episode', 'season') as $number_tag) {
+            if (isset($itunes->$number_tag) && !ctype_digit(trim((string) $itunes->$number_tag))) {
+                $result['errors'][] = "itunes:{$number_tag} must be a positive whole number";
+            }
+        }
+        
+        if (isset($itunes->image)) {
+            $this->validate_podcast_artwork((string) $itunes->image->attributes()->href, $result);
+        }
+        
+        foreach (array('chapters', 'transcript') as $podcast_tag) {
+            if (!isset($podcast->$podcast_tag)) {
+                continue;
+            }
+            foreach ($podcast->$podcast_tag as $element) {
+                if (!filter_var((string) $element['url'], FILTER_VALIDATE_URL)) {
+                    $result['errors'][] = "podcast:{$podcast_tag} url is not valid";
+                }
+                if ((string) $element['type'] === '') {
+                    $result['errors'][] = "podcast:{$podcast_tag} is missing its type attribute";
+                }
+            }
+        }
+        
+        if (isset($podcast->soundbite)) {
+            foreach ($podcast->soundbite as $soundbite) {
+                if (!is_numeric((string) $soundbite['startTime']) || !is_numeric((string) $soundbite['duration']) || (float) $soundbite['duration'] <= 0) {
+                    $result['errors'][] = 'podcast:soundbite needs a numeric startTime and a positive duration';
+                }
+            }
+        }
+        
+        if (isset($podcast->person)) {
+            foreach ($podcast->person as $person) {
+                if (trim((string) $person) === '') {
+                    $result['errors'][] = 'podcast:person must contain a name';
+                }
+            }
+        }
+    }
+    
+    /**
+     * Validate episode artwork against Apple Podcasts requirements
+     *
+     * Dimensions can only be checked for images in the media library.
+     */
+    private function validate_podcast_artwork($url, &$result) {
+        if (!filter_var($url, FILTER_VALIDATE_URL)) {
+            $result['errors'][] = 'itunes:image href is not a valid URL';
+            return;
+        }
+        
+        $extension = strtolower(pathinfo((string) wp_parse_url($url, PHP_URL_PATH), PATHINFO_EXTENSION));
+        if (!in_array($extension, array('jpg', 'jpeg', 'png'), true)) {
+            $result['errors'][] = 'Artwork must be a JPEG or PNG file';
+        }
+        
+        $attachment_id = attachment_url_to_postid($url);
+        if (!$attachment_id) {
+            $result['info'][] = 'Artwork is hosted externally; its dimensions could not be checked';
+            return;
+        }
+        
+        $metadata = wp_get_attachment_metadata($attachment_id);
+        $width = absint($metadata['width'] ?? 0);
+        $height = absint($metadata['height'] ?? 0);
+        
+        if ($width !== $height) {
+            $result['errors'][] = "Artwork must be square, got {$width}x{$height}";
+        }
+        
+        if ($width < 1400 || $width > 3000 || $height < 1400 || $height > 3000) {
+            $result['errors'][] = "Artwork must be between 1400x1400 and 3000x3000 pixels, got {$width}x{$height}";
         }
     }
     